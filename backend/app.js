@@ -5,6 +5,16 @@ import { WindowManager } from "./managers/window-manager.js";
 import { SectionManager } from "./managers/section-manager.js";
 import { ComponentManager } from "./managers/component-manager.js";
 import { NodeLlamaCppManager } from "./managers/node-llama-cpp-manager.js";
+import { AgentManager } from "./managers/agent-manager.js";
+import { ConversationManager } from "./managers/conversation-manager.js";
+import { PromptPresetManager } from "./managers/prompt-preset-manager.js";
+import { ToolManager } from "./managers/tool-manager.js";
+import { ModelLibraryManager } from "./managers/model-library-manager.js";
+import { ProviderManager } from "./managers/provider-manager.js";
+import { KnowledgeManager } from "./managers/knowledge-manager.js";
+import { AttachmentManager } from "./managers/attachment-manager.js";
+import { GroupChatManager } from "./managers/group-chat-manager.js";
+import { ApiServerManager } from "./managers/api-server-manager.js";
 
 /**
  * Main application class that extends the base App and adds specific managers.
@@ -87,6 +97,106 @@ export class MainApp extends App {
     );
     this.addManager(new NodeLlamaCppManager());
 
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding AgentManager"
+    );
+    this.addManager(new AgentManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding ConversationManager"
+    );
+    this.addManager(new ConversationManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding PromptPresetManager"
+    );
+    this.addManager(new PromptPresetManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding ToolManager"
+    );
+    this.addManager(new ToolManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding ModelLibraryManager"
+    );
+    this.addManager(new ModelLibraryManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding ProviderManager"
+    );
+    this.addManager(new ProviderManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding KnowledgeManager"
+    );
+    this.addManager(new KnowledgeManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding AttachmentManager"
+    );
+    this.addManager(new AttachmentManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding GroupChatManager"
+    );
+    this.addManager(new GroupChatManager());
+
+    global.logger.log(
+      {
+        tags: "app|main|manager",
+        color1: "blue",
+        showTag: false,
+      },
+      "Adding ApiServerManager"
+    );
+    this.addManager(new ApiServerManager());
+
     // Initialize all managers
     global.logger.log(
       {
@@ -0,0 +1,293 @@
+import { Manager, Logger } from "../core/index.js";
+
+export class AgentManager extends Manager {
+  constructor() {
+    super();
+    this.archiveName = "agents"; // StoreManager archive holding agent entries
+    this.dataFile = "agent.json"; // File inside each entry with the definition
+    this.isInitialized = false;
+  }
+
+  async init() {
+    try {
+      global.logger.log(
+        {
+          tags: "agent|manager|init",
+          color1: "blue",
+          includeSource: true,
+        },
+        "AgentManager starting initialization"
+      );
+
+      // Get the StoreManager instance
+      const storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      if (!storeManager) {
+        throw new Error(
+          "AgentManager requires StoreManager to be initialized first"
+        );
+      }
+
+      this.storeManager = storeManager;
+
+      // Ensure the agents archive exists
+      await this.storeManager.createArchive(this.archiveName);
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "agent|manager|init",
+          color1: "green",
+        },
+        "AgentManager initialization complete"
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "agent|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize AgentManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Build a complete agent definition from partial data, filling in defaults
+   * @param {Object} data - Partial agent definition
+   * @param {Object} base - Existing definition to layer the data over
+   * @returns {Object} Normalized agent definition (without id/timestamps)
+   */
+  normalizeAgent(data = {}, base = {}) {
+    const merged = { ...base, ...data };
+
+    return {
+      name: String(merged.name ?? "").trim() || "Untitled Agent",
+      systemPrompt: String(merged.systemPrompt ?? ""),
+      color: merged.color || "#4a9eff",
+      avatar: merged.avatar || "",
+      modelPath: merged.modelPath || "",
+      samplingOptions: {
+        ...(base.samplingOptions || {}),
+        ...(data.samplingOptions || {}),
+      },
+      tools: Array.isArray(merged.tools) ? merged.tools : [],
+      // Answer from the folders indexed by KnowledgeManager
+      knowledge: !!merged.knowledge,
+      // Backend the agent replies with; modelPath applies to local models
+      provider: {
+        type: merged.provider?.type || "node-llama-cpp",
+        baseUrl: String(merged.provider?.baseUrl ?? "").trim(),
+        apiKey: String(merged.provider?.apiKey ?? ""),
+        model: String(merged.provider?.model ?? "").trim(),
+      },
+    };
+  }
+
+  /**
+   * Create a new agent definition
+   * @param {Object} agentData - Agent definition (name, systemPrompt, color, avatar, modelPath, samplingOptions, tools, knowledge, provider)
+   * @returns {Promise<Object>} The stored agent including its id
+   */
+  async createAgent(agentData = {}) {
+    try {
+      const id = await this.storeManager.createEntry(this.archiveName);
+      const now = new Date().toISOString();
+
+      const agent = {
+        id,
+        ...this.normalizeAgent(agentData),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        id,
+        this.dataFile,
+        agent
+      );
+
+      global.logger.log(
+        {
+          tags: "agent|manager|create",
+          color1: "green",
+        },
+        `Created agent '${agent.name}' (${id})`
+      );
+
+      return agent;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "agent|manager|create|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to create agent:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single agent definition
+   * @param {string} agentId - UUID of the agent entry
+   * @returns {Promise<Object>}
+   */
+  async getAgent(agentId) {
+    const exists = await this.storeManager.entryExists(
+      this.archiveName,
+      agentId
+    );
+    if (!exists) {
+      throw new Error(`Agent ${agentId} not found`);
+    }
+
+    return await this.storeManager.getEntryJSON(
+      this.archiveName,
+      agentId,
+      this.dataFile
+    );
+  }
+
+  /**
+   * Update an existing agent definition
+   * @param {string} agentId - UUID of the agent entry
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} The updated agent
+   */
+  async updateAgent(agentId, updates = {}) {
+    try {
+      const existing = await this.getAgent(agentId);
+
+      const agent = {
+        id: agentId,
+        ...this.normalizeAgent(updates, existing),
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        agentId,
+        this.dataFile,
+        agent
+      );
+
+      global.logger.log(
+        {
+          tags: "agent|manager|update",
+          color1: "green",
+        },
+        `Updated agent '${agent.name}' (${agentId})`
+      );
+
+      return agent;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "agent|manager|update|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to update agent ${agentId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an agent definition
+   * @param {string} agentId - UUID of the agent entry
+   * @returns {Promise<boolean>}
+   */
+  async deleteAgent(agentId) {
+    try {
+      await this.storeManager.deleteEntry(this.archiveName, agentId);
+
+      global.logger.log(
+        {
+          tags: "agent|manager|delete",
+          color1: "yellow",
+        },
+        `Deleted agent ${agentId}`
+      );
+
+      return true;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "agent|manager|delete|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to delete agent ${agentId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * List all agent definitions, sorted by name
+   * @returns {Promise<Object[]>}
+   */
+  async listAgents() {
+    const entries = await this.storeManager.listEntries(this.archiveName);
+    const agents = [];
+
+    for (const entry of entries) {
+      if (entry.type !== "directory") continue;
+
+      try {
+        agents.push(
+          await this.storeManager.getEntryJSON(
+            this.archiveName,
+            entry.id,
+            this.dataFile
+          )
+        );
+      } catch (error) {
+        // Skip entries without a readable definition
+        global.logger.warn(
+          {
+            tags: "agent|manager|list|warning",
+            color1: "yellow",
+            color2: "orange",
+          },
+          `Skipping unreadable agent entry ${entry.id}: ${error.message}`
+        );
+      }
+    }
+
+    return agents.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Define preload API configuration for the agent manager
+   */
+  initPreload() {
+    return {
+      name: "AgentManager",
+      api: {
+        createAgent: { channel: "AgentManager:createAgent" },
+        getAgent: { channel: "AgentManager:getAgent" },
+        updateAgent: { channel: "AgentManager:updateAgent" },
+        deleteAgent: { channel: "AgentManager:deleteAgent" },
+        listAgents: { channel: "AgentManager:listAgents" },
+      },
+    };
+  }
+}
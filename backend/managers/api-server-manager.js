@@ -0,0 +1,708 @@
+import { Manager, Logger } from "../core/index.js";
+import http from "http";
+import path from "path";
+import { randomBytes, randomUUID, timingSafeEqual } from "crypto";
+
+export class ApiServerManager extends Manager {
+  constructor() {
+    super();
+    this.configFile = "api-server.json"; // Store file holding the server settings
+    this.config = { enabled: false, port: 8080, apiKey: "" };
+    this.host = "127.0.0.1"; // Only reachable from this machine
+    this.maxBodySize = 10 * 1024 ** 2; // Bytes accepted in a request body
+    this.server = null;
+    this.lastError = null; // Why the server could not start
+    this.isInitialized = false;
+    // node-llama-cpp stop reason -> finish_reason
+    this.finishReasons = {
+      maxTokens: "length",
+      functionCalls: "tool_calls",
+    };
+  }
+
+  async init() {
+    try {
+      global.logger.log(
+        {
+          tags: "api|manager|init",
+          color1: "blue",
+          includeSource: true,
+        },
+        "ApiServerManager starting initialization"
+      );
+
+      const storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      this.llamaManager = this.app?.managers.find(
+        (m) => m.constructor.name === "NodeLlamaCppManager"
+      );
+      if (!storeManager || !this.llamaManager) {
+        throw new Error(
+          "ApiServerManager requires StoreManager and NodeLlamaCppManager to be initialized first"
+        );
+      }
+
+      this.storeManager = storeManager;
+
+      // Load the settings of earlier sessions
+      if (await this.storeManager.exists(this.configFile)) {
+        this.config = {
+          ...this.config,
+          ...(await this.storeManager.readJSON(this.configFile)),
+        };
+      }
+
+      // A busy port must not keep the app from starting
+      if (this.config.enabled) {
+        await this.ensureApiKey();
+        await this.startServer().catch(() => {});
+      }
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "api|manager|init",
+          color1: "green",
+        },
+        "ApiServerManager initialization complete"
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "api|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize ApiServerManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Give the server a random key when it is enabled without one: web pages
+   * the user visits can reach 127.0.0.1 too, so the server never runs open
+   * @returns {Promise<void>}
+   */
+  async ensureApiKey() {
+    if (!this.config.enabled || this.config.apiKey) {
+      return;
+    }
+
+    this.config.apiKey = `sk-local-${randomBytes(24).toString("hex")}`;
+    await this.storeManager.writeJSON(this.configFile, this.config);
+
+    global.logger.log(
+      {
+        tags: "api|server|key",
+        color1: "yellow",
+      },
+      "Generated an API key for the API server"
+    );
+  }
+
+  /**
+   * Start listening with the current settings
+   * @returns {Promise<void>}
+   */
+  async startServer() {
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        global.logger.error(
+          {
+            tags: "api|request|error",
+            color1: "red",
+            color2: "orange",
+          },
+          `API request ${req.method} ${req.url} failed:`,
+          error
+        );
+        if (!res.headersSent) {
+          this.sendError(res, 500, error.message, "server_error");
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(this.config.port, this.host, resolve);
+      });
+    } catch (error) {
+      this.lastError = error.message;
+      global.logger.error(
+        {
+          tags: "api|server|error",
+          color1: "red",
+          color2: "orange",
+        },
+        `Cannot start the API server on port ${this.config.port}:`,
+        error
+      );
+      throw error;
+    }
+
+    this.server = server;
+    this.lastError = null;
+
+    global.logger.log(
+      {
+        tags: "api|server|start",
+        color1: "green",
+      },
+      `API server listening on ${this.getBaseUrl()}`
+    );
+  }
+
+  /**
+   * Stop listening; running requests are aborted by closing their connections
+   * @returns {Promise<void>}
+   */
+  async stopServer() {
+    if (!this.server) {
+      return;
+    }
+
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+
+    global.logger.log(
+      {
+        tags: "api|server|stop",
+        color1: "yellow",
+      },
+      "API server stopped"
+    );
+  }
+
+  /**
+   * Base URL clients are given
+   * @returns {string}
+   */
+  getBaseUrl() {
+    return `http://${this.host}:${this.config.port}/v1`;
+  }
+
+  /**
+   * Describe the server for the settings
+   * @returns {Object} { enabled, port, apiKey, running, url, error }
+   */
+  getServerStatus() {
+    return {
+      ...this.config,
+      running: !!this.server,
+      url: this.getBaseUrl(),
+      error: this.lastError,
+    };
+  }
+
+  /**
+   * Change the settings, restarting the server as needed
+   * @param {Object} config - { enabled, port, apiKey }
+   * @returns {Promise<Object>} Server status
+   */
+  async updateServerConfig(config = {}) {
+    const port = Number.parseInt(config.port ?? this.config.port, 10);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      throw new Error(`Invalid port: ${config.port}`);
+    }
+
+    this.config = {
+      enabled: !!(config.enabled ?? this.config.enabled),
+      port,
+      apiKey: String(config.apiKey ?? this.config.apiKey).trim(),
+    };
+    await this.storeManager.writeJSON(this.configFile, this.config);
+    await this.ensureApiKey();
+
+    await this.stopServer();
+    this.lastError = null;
+    if (this.config.enabled) {
+      await this.startServer().catch(() => {});
+    }
+
+    return this.getServerStatus();
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {Object} body
+   */
+  sendJSON(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Send an error in the OpenAI error format
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {string} message
+   * @param {string} type
+   */
+  sendError(res, status, message, type = "invalid_request_error") {
+    this.sendJSON(res, status, { error: { message, type, code: null } });
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req
+   * @returns {Promise<Object>}
+   */
+  async readJSONBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodySize) {
+        throw Object.assign(new Error("Request body too large"), {
+          status: 413,
+        });
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString("utf-8") || "{}");
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid JSON: ${error.message}`), {
+        status: 400,
+      });
+    }
+  }
+
+  /**
+   * Check the request's Bearer token against the key in constant time
+   * @param {http.IncomingMessage} req
+   * @returns {boolean}
+   */
+  isAuthorized(req) {
+    const expected = Buffer.from(`Bearer ${this.config.apiKey}`);
+    const given = Buffer.from(String(req.headers.authorization || ""));
+    return (
+      !!this.config.apiKey &&
+      given.length === expected.length &&
+      timingSafeEqual(given, expected)
+    );
+  }
+
+  /**
+   * Why a request cannot come from a local client, if it cannot. Browsers
+   * send an Origin with cross-site requests, and DNS rebinding leaves a
+   * foreign Host header, so both are refused.
+   * @param {http.IncomingMessage} req
+   * @returns {string|null} Reason to refuse the request
+   */
+  getForbiddenReason(req) {
+    const allowedHosts = [
+      `${this.host}:${this.config.port}`,
+      `localhost:${this.config.port}`,
+    ];
+    if (!allowedHosts.includes(String(req.headers.host).toLowerCase())) {
+      return `Host must be one of ${allowedHosts.join(", ")}`;
+    }
+    if (req.headers.origin !== undefined) {
+      return "Requests from web pages are not allowed";
+    }
+    if (req.method === "OPTIONS") {
+      return "Cross-origin requests are not allowed";
+    }
+    return null;
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, this.getBaseUrl());
+
+    const forbidden = this.getForbiddenReason(req);
+    if (forbidden) {
+      this.sendError(res, 403, forbidden, "permission_error");
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      this.sendError(res, 401, "Invalid API key", "authentication_error");
+      return;
+    }
+
+    // A JSON body cannot be sent cross-site without a preflight
+    const contentType = String(req.headers["content-type"] || "");
+    if (req.method === "POST" && !/^application\/json\b/i.test(contentType)) {
+      this.sendError(res, 415, "Content-Type must be application/json");
+      return;
+    }
+
+    const routes = {
+      "GET /v1/models": () => this.handleModels(res),
+      "POST /v1/chat/completions": async () =>
+        this.handleChatCompletions(req, res, await this.readJSONBody(req)),
+      "POST /v1/embeddings": async () =>
+        this.handleEmbeddings(res, await this.readJSONBody(req)),
+    };
+    const route = routes[`${req.method} ${pathname.replace(/\/+$/, "")}`];
+    if (!route) {
+      this.sendError(res, 404, `Unknown endpoint: ${req.method} ${pathname}`);
+      return;
+    }
+
+    try {
+      await route();
+    } catch (error) {
+      if (!error.status) throw error;
+      this.sendError(res, error.status, error.message);
+    }
+  }
+
+  /**
+   * Models the server answers with: the loaded models, named by file
+   * @returns {Promise<Object[]>} [{ id, modelPath, isDefault }]
+   */
+  async getServedModels() {
+    const { models } = await this.llamaManager.getPoolStatus();
+    const served = models.map((model) => ({
+      id: model.name,
+      modelPath: model.modelPath,
+      isDefault: model.isDefault,
+    }));
+
+    // The mock LLM has no pool
+    const { modelPath } = this.llamaManager.getModelState();
+    if (modelPath && !served.some((model) => model.modelPath === modelPath)) {
+      served.push({
+        id: path.basename(modelPath, path.extname(modelPath)),
+        modelPath,
+        isDefault: true,
+      });
+    }
+    return served;
+  }
+
+  /**
+   * Pick the loaded model a request names; unknown names get the default model
+   * @param {string} name - Model id from the request
+   * @returns {Promise<Object>} Served model
+   */
+  async resolveModel(name) {
+    const served = await this.getServedModels();
+    const model =
+      served.find((m) => m.id === name || m.modelPath === name) ||
+      served.find((m) => m.isDefault);
+    if (!model) {
+      throw Object.assign(new Error("No model is loaded in the app"), {
+        status: 503,
+      });
+    }
+    return model;
+  }
+
+  /**
+   * GET /v1/models
+   * @param {http.ServerResponse} res
+   */
+  async handleModels(res) {
+    const served = await this.getServedModels();
+    this.sendJSON(res, 200, {
+      object: "list",
+      data: served.map((model) => ({
+        id: model.id,
+        object: "model",
+        created: 0,
+        owned_by: "agent-group-chat",
+      })),
+    });
+  }
+
+  /**
+   * Text of an OpenAI message content (a string or text parts)
+   * @param {string|Object[]} content
+   * @returns {string}
+   */
+  getContentText(content) {
+    if (Array.isArray(content)) {
+      return content
+        .filter((part) => part?.type === "text")
+        .map((part) => part.text)
+        .join("");
+    }
+    return String(content ?? "");
+  }
+
+  /**
+   * Convert chat completion messages to a llama history. System messages
+   * become the system prompt.
+   * @param {Object[]} messages - [{ role, content }]
+   * @returns {{systemPrompt: string|undefined, history: Object[]}}
+   */
+  toHistory(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw Object.assign(new Error("messages must be a non-empty array"), {
+        status: 400,
+      });
+    }
+
+    const systemTexts = [];
+    const history = [];
+    for (const message of messages) {
+      const text = this.getContentText(message.content);
+      if (message.role === "system" || message.role === "developer") {
+        systemTexts.push(text);
+      } else if (message.role === "assistant") {
+        history.push({ type: "model", response: [text] });
+      } else {
+        history.push({ type: "user", text });
+      }
+    }
+
+    if (history[history.length - 1]?.type !== "user") {
+      throw Object.assign(new Error("The last message must be from the user"), {
+        status: 400,
+      });
+    }
+
+    return {
+      systemPrompt:
+        systemTexts.length > 0 ? systemTexts.join("\n\n") : undefined,
+      history,
+    };
+  }
+
+  /**
+   * Convert chat completion parameters to generate options
+   * @param {Object} body - Request body
+   * @returns {Object}
+   */
+  toGenerateOptions(body) {
+    const options = {
+      maxTokens: body.max_completion_tokens ?? body.max_tokens,
+      temperature: body.temperature,
+      topP: body.top_p,
+      topK: body.top_k,
+      minP: body.min_p,
+      seed: body.seed,
+    };
+
+    const stop = [].concat(body.stop ?? []).filter(Boolean);
+    if (stop.length > 0) {
+      options.customStopTriggers = stop;
+    }
+
+    const format = body.response_format;
+    if (format?.type === "json_schema" && format.json_schema?.schema) {
+      options.structuredOutput = {
+        type: "json-schema",
+        schema: format.json_schema.schema,
+      };
+    }
+
+    return Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value != null)
+    );
+  }
+
+  /**
+   * POST /v1/chat/completions, streamed as server-sent events when asked
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Object} body
+   */
+  async handleChatCompletions(req, res, body) {
+    const model = await this.resolveModel(body.model);
+    const { systemPrompt, history } = this.toHistory(body.messages);
+    const requestId = randomUUID();
+    const id = `chatcmpl-${requestId}`;
+    const created = Math.floor(Date.now() / 1000);
+    const stream = !!body.stream;
+
+    // A client that hangs up stops the generation
+    let finished = false;
+    res.on("close", () => {
+      if (!finished) {
+        this.llamaManager.abortGeneration(requestId);
+      }
+    });
+
+    const sendEvent = (delta, finishReason = null, extra = {}) => {
+      res.write(
+        `data: ${JSON.stringify({
+          id,
+          object: "chat.completion.chunk",
+          created,
+          model: model.id,
+          choices: [{ index: 0, delta, finish_reason: finishReason }],
+          ...extra,
+        })}\n\n`
+      );
+    };
+
+    if (stream) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+      sendEvent({ role: "assistant", content: "" });
+    }
+
+    const onChunk = ({ text }) => {
+      if (!stream || !text) return;
+      if (typeof text === "string") {
+        sendEvent({ content: text });
+      } else if (text.type === "segment") {
+        if (text.segmentType === "thought" && text.text) {
+          sendEvent({ reasoning_content: text.text });
+        }
+      } else if (text.type == null && text.text) {
+        sendEvent({ content: text.text });
+      }
+    };
+
+    global.logger.log(
+      {
+        tags: "api|chat|request",
+        color1: "blue",
+      },
+      `API chat completion ${requestId} with ${model.id} (${
+        history.length
+      } messages${stream ? ", streaming" : ""})`
+    );
+
+    let result;
+    try {
+      result = await this.llamaManager.generate(
+        history,
+        {
+          ...this.toGenerateOptions(body),
+          requestId,
+          modelPath: model.modelPath,
+          sessionKey: "api", // API requests share one sequence and reuse its cache
+          systemPrompt,
+        },
+        { silent: true, onChunk }
+      );
+    } catch (error) {
+      finished = true;
+      if (!stream) throw error;
+      res.write(
+        `data: ${JSON.stringify({
+          error: { message: error.message, type: "server_error" },
+        })}\n\n`
+      );
+      res.end("data: [DONE]\n\n");
+      return;
+    }
+    finished = true;
+
+    const finishReason = this.finishReasons[result.stopReason] || "stop";
+    const usage = result.metrics
+      ? {
+          prompt_tokens: result.metrics.promptTokens,
+          completion_tokens: result.metrics.generatedTokens,
+          total_tokens:
+            result.metrics.promptTokens + result.metrics.generatedTokens,
+        }
+      : undefined;
+
+    if (stream) {
+      sendEvent({}, finishReason);
+      if (body.stream_options?.include_usage && usage) {
+        res.write(
+          `data: ${JSON.stringify({
+            id,
+            object: "chat.completion.chunk",
+            created,
+            model: model.id,
+            choices: [],
+            usage,
+          })}\n\n`
+        );
+      }
+      res.end("data: [DONE]\n\n");
+      return;
+    }
+
+    const reasoning = (result.response || [])
+      .filter(
+        (part) => part?.type === "segment" && part.segmentType === "thought"
+      )
+      .map((part) => part.text)
+      .join("");
+    this.sendJSON(res, 200, {
+      id,
+      object: "chat.completion",
+      created,
+      model: model.id,
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: "assistant",
+            content: result.responseText,
+            ...(reasoning ? { reasoning_content: reasoning } : {}),
+          },
+          finish_reason: finishReason,
+        },
+      ],
+      usage,
+    });
+  }
+
+  /**
+   * POST /v1/embeddings
+   * @param {http.ServerResponse} res
+   * @param {Object} body
+   */
+  async handleEmbeddings(res, body) {
+    const model = await this.resolveModel(body.model);
+    const input = [].concat(body.input ?? []);
+    if (input.length === 0 || input.some((text) => typeof text !== "string")) {
+      throw Object.assign(
+        new Error("input must be a string or an array of strings"),
+        { status: 400 }
+      );
+    }
+
+    const { vectors, tokenCount } = await this.llamaManager.embed(input, {
+      modelPath: model.modelPath,
+    });
+
+    this.sendJSON(res, 200, {
+      object: "list",
+      data: vectors.map((embedding, index) => ({
+        object: "embedding",
+        index,
+        embedding,
+      })),
+      model: model.id,
+      usage: { prompt_tokens: tokenCount, total_tokens: tokenCount },
+    });
+  }
+
+  /**
+   * Define preload API configuration for the API server manager
+   */
+  initPreload() {
+    return {
+      name: "ApiServerManager",
+      api: {
+        getServerStatus: { channel: "ApiServerManager:getServerStatus" },
+        updateServerConfig: { channel: "ApiServerManager:updateServerConfig" },
+      },
+    };
+  }
+}
@@ -0,0 +1,271 @@
+import { Manager, Logger } from "../core/index.js";
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { dialog } from "electron";
+
+export class AttachmentManager extends Manager {
+  constructor() {
+    super();
+    this.extensions = [
+      "txt",
+      "md",
+      "markdown",
+      "mdx",
+      "rst",
+      "adoc",
+      "log",
+      "csv",
+      "tsv",
+      "json",
+      "jsonl",
+      "yaml",
+      "yml",
+      "toml",
+      "ini",
+      "xml",
+      "html",
+      "css",
+      "scss",
+      "js",
+      "mjs",
+      "cjs",
+      "jsx",
+      "ts",
+      "tsx",
+      "py",
+      "rb",
+      "php",
+      "java",
+      "kt",
+      "go",
+      "rs",
+      "c",
+      "h",
+      "cpp",
+      "hpp",
+      "cs",
+      "swift",
+      "sh",
+      "ps1",
+      "sql",
+      "lua",
+    ]; // Text, code, CSV and Markdown files that can be attached
+    this.maxFileSize = 5 * 1024 * 1024; // Larger files are refused
+    this.defaultMaxTokens = 8000; // Budget of a batch when the caller gives none
+    this.charsPerToken = 4; // Estimate used when no model is loaded to tokenize with
+    this.isInitialized = false;
+  }
+
+  async init() {
+    try {
+      // Files picked with the dialog are read through the StoreManager
+      this.storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      // Attachments are measured with the loaded model's tokenizer
+      this.llamaManager = this.app?.managers.find(
+        (m) => m.constructor.name === "NodeLlamaCppManager"
+      );
+      if (!this.storeManager || !this.llamaManager) {
+        throw new Error(
+          "AttachmentManager requires StoreManager and NodeLlamaCppManager to be initialized first"
+        );
+      }
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "attachment|manager|init",
+          color1: "green",
+          includeSource: true,
+        },
+        "AttachmentManager initialized"
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "attachment|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize AttachmentManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Let the user pick files to attach; picking them is the consent to read them
+   * @param {Object} options - { maxTokens } shared by the picked files
+   * @returns {Promise<Object>} { attachments, skipped } (see readAttachments)
+   */
+  async pickFiles(options = {}) {
+    const filePaths = await this.storeManager.showOpenDialog({
+      filters: [
+        { name: "Text, code and data files", extensions: this.extensions },
+      ],
+      multiSelections: true,
+    });
+
+    if (!filePaths) {
+      return { attachments: [], skipped: [] };
+    }
+    return await this.readAttachments(filePaths, options);
+  }
+
+  /**
+   * Attach files dropped on the chat. The paths come from the renderer, so
+   * the user confirms reading them first.
+   * @param {string[]} filePaths - Absolute paths of the dropped files
+   * @param {Object} options - { maxTokens } shared by the files
+   * @returns {Promise<Object>} { attachments, skipped } (see readAttachments)
+   */
+  async attachFiles(filePaths = [], options = {}) {
+    if (filePaths.length === 0) {
+      return { attachments: [], skipped: [] };
+    }
+
+    const { response } = await dialog.showMessageBox(this.app.mainWindow, {
+      type: "question",
+      buttons: ["Attach", "Cancel"],
+      defaultId: 0,
+      cancelId: 1,
+      message: `Attach ${filePaths.length} file${
+        filePaths.length === 1 ? "" : "s"
+      } to your message?`,
+      detail: `${filePaths.join(
+        "\n"
+      )}\n\nTheir content is read from disk and sent to the model with your message.`,
+    });
+
+    if (response !== 0) {
+      return { attachments: [], skipped: [] };
+    }
+    return await this.readAttachments(filePaths, options);
+  }
+
+  /**
+   * Count the tokens of a text with the loaded model, or estimate them
+   * @param {string} text
+   * @returns {number}
+   */
+  countTokens(text) {
+    try {
+      return this.llamaManager.tokenize(text).length;
+    } catch (error) {
+      return Math.ceil(text.length / this.charsPerToken);
+    }
+  }
+
+  /**
+   * Cut a text to at most maxTokens tokens, ending on a whole line when possible
+   * @param {string} content
+   * @param {number} maxTokens
+   * @param {number} tokenCount - Tokens of the whole content
+   * @returns {Object} { content, tokenCount }
+   */
+  truncateToTokens(content, maxTokens, tokenCount) {
+    let truncated = content;
+    let count = tokenCount;
+
+    // Token counts are not proportional to characters, so cut a few times
+    for (let attempt = 0; attempt < 4 && count > maxTokens; attempt++) {
+      const length = Math.floor(truncated.length * (maxTokens / count) * 0.95);
+      truncated = truncated.slice(0, length);
+      const lineEnd = truncated.lastIndexOf("\n");
+      if (lineEnd > length / 2) {
+        truncated = truncated.slice(0, lineEnd);
+      }
+      count = this.countTokens(truncated);
+    }
+
+    return { content: truncated, tokenCount: count };
+  }
+
+  /**
+   * Read text files for a message, cutting them so they share a token budget
+   * (files are read in order; later files get what earlier ones left)
+   * @param {string[]} filePaths - Absolute file paths
+   * @param {Object} options - { maxTokens } for all files together
+   * @returns {Promise<Object>} { attachments: [{ id, name, path, size, lineCount, tokenCount, truncated, content }], skipped: [{ name, path, reason }] }
+   */
+  async readAttachments(filePaths, options = {}) {
+    let remaining = options.maxTokens ?? this.defaultMaxTokens;
+    const attachments = [];
+    const skipped = [];
+
+    for (const filePath of filePaths) {
+      const name = path.basename(filePath);
+      try {
+        const extension = path.extname(name).slice(1).toLowerCase();
+        if (!this.extensions.includes(extension)) {
+          throw new Error("not a text, code, CSV or Markdown file");
+        }
+
+        const stats = await fs.stat(filePath);
+        if (stats.size > this.maxFileSize) {
+          throw new Error(`larger than ${this.maxFileSize / (1024 * 1024)} MB`);
+        }
+
+        const text = await fs.readFile(filePath, "utf8");
+        if (text.includes("\u0000")) {
+          throw new Error("binary content");
+        }
+        if (remaining <= 0) {
+          throw new Error("no room left in the context");
+        }
+
+        const tokenCount = this.countTokens(text);
+        const fitted =
+          tokenCount > remaining
+            ? this.truncateToTokens(text, remaining, tokenCount)
+            : { content: text, tokenCount };
+        remaining -= fitted.tokenCount;
+
+        attachments.push({
+          id: randomUUID(),
+          name,
+          path: filePath,
+          size: stats.size,
+          lineCount: text.split("\n").length,
+          tokenCount: fitted.tokenCount,
+          truncated: fitted.content.length < text.length,
+          content: fitted.content,
+        });
+      } catch (error) {
+        skipped.push({ name, path: filePath, reason: error.message });
+      }
+    }
+
+    if (skipped.length > 0) {
+      global.logger.warn(
+        {
+          tags: "attachment|manager|read|warning",
+          color1: "yellow",
+        },
+        `Skipped attachments: ${skipped
+          .map((file) => `${file.name} (${file.reason})`)
+          .join(", ")}`
+      );
+    }
+
+    return { attachments, skipped };
+  }
+
+  /**
+   * Define preload API configuration for the attachment manager
+   */
+  initPreload() {
+    return {
+      name: "AttachmentManager",
+      api: {
+        pickFiles: { channel: "AttachmentManager:pickFiles" },
+        attachFiles: { channel: "AttachmentManager:attachFiles" },
+      },
+    };
+  }
+}
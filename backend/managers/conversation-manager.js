@@ -0,0 +1,377 @@
+import { Manager, Logger } from "../core/index.js";
+
+export class ConversationManager extends Manager {
+  constructor() {
+    super();
+    this.archiveName = "conversations"; // StoreManager archive holding conversation entries
+    this.metadataFile = "conversation.json"; // Title, model and timestamps
+    this.messagesFile = "messages.json"; // Active branch of the chat history in llama format
+    this.treeFile = "tree.json"; // Every branch of the conversation (message tree)
+    this.isInitialized = false;
+  }
+
+  async init() {
+    try {
+      global.logger.log(
+        {
+          tags: "conversation|manager|init",
+          color1: "blue",
+          includeSource: true,
+        },
+        "ConversationManager starting initialization"
+      );
+
+      // Get the StoreManager instance
+      const storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      if (!storeManager) {
+        throw new Error(
+          "ConversationManager requires StoreManager to be initialized first"
+        );
+      }
+
+      this.storeManager = storeManager;
+
+      // Ensure the conversations archive exists
+      await this.storeManager.createArchive(this.archiveName);
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "conversation|manager|init",
+          color1: "green",
+        },
+        "ConversationManager initialization complete"
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "conversation|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize ConversationManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Build conversation metadata from a messages array
+   * @param {Object} metadata - Existing metadata to update
+   * @param {Object} data - Fields to change (title, model, systemPrompt)
+   * @param {Array} messages - Conversation messages
+   * @returns {Object} Metadata to store alongside the messages
+   */
+  buildMetadata(metadata, data, messages) {
+    return {
+      ...metadata,
+      title: String(data.title ?? metadata.title ?? "").trim() || "New Chat",
+      model: data.model ?? metadata.model ?? "",
+      systemPrompt: String(data.systemPrompt ?? metadata.systemPrompt ?? ""),
+      messageCount: messages.length,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Create a new conversation
+   * @param {Object} conversationData - { title, model, systemPrompt, messages, tree }
+   * @returns {Promise<Object>} The stored conversation metadata including its id
+   */
+  async createConversation(conversationData = {}) {
+    try {
+      const { messages = [], tree = null, ...data } = conversationData;
+      const id = await this.storeManager.createEntry(this.archiveName);
+      const now = new Date().toISOString();
+
+      const metadata = this.buildMetadata(
+        { id, createdAt: now },
+        data,
+        messages
+      );
+
+      await this.storeMessages(id, messages, tree);
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        id,
+        this.metadataFile,
+        metadata
+      );
+
+      global.logger.log(
+        {
+          tags: "conversation|manager|create",
+          color1: "green",
+        },
+        `Created conversation '${metadata.title}' (${id})`
+      );
+
+      return metadata;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "conversation|manager|create|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to create conversation:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get the metadata of a conversation
+   * @param {string} conversationId - UUID of the conversation entry
+   * @returns {Promise<Object>}
+   */
+  async getConversationMetadata(conversationId) {
+    const exists = await this.storeManager.entryExists(
+      this.archiveName,
+      conversationId
+    );
+    if (!exists) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    return await this.storeManager.getEntryJSON(
+      this.archiveName,
+      conversationId,
+      this.metadataFile
+    );
+  }
+
+  /**
+   * Write the active messages and (when given) the message tree of a conversation
+   * @param {string} conversationId - UUID of the conversation entry
+   * @param {Array} messages - Active branch in llama format
+   * @param {Object|null} tree - Message tree with every branch
+   */
+  async storeMessages(conversationId, messages, tree) {
+    await this.storeManager.storeEntryJSON(
+      this.archiveName,
+      conversationId,
+      this.messagesFile,
+      messages
+    );
+
+    if (tree) {
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        conversationId,
+        this.treeFile,
+        tree
+      );
+    }
+  }
+
+  /**
+   * Get a conversation including its messages
+   * @param {string} conversationId - UUID of the conversation entry
+   * @returns {Promise<Object>} Metadata with a messages array and the message tree (null if never branched/stored)
+   */
+  async getConversation(conversationId) {
+    const metadata = await this.getConversationMetadata(conversationId);
+    const messages = await this.storeManager.getEntryJSON(
+      this.archiveName,
+      conversationId,
+      this.messagesFile
+    );
+
+    // Conversations saved before branching existed have no tree file
+    let tree = null;
+    try {
+      tree = await this.storeManager.getEntryJSON(
+        this.archiveName,
+        conversationId,
+        this.treeFile
+      );
+    } catch (error) {
+      tree = null;
+    }
+
+    return { ...metadata, messages, tree };
+  }
+
+  /**
+   * Save the messages (and optionally title/model) of a conversation
+   * @param {string} conversationId - UUID of the conversation entry
+   * @param {Object} conversationData - { messages, tree, title, model, systemPrompt }
+   * @returns {Promise<Object>} The updated metadata
+   */
+  async saveConversation(conversationId, conversationData = {}) {
+    try {
+      const existing = await this.getConversationMetadata(conversationId);
+      const { messages = [], tree = null, ...data } = conversationData;
+      const metadata = this.buildMetadata(existing, data, messages);
+
+      await this.storeMessages(conversationId, messages, tree);
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        conversationId,
+        this.metadataFile,
+        metadata
+      );
+
+      return metadata;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "conversation|manager|save|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to save conversation ${conversationId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a conversation
+   * @param {string} conversationId - UUID of the conversation entry
+   * @param {string} title - New title
+   * @returns {Promise<Object>} The updated metadata
+   */
+  async renameConversation(conversationId, title) {
+    try {
+      const existing = await this.getConversationMetadata(conversationId);
+      const metadata = {
+        ...existing,
+        title: String(title ?? "").trim() || existing.title,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        conversationId,
+        this.metadataFile,
+        metadata
+      );
+
+      global.logger.log(
+        {
+          tags: "conversation|manager|rename",
+          color1: "green",
+        },
+        `Renamed conversation ${conversationId} to '${metadata.title}'`
+      );
+
+      return metadata;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "conversation|manager|rename|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to rename conversation ${conversationId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} conversationId - UUID of the conversation entry
+   * @returns {Promise<boolean>}
+   */
+  async deleteConversation(conversationId) {
+    try {
+      await this.storeManager.deleteEntry(this.archiveName, conversationId);
+
+      global.logger.log(
+        {
+          tags: "conversation|manager|delete",
+          color1: "yellow",
+        },
+        `Deleted conversation ${conversationId}`
+      );
+
+      return true;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "conversation|manager|delete|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to delete conversation ${conversationId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * List conversation metadata, most recently updated first
+   * @returns {Promise<Object[]>}
+   */
+  async listConversations() {
+    const entries = await this.storeManager.listEntries(this.archiveName);
+    const conversations = [];
+
+    for (const entry of entries) {
+      if (entry.type !== "directory") continue;
+
+      try {
+        conversations.push(
+          await this.storeManager.getEntryJSON(
+            this.archiveName,
+            entry.id,
+            this.metadataFile
+          )
+        );
+      } catch (error) {
+        // Skip entries without readable metadata
+        global.logger.warn(
+          {
+            tags: "conversation|manager|list|warning",
+            color1: "yellow",
+            color2: "orange",
+          },
+          `Skipping unreadable conversation entry ${entry.id}: ${error.message}`
+        );
+      }
+    }
+
+    return conversations.sort((a, b) =>
+      (b.updatedAt || "").localeCompare(a.updatedAt || "")
+    );
+  }
+
+  /**
+   * Define preload API configuration for the conversation manager
+   */
+  initPreload() {
+    return {
+      name: "ConversationManager",
+      api: {
+        createConversation: {
+          channel: "ConversationManager:createConversation",
+        },
+        getConversation: { channel: "ConversationManager:getConversation" },
+        saveConversation: { channel: "ConversationManager:saveConversation" },
+        renameConversation: {
+          channel: "ConversationManager:renameConversation",
+        },
+        deleteConversation: {
+          channel: "ConversationManager:deleteConversation",
+        },
+        listConversations: { channel: "ConversationManager:listConversations" },
+      },
+    };
+  }
+}
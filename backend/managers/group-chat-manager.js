@@ -0,0 +1,603 @@
+import { Manager, Logger } from "../core/index.js";
+import { randomUUID } from "crypto";
+
+export class GroupChatManager extends Manager {
+  constructor() {
+    super();
+    this.isRunning = false;
+    this.stopRequested = false;
+    this.currentRequestId = null; // Generation request of the running turn (or moderator call)
+    this.defaultStopToken = "[DONE]";
+  }
+
+  async init() {
+    try {
+      // Get the managers the orchestrator builds on
+      this.llamaManager = this.app?.managers.find(
+        (m) => m.constructor.name === "NodeLlamaCppManager"
+      );
+      this.agentManager = this.app?.managers.find(
+        (m) => m.constructor.name === "AgentManager"
+      );
+      this.providerManager = this.app?.managers.find(
+        (m) => m.constructor.name === "ProviderManager"
+      );
+      this.knowledgeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "KnowledgeManager"
+      );
+
+      if (
+        !this.llamaManager ||
+        !this.agentManager ||
+        !this.providerManager ||
+        !this.knowledgeManager
+      ) {
+        throw new Error(
+          "GroupChatManager requires NodeLlamaCppManager, AgentManager, ProviderManager and KnowledgeManager to be initialized first"
+        );
+      }
+
+      global.logger.log(
+        {
+          tags: "groupchat|manager|init",
+          color1: "green",
+          includeSource: true,
+        },
+        "GroupChatManager initialized"
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "groupchat|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize GroupChatManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Send a group chat lifecycle event to the frontend
+   * @param {Object} event - Event payload ({ type, ... })
+   */
+  sendGroupChatEvent(event) {
+    if (this.app && this.app.mainWindow) {
+      this.app.mainWindow.webContents.send(
+        "GroupChatManager:groupChatEvent",
+        event
+      );
+    }
+  }
+
+  /**
+   * Reduce an agent definition to the fields the frontend needs for display
+   * @param {Object} agent
+   * @returns {{id: string, name: string, color: string, avatar: string}}
+   */
+  summarizeAgent(agent) {
+    return {
+      id: agent.id,
+      name: agent.name,
+      color: agent.color,
+      avatar: agent.avatar,
+    };
+  }
+
+  /**
+   * Extract the plain response text from a llama history item
+   * @param {Object} item - Chat history item
+   * @returns {string}
+   */
+  getItemText(item) {
+    if (!item) return "";
+    if (item.type === "model") {
+      return (item.response || [])
+        .filter((part) => typeof part === "string")
+        .join("");
+    }
+    return item.text || "";
+  }
+
+  /**
+   * Remove the stop token from the text parts of a model response, keeping
+   * segments (thoughts, comments) and function calls as they are
+   * @param {Array} response - Model response from promptWithMeta
+   * @param {string} stopToken
+   * @returns {Array}
+   */
+  cleanResponse(response, stopToken) {
+    const cleaned = response
+      .map((part) =>
+        typeof part === "string" ? part.split(stopToken).join("") : part
+      )
+      .filter((part) => part !== "");
+
+    const lastIndex = cleaned.length - 1;
+    if (typeof cleaned[lastIndex] === "string") {
+      cleaned[lastIndex] = cleaned[lastIndex].trimEnd();
+    }
+    return cleaned;
+  }
+
+  /**
+   * Build the chat history as seen by one agent. The agent's own turns become
+   * model turns; everyone else's turns become name-prefixed user turns.
+   * @param {Object} agent - The agent about to speak
+   * @param {Object[]} agents - All participating agents
+   * @param {Object[]} transcript - Shared conversation in llama format
+   * @param {string} stopToken - Token agents emit to end the discussion
+   * @param {string} [systemPrompt] - The conversation's system prompt, shared by all agents
+   * @returns {Object[]} Llama chat history ending with a user turn
+   */
+  buildAgentHistory(agent, agents, transcript, stopToken, systemPrompt) {
+    const others = agents.filter((a) => a.id !== agent.id).map((a) => a.name);
+
+    const systemParts = [];
+    if (systemPrompt?.trim()) {
+      systemParts.push(systemPrompt);
+    }
+    if (agent.systemPrompt) {
+      systemParts.push(agent.systemPrompt);
+    }
+    systemParts.push(
+      `You are ${agent.name} in a group conversation with the user` +
+        (others.length ? ` and ${others.join(", ")}` : "") +
+        ". Messages from other participants are prefixed with their name." +
+        ` Reply only as ${agent.name}, without prefixing your own name.` +
+        ` When the discussion has reached a conclusion, end your message with ${stopToken}.`
+    );
+
+    const history = [];
+    const pushUserText = (text) => {
+      const last = history[history.length - 1];
+      if (last && last.type === "user") {
+        last.text += `\n\n${text}`;
+      } else {
+        history.push({ type: "user", text });
+      }
+    };
+
+    for (const item of transcript) {
+      if (item.type === "system") {
+        systemParts.push(item.text);
+      } else if (item.type === "user") {
+        pushUserText(`User: ${item.text}`);
+      } else if (item.type === "model") {
+        const text = this.getItemText(item);
+        if (item.agentId === agent.id) {
+          history.push({ type: "model", response: [text] });
+        } else {
+          pushUserText(`${item.agentName || "Assistant"}: ${text}`);
+        }
+      }
+    }
+
+    // generate() requires the prompt to be a user turn
+    if (history.length === 0 || history[history.length - 1].type !== "user") {
+      history.push({
+        type: "user",
+        text: `(Continue the discussion as ${agent.name}.)`,
+      });
+    }
+
+    return [{ type: "system", text: systemParts.join("\n\n") }, ...history];
+  }
+
+  /**
+   * Append the knowledge base excerpts relevant to the latest user message
+   * to an agent's instructions
+   * @param {Object[]} transcript - Shared conversation in llama format
+   * @param {string} systemPrompt - The agent's system prompt
+   * @returns {Promise<Object|null>} { systemPrompt, sources }, or null when retrieval failed
+   */
+  async getKnowledgeContext(transcript, systemPrompt) {
+    const query = transcript.findLast((item) => item.type === "user")?.text;
+    try {
+      return await this.knowledgeManager.createContext(query, { systemPrompt });
+    } catch (error) {
+      global.logger.warn(
+        {
+          tags: "groupchat|knowledge|warning",
+          color1: "yellow",
+        },
+        `Answering without the knowledge base: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Choose the agent that speaks next
+   * @param {Object[]} agents - Participating agents
+   * @param {Object[]} transcript - Shared conversation in llama format
+   * @param {string} speakerMode - "round-robin", "mention" or "moderator"
+   * @param {string|null} lastSpeakerId - Agent that spoke last (null after a user turn)
+   * @returns {Promise<Object>} The next agent
+   */
+  async pickNextSpeaker(agents, transcript, speakerMode, lastSpeakerId) {
+    const lastIndex = agents.findIndex((a) => a.id === lastSpeakerId);
+    const roundRobin = agents[(lastIndex + 1) % agents.length];
+    const candidates = agents.filter((a) => a.id !== lastSpeakerId);
+
+    if (candidates.length === 0) {
+      return roundRobin;
+    }
+
+    if (speakerMode === "mention") {
+      const text = this.getItemText(transcript[transcript.length - 1]);
+      return this.findMentionedAgent(candidates, text) || roundRobin;
+    }
+
+    if (speakerMode === "moderator") {
+      try {
+        return (await this.askModerator(candidates, transcript)) || roundRobin;
+      } catch (error) {
+        global.logger.warn(
+          {
+            tags: "groupchat|moderator|warning",
+            color1: "yellow",
+            color2: "orange",
+          },
+          `Moderator failed, falling back to round-robin: ${error.message}`
+        );
+      }
+    }
+
+    return roundRobin;
+  }
+
+  /**
+   * Find the earliest agent mentioned by name in a piece of text
+   * @param {Object[]} agents
+   * @param {string} text
+   * @returns {Object|null}
+   */
+  findMentionedAgent(agents, text) {
+    const lowered = (text || "").toLowerCase();
+    let best = null;
+    let bestIndex = Infinity;
+
+    for (const agent of agents) {
+      const escaped = agent.name
+        .toLowerCase()
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const match = new RegExp(`(^|[^\\w])@?${escaped}(?![\\w])`).exec(lowered);
+      if (match && match.index < bestIndex) {
+        best = agent;
+        bestIndex = match.index;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Ask the loaded model to pick the next speaker
+   * @param {Object[]} candidates - Agents allowed to speak next
+   * @param {Object[]} transcript - Shared conversation in llama format
+   * @returns {Promise<Object|null>}
+   */
+  async askModerator(candidates, transcript) {
+    const lines = transcript
+      .filter((item) => item.type === "user" || item.type === "model")
+      .slice(-10)
+      .map((item) => {
+        const speaker =
+          item.type === "user" ? "User" : item.agentName || "Assistant";
+        return `${speaker}: ${this.getItemText(item)}`;
+      });
+
+    const names = candidates.map((a) => a.name).join(", ");
+    const history = [
+      {
+        type: "system",
+        text: "You moderate a group conversation. Answer with exactly one participant name and nothing else.",
+      },
+      {
+        type: "user",
+        text: `Conversation so far:\n\n${lines.join(
+          "\n\n"
+        )}\n\nWho should speak next? Choose one of: ${names}`,
+      },
+    ];
+
+    this.currentRequestId = randomUUID();
+    const result = await this.llamaManager.generate(
+      history,
+      {
+        maxTokens: 16,
+        temperature: 0,
+        sessionKey: "groupchat:moderator",
+        requestId: this.currentRequestId,
+      },
+      { silent: true }
+    );
+
+    return this.findMentionedAgent(candidates, result?.responseText || "");
+  }
+
+  /**
+   * Run a group conversation until a stop condition is reached
+   * @param {Object[]} conversation - Conversation so far in llama format (ends with the user's message)
+   * @param {Object} config - Group chat configuration
+   * @param {string[]} config.agentIds - Participating agent ids, in speaking order
+   * @param {string} config.speakerMode - "round-robin", "mention" or "moderator"
+   * @param {number} config.maxTurns - Maximum agent replies before stopping
+   * @param {string} config.stopToken - Token that ends the discussion
+   * @param {string} config.contextStrategy - How agent histories longer than the context are shortened ("sliding-window", "drop-oldest" or "summarize")
+   * @param {string} [config.systemPrompt] - The conversation's system prompt (preset), placed before each agent's own
+   * @returns {Promise<{reason: string, turns: number, messages: Object[], error?: string}>}
+   */
+  async startGroupChat(conversation = [], config = {}) {
+    if (this.isRunning) {
+      throw new Error("A group chat is already running");
+    }
+
+    const {
+      agentIds = [],
+      speakerMode = "round-robin",
+      maxTurns = 6,
+      stopToken = this.defaultStopToken,
+      contextStrategy = "sliding-window",
+      systemPrompt,
+    } = config;
+
+    const agents = [];
+    for (const agentId of agentIds) {
+      agents.push(await this.agentManager.getAgent(agentId));
+    }
+    if (agents.length === 0) {
+      throw new Error("Group chat requires at least one agent");
+    }
+
+    this.isRunning = true;
+    this.stopRequested = false;
+
+    const transcript = [...conversation];
+    const messages = [];
+    const loadedModels = []; // [{ provider, handle }] released when the run ends
+    // Summarized agent histories for this run: agent id -> { memory, foldedCount }
+    const memories = new Map();
+    let lastSpeakerId = null;
+    let turns = 0;
+    let reason = "max-turns";
+    let errorMessage = null;
+
+    global.logger.log(
+      {
+        tags: "groupchat|run|start",
+        color1: "blue",
+      },
+      `Starting group chat with ${agents
+        .map((a) => a.name)
+        .join(", ")} (${speakerMode}, max ${maxTurns} turns)`
+    );
+
+    this.sendGroupChatEvent({
+      type: "start",
+      agents: agents.map((a) => this.summarizeAgent(a)),
+      speakerMode,
+      maxTurns,
+    });
+
+    try {
+      // Agents with their own model keep it loaded for the whole discussion
+      for (const agent of agents) {
+        const provider = this.providerManager.getProvider(agent.provider);
+        const handle = await provider.load({ modelPath: agent.modelPath });
+        if (handle) {
+          loadedModels.push({ provider, handle });
+        }
+      }
+
+      while (turns < maxTurns) {
+        if (this.stopRequested) {
+          reason = "interrupted";
+          break;
+        }
+
+        const agent = await this.pickNextSpeaker(
+          agents,
+          transcript,
+          speakerMode,
+          lastSpeakerId
+        );
+
+        // Messages already folded into the agent's memory are not sent again
+        // (the agent's history only grows at its end, so they stay the same)
+        const [systemItem, ...agentTurns] = this.buildAgentHistory(
+          agent,
+          agents,
+          transcript,
+          stopToken,
+          systemPrompt
+        );
+        const memory = memories.get(agent.id);
+        const knowledge = agent.knowledge
+          ? await this.getKnowledgeContext(transcript, systemItem.text)
+          : null;
+        const history = [
+          knowledge
+            ? { ...systemItem, text: knowledge.systemPrompt }
+            : systemItem,
+          ...agentTurns.slice(memory?.foldedCount || 0),
+        ];
+
+        // The user may have interrupted while the moderator was deciding or
+        // the knowledge base was searched (neither has a request to abort)
+        if (this.stopRequested) {
+          reason = "interrupted";
+          break;
+        }
+
+        this.sendGroupChatEvent({
+          type: "turn-start",
+          turn: turns,
+          agent: this.summarizeAgent(agent),
+        });
+
+        this.currentRequestId = randomUUID();
+        const result = await this.providerManager.generate(
+          agent.provider,
+          history,
+          {
+            requestId: this.currentRequestId,
+            ...(agent.samplingOptions || {}),
+            tools: agent.tools,
+            modelPath: agent.modelPath || undefined,
+            // Each agent keeps its own session, so its KV cache survives other agents' turns
+            sessionKey: `agent:${agent.id}`,
+            contextStrategy: { type: contextStrategy, memory: memory?.memory },
+          },
+          { agentId: agent.id, agentName: agent.name }
+        );
+
+        const overflow = result?.contextOverflow;
+        if (overflow?.memory) {
+          memories.set(agent.id, {
+            memory: overflow.memory,
+            foldedCount: (memory?.foldedCount || 0) + overflow.foldedCount,
+          });
+        }
+
+        const rawText = result?.responseText || "";
+        const finished = rawText.includes(stopToken);
+        const stopped = result?.stopReason === "abort";
+        const message = {
+          type: "model",
+          response: this.cleanResponse(result?.response || [], stopToken),
+          agentId: agent.id,
+          agentName: agent.name,
+        };
+        if (result?.metrics) {
+          message.metrics = result.metrics;
+        }
+        if (knowledge?.sources.length > 0) {
+          message.sources = knowledge.sources;
+        }
+
+        transcript.push(message);
+        messages.push(message);
+        lastSpeakerId = agent.id;
+        turns++;
+
+        this.sendGroupChatEvent({
+          type: "turn-end",
+          turn: turns - 1,
+          agent: this.summarizeAgent(agent),
+          message,
+          stopped,
+        });
+
+        // An aborted generation ends the whole discussion
+        if (stopped) {
+          reason = "interrupted";
+          break;
+        }
+
+        if (finished) {
+          reason = "done";
+          break;
+        }
+      }
+    } catch (error) {
+      reason = "error";
+      errorMessage = error.message;
+      global.logger.error(
+        {
+          tags: "groupchat|run|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Group chat turn failed:",
+        error
+      );
+    } finally {
+      for (const { provider, handle } of loadedModels) {
+        await provider.unload(handle);
+      }
+      this.isRunning = false;
+      this.stopRequested = false;
+      this.currentRequestId = null;
+    }
+
+    global.logger.log(
+      {
+        tags: "groupchat|run|complete",
+        color1: "green",
+      },
+      `Group chat finished after ${turns} turn(s): ${reason}`
+    );
+
+    const summary = { reason, turns, messages };
+    if (errorMessage) {
+      summary.error = errorMessage;
+    }
+
+    this.sendGroupChatEvent({
+      type: "complete",
+      reason,
+      turns,
+      error: errorMessage,
+    });
+
+    return summary;
+  }
+
+  /**
+   * Stop the running group chat, aborting the current turn (its text so far is kept)
+   * @returns {boolean} True if a group chat was running
+   */
+  stopGroupChat() {
+    if (!this.isRunning) {
+      return false;
+    }
+
+    this.stopRequested = true;
+    if (this.currentRequestId) {
+      this.providerManager.abortGeneration(this.currentRequestId);
+    }
+    global.logger.log(
+      {
+        tags: "groupchat|run|stop",
+        color1: "yellow",
+      },
+      "Group chat stop requested"
+    );
+    return true;
+  }
+
+  /**
+   * Get the orchestrator state
+   */
+  getGroupChatState() {
+    return {
+      isRunning: this.isRunning,
+      stopRequested: this.stopRequested,
+    };
+  }
+
+  /**
+   * Define preload API configuration for the group chat manager
+   */
+  initPreload() {
+    return {
+      name: "GroupChatManager",
+      api: {
+        startGroupChat: { channel: "GroupChatManager:startGroupChat" },
+        stopGroupChat: { channel: "GroupChatManager:stopGroupChat" },
+        getGroupChatState: { channel: "GroupChatManager:getGroupChatState" },
+        // Event listener for turn-start/turn-end/complete notifications
+        onGroupChatEvent: {
+          type: "eventListener",
+          eventChannel: "GroupChatManager:groupChatEvent",
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,707 @@
+import { Manager, Logger } from "../core/index.js";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+
+export class KnowledgeManager extends Manager {
+  constructor() {
+    super();
+    this.archiveName = "knowledge"; // StoreManager archive holding one entry per indexed folder
+    this.sourceFile = "source.json"; // Folder path, counts and embedding model
+    this.chunksFile = "chunks.json"; // Chunk texts and line ranges
+    this.vectorsFile = "vectors.bin"; // Chunk vectors, one after the other as float32 (source.dimensions each)
+    this.sources = new Map(); // Source id -> { source, chunks, vectors: Float32Array }, kept between queries
+    this.indexing = new Set(); // Folder paths being indexed
+    this.extensions = new Set([
+      ".txt",
+      ".md",
+      ".markdown",
+      ".mdx",
+      ".rst",
+      ".adoc",
+      ".org",
+      ".json",
+      ".yaml",
+      ".yml",
+      ".toml",
+      ".ini",
+      ".csv",
+      ".xml",
+      ".html",
+      ".css",
+      ".scss",
+      ".js",
+      ".mjs",
+      ".cjs",
+      ".jsx",
+      ".ts",
+      ".tsx",
+      ".py",
+      ".rb",
+      ".php",
+      ".java",
+      ".kt",
+      ".go",
+      ".rs",
+      ".c",
+      ".h",
+      ".cpp",
+      ".hpp",
+      ".cs",
+      ".swift",
+      ".sh",
+      ".ps1",
+      ".sql",
+      ".lua",
+    ]); // Files read when indexing a folder
+    this.ignoredDirectories = new Set(["node_modules", "dist", "build", "out"]); // Hidden folders are skipped too
+    this.maxFileSize = 1024 * 1024; // Larger files are skipped
+    this.maxFiles = 5000; // Files indexed per folder
+    this.chunkSize = 1500; // Characters per chunk
+    this.chunkOverlap = 200; // Characters repeated from the end of the previous chunk
+    this.embedBatchSize = 16; // Chunks embedded between progress events
+    this.defaultTopK = 4;
+    this.minScore = 0.2; // Chunks less similar to the query are never injected
+    this.isInitialized = false;
+  }
+
+  async init() {
+    try {
+      global.logger.log(
+        {
+          tags: "knowledge|manager|init",
+          color1: "blue",
+          includeSource: true,
+        },
+        "KnowledgeManager starting initialization"
+      );
+
+      // Get the StoreManager instance
+      const storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      if (!storeManager) {
+        throw new Error(
+          "KnowledgeManager requires StoreManager to be initialized first"
+        );
+      }
+      this.storeManager = storeManager;
+
+      // Chunks are embedded with the default model
+      this.llamaManager = this.app?.managers.find(
+        (m) => m.constructor.name === "NodeLlamaCppManager"
+      );
+      if (!this.llamaManager) {
+        throw new Error(
+          "KnowledgeManager requires NodeLlamaCppManager to be initialized first"
+        );
+      }
+
+      // Ensure the knowledge archive exists and load its indexes
+      await this.storeManager.createArchive(this.archiveName);
+      await this.loadSources();
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "knowledge|manager|init",
+          color1: "green",
+        },
+        `KnowledgeManager initialization complete (${this.sources.size} indexed folders)`
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "knowledge|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize KnowledgeManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Read the indexes of every stored folder into memory
+   */
+  async loadSources() {
+    const entries = await this.storeManager.listEntries(this.archiveName);
+
+    for (const entry of entries) {
+      if (entry.type !== "directory") continue;
+      try {
+        const source = await this.storeManager.getEntryJSON(
+          this.archiveName,
+          entry.id,
+          this.sourceFile
+        );
+        const chunks = await this.storeManager.getEntryJSON(
+          this.archiveName,
+          entry.id,
+          this.chunksFile
+        );
+
+        // Older indexes kept each vector in chunks.json
+        if (chunks[0]?.vector) {
+          await this.storeIndex(entry.id, source, chunks);
+          continue;
+        }
+
+        const bytes = await this.storeManager.getEntryBinary(
+          this.archiveName,
+          entry.id,
+          this.vectorsFile
+        );
+        // Copied so the floats start on a 4-byte boundary
+        const vectors = new Float32Array(new Uint8Array(bytes).buffer);
+        this.sources.set(entry.id, { source, chunks, vectors });
+      } catch (error) {
+        global.logger.warn(
+          {
+            tags: "knowledge|manager|load|warning",
+            color1: "yellow",
+          },
+          `Skipping unreadable knowledge entry ${entry.id}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Store a folder's index (vectors apart from the chunk texts, as raw
+   * float32 so large folders neither bloat nor slowly parse) and keep it in
+   * memory for retrieval
+   * @param {string} id - Knowledge entry id
+   * @param {Object} source - Folder description (dimensions is set here)
+   * @param {Object[]} chunks - [{ file, text, startLine, endLine, vector }]
+   */
+  async storeIndex(id, source, chunks) {
+    const dimensions = chunks[0]?.vector.length ?? 0;
+    const vectors = new Float32Array(chunks.length * dimensions);
+    chunks.forEach((chunk, index) => {
+      vectors.set(chunk.vector, index * dimensions);
+    });
+    const texts = chunks.map(({ vector, ...chunk }) => chunk);
+    const storedSource = { ...source, dimensions };
+
+    await this.storeManager.storeEntryBinary(
+      this.archiveName,
+      id,
+      this.vectorsFile,
+      Buffer.from(vectors.buffer)
+    );
+    await this.storeManager.storeEntryJSON(
+      this.archiveName,
+      id,
+      this.chunksFile,
+      texts
+    );
+    await this.storeManager.storeEntryJSON(
+      this.archiveName,
+      id,
+      this.sourceFile,
+      storedSource
+    );
+    this.sources.set(id, { source: storedSource, chunks: texts, vectors });
+  }
+
+  /**
+   * Send an indexing progress event to the frontend
+   * @param {Object} payload - { path, status: "indexing" | "completed" | "error", chunksDone, chunkCount, error }
+   */
+  sendIndexProgress(payload) {
+    if (this.app && this.app.mainWindow) {
+      this.app.mainWindow.webContents.send(
+        "KnowledgeManager:indexProgress",
+        payload
+      );
+    }
+  }
+
+  /**
+   * Describe the indexed folders
+   * @returns {Object[]} [{ id, path, name, fileCount, chunkCount, embeddingModel, indexedAt }]
+   */
+  listSources() {
+    return [...this.sources.values()]
+      .map(({ source }) => source)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Let the user pick folders and index them. Picking a folder is the
+   * consent to read it; nothing leaves the machine.
+   * @returns {Promise<Object[]>} The indexed folders
+   */
+  async addFolder() {
+    const folderPaths = await this.storeManager.showOpenDialog({
+      directory: true,
+      multiSelections: true,
+    });
+
+    for (const folderPath of folderPaths || []) {
+      const existing = this.listSources().find((s) => s.path === folderPath);
+      await this.indexFolder(folderPath, existing?.id);
+    }
+
+    return this.listSources();
+  }
+
+  /**
+   * Index a folder again, picking up changed, added and removed files
+   * @param {string} sourceId
+   * @returns {Promise<Object[]>} The indexed folders
+   */
+  async reindexSource(sourceId) {
+    const entry = this.sources.get(sourceId);
+    if (!entry) {
+      throw new Error(`Knowledge source not found: ${sourceId}`);
+    }
+
+    await this.indexFolder(entry.source.path, sourceId);
+    return this.listSources();
+  }
+
+  /**
+   * Forget an indexed folder (the folder itself is untouched)
+   * @param {string} sourceId
+   * @returns {Promise<Object[]>} The indexed folders
+   */
+  async removeSource(sourceId) {
+    if (this.sources.has(sourceId)) {
+      await this.storeManager.deleteEntry(this.archiveName, sourceId);
+      this.sources.delete(sourceId);
+
+      global.logger.log(
+        {
+          tags: "knowledge|manager|remove",
+          color1: "green",
+        },
+        `Removed knowledge source ${sourceId}`
+      );
+    }
+    return this.listSources();
+  }
+
+  /**
+   * Refuse folders too broad to index: a drive root or the home folder
+   * itself would only be cut off at maxFiles
+   * @param {string} folderPath
+   */
+  checkFolder(folderPath) {
+    const resolved = path.resolve(folderPath);
+    if (resolved === path.parse(resolved).root) {
+      throw new Error(`${folderPath} is a drive root; pick a project folder`);
+    }
+    if (resolved === path.resolve(os.homedir())) {
+      throw new Error(
+        `${folderPath} is the home folder; pick a folder inside it`
+      );
+    }
+  }
+
+  /**
+   * Find the text files of a folder, skipping hidden and build folders and
+   * subfolders that cannot be read
+   * @param {string} folderPath
+   * @returns {Promise<string[]>} Absolute file paths
+   */
+  async findFiles(folderPath) {
+    const files = [];
+    const pending = [folderPath];
+    const unreadable = [];
+
+    while (pending.length > 0 && files.length < this.maxFiles) {
+      const directory = pending.shift();
+      let dirents;
+      try {
+        dirents = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        // The picked folder itself must be readable
+        if (directory === folderPath) throw error;
+        unreadable.push(directory);
+        continue;
+      }
+
+      for (const dirent of dirents) {
+        if (dirent.name.startsWith(".")) continue;
+
+        const fullPath = path.join(directory, dirent.name);
+        if (dirent.isDirectory()) {
+          if (!this.ignoredDirectories.has(dirent.name)) {
+            pending.push(fullPath);
+          }
+        } else if (
+          dirent.isFile() &&
+          this.extensions.has(path.extname(dirent.name).toLowerCase())
+        ) {
+          files.push(fullPath);
+        }
+      }
+    }
+
+    if (unreadable.length > 0) {
+      global.logger.warn(
+        {
+          tags: "knowledge|manager|index|warning",
+          color1: "yellow",
+        },
+        `Skipped ${
+          unreadable.length
+        } unreadable folder(s) of ${folderPath}: ${unreadable
+          .slice(0, 5)
+          .join(", ")}${unreadable.length > 5 ? ", ..." : ""}`
+      );
+    }
+    if (files.length >= this.maxFiles) {
+      global.logger.warn(
+        {
+          tags: "knowledge|manager|index|warning",
+          color1: "yellow",
+        },
+        `Stopped looking for files in ${folderPath} at the limit of ${this.maxFiles}`
+      );
+    }
+
+    return files.slice(0, this.maxFiles).sort();
+  }
+
+  /**
+   * Split text into chunks of about chunkSize characters, breaking between
+   * lines (before Markdown headings when possible). Each chunk starts with
+   * the last lines of the previous one, up to chunkOverlap characters.
+   * @param {string} text
+   * @returns {Object[]} [{ text, startLine, endLine }] with 1-based line numbers
+   */
+  chunkText(text) {
+    const lines = text.split(/\r?\n/);
+    const chunks = [];
+    let current = []; // [{ text, lineNumber }]
+    let length = 0;
+    let carried = 0; // Overlap lines at the start of current
+
+    const emit = () => {
+      if (current.length > carried) {
+        const chunkText = current
+          .map((line) => line.text)
+          .join("\n")
+          .trim();
+        if (chunkText) {
+          chunks.push({
+            text: chunkText,
+            startLine: current[0].lineNumber,
+            endLine: current[current.length - 1].lineNumber,
+          });
+        }
+      }
+
+      const overlap = [];
+      let overlapLength = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        overlapLength += current[i].text.length + 1;
+        if (overlapLength > this.chunkOverlap) break;
+        overlap.unshift(current[i]);
+      }
+      current = overlap;
+      carried = overlap.length;
+      length = overlap.reduce((sum, line) => sum + line.text.length + 1, 0);
+    };
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+
+      // Minified or very long lines are cut into chunk-sized pieces
+      for (
+        let start = 0;
+        start < Math.max(line.length, 1);
+        start += this.chunkSize
+      ) {
+        const piece = line.slice(start, start + this.chunkSize);
+        const isHeading = /^#{1,6}\s/.test(piece);
+
+        if (
+          length + piece.length > this.chunkSize ||
+          (isHeading && length > this.chunkSize / 3)
+        ) {
+          emit();
+        }
+        current.push({ text: piece, lineNumber });
+        length += piece.length + 1;
+      }
+    });
+    emit();
+
+    return chunks;
+  }
+
+  /**
+   * Scale a vector to unit length (cosine similarity becomes a dot
+   * product)
+   * @param {number[]} vector
+   * @returns {number[]}
+   */
+  normalizeVector(vector) {
+    const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (magnitude === 0) {
+      return vector.map(() => 0);
+    }
+    return vector.map((v) => v / magnitude);
+  }
+
+  /**
+   * Read, chunk and embed the text files of a folder, then store the index
+   * @param {string} folderPath
+   * @param {string} sourceId - Entry to overwrite; a new entry when omitted
+   * @returns {Promise<Object>} The stored source
+   */
+  async indexFolder(folderPath, sourceId) {
+    if (this.indexing.has(folderPath)) {
+      throw new Error(`${folderPath} is already being indexed`);
+    }
+    this.indexing.add(folderPath);
+
+    try {
+      global.logger.log(
+        {
+          tags: "knowledge|manager|index",
+          color1: "blue",
+        },
+        `Indexing ${folderPath}`
+      );
+
+      this.checkFolder(folderPath);
+      const files = await this.findFiles(folderPath);
+      const pendingChunks = [];
+      let fileCount = 0;
+
+      for (const filePath of files) {
+        let content;
+        try {
+          const stats = await fs.stat(filePath);
+          if (stats.size > this.maxFileSize) continue;
+          content = await fs.readFile(filePath, "utf8");
+        } catch (error) {
+          continue; // Unreadable file
+        }
+        if (content.includes("\u0000")) continue; // Binary file
+
+        const file = path
+          .relative(folderPath, filePath)
+          .split(path.sep)
+          .join("/");
+        for (const chunk of this.chunkText(content)) {
+          pendingChunks.push({ file, ...chunk });
+        }
+        fileCount++;
+      }
+
+      this.sendIndexProgress({
+        path: folderPath,
+        status: "indexing",
+        chunksDone: 0,
+        chunkCount: pendingChunks.length,
+      });
+
+      // Each chunk is embedded with its file name, which often says what it is about
+      const chunks = [];
+      let embeddingModel = null;
+      for (let i = 0; i < pendingChunks.length; i += this.embedBatchSize) {
+        const batch = pendingChunks.slice(i, i + this.embedBatchSize);
+        const { vectors, modelPath } = await this.llamaManager.embed(
+          batch.map((chunk) => `${chunk.file}\n\n${chunk.text}`)
+        );
+        embeddingModel = modelPath;
+
+        batch.forEach((chunk, index) => {
+          chunks.push({
+            ...chunk,
+            vector: this.normalizeVector(vectors[index]),
+          });
+        });
+
+        this.sendIndexProgress({
+          path: folderPath,
+          status: "indexing",
+          chunksDone: chunks.length,
+          chunkCount: pendingChunks.length,
+        });
+      }
+
+      const id =
+        sourceId || (await this.storeManager.createEntry(this.archiveName));
+      const source = {
+        id,
+        path: folderPath,
+        name: path.basename(folderPath) || folderPath,
+        fileCount,
+        chunkCount: chunks.length,
+        embeddingModel,
+        indexedAt: new Date().toISOString(),
+      };
+
+      await this.storeIndex(id, source, chunks);
+
+      this.sendIndexProgress({
+        path: folderPath,
+        status: "completed",
+        chunksDone: chunks.length,
+        chunkCount: chunks.length,
+      });
+
+      global.logger.log(
+        {
+          tags: "knowledge|manager|index",
+          color1: "green",
+        },
+        `Indexed ${fileCount} files (${chunks.length} chunks) of ${folderPath}`
+      );
+
+      return source;
+    } catch (error) {
+      this.sendIndexProgress({
+        path: folderPath,
+        status: "error",
+        error: error.message,
+      });
+
+      global.logger.error(
+        {
+          tags: "knowledge|manager|index|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to index ${folderPath}:`,
+        error
+      );
+      throw error;
+    } finally {
+      this.indexing.delete(folderPath);
+    }
+  }
+
+  /**
+   * Find the chunks most similar to a query by cosine similarity. Folders
+   * indexed with another embedding model than the current one are skipped.
+   * @param {string} query
+   * @param {Object} options - { topK, sourceIds } where sourceIds limits the search
+   * @returns {Promise<Object[]>} [{ sourceId, sourceName, path, file, startLine, endLine, text, score }] best first
+   */
+  async retrieve(query, options = {}) {
+    const { topK = this.defaultTopK, sourceIds } = options;
+    const entries = [...this.sources.entries()].filter(
+      ([id, entry]) =>
+        entry.chunks.length > 0 && (!sourceIds || sourceIds.includes(id))
+    );
+    if (!String(query || "").trim() || entries.length === 0) {
+      return [];
+    }
+
+    const { vectors, modelPath } = await this.llamaManager.embed([query]);
+    const queryVector = this.normalizeVector(vectors[0]);
+
+    const matches = [];
+    for (const [sourceId, entry] of entries) {
+      const { source, chunks } = entry;
+      if (source.embeddingModel !== modelPath) {
+        global.logger.warn(
+          {
+            tags: "knowledge|manager|retrieve|warning",
+            color1: "yellow",
+          },
+          `Skipping ${source.path}: indexed with ${source.embeddingModel}, reindex it to search with ${modelPath}`
+        );
+        continue;
+      }
+
+      const { dimensions } = source;
+      chunks.forEach((chunk, index) => {
+        const offset = index * dimensions;
+        let score = 0;
+        for (let i = 0; i < dimensions; i++) {
+          score += entry.vectors[offset + i] * (queryVector[i] || 0);
+        }
+        if (score >= this.minScore) {
+          matches.push({ sourceId, source, chunk, score });
+        }
+      });
+    }
+
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ sourceId, source, chunk, score }) => ({
+        sourceId,
+        sourceName: source.name,
+        path: path.join(source.path, ...chunk.file.split("/")),
+        file: chunk.file,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        text: chunk.text,
+        score,
+      }));
+  }
+
+  /**
+   * Retrieve the chunks relevant to a question and append them to a system
+   * prompt, numbered so the model can cite them
+   * @param {string} query - The user's message
+   * @param {Object} options - { systemPrompt, topK, sourceIds }
+   * @returns {Promise<Object>} { systemPrompt, sources } where sources are the cited chunks without their text ([{ index, sourceName, path, file, startLine, endLine, score, excerpt }])
+   */
+  async createContext(query, options = {}) {
+    const { systemPrompt = "", ...retrieveOptions } = options;
+    const matches = await this.retrieve(query, retrieveOptions);
+    if (matches.length === 0) {
+      return { systemPrompt, sources: [] };
+    }
+
+    const excerpts = matches.map(
+      (match, i) =>
+        `[${i + 1}] ${match.sourceName}/${match.file} (lines ${
+          match.startLine
+        }-${match.endLine})\n${match.text}`
+    );
+    const context = [
+      "Excerpts from the user's documents that may help answer. When you use one, cite it by its number, like [1]. If they do not contain the answer, say so rather than guessing.",
+      ...excerpts,
+    ].join("\n\n");
+
+    return {
+      systemPrompt: systemPrompt.trim()
+        ? `${systemPrompt}\n\n${context}`
+        : context,
+      sources: matches.map(({ text, sourceId, ...match }, i) => ({
+        index: i + 1,
+        ...match,
+        excerpt: text.length > 300 ? `${text.slice(0, 300)}…` : text,
+      })),
+    };
+  }
+
+  /**
+   * Define preload API configuration for the knowledge manager
+   */
+  initPreload() {
+    return {
+      name: "KnowledgeManager",
+      api: {
+        listSources: { channel: "KnowledgeManager:listSources" },
+        addFolder: { channel: "KnowledgeManager:addFolder" },
+        reindexSource: { channel: "KnowledgeManager:reindexSource" },
+        removeSource: { channel: "KnowledgeManager:removeSource" },
+        retrieve: { channel: "KnowledgeManager:retrieve" },
+        createContext: { channel: "KnowledgeManager:createContext" },
+        // Event listener for indexing progress
+        onIndexProgress: {
+          type: "eventListener",
+          eventChannel: "KnowledgeManager:indexProgress",
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,435 @@
+import { Manager, Logger } from "../core/index.js";
+import { readGgufFileInfo, GgufFileType } from "node-llama-cpp";
+import fs from "fs/promises";
+import path from "path";
+
+export class ModelLibraryManager extends Manager {
+  constructor() {
+    super();
+    this.configFile = "model-library.json"; // Store file holding folders, recent models and defaults
+    this.folders = []; // Folders scanned for .gguf files
+    this.recentModels = []; // [{ modelPath, lastUsedAt }], most recent first
+    this.modelDefaults = {}; // Per-model load and sampling defaults, keyed by model path
+    this.modelStats = {}; // Generation performance sums, keyed by "modelPath|threads"
+    this.maxRecentModels = 10;
+    this.maxScanDepth = 4; // Subfolder levels searched below each library folder
+    this.metadataCache = new Map(); // modelPath -> { size, mtimeMs, info }
+    this.isInitialized = false;
+  }
+
+  async init() {
+    try {
+      global.logger.log(
+        {
+          tags: "library|manager|init",
+          color1: "blue",
+          includeSource: true,
+        },
+        "ModelLibraryManager starting initialization"
+      );
+
+      // Get the StoreManager instance
+      const storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      if (!storeManager) {
+        throw new Error(
+          "ModelLibraryManager requires StoreManager to be initialized first"
+        );
+      }
+
+      this.storeManager = storeManager;
+
+      if (await this.storeManager.exists(this.configFile)) {
+        const config = await this.storeManager.readJSON(this.configFile);
+        this.folders = Array.isArray(config?.folders) ? config.folders : [];
+        this.recentModels = Array.isArray(config?.recentModels)
+          ? config.recentModels
+          : [];
+        this.modelDefaults =
+          config?.modelDefaults && typeof config.modelDefaults === "object"
+            ? config.modelDefaults
+            : {};
+        this.modelStats =
+          config?.modelStats && typeof config.modelStats === "object"
+            ? config.modelStats
+            : {};
+      }
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "library|manager|init",
+          color1: "green",
+        },
+        `ModelLibraryManager initialization complete (${this.folders.length} folders)`
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "library|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize ModelLibraryManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get the folders scanned for models
+   * @returns {string[]}
+   */
+  getFolders() {
+    return [...this.folders];
+  }
+
+  /**
+   * Let the user pick a folder to add to the library
+   * @returns {Promise<string[]>} The library folders
+   */
+  async addFolder() {
+    const folderPaths = await this.storeManager.showOpenDialog({
+      directory: true,
+    });
+
+    for (const folderPath of folderPaths || []) {
+      if (!this.folders.includes(folderPath)) {
+        this.folders.push(folderPath);
+        global.logger.log(
+          {
+            tags: "library|manager|folder",
+            color1: "green",
+          },
+          `Added model folder: ${folderPath}`
+        );
+      }
+    }
+
+    await this.saveConfig();
+    return this.getFolders();
+  }
+
+  /**
+   * Remove a folder from the library (its files are left alone)
+   * @param {string} folderPath
+   * @returns {Promise<string[]>} The library folders
+   */
+  async removeFolder(folderPath) {
+    this.folders = this.folders.filter((f) => f !== folderPath);
+    await this.saveConfig();
+    return this.getFolders();
+  }
+
+  /**
+   * Find the .gguf files below a folder. Split models are listed once, by
+   * their first part.
+   * @param {string} folderPath
+   * @param {number} depth - Current subfolder depth
+   * @returns {Promise<string[]>} Model file paths
+   */
+  async findModelFiles(folderPath, depth = 0) {
+    let entries;
+    try {
+      entries = await fs.readdir(folderPath, { withFileTypes: true });
+    } catch (error) {
+      global.logger.warn(
+        {
+          tags: "library|scan|warning",
+          color1: "yellow",
+        },
+        `Cannot read model folder ${folderPath}: ${error.message}`
+      );
+      return [];
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(folderPath, entry.name);
+
+      if (entry.isDirectory()) {
+        if (depth < this.maxScanDepth && !entry.name.startsWith(".")) {
+          files.push(...(await this.findModelFiles(entryPath, depth + 1)));
+        }
+        continue;
+      }
+
+      if (!entry.name.toLowerCase().endsWith(".gguf")) continue;
+
+      const part = entry.name.match(/-(\d{5})-of-\d{5}\.gguf$/i);
+      if (part && Number(part[1]) !== 1) continue;
+
+      files.push(entryPath);
+    }
+
+    return files;
+  }
+
+  /**
+   * Scan the library folders and read the metadata of every model found
+   * @returns {Promise<Object[]>} Model entries (see getModelInfo), sorted by name
+   */
+  async scanModels() {
+    const modelPaths = new Set();
+    for (const folder of this.folders) {
+      for (const modelPath of await this.findModelFiles(folder)) {
+        modelPaths.add(modelPath);
+      }
+    }
+
+    const models = [];
+    for (const modelPath of modelPaths) {
+      models.push(await this.getModelInfo(modelPath));
+    }
+
+    global.logger.log(
+      {
+        tags: "library|scan",
+        color1: "cyan",
+      },
+      `Found ${models.length} models in ${this.folders.length} folders`
+    );
+
+    return models.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Read a model's GGUF header without loading the model. Results are cached
+   * until the file changes.
+   * @param {string} modelPath
+   * @returns {Promise<Object>} { modelPath, fileName, name, size, architecture, parameterCount, sizeLabel, quantization, contextLength, chatTemplate, hasDefaults, error? }
+   */
+  async getModelInfo(modelPath) {
+    const entry = {
+      modelPath,
+      fileName: path.basename(modelPath),
+      name: path.basename(modelPath, path.extname(modelPath)),
+      hasDefaults: !!this.modelDefaults[modelPath],
+    };
+
+    try {
+      const stats = await fs.stat(modelPath);
+      entry.size = stats.size;
+
+      const cached = this.metadataCache.get(modelPath);
+      if (cached?.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+        return { ...entry, ...cached.info };
+      }
+
+      const info = this.summarizeGgufInfo(await readGgufFileInfo(modelPath));
+      this.metadataCache.set(modelPath, {
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        info,
+      });
+      return { ...entry, ...info };
+    } catch (error) {
+      global.logger.warn(
+        {
+          tags: "library|metadata|warning",
+          color1: "yellow",
+        },
+        `Cannot read GGUF metadata of ${modelPath}: ${error.message}`
+      );
+      return { ...entry, error: error.message };
+    }
+  }
+
+  /**
+   * Pick the fields shown in the library from a parsed GGUF file
+   * @param {GgufFileInfo} fileInfo
+   * @returns {Object}
+   */
+  summarizeGgufInfo(fileInfo) {
+    const general = fileInfo.metadata?.general || {};
+
+    // Parameters are the element counts of all tensors
+    let parameterCount = null;
+    const tensors = fileInfo.fullTensorInfo || fileInfo.tensorInfo;
+    if (Array.isArray(tensors)) {
+      parameterCount = tensors.reduce(
+        (total, tensor) =>
+          total +
+          tensor.dimensions.reduce((count, dim) => count * Number(dim), 1),
+        0
+      );
+    }
+
+    const fileType = GgufFileType[general.file_type];
+
+    return {
+      name: general.name || undefined,
+      architecture: general.architecture || null,
+      parameterCount,
+      sizeLabel: general.size_label || null,
+      quantization: fileType ? fileType.replace(/^(MOSTLY|ALL)_/, "") : null,
+      contextLength: fileInfo.architectureMetadata?.context_length ?? null,
+      chatTemplate: fileInfo.metadata?.tokenizer?.chat_template || null,
+    };
+  }
+
+  /**
+   * Get the recently loaded models, most recent first
+   * @returns {Array<{modelPath: string, name: string, lastUsedAt: string}>}
+   */
+  getRecentModels() {
+    return this.recentModels.map((recent) => ({
+      ...recent,
+      name: path.basename(recent.modelPath, path.extname(recent.modelPath)),
+    }));
+  }
+
+  /**
+   * Move a model to the top of the recent models
+   * @param {string} modelPath
+   * @returns {Promise<Array>} The recent models
+   */
+  async addRecentModel(modelPath) {
+    this.recentModels = [
+      { modelPath, lastUsedAt: new Date().toISOString() },
+      ...this.recentModels.filter((recent) => recent.modelPath !== modelPath),
+    ].slice(0, this.maxRecentModels);
+
+    await this.saveConfig();
+    return this.getRecentModels();
+  }
+
+  /**
+   * Get the settings a model is loaded with by default
+   * @param {string} modelPath
+   * @returns {Object|null} { contextAllocationSize, minContextSize, maxContextSize, sampling }
+   */
+  getModelDefaults(modelPath) {
+    return this.modelDefaults[modelPath] || null;
+  }
+
+  /**
+   * Remember the settings a model is loaded with (null clears them)
+   * @param {string} modelPath
+   * @param {Object|null} defaults
+   * @returns {Promise<Object|null>} The stored defaults
+   */
+  async setModelDefaults(modelPath, defaults) {
+    if (defaults) {
+      this.modelDefaults[modelPath] = defaults;
+    } else {
+      delete this.modelDefaults[modelPath];
+    }
+
+    await this.saveConfig();
+    return this.getModelDefaults(modelPath);
+  }
+
+  /**
+   * Add a finished generation to the statistics of its model and thread count
+   * @param {Object} metrics - { modelPath, threads, timeToFirstToken, generationTime, promptTokens, generatedTokens, stopReason }
+   */
+  async recordGenerationMetrics(metrics) {
+    const key = `${metrics.modelPath}|${metrics.threads}`;
+    const stats = (this.modelStats[key] ??= {
+      modelPath: metrics.modelPath,
+      threads: metrics.threads,
+      generations: 0,
+      timeToFirstToken: 0,
+      generationTime: 0,
+      promptTokens: 0,
+      generatedTokens: 0,
+      decodedTokens: 0, // Generated tokens after the first one, timed by generationTime
+      stopReasons: {},
+    });
+
+    stats.generations++;
+    stats.timeToFirstToken += metrics.timeToFirstToken;
+    stats.generationTime += metrics.generationTime;
+    stats.promptTokens += metrics.promptTokens;
+    stats.generatedTokens += metrics.generatedTokens;
+    stats.decodedTokens += Math.max(0, metrics.generatedTokens - 1);
+    stats.stopReasons[metrics.stopReason] =
+      (stats.stopReasons[metrics.stopReason] || 0) + 1;
+    stats.lastUsedAt = new Date().toISOString();
+
+    await this.saveConfig();
+  }
+
+  /**
+   * Get the generation statistics per model and thread count
+   * @returns {Array<Object>} { modelPath, name, threads, generations, avgTimeToFirstToken, tokensPerSecond, promptTokensPerSecond, avgPromptTokens, avgGeneratedTokens, stopReasons, lastUsedAt }, most recently used first
+   */
+  getModelStats() {
+    return Object.values(this.modelStats)
+      .map((stats) => ({
+        modelPath: stats.modelPath,
+        name: path.basename(stats.modelPath, path.extname(stats.modelPath)),
+        threads: stats.threads,
+        generations: stats.generations,
+        avgTimeToFirstToken: stats.timeToFirstToken / stats.generations,
+        tokensPerSecond:
+          stats.generationTime > 0
+            ? stats.decodedTokens / (stats.generationTime / 1000)
+            : null,
+        promptTokensPerSecond:
+          stats.timeToFirstToken > 0
+            ? stats.promptTokens / (stats.timeToFirstToken / 1000)
+            : null,
+        avgPromptTokens: stats.promptTokens / stats.generations,
+        avgGeneratedTokens: stats.generatedTokens / stats.generations,
+        stopReasons: { ...stats.stopReasons },
+        lastUsedAt: stats.lastUsedAt,
+      }))
+      .sort((a, b) => (b.lastUsedAt || "").localeCompare(a.lastUsedAt || ""));
+  }
+
+  /**
+   * Forget the generation statistics
+   * @param {string} modelPath - Only forget this model's; all when omitted
+   * @returns {Promise<Array<Object>>} The remaining statistics
+   */
+  async resetModelStats(modelPath) {
+    for (const [key, stats] of Object.entries(this.modelStats)) {
+      if (!modelPath || stats.modelPath === modelPath) {
+        delete this.modelStats[key];
+      }
+    }
+
+    await this.saveConfig();
+    return this.getModelStats();
+  }
+
+  /**
+   * Persist folders, recent models, model defaults and statistics
+   */
+  async saveConfig() {
+    await this.storeManager.writeJSON(this.configFile, {
+      folders: this.folders,
+      recentModels: this.recentModels,
+      modelDefaults: this.modelDefaults,
+      modelStats: this.modelStats,
+    });
+  }
+
+  /**
+   * Define preload API configuration for the model library manager
+   */
+  initPreload() {
+    return {
+      name: "ModelLibraryManager",
+      api: {
+        getFolders: { channel: "ModelLibraryManager:getFolders" },
+        addFolder: { channel: "ModelLibraryManager:addFolder" },
+        removeFolder: { channel: "ModelLibraryManager:removeFolder" },
+        scanModels: { channel: "ModelLibraryManager:scanModels" },
+        getModelInfo: { channel: "ModelLibraryManager:getModelInfo" },
+        getRecentModels: { channel: "ModelLibraryManager:getRecentModels" },
+        addRecentModel: { channel: "ModelLibraryManager:addRecentModel" },
+        getModelDefaults: { channel: "ModelLibraryManager:getModelDefaults" },
+        setModelDefaults: { channel: "ModelLibraryManager:setModelDefaults" },
+        getModelStats: { channel: "ModelLibraryManager:getModelStats" },
+        resetModelStats: { channel: "ModelLibraryManager:resetModelStats" },
+      },
+    };
+  }
+}
@@ -1,6 +1,13 @@
 import { Manager, Logger } from "../core/index.js";
-import { getLlama, LlamaChatSession } from "node-llama-cpp";
+import {
+  getLlama,
+  LlamaChatSession,
+  resolveChatWrapper,
+  readGgufFileInfo,
+  GgufInsights,
+} from "node-llama-cpp";
 import path from "path";
+import { randomUUID } from "crypto";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -10,10 +17,19 @@ export class NodeLlamaCppManager extends Manager {
   constructor() {
     super();
     this.llama = null; // Llama instance (persistent)
-    this.currentModel = null; // Currently loaded model
-    this.currentContext = null; // Current model context
-    this.currentSession = null; // Current chat session
-    this.currentModelPath = null; // Track currently loaded model path
+    this.models = new Map(); // Model pool: model id -> { model, context, sessions, refCount, lastUsedAt, ... }
+    this.loadingModels = new Map(); // Model id -> promise of the pool entry being loaded
+    this.defaultModelId = null; // Model used when a request names none (loaded from the settings)
+    this.defaultLoadOptions = {}; // { modelConfig, contextConfig, sessionConfig } reused for models loaded on demand
+    this.vramPadding = 512 * 1024 ** 2; // VRAM kept free when deciding whether a model fits
+    this.defaultSequences = 2; // Context sequences per model when the load options name none
+    this.generationQueue = []; // Requests waiting for a free sequence, in order
+    this.runningGenerations = new Map(); // Request id -> running request
+    this.responseTokenReserve = 1024; // Context kept free for the reply when no maxTokens is set
+    this.summaryMaxTokens = 512; // Length limit of a conversation memory
+    this.summarizeTargetShare = 0.6; // Share of the context a summarized history is brought down to
+    this.mockScript = null; // --mock-llm option: script path, "" for echo replies, null to run node-llama-cpp
+    this.mockProvider = null; // ProviderManager's mock provider, standing in for node-llama-cpp with --mock-llm
     this.lastModelStatus = "uninitialized";
     this.isInitialized = false;
   }
@@ -29,12 +45,21 @@ export class NodeLlamaCppManager extends Manager {
         "NodeLlamaCppManager starting initialization"
       );
 
-      // Initialize the Llama instance
-      const llamaResult = await this.createLlamaInstance();
-      if (!llamaResult.success) {
-        throw new Error(
-          `Failed to create Llama instance: ${llamaResult.errors.join(", ")}`
-        );
+      // --mock-llm[=script.json] replaces node-llama-cpp with scripted
+      // replies; the ProviderManager hands over its mock provider
+      const mockArg = process.argv.find(
+        (arg) => arg === "--mock-llm" || arg.startsWith("--mock-llm=")
+      );
+      if (mockArg) {
+        this.mockScript = mockArg.split("=")[1] ?? "";
+      } else {
+        // Initialize the Llama instance
+        const llamaResult = await this.createLlamaInstance();
+        if (!llamaResult.success) {
+          throw new Error(
+            `Failed to create Llama instance: ${llamaResult.errors.join(", ")}`
+          );
+        }
       }
 
       this.isInitialized = true;
@@ -62,6 +87,26 @@ export class NodeLlamaCppManager extends Manager {
     }
   }
 
+  /**
+   * Use scripted replies instead of node-llama-cpp (--mock-llm). Loading,
+   * generating and token counting go to the mock; the model pool stays
+   * empty and every model path is served by the mock.
+   * @param {MockProvider} provider - The ProviderManager's mock provider
+   */
+  useMockProvider(provider) {
+    this.mockProvider = provider;
+
+    global.logger.warn(
+      {
+        tags: "llama|mock|init",
+        color1: "yellow",
+      },
+      `Using the mock LLM instead of node-llama-cpp (${
+        this.mockScript ? `${provider.replies.length} scripted replies` : "echo"
+      })`
+    );
+  }
+
   /**
    * Create the Llama instance
    * @param {Object} options - The options for creating the Llama instance
@@ -156,8 +201,10 @@ export class NodeLlamaCppManager extends Manager {
       );
     }
 
-    // Clean up internal state regardless of errors
+    // Clean up internal state regardless of errors (disposing llama disposes its models)
     this.llama = null;
+    this.models.clear();
+    this.defaultModelId = null;
 
     return { success: errors.length === 0, errors };
   }
@@ -220,99 +267,425 @@ export class NodeLlamaCppManager extends Manager {
   }
 
   /**
-   * Load a model with context and session
-   * @param {string} modelPath - Path to the model file
-   * @param {Object} modelConfig - Configuration for model loading
-   * @param {Object} contextConfig - Configuration for context creation
-   * @param {Object} sessionConfig - Configuration for session creation
+   * Pool key of a model file
+   * @param {string} modelPath
+   * @returns {string} Model id (the resolved path)
    */
-  async loadModel(
-    modelPath,
-    modelConfig = {},
-    contextConfig = {},
-    sessionConfig = {}
-  ) {
+  getModelId(modelPath) {
+    return path.resolve(modelPath);
+  }
+
+  /**
+   * Find a loaded model in the pool
+   * @param {string} modelPath - Model path or id; the default model when omitted
+   * @returns {Object|null} Pool entry { id, modelPath, model, context, sessions, sessionConfig, refCount, activeGenerations, lastUsedAt, loadedAt, estimatedVram }
+   */
+  getPoolEntry(modelPath) {
+    const modelId = modelPath
+      ? this.getModelId(modelPath)
+      : this.defaultModelId;
+    return (modelId && this.models.get(modelId)) || null;
+  }
+
+  /**
+   * Send a load/unload progress event to the frontend
+   * @param {Object} payload - { progress, percentage, modelPath, status, ... }
+   * @param {boolean} isDefault - Whether the event concerns the default model
+   */
+  sendModelLoadProgress(payload, isDefault) {
+    if (this.app && this.app.mainWindow) {
+      this.app.mainWindow.webContents.send(
+        "NodeLlamaCppManager:modelLoadProgress",
+        {
+          ...payload,
+          modelId: payload.modelPath
+            ? this.getModelId(payload.modelPath)
+            : null,
+          isDefault,
+        }
+      );
+    }
+  }
+
+  /**
+   * Estimate the VRAM a model and its context need when fully offloaded,
+   * reading only the GGUF header
+   * @param {string} modelPath
+   * @param {Object} modelConfig - Model options (gpuLayers.fitContext.contextSize is used as context size)
+   * @param {Object} contextConfig - Context options (contextSize)
+   * @returns {Promise<number|null>} Bytes, or null when the file cannot be inspected
+   */
+  async estimateVramUsage(modelPath, modelConfig = {}, contextConfig = {}) {
     try {
-      if (!this.llama) {
-        throw new Error("Llama instance not initialized");
+      const insights = await GgufInsights.from(
+        await readGgufFileInfo(modelPath),
+        this.llama
+      );
+      const contextSize =
+        typeof contextConfig.contextSize === "number"
+          ? contextConfig.contextSize
+          : modelConfig.gpuLayers?.fitContext?.contextSize ?? 4096;
+
+      const modelUsage = insights.estimateModelResourceRequirements({
+        gpuLayers: insights.totalLayers,
+      });
+      const contextUsage = insights.estimateContextResourceRequirements({
+        contextSize,
+        sequences: contextConfig.sequences ?? this.defaultSequences,
+        modelGpuLayers: insights.totalLayers,
+        flashAttention: !!modelConfig.defaultContextFlashAttention,
+      });
+
+      return modelUsage.gpuVram + contextUsage.gpuVram;
+    } catch (error) {
+      global.logger.warn(
+        {
+          tags: "llama|pool|estimate|warning",
+          color1: "yellow",
+        },
+        `Cannot estimate VRAM usage of ${modelPath}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Evict least recently used models until the required VRAM is free.
+   * Models that are referenced or generating are never evicted.
+   * @param {number|null} requiredVram - Bytes needed by the model about to load
+   * @param {string} excludeId - Model id that must stay loaded
+   * @returns {Promise<boolean>} True if the model is expected to fit
+   */
+  async ensureVramAvailable(requiredVram, excludeId = null) {
+    if (!this.llama.gpu || requiredVram == null) {
+      return true;
+    }
+
+    let { free } = await this.llama.getVramState();
+    while (free < requiredVram + this.vramPadding) {
+      const candidate = [...this.models.values()]
+        .filter(
+          (entry) =>
+            entry.id !== excludeId &&
+            entry.refCount === 0 &&
+            entry.activeGenerations === 0
+        )
+        .sort((a, b) => a.lastUsedAt - b.lastUsedAt)[0];
+
+      if (!candidate) {
+        global.logger.warn(
+          {
+            tags: "llama|pool|vram|warning",
+            color1: "yellow",
+          },
+          `Not enough VRAM for the next model (${Math.round(
+            requiredVram / 1024 ** 2
+          )} MB needed, ${Math.round(
+            free / 1024 ** 2
+          )} MB free) and nothing left to evict; layers may be kept on the CPU`
+        );
+        return false;
       }
 
       global.logger.log(
         {
-          tags: "llama|model|load",
-          color1: "blue",
+          tags: "llama|pool|evict",
+          color1: "yellow",
         },
-        `Loading model: ${modelPath}`
+        `Evicting least recently used model: ${path.basename(
+          candidate.modelPath
+        )}`
+      );
+      await this.disposePoolEntry(candidate);
+      ({ free } = await this.llama.getVramState());
+    }
+
+    return true;
+  }
+
+  /**
+   * Load a model into the pool, or return it if it is already loaded
+   * @param {string} modelPath - Path to the model file
+   * @param {Object} loadOptions - { modelConfig, contextConfig, sessionConfig }
+   * @param {boolean} isDefault - Whether progress events concern the default model
+   * @returns {Promise<Object>} Pool entry
+   */
+  async loadPoolModel(modelPath, loadOptions = {}, isDefault = false) {
+    if (!this.llama) {
+      throw new Error("Llama instance not initialized");
+    }
+
+    const modelId = this.getModelId(modelPath);
+    const existing = this.models.get(modelId);
+    if (existing) {
+      existing.lastUsedAt = Date.now();
+      return existing;
+    }
+
+    // Callers naming a model that is still loading share that load
+    if (!this.loadingModels.has(modelId)) {
+      this.loadingModels.set(
+        modelId,
+        this.createPoolEntry(modelPath, loadOptions, isDefault).finally(() =>
+          this.loadingModels.delete(modelId)
+        )
       );
+    }
+    return await this.loadingModels.get(modelId);
+  }
 
-      // Unload any existing model first
-      await this.unloadModel();
+  /**
+   * Load a model and its context and add them to the pool
+   * @param {string} modelPath - Path to the model file
+   * @param {Object} loadOptions - { modelConfig, contextConfig, sessionConfig }
+   * @param {boolean} isDefault - Whether progress events concern the default model
+   * @returns {Promise<Object>} Pool entry
+   */
+  async createPoolEntry(modelPath, loadOptions, isDefault) {
+    const modelId = this.getModelId(modelPath);
+    const {
+      modelConfig = {},
+      contextConfig = {},
+      sessionConfig = {},
+    } = loadOptions;
 
-      // Load the new model with progress reporting
-      this.currentModel = await this.llama.loadModel({
-        modelPath,
-        onLoadProgress: (progress) => {
-          const percentage = Math.round(progress * 100);
-          // global.logger.log(
-          //   {
-          //     tags: "llama|model|load|progress",
-          //     color1: "cyan",
-          //   },
-          //   `Model loading progress: ${percentage}%`
-          // );
-
-          // Emit progress event to frontend
-          if (this.app && this.app.mainWindow) {
-            this.app.mainWindow.webContents.send(
-              "NodeLlamaCppManager:modelLoadProgress",
-              {
-                progress, // 0.0 to 1.0
-                percentage, // 0 to 100
-                modelPath,
-                status: "loading",
-              }
-            );
-          }
-        },
-        ...modelConfig,
-      });
+    global.logger.log(
+      {
+        tags: "llama|model|load",
+        color1: "blue",
+      },
+      `Loading model: ${modelPath}`
+    );
 
-      // Emit completion event to frontend
-      if (this.app && this.app.mainWindow) {
-        this.app.mainWindow.webContents.send(
-          "NodeLlamaCppManager:modelLoadProgress",
+    // Make room first so the model is not squeezed onto the CPU
+    const estimatedVram = await this.estimateVramUsage(
+      modelPath,
+      modelConfig,
+      contextConfig
+    );
+    await this.ensureVramAvailable(estimatedVram, modelId);
+
+    // Load the new model with progress reporting
+    const model = await this.llama.loadModel({
+      modelPath,
+      onLoadProgress: (progress) => {
+        // Emit progress event to frontend
+        this.sendModelLoadProgress(
           {
-            progress: 1.0,
-            percentage: 100,
+            progress, // 0.0 to 1.0
+            percentage: Math.round(progress * 100), // 0 to 100
             modelPath,
-            status: "completed",
-          }
+            status: "loading",
+          },
+          isDefault
         );
-      }
-
-      // Create context
-      this.currentContext = await this.currentModel.createContext(
-        contextConfig
-      );
+      },
+      ...modelConfig,
+    });
 
-      // Create session
-      this.currentSession = new LlamaChatSession({
-        contextSequence: this.currentContext.getSequence(),
-        ...sessionConfig,
+    try {
+      // Each sequence holds the KV cache of one conversation or agent
+      const context = await model.createContext({
+        sequences: this.defaultSequences,
+        ...contextConfig,
       });
 
-      this.currentModelPath = modelPath;
-      this.lastModelStatus = "loaded";
+      const entry = {
+        id: modelId,
+        modelPath,
+        model,
+        context,
+        sessions: new Map(), // Session key -> { session, activeGenerations, lastUsedAt }
+        sessionConfig,
+        refCount: 0, // Holders (the settings' default model, group chat agents)
+        activeGenerations: 0,
+        idleWaiters: [], // Resolved when activeGenerations drops to 0
+        lastUsedAt: Date.now(),
+        loadedAt: Date.now(),
+        estimatedVram,
+      };
+      this.models.set(modelId, entry);
+
+      // Emit completion event to frontend
+      this.sendModelLoadProgress(
+        {
+          progress: 1.0,
+          percentage: 100,
+          modelPath,
+          status: "completed",
+        },
+        isDefault
+      );
 
       global.logger.log(
         {
           tags: "llama|model|load|success",
           color1: "green",
         },
-        `Model loaded successfully: ${path.basename(modelPath)}`
+        `Model loaded successfully: ${path.basename(modelPath)} (${
+          this.models.size
+        } in pool)`
+      );
+
+      return entry;
+    } catch (error) {
+      await model.dispose();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the chat session of a conversation or agent, creating it on a free
+   * context sequence. When all sequences are taken, the least recently used
+   * idle session gives up its sequence.
+   * @param {Object} entry - Pool entry
+   * @param {string} sessionKey - Conversation or agent the session belongs to
+   * @returns {Object} Session slot { session, activeGenerations, lastUsedAt }
+   */
+  getChatSession(entry, sessionKey) {
+    const existing = entry.sessions.get(sessionKey);
+    if (existing) {
+      existing.lastUsedAt = Date.now();
+      return existing;
+    }
+
+    if (entry.context.sequencesLeft === 0) {
+      const [oldestKey, oldest] =
+        [...entry.sessions]
+          .filter(([, slot]) => slot.activeGenerations === 0)
+          .sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt)[0] || [];
+      if (!oldest) {
+        throw new Error(
+          `All ${entry.context.totalSequences} context sequences of this model are busy`
+        );
+      }
+
+      global.logger.log(
+        {
+          tags: "llama|session|evict",
+          color1: "yellow",
+        },
+        `Reusing the context sequence of session "${oldestKey}" for "${sessionKey}"`
+      );
+      oldest.session.dispose({ disposeSequence: true });
+      entry.sessions.delete(oldestKey);
+    }
+
+    const slot = {
+      session: new LlamaChatSession({
+        contextSequence: entry.context.getSequence(),
+        ...entry.sessionConfig,
+      }),
+      activeGenerations: 0,
+      lastUsedAt: Date.now(),
+    };
+    entry.sessions.set(sessionKey, slot);
+    return slot;
+  }
+
+  /**
+   * Wait until no generation runs or waits on a pool entry. Aborting only
+   * signals a generation, which still uses the context until it returns.
+   * @param {Object} entry - Pool entry
+   * @returns {Promise<void>}
+   */
+  async waitForEntryIdle(entry) {
+    if (entry.activeGenerations > 0) {
+      await new Promise((resolve) => entry.idleWaiters.push(resolve));
+    }
+  }
+
+  /**
+   * Dispose a pooled model and remove it from the pool, once the
+   * generations on it (aborted by the caller) have returned
+   * @param {Object} entry - Pool entry
+   */
+  async disposePoolEntry(entry) {
+    this.models.delete(entry.id);
+    if (this.defaultModelId === entry.id) {
+      this.defaultModelId = null;
+    }
+    await this.waitForEntryIdle(entry);
+    await entry.model.dispose();
+  }
+
+  /**
+   * Take a reference on a model, loading it with the default model's options
+   * if needed. Referenced models are never evicted.
+   * @param {string} modelPath
+   * @returns {Promise<string>} Model id, to pass to releaseModel
+   */
+  async acquireModel(modelPath) {
+    if (this.mockProvider) {
+      return this.getModelId(modelPath);
+    }
+
+    const entry = await this.loadPoolModel(modelPath, this.defaultLoadOptions);
+    entry.refCount++;
+    return entry.id;
+  }
+
+  /**
+   * Drop a reference taken with acquireModel. The model stays loaded until
+   * it is evicted or unloaded.
+   * @param {string} modelId
+   */
+  releaseModel(modelId) {
+    const entry = this.models.get(modelId);
+    if (entry) {
+      entry.refCount = Math.max(0, entry.refCount - 1);
+    }
+  }
+
+  /**
+   * Load a model with context and session and make it the default model.
+   * Other pooled models stay loaded until memory is needed.
+   * @param {string} modelPath - Path to the model file
+   * @param {Object} modelConfig - Configuration for model loading
+   * @param {Object} contextConfig - Configuration for context creation
+   * @param {Object} sessionConfig - Configuration for session creation
+   */
+  async loadModel(
+    modelPath,
+    modelConfig = {},
+    contextConfig = {},
+    sessionConfig = {}
+  ) {
+    if (this.mockProvider) {
+      this.abortGeneration();
+      await this.mockProvider.load({ modelPath });
+      this.lastModelStatus = "loaded";
+      return { success: true, modelPath, modelId: this.getModelId(modelPath) };
+    }
+
+    try {
+      const modelId = this.getModelId(modelPath);
+      const previous = this.getPoolEntry();
+      let refCount = 0;
+
+      // Reloading the same file applies the new settings; its holders keep their reference
+      const existing = this.models.get(modelId);
+      if (existing) {
+        this.abortGeneration(null, existing.id);
+        refCount = existing.refCount - (previous === existing ? 1 : 0);
+        await this.disposePoolEntry(existing);
+      }
+
+      this.defaultLoadOptions = { modelConfig, contextConfig, sessionConfig };
+      const entry = await this.loadPoolModel(
+        modelPath,
+        this.defaultLoadOptions,
+        true
       );
+      entry.refCount = refCount + 1;
+
+      if (previous && previous !== existing) {
+        this.releaseModel(previous.id);
+      }
+      this.defaultModelId = entry.id;
+      this.lastModelStatus = "loaded";
 
-      return { success: true, modelPath };
+      return { success: true, modelPath, modelId: entry.id };
     } catch (error) {
       global.logger.error(
         {
@@ -325,43 +698,56 @@ export class NodeLlamaCppManager extends Manager {
         error
       );
 
-      this.currentModelPath = null;
       this.lastModelStatus = "error";
 
       // Emit error event to frontend
-      if (this.app && this.app.mainWindow) {
-        this.app.mainWindow.webContents.send(
-          "NodeLlamaCppManager:modelLoadProgress",
-          {
-            progress: 0,
-            percentage: 0,
-            modelPath,
-            status: "error",
-            error: error.message,
-          }
-        );
-      }
+      this.sendModelLoadProgress(
+        {
+          progress: 0,
+          percentage: 0,
+          modelPath,
+          status: "error",
+          error: error.message,
+        },
+        true
+      );
 
       throw error;
     }
   }
 
   /**
-   * Unload the current model, context, and session
+   * Unload a model, its context and session, whoever still references it
+   * @param {string} modelPath - Model path or id; the default model when omitted
    */
-  async unloadModel() {
+  async unloadModel(modelPath) {
+    if (this.mockProvider) {
+      this.abortGeneration();
+      await this.mockProvider.unload(modelPath);
+      this.lastModelStatus = "unloaded";
+      return { success: true, errors: [] };
+    }
+
     const errors = [];
+    const entry = this.getPoolEntry(modelPath);
+    const isDefault = !!entry && entry.id === this.defaultModelId;
+
+    // Never dispose a model underneath a running generation: abort them,
+    // then disposePoolEntry waits for them to return
+    if (entry?.activeGenerations > 0) {
+      this.abortGeneration(null, entry.id);
+    }
 
     try {
-      if (this.currentModel != null) {
+      if (entry) {
         global.logger.log(
           {
             tags: "llama|model|unload",
             color1: "yellow",
           },
-          "Disposing current model"
+          `Disposing model: ${path.basename(entry.modelPath)}`
         );
-        await this.currentModel.dispose();
+        await this.disposePoolEntry(entry);
       }
     } catch (error) {
       const errorMsg = error.message || error.toString();
@@ -377,36 +763,22 @@ export class NodeLlamaCppManager extends Manager {
       );
     }
 
-    // Clean up internal state regardless of errors (but keep llama instance)
-    global.logger.log(
-      {
-        tags: "llama|model|unload",
-        color1: "yellow",
-      },
-      "Cleaning up internal state"
-    );
-
-    this.currentModel = null;
-    this.currentContext = null;
-    this.currentSession = null;
-    this.currentModelPath = null;
-
     const success = errors.length === 0;
-    this.lastModelStatus = success ? "unloaded" : "error";
+    if (isDefault || !modelPath) {
+      this.lastModelStatus = success ? "unloaded" : "error";
+    }
 
     // Notify frontend that model is unloaded
-    if (this.app && this.app.mainWindow) {
-      this.app.mainWindow.webContents.send(
-        "NodeLlamaCppManager:modelLoadProgress",
-        {
-          progress: 0,
-          percentage: 0,
-          modelPath: null,
-          status: success ? "unloaded" : "error",
-          errors,
-        }
-      );
-    }
+    this.sendModelLoadProgress(
+      {
+        progress: 0,
+        percentage: 0,
+        modelPath: isDefault ? null : entry?.modelPath ?? null,
+        status: success ? "unloaded" : "error",
+        errors,
+      },
+      isDefault || !modelPath
+    );
 
     if (success) {
       global.logger.log(
@@ -421,6 +793,38 @@ export class NodeLlamaCppManager extends Manager {
     return { success, errors };
   }
 
+  /**
+   * Describe the model pool and the VRAM it uses
+   * @returns {Promise<Object>} { vram: { total, used, free } | null, defaultModelId, models: [{ id, modelPath, name, refCount, sessions, sequences, activeGenerations, isDefault, estimatedVram, lastUsedAt, loadedAt }] }
+   */
+  async getPoolStatus() {
+    let vram = null;
+    if (this.llama?.gpu) {
+      const { total, used, free } = await this.llama.getVramState();
+      vram = { total, used, free };
+    }
+
+    return {
+      vram,
+      defaultModelId: this.defaultModelId,
+      models: [...this.models.values()]
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map((entry) => ({
+          id: entry.id,
+          modelPath: entry.modelPath,
+          name: path.basename(entry.modelPath, path.extname(entry.modelPath)),
+          refCount: entry.refCount,
+          sessions: entry.sessions.size,
+          sequences: entry.context.totalSequences,
+          activeGenerations: entry.activeGenerations,
+          isDefault: entry.id === this.defaultModelId,
+          estimatedVram: entry.estimatedVram,
+          lastUsedAt: new Date(entry.lastUsedAt).toISOString(),
+          loadedAt: new Date(entry.loadedAt).toISOString(),
+        })),
+    };
+  }
+
   /**
    * Define preload API configuration for the NodeLlamaCpp manager
    */
@@ -431,6 +835,7 @@ export class NodeLlamaCppManager extends Manager {
         loadModel: { channel: "NodeLlamaCppManager:loadModel" },
         unloadModel: { channel: "NodeLlamaCppManager:unloadModel" },
         getModelState: { channel: "NodeLlamaCppManager:getModelState" },
+        getPoolStatus: { channel: "NodeLlamaCppManager:getPoolStatus" },
         // Event listener for model loading progress updates
         onModelLoadProgress: {
           type: "eventListener",
@@ -440,6 +845,14 @@ export class NodeLlamaCppManager extends Manager {
         startStreamingChat: {
           channel: "NodeLlamaCppManager:startStreamingChat",
         },
+        continueChat: { channel: "NodeLlamaCppManager:continueChat" },
+        abortGeneration: { channel: "NodeLlamaCppManager:abortGeneration" },
+        getQueuePosition: { channel: "NodeLlamaCppManager:getQueuePosition" },
+        getQueueStatus: { channel: "NodeLlamaCppManager:getQueueStatus" },
+        tokenize: { channel: "NodeLlamaCppManager:tokenize" },
+        detokenize: { channel: "NodeLlamaCppManager:detokenize" },
+        countTokens: { channel: "NodeLlamaCppManager:countTokens" },
+        embed: { channel: "NodeLlamaCppManager:embed" },
         // Event listener for chat response chunks
         onChatChunk: {
           type: "eventListener",
@@ -453,99 +866,979 @@ export class NodeLlamaCppManager extends Manager {
    * Get current model state for frontend synchronization
    */
   getModelState() {
+    if (this.mockProvider) {
+      return {
+        isInitialized: this.isInitialized,
+        isModelLoaded: !!this.mockProvider.modelPath,
+        hasContext: !!this.mockProvider.modelPath,
+        hasSession: !!this.mockProvider.modelPath,
+        sequences: null,
+        modelPath: this.mockProvider.modelPath,
+        status: this.lastModelStatus,
+        pooledModels: 0,
+        mock: true,
+      };
+    }
+
+    const entry = this.getPoolEntry();
     return {
       isInitialized: this.isInitialized,
-      isModelLoaded: !!this.currentModel,
-      hasContext: !!this.currentContext,
-      hasSession: !!this.currentSession,
-      modelPath: this.currentModelPath,
+      isModelLoaded: !!entry,
+      hasContext: !!entry?.context,
+      hasSession: (entry?.sessions.size ?? 0) > 0,
+      sequences: entry
+        ? {
+            total: entry.context.totalSequences,
+            inUse: entry.sessions.size,
+          }
+        : null,
+      modelPath: entry?.modelPath ?? null,
       status: this.lastModelStatus,
+      pooledModels: this.models.size,
     };
   }
 
   /**
-   * Generate streaming chat response
-   * @param {Array} conversation - Array of message objects in llama format
-   * @param {Object} options - Generation options
-   * @returns {Object} Generation result
+   * Send a chat chunk event to the frontend
+   * @param {Object} payload - Chunk payload ({ text, isComplete, error })
+   * @param {Object} streamInfo - Extra fields merged into every chunk (e.g. agentId); silent suppresses the event, onChunk receives the payload in the main process (API server)
    */
-  async generate(conversation, options = {}) {
-    if (!this.currentSession) {
-      throw new Error("No active chat session. Load a model first.");
+  sendChatChunk(payload, streamInfo = {}) {
+    const { silent = false, onChunk, ...tags } = streamInfo;
+    onChunk?.(payload);
+    if (silent) {
+      return;
     }
 
-    // Messages are already in llama format from frontend
-    const messages = conversation;
-
-    // Extract the last user message
-    const lastMessage = messages.pop();
-    if (!lastMessage || lastMessage.type !== "user") {
-      throw new Error("Last message must be from user");
+    if (this.app && this.app.mainWindow) {
+      this.app.mainWindow.webContents.send("NodeLlamaCppManager:chatChunk", {
+        ...tags,
+        ...payload,
+      });
     }
+  }
 
-    // Set conversation history (excluding the last message)
-    this.currentSession.setChatHistory(messages);
-
-    // Create abort controller for cancellation
-    const abortController = new AbortController();
-
-    global.logger.log(
-      {
-        tags: "llama|chat|generate",
-        color1: "blue",
-      },
-      `Starting chat generation with prompt: "${lastMessage.text}" and ${messages.length} history messages`
+  /**
+   * Build the promptWithMeta options exposing tools to the model. Call
+   * parameters stream as a function-call segment, the result is appended to it
+   * and a { type: "functionCall" } chunk carries the call for the history.
+   * @param {string[]} tools - Names of ToolManager tools to enable
+   * @param {Object} streamInfo - Fields tagged onto every chunk event
+   * @returns {Object} { functions, onFunctionCallParamsChunk }, or {} without tools
+   */
+  createToolOptions(tools, streamInfo = {}) {
+    const toolManager = this.app?.managers.find(
+      (m) => m.constructor.name === "ToolManager"
     );
+    if (!toolManager || !Array.isArray(tools) || tools.length === 0) {
+      return {};
+    }
 
-    try {
-      // Generate with streaming
-      const result = await this.currentSession.promptWithMeta(
-        lastMessage.text,
+    const sendSegmentText = (text, segmentStartTime) => {
+      this.sendChatChunk(
         {
-          onResponseChunk: (chunk) => {
-            // Send chunk to frontend
-            if (this.app && this.app.mainWindow) {
-              this.app.mainWindow.webContents.send(
-                "NodeLlamaCppManager:chatChunk",
-                {
-                  text: chunk,
-                  isComplete: false,
-                }
-              );
-            }
+          text: {
+            type: "segment",
+            segmentType: "function-call",
+            text,
+            segmentStartTime,
           },
-          stopOnAbortSignal: true,
-          signal: abortController.signal,
-          ...options,
-        }
+          isComplete: false,
+        },
+        streamInfo
       );
+    };
 
-      // Send completion signal
-      if (this.app && this.app.mainWindow) {
-        this.app.mainWindow.webContents.send("NodeLlamaCppManager:chatChunk", {
-          text: "",
-          isComplete: true,
-        });
-      }
+    const functions = toolManager.getFunctions(tools, (call) => {
+      sendSegmentText(
+        `Result:\n\`\`\`json\n${JSON.stringify(call.result, null, 2)}\n\`\`\`\n`
+      );
+      this.sendChatChunk(
+        { text: { type: "functionCall", ...call }, isComplete: false },
+        streamInfo
+      );
+    });
+    if (!functions) {
+      return {};
+    }
 
-      global.logger.log(
-        {
+    let callIndex = -1;
+    return {
+      functions,
+      onFunctionCallParamsChunk: (chunk) => {
+        const isStart = chunk.callIndex !== callIndex;
+        callIndex = chunk.callIndex;
+
+        let text = chunk.paramsChunk;
+        if (isStart) {
+          text = `\`${chunk.functionName}\`\n\`\`\`json\n${text}`;
+        }
+        if (chunk.done) {
+          text += "\n```\n";
+        }
+        sendSegmentText(text, isStart ? new Date() : undefined);
+      },
+    };
+  }
+
+  /**
+   * Compile the grammar that constrains a structured output reply
+   * @param {Object} structuredOutput - { type: "json-schema", schema } or { type: "gbnf", grammar }
+   * @returns {Promise<LlamaGrammar|null>} null when no structured output is requested
+   */
+  async createStructuredOutputGrammar(structuredOutput) {
+    if (!structuredOutput) {
+      return null;
+    }
+
+    switch (structuredOutput.type) {
+      case "json-schema":
+        return await this.llama.createGrammarForJsonSchema(
+          structuredOutput.schema
+        );
+      case "gbnf":
+        return await this.llama.createGrammar({
+          grammar: structuredOutput.grammar,
+        });
+      default:
+        throw new Error(
+          `Unknown structured output type: ${structuredOutput.type}`
+        );
+    }
+  }
+
+  /**
+   * Parse a structured output reply. JSON schema grammars validate while
+   * parsing; GBNF replies are only parsed when they happen to be JSON.
+   * @param {LlamaGrammar} grammar - Grammar the reply was generated with
+   * @param {string} text - Reply text
+   * @returns {*} Parsed value, or undefined when the reply is not valid JSON
+   */
+  parseStructuredOutput(grammar, text) {
+    try {
+      return typeof grammar.parse === "function"
+        ? grammar.parse(text)
+        : JSON.parse(text);
+    } catch (error) {
+      global.logger.warn(
+        {
+          tags: "llama|chat|structured|warning",
+          color1: "yellow",
+        },
+        `Structured output could not be parsed: ${error.message}`
+      );
+      return undefined;
+    }
+  }
+
+  /**
+   * Count the tokens a chat history takes in a model's context
+   * @param {ChatWrapper} chatWrapper - Chat template the history is rendered with
+   * @param {LlamaModel} model - Model whose tokenizer is used
+   * @param {Object[]} history - Chat history in llama format
+   * @returns {number}
+   */
+  countHistoryTokens(chatWrapper, model, history) {
+    const { contextText } = chatWrapper.generateContextState({
+      chatHistory: history,
+    });
+    return contextText.tokenize(model.tokenizer).length;
+  }
+
+  /**
+   * Chat wrapper a pooled model's sessions use, for counting tokens without a session
+   * @param {Object} entry - Pool entry
+   * @returns {ChatWrapper}
+   */
+  getChatWrapper(entry) {
+    if (!entry.chatWrapper) {
+      const configured = entry.sessionConfig?.chatWrapper;
+      entry.chatWrapper =
+        configured && configured !== "auto"
+          ? configured
+          : resolveChatWrapper(entry.model);
+    }
+    return entry.chatWrapper;
+  }
+
+  /**
+   * Find a pooled model for a tokenizer request
+   * @param {string} modelPath - Model path or id; the default model when omitted
+   * @returns {Object} Pool entry
+   */
+  requirePoolEntry(modelPath) {
+    const entry = this.getPoolEntry(modelPath);
+    if (!entry) {
+      throw new Error(
+        modelPath ? `Model is not loaded: ${modelPath}` : "No model loaded"
+      );
+    }
+    return entry;
+  }
+
+  /**
+   * Tokenize text with a loaded model's tokenizer
+   * @param {string} text
+   * @param {Object} options - { modelPath } picks a pooled model instead of the default one
+   * @returns {number[]} Tokens
+   */
+  tokenize(text, options = {}) {
+    if (this.mockProvider) {
+      return this.mockProvider.tokenizeSync(text);
+    }
+
+    const entry = this.requirePoolEntry(options.modelPath);
+    return Array.from(entry.model.tokenize(text || ""));
+  }
+
+  /**
+   * Embed texts with a loaded model. The embedding context is created on
+   * first use and lives as long as the model.
+   * @param {string[]} texts
+   * @param {Object} options - { modelPath } picks a pooled model instead of the default one
+   * @returns {Promise<Object>} { vectors: number[][], tokenCount, modelPath }
+   */
+  async embed(texts = [], options = {}) {
+    if (this.mockProvider) {
+      return await this.mockProvider.embed(texts);
+    }
+
+    const entry = this.requirePoolEntry(options.modelPath);
+    entry.embeddingContext ??= entry.model.createEmbeddingContext();
+    const embeddingContext = await entry.embeddingContext;
+    entry.lastUsedAt = Date.now();
+
+    const vectors = [];
+    let tokenCount = 0;
+    for (const text of texts) {
+      const embedding = await embeddingContext.getEmbeddingFor(text || "");
+      vectors.push(Array.from(embedding.vector));
+      tokenCount += entry.model.tokenize(text || "").length;
+    }
+
+    return { vectors, tokenCount, modelPath: entry.modelPath };
+  }
+
+  /**
+   * Turn tokens back into text with a loaded model's tokenizer
+   * @param {number[]} tokens
+   * @param {Object} options - { modelPath } picks a pooled model instead of the default one
+   * @returns {string}
+   */
+  detokenize(tokens, options = {}) {
+    if (this.mockProvider) {
+      return this.mockProvider.detokenize(tokens);
+    }
+
+    const entry = this.requirePoolEntry(options.modelPath);
+    return entry.model.detokenize(tokens || []);
+  }
+
+  /**
+   * Count the tokens of a chat history as the model sees it (chat template
+   * included), and of each message on its own
+   * @param {Array} history - Chat history in llama format
+   * @param {Object} options - { modelPath, systemPrompt, memory, prompt, maxTokens } where memory summarizes messages no longer sent (see fitHistoryToContext) and prompt is a user message about to be sent
+   * @returns {Object} { total, contextSize, responseReserve, messages: number[], prompt }
+   */
+  countTokens(history = [], options = {}) {
+    if (this.mockProvider) {
+      return this.countMockTokens(history, options);
+    }
+
+    const { modelPath, systemPrompt, memory, prompt, maxTokens } = options;
+    const entry = this.requirePoolEntry(modelPath);
+
+    // The memory goes after the leading system messages, as when generating
+    let split = history.findIndex((item) => item.type !== "system");
+    if (split === -1) split = history.length;
+    const chatHistory = [
+      ...(systemPrompt ? [{ type: "system", text: systemPrompt }] : []),
+      ...history.slice(0, split),
+      ...(memory ? [this.createMemoryItem(memory)] : []),
+      ...history.slice(split),
+      ...(prompt
+        ? [
+            { type: "user", text: prompt },
+            { type: "model", response: [] },
+          ]
+        : []),
+    ];
+    const contextSize = entry.context.contextSize;
+
+    return {
+      total: this.countHistoryTokens(
+        this.getChatWrapper(entry),
+        entry.model,
+        chatHistory
+      ),
+      contextSize,
+      responseReserve: this.getResponseReserve(contextSize, maxTokens),
+      messages: history.map(
+        (item) => entry.model.tokenize(this.getHistoryItemText(item)).length
+      ),
+      prompt: prompt ? entry.model.tokenize(prompt).length : 0,
+    };
+  }
+
+  /**
+   * countTokens for the mock LLM, which counts words as tokens
+   * @param {Array} history - Chat history in llama format
+   * @param {Object} options - { systemPrompt, memory, prompt, maxTokens }
+   * @returns {Object} { total, contextSize, responseReserve, messages: number[], prompt }
+   */
+  countMockTokens(history = [], options = {}) {
+    const { systemPrompt, memory, prompt, maxTokens } = options;
+    const count = (text) => this.mockProvider.splitWords(text).length;
+    const messages = history.map((item) =>
+      count(this.getHistoryItemText(item))
+    );
+    const contextSize = this.mockProvider.contextSize;
+
+    return {
+      total:
+        count(systemPrompt) +
+        count(memory) +
+        count(prompt) +
+        messages.reduce((sum, tokens) => sum + tokens, 0),
+      contextSize,
+      responseReserve: this.getResponseReserve(contextSize, maxTokens),
+      messages,
+      prompt: count(prompt),
+    };
+  }
+
+  /**
+   * Tokens kept free for the reply when fitting a history into the context
+   * @param {number} contextSize
+   * @param {number} maxTokens - Reply token limit (0 or omitted for none)
+   * @returns {number}
+   */
+  getResponseReserve(contextSize, maxTokens) {
+    return Math.min(
+      maxTokens > 0 ? maxTokens : this.responseTokenReserve,
+      Math.floor(contextSize / 2)
+    );
+  }
+
+  /**
+   * Plain text of a history item, for transcripts
+   * @param {Object} item - Chat history item
+   * @returns {string}
+   */
+  getHistoryItemText(item) {
+    if (item.type === "model") {
+      return (item.response || [])
+        .filter((part) => typeof part === "string")
+        .join("");
+    }
+    return item.text || "";
+  }
+
+  /**
+   * Number of items at the start of a history that form its oldest turn
+   * (a user message with the replies that follow it)
+   * @param {Object[]} turns - History items after the leading system messages
+   * @returns {number}
+   */
+  getOldestTurnLength(turns) {
+    const next = turns.findIndex(
+      (item, index) => index > 0 && item.type === "user"
+    );
+    return next === -1 ? turns.length : next;
+  }
+
+  /**
+   * Make a history fit the session's context, leaving room for the reply.
+   * Leading system messages and the prompt are always kept; older messages
+   * are handled by the strategy:
+   * - "sliding-window": cut the oldest messages, keeping the end of the last one cut
+   * - "drop-oldest": drop whole turns, oldest first
+   * - "summarize": fold the oldest turns, with the previous memory, into a new memory
+   * @param {LlamaChatSession} session
+   * @param {Object} params
+   * @param {string} params.systemPrompt - System prompt leading the history
+   * @param {Object[]} params.messages - History before the prompt
+   * @param {Object} params.prompt - The user message being answered
+   * @param {Object} params.contextStrategy - { type, memory } where memory is the summary of messages no longer sent
+   * @param {number} params.maxTokens - Reply token limit, reserved in the context
+   * @param {Object} params.chunkInfo - Fields tagged onto chunk events
+   * @param {AbortSignal} params.signal
+   * @returns {Promise<Object>} { history, overflow: { strategy, foldedCount, memory? } | null }
+   */
+  async fitHistoryToContext(
+    session,
+    {
+      systemPrompt,
+      messages,
+      prompt,
+      contextStrategy = {},
+      maxTokens,
+      chunkInfo,
+      signal,
+    }
+  ) {
+    const { type = "sliding-window" } = contextStrategy;
+    let memory = contextStrategy.memory || "";
+
+    let split = messages.findIndex((item) => item.type !== "system");
+    if (split === -1) split = messages.length;
+    const systemItems = [
+      ...(systemPrompt ? [{ type: "system", text: systemPrompt }] : []),
+      ...messages.slice(0, split),
+    ];
+    let turns = messages.slice(split);
+    let foldedCount = 0;
+
+    const buildHistory = (kept = turns) => [
+      ...systemItems,
+      ...(memory ? [this.createMemoryItem(memory)] : []),
+      ...kept,
+    ];
+    const countTokens = (history) =>
+      this.countHistoryTokens(session.chatWrapper, session.model, [
+        ...history,
+        prompt,
+        { type: "model", response: [] },
+      ]);
+
+    const contextSize = session.context.contextSize;
+    const budget =
+      contextSize - this.getResponseReserve(contextSize, maxTokens);
+
+    if (countTokens(buildHistory()) <= budget) {
+      return { history: buildHistory(), overflow: null };
+    }
+
+    if (type === "summarize") {
+      // Fold enough turns to leave room for a few more before summarizing again
+      const target = Math.floor(budget * this.summarizeTargetShare);
+      let count = 0;
+      while (
+        count < turns.length &&
+        countTokens([...systemItems, ...turns.slice(count)]) +
+          this.getSummaryMaxTokens(contextSize) >
+          target
+      ) {
+        count += this.getOldestTurnLength(turns.slice(count));
+      }
+
+      if (count > 0) {
+        this.sendChatChunk(
+          {
+            text: "",
+            isComplete: false,
+            contextOverflow: { strategy: type, pending: true },
+          },
+          chunkInfo
+        );
+
+        const summary = await this.summarizeHistory(
+          session,
+          memory,
+          turns.slice(0, count),
+          signal
+        );
+        if (signal?.aborted) {
+          return { history: buildHistory(), overflow: null };
+        }
+        memory = summary;
+        turns = turns.slice(count);
+        foldedCount = count;
+      }
+    }
+
+    // Whatever still does not fit is dropped, oldest turn first
+    let lastDropped = null;
+    while (turns.length > 0 && countTokens(buildHistory()) > budget) {
+      const count =
+        type === "sliding-window" ? 1 : this.getOldestTurnLength(turns);
+      lastDropped = turns[count - 1];
+      turns = turns.slice(count);
+      foldedCount += count;
+    }
+
+    // The sliding window keeps the part of the last cut message that still fits
+    if (type === "sliding-window" && lastDropped) {
+      const room = budget - countTokens(buildHistory()) - 32;
+      const tokens = session.model.tokenize(
+        this.getHistoryItemText(lastDropped)
+      );
+      if (room > 64 && tokens.length > 0) {
+        const tail = `…${session.model.detokenize(tokens.slice(-room))}`;
+        const cut =
+          lastDropped.type === "model"
+            ? { ...lastDropped, response: [tail] }
+            : { ...lastDropped, text: tail };
+        if (countTokens(buildHistory([cut, ...turns])) <= budget) {
+          turns = [cut, ...turns];
+        }
+      }
+    }
+
+    if (countTokens(buildHistory()) > budget) {
+      global.logger.warn(
+        {
+          tags: "llama|chat|context|warning",
+          color1: "yellow",
+        },
+        "The system prompt and the prompt alone exceed the context; node-llama-cpp will shift it"
+      );
+    }
+
+    global.logger.log(
+      {
+        tags: "llama|chat|context",
+        color1: "yellow",
+      },
+      `History exceeded the context (${contextSize} tokens): ${foldedCount} message(s) ${
+        type === "summarize" ? "summarized or dropped" : "dropped"
+      } (${type})`
+    );
+
+    return {
+      history: buildHistory(),
+      overflow: {
+        strategy: type,
+        foldedCount,
+        ...(type === "summarize" ? { memory } : {}),
+      },
+    };
+  }
+
+  /**
+   * System message holding the summary of messages no longer sent
+   * @param {string} memory
+   * @returns {Object}
+   */
+  createMemoryItem(memory) {
+    return {
+      type: "system",
+      text: `Summary of the earlier conversation:\n${memory}`,
+    };
+  }
+
+  /**
+   * Length limit of a conversation memory in a context. Small contexts get
+   * a shorter memory, so the messages to summarize keep at least half.
+   * @param {number} contextSize
+   * @returns {number}
+   */
+  getSummaryMaxTokens(contextSize) {
+    return Math.min(this.summaryMaxTokens, Math.floor(contextSize / 6));
+  }
+
+  /**
+   * Summarize older messages, merged with the previous memory, using the
+   * session's own model and sequence (its history is replaced afterwards)
+   * @param {LlamaChatSession} session
+   * @param {string} memory - Previous memory, if any
+   * @param {Object[]} items - Messages to fold into the memory
+   * @param {AbortSignal} signal
+   * @returns {Promise<string>} The new memory
+   */
+  async summarizeHistory(session, memory, items, signal) {
+    let transcript = items
+      .map((item) => {
+        const speaker =
+          item.type === "user"
+            ? "User"
+            : item.type === "system"
+            ? "System"
+            : item.agentName || "Assistant";
+        return `${speaker}: ${this.getHistoryItemText(item)}`;
+      })
+      .join("\n\n");
+
+    // Very long stretches keep their most recent part; the memory, the
+    // instructions and the new summary take the rest of the context
+    const contextSize = session.context.contextSize;
+    const summaryMaxTokens = this.getSummaryMaxTokens(contextSize);
+    const maxTranscriptTokens = contextSize - summaryMaxTokens * 3;
+    const tokens = session.model.tokenize(transcript);
+    if (tokens.length > maxTranscriptTokens) {
+      transcript = `…${session.model.detokenize(
+        tokens.slice(-maxTranscriptTokens)
+      )}`;
+    }
+
+    global.logger.log(
+      {
+        tags: "llama|chat|context|summarize",
+        color1: "blue",
+      },
+      `Summarizing ${items.length} older message(s) into the conversation memory`
+    );
+
+    session.setChatHistory([
+      {
+        type: "system",
+        text: "You keep the memory of a long conversation. Merge the existing memory and the new messages into one compact summary that keeps facts, decisions, open questions, names and numbers. Answer with the summary only.",
+      },
+    ]);
+    const summary = await session.prompt(
+      `${
+        memory ? `Existing memory:\n${memory}\n\n` : ""
+      }New messages:\n\n${transcript}\n\nWrite the updated memory.`,
+      {
+        maxTokens: summaryMaxTokens,
+        temperature: 0,
+        signal,
+        stopOnAbortSignal: true,
+      }
+    );
+
+    return summary.trim();
+  }
+
+  /**
+   * Performance figures of a finished generation
+   * @param {Object} entry - Pool entry the reply was generated with
+   * @param {LlamaChatSession} session
+   * @param {Object} timing - { startedAt, firstTokenAt, finishedAt, tokenMeterStart } (times in ms)
+   * @param {string} stopReason - Why generation stopped
+   * @returns {Object} { modelPath, threads, timeToFirstToken, generationTime, tokensPerSecond, promptTokens, generatedTokens, stopReason }
+   */
+  createGenerationMetrics(entry, session, timing, stopReason) {
+    const { usedInputTokens, usedOutputTokens } =
+      session.sequence.tokenMeter.diff(timing.tokenMeterStart);
+    const firstTokenAt = timing.firstTokenAt ?? timing.finishedAt;
+    const generationTime = timing.finishedAt - firstTokenAt;
+
+    return {
+      modelPath: entry.modelPath,
+      threads: entry.context.currentThreads,
+      timeToFirstToken: firstTokenAt - timing.startedAt,
+      generationTime,
+      // The first token is part of the time to first token
+      tokensPerSecond:
+        generationTime > 0 && usedOutputTokens > 1
+          ? (usedOutputTokens - 1) / (generationTime / 1000)
+          : null,
+      promptTokens: usedInputTokens,
+      generatedTokens: usedOutputTokens,
+      stopReason,
+    };
+  }
+
+  /**
+   * Add a generation to the per-model statistics of the model library
+   * @param {Object} metrics - See createGenerationMetrics
+   */
+  recordGenerationMetrics(metrics) {
+    const libraryManager = this.app?.managers.find(
+      (m) => m.constructor.name === "ModelLibraryManager"
+    );
+    libraryManager?.recordGenerationMetrics(metrics).catch((error) => {
+      global.logger.warn(
+        {
+          tags: "llama|chat|metrics|warning",
+          color1: "yellow",
+        },
+        `Failed to record generation metrics: ${error.message}`
+      );
+    });
+  }
+
+  /**
+   * Queue a generation and wait until it may run. Requests run in parallel
+   * up to the model's sequence count; requests for the same session run one
+   * after another, in order.
+   * @param {Object} request - { requestId, modelId, sessionKey, streamInfo, abortController }
+   * @returns {Promise<boolean>} False if the request was aborted while queued
+   */
+  waitForGenerationSlot(request) {
+    return new Promise((resolve) => {
+      request.start = resolve;
+      request.queuedAt = Date.now();
+      this.generationQueue.push(request);
+      this.processGenerationQueue();
+    });
+  }
+
+  /**
+   * Whether a queued request can start now
+   * @param {Object} request
+   * @returns {boolean}
+   */
+  canStartGeneration(request) {
+    const entry = this.models.get(request.modelId);
+    if (!entry) {
+      return true; // Let it fail right away instead of waiting forever
+    }
+
+    const running = [...this.runningGenerations.values()].filter(
+      (r) => r.modelId === request.modelId
+    );
+    return (
+      running.length < entry.context.totalSequences &&
+      !running.some((r) => r.sessionKey === request.sessionKey)
+    );
+  }
+
+  /**
+   * Start every queued request that can run, then tell the waiting ones
+   * their position
+   */
+  processGenerationQueue() {
+    for (const request of [...this.generationQueue]) {
+      if (!this.canStartGeneration(request)) continue;
+
+      this.generationQueue.splice(this.generationQueue.indexOf(request), 1);
+      this.runningGenerations.set(request.requestId, request);
+      if (request.queuePosition) {
+        request.queuePosition = 0;
+        this.sendChatChunk(
+          { text: "", isComplete: false, queuePosition: 0 },
+          request.streamInfo
+        );
+      }
+      request.start(true);
+    }
+
+    this.generationQueue.forEach((request, index) => {
+      if (request.queuePosition !== index + 1) {
+        request.queuePosition = index + 1;
+        this.sendChatChunk(
+          { text: "", isComplete: false, queuePosition: index + 1 },
+          request.streamInfo
+        );
+      }
+    });
+  }
+
+  /**
+   * Remove a finished request and let the next ones start
+   * @param {Object} request
+   */
+  finishGeneration(request) {
+    this.runningGenerations.delete(request.requestId);
+    this.processGenerationQueue();
+  }
+
+  /**
+   * Position of a request in the generation queue
+   * @param {string} requestId
+   * @returns {number} 0 while running, 1+ while queued, -1 if unknown or finished
+   */
+  getQueuePosition(requestId) {
+    if (this.runningGenerations.has(requestId)) {
+      return 0;
+    }
+    const index = this.generationQueue.findIndex(
+      (r) => r.requestId === requestId
+    );
+    return index === -1 ? -1 : index + 1;
+  }
+
+  /**
+   * Describe the running and queued generations
+   * @returns {Object} { running: [{ requestId, modelId, sessionKey, startedAt }], queued: [{ requestId, modelId, sessionKey, position, queuedAt }] }
+   */
+  getQueueStatus() {
+    return {
+      running: [...this.runningGenerations.values()].map((r) => ({
+        requestId: r.requestId,
+        modelId: r.modelId,
+        sessionKey: r.sessionKey,
+        startedAt: r.startedAt ? new Date(r.startedAt).toISOString() : null,
+      })),
+      queued: this.generationQueue.map((r, index) => ({
+        requestId: r.requestId,
+        modelId: r.modelId,
+        sessionKey: r.sessionKey,
+        position: index + 1,
+        queuedAt: new Date(r.queuedAt).toISOString(),
+      })),
+    };
+  }
+
+  /**
+   * Generate streaming chat response
+   * @param {Array} conversation - Array of message objects in llama format
+   * @param {Object} options - Generation options (requestId identifies the request in chunks and the queue and is generated when omitted, modelPath picks a pooled model instead of the default one, sessionKey names the conversation or agent whose session and KV cache to use, responsePrefix continues an existing reply, systemPrompt leads the history, tools names the ToolManager tools to enable, structuredOutput constrains the reply to a JSON schema or GBNF grammar and disables tools, contextStrategy decides how a history longer than the context is shortened)
+   * @param {Object} streamInfo - Fields tagged onto every chunk event ({ silent: true } disables streaming)
+   * @returns {Object} Generation result with metrics (and parsed for structured output, contextOverflow when the history was shortened)
+   */
+  async generate(conversation, options = {}, streamInfo = {}) {
+    if (this.mockProvider) {
+      return await this.mockProvider.stream(conversation, options, streamInfo);
+    }
+
+    const {
+      requestId = randomUUID(),
+      modelPath,
+      sessionKey = "default",
+      systemPrompt,
+      tools,
+      structuredOutput,
+      contextStrategy,
+      ...promptOptions
+    } = options;
+
+    const entry = this.getPoolEntry(modelPath);
+    if (!entry) {
+      throw new Error(
+        modelPath
+          ? `Model is not loaded: ${modelPath}`
+          : "No active chat session. Load a model first."
+      );
+    }
+
+    // Messages are already in llama format from frontend
+    const messages = conversation;
+
+    // Extract the last user message
+    const lastMessage = messages.pop();
+    if (!lastMessage || lastMessage.type !== "user") {
+      throw new Error("Last message must be from user");
+    }
+
+    // Every chunk carries the request id so callers can tell streams apart
+    const chunkInfo = { ...streamInfo, requestId };
+    const request = {
+      requestId,
+      modelId: entry.id,
+      sessionKey,
+      streamInfo: chunkInfo,
+      abortController: new AbortController(), // Reached through abortGeneration
+    };
+
+    // Keeps the model from being evicted while the request waits or generates
+    entry.activeGenerations++;
+    entry.lastUsedAt = Date.now();
+    let slot = null;
+
+    // The response prefix is echoed back as the first chunk; the frontend already has it
+    let pendingPrefix = promptOptions.responsePrefix || "";
+
+    try {
+      const started = await this.waitForGenerationSlot(request);
+      if (!started) {
+        this.sendChatChunk(
+          { text: "", isComplete: true, stopped: true, stopReason: "abort" },
+          chunkInfo
+        );
+        return { response: [], responseText: "", stopReason: "abort" };
+      }
+      if (this.models.get(entry.id) !== entry) {
+        throw new Error("The model was unloaded while the request was queued");
+      }
+      request.startedAt = Date.now();
+
+      slot = this.getChatSession(entry, sessionKey);
+      slot.activeGenerations++;
+      const session = slot.session;
+
+      // Fit the history (excluding the last message), led by the system prompt,
+      // into the context
+      const { history, overflow } = await this.fitHistoryToContext(session, {
+        systemPrompt,
+        messages,
+        prompt: lastMessage,
+        contextStrategy,
+        maxTokens: promptOptions.maxTokens,
+        chunkInfo,
+        signal: request.abortController.signal,
+      });
+      if (overflow) {
+        this.sendChatChunk(
+          { text: "", isComplete: false, contextOverflow: overflow },
+          chunkInfo
+        );
+      }
+
+      // The session's sequence still holds the previous turn, so only the
+      // tokens after the common prefix are evaluated again
+      session.setChatHistory(history);
+
+      global.logger.log(
+        {
+          tags: "llama|chat|generate",
+          color1: "blue",
+        },
+        `Starting chat generation ${requestId} with prompt: "${lastMessage.text}" and ${messages.length} history messages`
+      );
+
+      // Grammars and function calling cannot be combined
+      const grammar = await this.createStructuredOutputGrammar(
+        structuredOutput
+      );
+      const constraintOptions = grammar
+        ? { grammar }
+        : this.createToolOptions(tools, chunkInfo);
+
+      // Generate with streaming, timing the reply
+      const timing = {
+        startedAt: Date.now(),
+        firstTokenAt: null,
+        tokenMeterStart: session.sequence.tokenMeter.getState(),
+      };
+      const result = await session.promptWithMeta(lastMessage.text, {
+        onResponseChunk: (chunk) => {
+          if (pendingPrefix) {
+            const isEcho = chunk.type == null && chunk.text === pendingPrefix;
+            pendingPrefix = "";
+            if (isEcho) return;
+          }
+          timing.firstTokenAt ??= Date.now();
+
+          // Send chunk to frontend
+          this.sendChatChunk({ text: chunk, isComplete: false }, chunkInfo);
+        },
+        stopOnAbortSignal: true,
+        signal: request.abortController.signal,
+        ...constraintOptions,
+        ...promptOptions,
+      });
+
+      timing.finishedAt = Date.now();
+      const metrics = this.createGenerationMetrics(
+        entry,
+        session,
+        timing,
+        result.stopReason
+      );
+      this.recordGenerationMetrics(metrics);
+
+      // Send completion signal (partial text is kept when stopped)
+      const stopped = result.stopReason === "abort";
+      const parsed =
+        grammar && !stopped
+          ? this.parseStructuredOutput(grammar, result.responseText)
+          : undefined;
+      this.sendChatChunk(
+        {
+          text: "",
+          isComplete: true,
+          stopped,
+          stopReason: result.stopReason,
+          parsed,
+          metrics,
+        },
+        chunkInfo
+      );
+
+      global.logger.log(
+        {
           tags: "llama|chat|generate|success",
           color1: "green",
         },
-        "Chat generation completed successfully"
+        stopped
+          ? "Chat generation stopped by user"
+          : "Chat generation completed successfully"
       );
 
-      return result;
+      const meta = overflow
+        ? { ...result, metrics, contextOverflow: overflow }
+        : { ...result, metrics };
+      return parsed === undefined ? meta : { ...meta, parsed };
     } catch (error) {
       // Send error signal to frontend
-      if (this.app && this.app.mainWindow) {
-        this.app.mainWindow.webContents.send("NodeLlamaCppManager:chatChunk", {
-          text: "",
-          isComplete: true,
-          error: error.message,
-        });
-      }
+      this.sendChatChunk(
+        { text: "", isComplete: true, error: error.message },
+        chunkInfo
+      );
 
       global.logger.error(
         {
@@ -558,9 +1851,64 @@ export class NodeLlamaCppManager extends Manager {
       );
 
       throw error;
+    } finally {
+      entry.activeGenerations--;
+      entry.lastUsedAt = Date.now();
+      if (entry.activeGenerations === 0) {
+        for (const resolve of entry.idleWaiters.splice(0)) {
+          resolve();
+        }
+      }
+      if (slot) {
+        slot.activeGenerations--;
+        slot.lastUsedAt = Date.now();
+      }
+      this.finishGeneration(request);
     }
   }
 
+  /**
+   * Abort generations, keeping whatever text was produced so far. Queued
+   * requests are dropped before they start.
+   * @param {string} requestId - Request to abort; all requests when omitted
+   * @param {string} modelId - Only abort requests on this model
+   * @returns {boolean} True if a generation was running or queued
+   */
+  abortGeneration(requestId, modelId) {
+    if (this.mockProvider) {
+      return this.mockProvider.abort(requestId);
+    }
+
+    const matches = (request) =>
+      (!requestId || request.requestId === requestId) &&
+      (!modelId || request.modelId === modelId);
+
+    const queued = this.generationQueue.filter(matches);
+    const running = [...this.runningGenerations.values()].filter(matches);
+    if (queued.length === 0 && running.length === 0) {
+      return false;
+    }
+
+    global.logger.log(
+      {
+        tags: "llama|chat|abort",
+        color1: "yellow",
+      },
+      `Aborting ${running.length} running and ${queued.length} queued chat generation(s)`
+    );
+
+    this.generationQueue = this.generationQueue.filter((r) => !matches(r));
+    for (const request of queued) {
+      request.start(false);
+    }
+    for (const request of running) {
+      request.abortController.abort();
+    }
+
+    this.processGenerationQueue();
+    return true;
+  }
+
   /**
    * IPC handler for starting streaming chat
    * @param {Array} conversation - Array of message objects
@@ -576,7 +1924,7 @@ export class NodeLlamaCppManager extends Manager {
         "Starting streaming chat generation",
         {
           messageCount: conversation?.length || 0,
-          hasSession: !!this.currentSession,
+          sessionKey: options.sessionKey,
         }
       );
 
@@ -593,4 +1941,49 @@ export class NodeLlamaCppManager extends Manager {
       throw error;
     }
   }
+
+  /**
+   * IPC handler for continuing a reply that was cut off (e.g. by maxTokens).
+   * The last model turn is fed back as a response prefix, so only the new text
+   * is streamed. Segments of the cut-off turn are not part of the prefix.
+   * @param {Array} conversation - Array of message objects ending with the model turn to extend
+   * @param {Object} options - Generation options
+   */
+  async continueChat(conversation, options = {}) {
+    try {
+      const messages = [...(conversation || [])];
+      const modelTurn = messages.pop();
+      if (!modelTurn || modelTurn.type !== "model") {
+        throw new Error("Last message must be a model response to continue");
+      }
+
+      const responsePrefix = (modelTurn.response || [])
+        .filter((part) => typeof part === "string")
+        .join("");
+
+      global.logger.log(
+        {
+          tags: "llama|chat|ipc|continue",
+          color1: "blue",
+        },
+        "Continuing chat generation",
+        {
+          messageCount: messages.length,
+          prefixLength: responsePrefix.length,
+        }
+      );
+
+      return await this.generate(messages, { ...options, responsePrefix });
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "llama|chat|ipc|error",
+          color1: "red",
+        },
+        "IPC continueChat failed:",
+        error
+      );
+      throw error;
+    }
+  }
 }
@@ -0,0 +1,276 @@
+import { Manager, Logger } from "../core/index.js";
+
+export class PromptPresetManager extends Manager {
+  constructor() {
+    super();
+    this.archiveName = "prompt-presets"; // StoreManager archive holding preset entries
+    this.dataFile = "preset.json"; // File inside each entry with the preset
+    this.isInitialized = false;
+  }
+
+  async init() {
+    try {
+      global.logger.log(
+        {
+          tags: "preset|manager|init",
+          color1: "blue",
+          includeSource: true,
+        },
+        "PromptPresetManager starting initialization"
+      );
+
+      // Get the StoreManager instance
+      const storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      if (!storeManager) {
+        throw new Error(
+          "PromptPresetManager requires StoreManager to be initialized first"
+        );
+      }
+
+      this.storeManager = storeManager;
+
+      // Ensure the presets archive exists
+      await this.storeManager.createArchive(this.archiveName);
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "preset|manager|init",
+          color1: "green",
+        },
+        "PromptPresetManager initialization complete"
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "preset|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize PromptPresetManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Build a complete preset from partial data, filling in defaults
+   * @param {Object} data - Partial preset
+   * @param {Object} base - Existing preset to layer the data over
+   * @returns {Object} Normalized preset (without id/timestamps)
+   */
+  normalizePreset(data = {}, base = {}) {
+    const merged = { ...base, ...data };
+
+    return {
+      name: String(merged.name ?? "").trim() || "Untitled Preset",
+      systemPrompt: String(merged.systemPrompt ?? ""),
+    };
+  }
+
+  /**
+   * Create a new system prompt preset
+   * @param {Object} presetData - Preset (name, systemPrompt)
+   * @returns {Promise<Object>} The stored preset including its id
+   */
+  async createPreset(presetData = {}) {
+    try {
+      const id = await this.storeManager.createEntry(this.archiveName);
+      const now = new Date().toISOString();
+
+      const preset = {
+        id,
+        ...this.normalizePreset(presetData),
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        id,
+        this.dataFile,
+        preset
+      );
+
+      global.logger.log(
+        {
+          tags: "preset|manager|create",
+          color1: "green",
+        },
+        `Created preset '${preset.name}' (${id})`
+      );
+
+      return preset;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "preset|manager|create|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to create preset:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single preset
+   * @param {string} presetId - UUID of the preset entry
+   * @returns {Promise<Object>}
+   */
+  async getPreset(presetId) {
+    const exists = await this.storeManager.entryExists(
+      this.archiveName,
+      presetId
+    );
+    if (!exists) {
+      throw new Error(`Preset ${presetId} not found`);
+    }
+
+    return await this.storeManager.getEntryJSON(
+      this.archiveName,
+      presetId,
+      this.dataFile
+    );
+  }
+
+  /**
+   * Update an existing preset
+   * @param {string} presetId - UUID of the preset entry
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} The updated preset
+   */
+  async updatePreset(presetId, updates = {}) {
+    try {
+      const existing = await this.getPreset(presetId);
+
+      const preset = {
+        id: presetId,
+        ...this.normalizePreset(updates, existing),
+        createdAt: existing.createdAt,
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.storeManager.storeEntryJSON(
+        this.archiveName,
+        presetId,
+        this.dataFile,
+        preset
+      );
+
+      global.logger.log(
+        {
+          tags: "preset|manager|update",
+          color1: "green",
+        },
+        `Updated preset '${preset.name}' (${presetId})`
+      );
+
+      return preset;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "preset|manager|update|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to update preset ${presetId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a preset
+   * @param {string} presetId - UUID of the preset entry
+   * @returns {Promise<boolean>}
+   */
+  async deletePreset(presetId) {
+    try {
+      await this.storeManager.deleteEntry(this.archiveName, presetId);
+
+      global.logger.log(
+        {
+          tags: "preset|manager|delete",
+          color1: "yellow",
+        },
+        `Deleted preset ${presetId}`
+      );
+
+      return true;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "preset|manager|delete|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        `Failed to delete preset ${presetId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * List all presets, sorted by name
+   * @returns {Promise<Object[]>}
+   */
+  async listPresets() {
+    const entries = await this.storeManager.listEntries(this.archiveName);
+    const presets = [];
+
+    for (const entry of entries) {
+      if (entry.type !== "directory") continue;
+
+      try {
+        presets.push(
+          await this.storeManager.getEntryJSON(
+            this.archiveName,
+            entry.id,
+            this.dataFile
+          )
+        );
+      } catch (error) {
+        // Skip entries without a readable definition
+        global.logger.warn(
+          {
+            tags: "preset|manager|list|warning",
+            color1: "yellow",
+            color2: "orange",
+          },
+          `Skipping unreadable preset entry ${entry.id}: ${error.message}`
+        );
+      }
+    }
+
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Define preload API configuration for the prompt preset manager
+   */
+  initPreload() {
+    return {
+      name: "PromptPresetManager",
+      api: {
+        createPreset: { channel: "PromptPresetManager:createPreset" },
+        getPreset: { channel: "PromptPresetManager:getPreset" },
+        updatePreset: { channel: "PromptPresetManager:updatePreset" },
+        deletePreset: { channel: "PromptPresetManager:deletePreset" },
+        listPresets: { channel: "PromptPresetManager:listPresets" },
+      },
+    };
+  }
+}
@@ -0,0 +1,222 @@
+import { Manager, Logger } from "../core/index.js";
+import {
+  NodeLlamaCppProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+} from "../providers/index.js";
+import fs from "fs/promises";
+import { randomUUID } from "crypto";
+
+export class ProviderManager extends Manager {
+  constructor() {
+    super();
+    this.defaultProviderType = "node-llama-cpp";
+    this.providerTypes = this.createProviderTypes();
+    this.providers = new Map(); // Provider config key -> provider instance
+    this.requestProviders = new Map(); // Request id -> provider running it
+  }
+
+  async init() {
+    try {
+      // Local models run on the node-llama-cpp model pool
+      this.llamaManager = this.app?.managers.find(
+        (m) => m.constructor.name === "NodeLlamaCppManager"
+      );
+      if (!this.llamaManager) {
+        throw new Error(
+          "ProviderManager requires NodeLlamaCppManager to be initialized first"
+        );
+      }
+
+      // --mock-llm runs the local model on the mock provider type
+      if (this.llamaManager.mockScript != null) {
+        await this.createMockProvider(this.llamaManager.mockScript);
+      }
+
+      global.logger.log(
+        {
+          tags: "provider|manager|init",
+          color1: "green",
+          includeSource: true,
+        },
+        `ProviderManager initialized (${
+          Object.keys(this.providerTypes).length
+        } provider types)`
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "provider|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize ProviderManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Create the mock provider the NodeLlamaCppManager runs on with --mock-llm
+   * @param {string} scriptPath - JSON file with the mock config ({ replies: [{ thought, response }], chunkDelay, loadDelay, contextSize }); replies echo the prompt when empty
+   */
+  async createMockProvider(scriptPath) {
+    const config = scriptPath
+      ? JSON.parse(await fs.readFile(scriptPath, "utf-8"))
+      : {};
+    this.llamaManager.useMockProvider(
+      this.providerTypes.mock.create({ ...config, type: "mock" })
+    );
+  }
+
+  /**
+   * Provider types an agent can pick, keyed by the type stored in its definition
+   * @returns {Object<string, {title: string, remote: boolean, create: Function}>}
+   */
+  createProviderTypes() {
+    return {
+      "node-llama-cpp": {
+        title: "Local model",
+        remote: false,
+        create: (config) => new NodeLlamaCppProvider(config, this.llamaManager),
+      },
+      "openai-compatible": {
+        title: "OpenAI-compatible server",
+        remote: true,
+        create: (config) =>
+          new OpenAICompatibleProvider(config, (payload, streamInfo) =>
+            this.llamaManager.sendChatChunk(payload, streamInfo)
+          ),
+      },
+      mock: {
+        title: "Scripted mock",
+        remote: false,
+        create: (config) => {
+          const provider = new MockProvider(
+            config,
+            (payload, streamInfo) =>
+              this.llamaManager.sendChatChunk(payload, streamInfo),
+            // Loading the --mock-llm provider loads the default model
+            (payload) =>
+              this.llamaManager.sendModelLoadProgress(
+                payload,
+                this.llamaManager.mockProvider === provider
+              )
+          );
+          return provider;
+        },
+      },
+    };
+  }
+
+  /**
+   * Get the provider for a config, creating it on first use
+   * @param {Object} config - { type, baseUrl, apiKey, model }; the local provider when omitted
+   * @returns {LLMProvider}
+   */
+  getProvider(config = {}) {
+    let type = config.type || this.defaultProviderType;
+    // With --mock-llm, local agents share the mock behind the model pool
+    if (this.llamaManager.mockProvider && !this.providerTypes[type]?.remote) {
+      type = this.defaultProviderType;
+    }
+    const providerType = this.providerTypes[type];
+    if (!providerType) {
+      throw new Error(`Unknown provider type: ${type}`);
+    }
+
+    const key = providerType.remote
+      ? [type, config.baseUrl, config.model, config.apiKey].join("|")
+      : type;
+    if (!this.providers.has(key)) {
+      this.providers.set(key, providerType.create({ ...config, type }));
+    }
+    return this.providers.get(key);
+  }
+
+  /**
+   * Generate a reply with a provider, streaming its chunks
+   * @param {Object} config - Provider config
+   * @param {Object[]} history - Chat history ending with the user's message
+   * @param {Object} options - Generation options (see NodeLlamaCppManager.generate)
+   * @param {Object} streamInfo - Fields tagged onto every chunk event
+   * @returns {Promise<Object>} Generation result
+   */
+  async generate(config, history, options = {}, streamInfo = {}) {
+    const provider = this.getProvider(config);
+    const requestId = options.requestId || randomUUID();
+
+    this.requestProviders.set(requestId, provider);
+    try {
+      return await provider.stream(
+        history,
+        { ...options, requestId },
+        streamInfo
+      );
+    } finally {
+      this.requestProviders.delete(requestId);
+    }
+  }
+
+  /**
+   * Abort a generation started through generate, or any local one
+   * @param {string} requestId
+   * @returns {boolean} True if a generation was running or queued
+   */
+  abortGeneration(requestId) {
+    const provider = this.requestProviders.get(requestId);
+    return provider
+      ? provider.abort(requestId)
+      : this.llamaManager.abortGeneration(requestId);
+  }
+
+  /**
+   * Describe the provider types for the agent editor
+   * @returns {Object[]} [{ type, title, remote }]
+   */
+  listProviderTypes() {
+    return Object.entries(this.providerTypes).map(([type, providerType]) => ({
+      type,
+      title: providerType.title,
+      remote: providerType.remote,
+    }));
+  }
+
+  /**
+   * List the models a provider offers; doubles as a connection test
+   * @param {Object} config - Provider config
+   * @returns {Promise<string[]>}
+   */
+  async listModels(config = {}) {
+    try {
+      return await this.getProvider(config).listModels();
+    } catch (error) {
+      global.logger.warn(
+        {
+          tags: "provider|models|warning",
+          color1: "yellow",
+        },
+        `Cannot list models of ${config.baseUrl || config.type}: ${
+          error.message
+        }`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Define preload API configuration for the provider manager
+   */
+  initPreload() {
+    return {
+      name: "ProviderManager",
+      api: {
+        listProviderTypes: { channel: "ProviderManager:listProviderTypes" },
+        listModels: { channel: "ProviderManager:listModels" },
+        abortGeneration: { channel: "ProviderManager:abortGeneration" },
+      },
+    };
+  }
+}
@@ -13,6 +13,7 @@ export class StoreManager extends Manager {
   constructor() {
     super();
     this.fileWatchers = new Map(); // Map<filePath, watcherId>
+    this.dialogFilePaths = new Set(); // Files the user picked in an open dialog
   }
 
   async init() {
@@ -325,6 +326,8 @@ export class StoreManager extends Manager {
 
         // Dialog system
         showOpenDialog: { channel: "StoreManager:showOpenDialog" },
+        showSaveDialog: { channel: "StoreManager:showSaveDialog" },
+        readDialogFile: { channel: "StoreManager:readDialogFile" },
 
         // Entry system
         createEntry: { channel: "StoreManager:createEntry" },
@@ -598,6 +601,47 @@ export class StoreManager extends Manager {
     }
   }
 
+  /**
+   * Store binary data in an entry (creates necessary directories)
+   * @param {string} archiveName - Name of the archive
+   * @param {string} entryId - UUID of the entry
+   * @param {string} dataPath - Relative path within the entry (e.g., 'vectors.bin')
+   * @param {Buffer|Uint8Array} data - Bytes to store
+   */
+  async storeEntryBinary(archiveName, entryId, dataPath, data) {
+    try {
+      const fullPath = this.resolvePath(
+        `archives/${archiveName}/${entryId}/${dataPath}`
+      );
+      await this.ensureDirectoryExists(path.dirname(fullPath));
+      await fs.promises.writeFile(fullPath, data);
+    } catch (error) {
+      throw new Error(
+        `Failed to store binary data in entry ${entryId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Retrieve binary data from an entry
+   * @param {string} archiveName - Name of the archive
+   * @param {string} entryId - UUID of the entry
+   * @param {string} dataPath - Relative path within the entry
+   * @returns {Promise<Buffer>}
+   */
+  async getEntryBinary(archiveName, entryId, dataPath) {
+    try {
+      const fullPath = this.resolvePath(
+        `archives/${archiveName}/${entryId}/${dataPath}`
+      );
+      return await fs.promises.readFile(fullPath);
+    } catch (error) {
+      throw new Error(
+        `Failed to get binary data from entry ${entryId}: ${error.message}`
+      );
+    }
+  }
+
   /**
    * List all data files in an entry
    * @param {string} archiveName - Name of the archive
@@ -640,6 +684,7 @@ export class StoreManager extends Manager {
    * @param {string[]} options.filters - File filters (e.g., [{name: 'GGUF Files', extensions: ['gguf']}])
    * @param {string} options.defaultPath - Default directory path
    * @param {boolean} options.multiSelections - Allow multiple file selection
+   * @param {boolean} options.directory - Select folders instead of files
    * @returns {string[]|null} Selected file paths or null if cancelled
    */
   async showOpenDialog(options = {}) {
@@ -647,12 +692,18 @@ export class StoreManager extends Manager {
       const {
         filters = [{ name: 'GGUF Files', extensions: ['gguf'] }],
         defaultPath = app.getPath('documents'),
-        multiSelections = false
+        multiSelections = false,
+        directory = false
       } = options;
 
+      const properties = [directory ? 'openDirectory' : 'openFile'];
+      if (multiSelections) {
+        properties.push('multiSelections');
+      }
+
       const result = await dialog.showOpenDialog(this.app.mainWindow, {
-        properties: multiSelections ? ['openFile', 'multiSelections'] : ['openFile'],
-        filters,
+        properties,
+        filters: directory ? [] : filters,
         defaultPath
       });
 
@@ -660,6 +711,12 @@ export class StoreManager extends Manager {
         return null;
       }
 
+      if (!directory) {
+        for (const filePath of result.filePaths) {
+          this.dialogFilePaths.add(filePath);
+        }
+      }
+
       return result.filePaths;
     } catch (error) {
       global.logger.error(
@@ -675,4 +732,66 @@ export class StoreManager extends Manager {
       throw error;
     }
   }
+
+  /**
+   * Read a file the user picked with showOpenDialog (may lie outside the store directory)
+   * @param {string} filePath - Absolute path returned by showOpenDialog
+   * @param {string} encoding - Text encoding (default: 'utf8')
+   * @returns {Promise<string>}
+   */
+  async readDialogFile(filePath, encoding = "utf8") {
+    if (!this.dialogFilePaths.has(filePath)) {
+      throw new Error("Access denied: File was not selected by the user");
+    }
+
+    try {
+      return await fs.promises.readFile(filePath, encoding);
+    } catch (error) {
+      throw new Error(`Failed to read file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show file save dialog and optionally write content to the chosen file
+   * @param {Object} options - Dialog options
+   * @param {string[]} options.filters - File filters (e.g., [{name: 'Markdown', extensions: ['md']}])
+   * @param {string} options.defaultPath - Suggested file path, or a file name placed in Documents
+   * @param {string} options.content - Text to write to the chosen file
+   * @returns {string|null} Chosen file path or null if cancelled
+   */
+  async showSaveDialog(options = {}) {
+    try {
+      const { filters = [], defaultPath = "", content } = options;
+
+      const result = await dialog.showSaveDialog(this.app.mainWindow, {
+        filters,
+        defaultPath: path.isAbsolute(defaultPath)
+          ? defaultPath
+          : path.join(app.getPath('documents'), defaultPath)
+      });
+
+      if (result.canceled || !result.filePath) {
+        return null;
+      }
+
+      // The user picked this location, so it may lie outside the store directory
+      if (typeof content === "string") {
+        await fs.promises.writeFile(result.filePath, content, "utf8");
+      }
+
+      return result.filePath;
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "store|dialog|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to show save dialog:",
+        error
+      );
+      throw error;
+    }
+  }
 }
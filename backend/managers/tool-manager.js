@@ -0,0 +1,439 @@
+import { Manager, Logger } from "../core/index.js";
+import { defineChatSessionFunction } from "node-llama-cpp";
+import fs from "fs/promises";
+import path from "path";
+
+export class ToolManager extends Manager {
+  constructor() {
+    super();
+    this.configFile = "tools.json"; // Store file holding the approved folders
+    this.approvedFolders = []; // Folders the readFile tool may read from
+    this.maxFileLength = 64 * 1024; // Characters of a file returned to the model
+    this.tools = this.createBuiltinTools();
+    this.isInitialized = false;
+  }
+
+  async init() {
+    try {
+      global.logger.log(
+        {
+          tags: "tool|manager|init",
+          color1: "blue",
+          includeSource: true,
+        },
+        "ToolManager starting initialization"
+      );
+
+      // Get the StoreManager instance
+      const storeManager = this.app?.managers.find(
+        (m) => m.constructor.name === "StoreManager"
+      );
+      if (!storeManager) {
+        throw new Error(
+          "ToolManager requires StoreManager to be initialized first"
+        );
+      }
+
+      this.storeManager = storeManager;
+
+      // Load the folders approved in earlier sessions
+      if (await this.storeManager.exists(this.configFile)) {
+        const config = await this.storeManager.readJSON(this.configFile);
+        this.approvedFolders = Array.isArray(config?.approvedFolders)
+          ? config.approvedFolders
+          : [];
+      }
+
+      this.isInitialized = true;
+
+      global.logger.log(
+        {
+          tags: "tool|manager|init",
+          color1: "green",
+        },
+        `ToolManager initialization complete (${
+          Object.keys(this.tools).length
+        } tools)`
+      );
+    } catch (error) {
+      global.logger.error(
+        {
+          tags: "tool|manager|error",
+          color1: "red",
+          color2: "orange",
+          includeSource: true,
+        },
+        "Failed to initialize ToolManager:",
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Built-in tools, keyed by the function name the model calls
+   * @returns {Object<string, {title: string, description: string, params?: Object, handler: Function}>}
+   */
+  createBuiltinTools() {
+    return {
+      getCurrentTime: {
+        title: "Current time",
+        description: "Get the current date and time",
+        handler: () => {
+          const now = new Date();
+          return {
+            iso: now.toISOString(),
+            local: now.toLocaleString(),
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          };
+        },
+      },
+      calculate: {
+        title: "Calculator",
+        description:
+          "Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, min, max, pow, log, exp, sin, cos, tan",
+        params: {
+          type: "object",
+          properties: {
+            expression: {
+              type: "string",
+              description: "Expression to evaluate, e.g. (2 + 3) * sqrt(16)",
+            },
+          },
+        },
+        handler: ({ expression }) => ({
+          expression,
+          result: this.evaluateExpression(expression),
+        }),
+      },
+      readFile: {
+        title: "Read file",
+        description:
+          "Read a text file from a folder the user approved. Relative paths are resolved against the first approved folder",
+        params: {
+          type: "object",
+          properties: {
+            path: {
+              type: "string",
+              description: "Path of the file to read",
+            },
+          },
+        },
+        handler: ({ path: filePath }) => this.readApprovedFile(filePath),
+      },
+    };
+  }
+
+  /**
+   * Evaluate an arithmetic expression without using eval
+   * @param {string} expression
+   * @returns {number}
+   */
+  evaluateExpression(expression) {
+    const constants = { pi: Math.PI, e: Math.E };
+    const functions = {
+      sqrt: Math.sqrt,
+      abs: Math.abs,
+      round: Math.round,
+      floor: Math.floor,
+      ceil: Math.ceil,
+      min: Math.min,
+      max: Math.max,
+      pow: Math.pow,
+      log: Math.log,
+      exp: Math.exp,
+      sin: Math.sin,
+      cos: Math.cos,
+      tan: Math.tan,
+    };
+
+    const source = String(expression ?? "");
+    const tokens =
+      source.match(
+        /\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_]\w*|\*\*|[-+*/%^(),]/gi
+      ) || [];
+    if (tokens.join("") !== source.replace(/\s+/g, "")) {
+      throw new Error("Expression contains unsupported characters");
+    }
+
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const take = (expected) => {
+      const token = tokens[pos++];
+      if (expected && token !== expected) {
+        throw new Error(`Expected "${expected}" in expression`);
+      }
+      return token;
+    };
+
+    // Precedence, lowest first: + -, * / %, unary -, ^ (right associative)
+    const parseSum = () => {
+      let value = parseProduct();
+      while (peek() === "+" || peek() === "-") {
+        value =
+          take() === "+" ? value + parseProduct() : value - parseProduct();
+      }
+      return value;
+    };
+    const parseProduct = () => {
+      let value = parseUnary();
+      while (["*", "/", "%"].includes(peek())) {
+        const operator = take();
+        const right = parseUnary();
+        if (operator === "*") value *= right;
+        else if (operator === "/") value /= right;
+        else value %= right;
+      }
+      return value;
+    };
+    const parseUnary = () => {
+      if (peek() === "-") {
+        take();
+        return -parseUnary();
+      }
+      if (peek() === "+") {
+        take();
+        return parseUnary();
+      }
+      return parsePower();
+    };
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (peek() === "^" || peek() === "**") {
+        take();
+        return base ** parseUnary();
+      }
+      return base;
+    };
+    const parsePrimary = () => {
+      const token = take();
+      if (token === undefined) {
+        throw new Error("Unexpected end of expression");
+      }
+      if (token === "(") {
+        const value = parseSum();
+        take(")");
+        return value;
+      }
+      if (/^[\d.]/.test(token)) {
+        return parseFloat(token);
+      }
+
+      const name = token.toLowerCase();
+      if (Object.hasOwn(constants, name)) {
+        return constants[name];
+      }
+      if (Object.hasOwn(functions, name)) {
+        take("(");
+        const args = [parseSum()];
+        while (peek() === ",") {
+          take();
+          args.push(parseSum());
+        }
+        take(")");
+        return functions[name](...args);
+      }
+      throw new Error(`Unknown name "${token}" in expression`);
+    };
+
+    const value = parseSum();
+    if (pos < tokens.length) {
+      throw new Error(`Unexpected "${tokens[pos]}" in expression`);
+    }
+    return value;
+  }
+
+  /**
+   * Read a text file, refusing anything outside the approved folders
+   * (symlinks are resolved first so they cannot point elsewhere)
+   * @param {string} filePath - Absolute path, or relative to the first approved folder
+   * @returns {Promise<{path: string, content: string, truncated: boolean}>}
+   */
+  async readApprovedFile(filePath) {
+    if (this.approvedFolders.length === 0) {
+      throw new Error("No folders have been approved for file access");
+    }
+
+    const requested = path.resolve(
+      this.approvedFolders[0],
+      String(filePath ?? "")
+    );
+    const realPath = await fs.realpath(requested);
+
+    let allowed = false;
+    for (const folder of this.approvedFolders) {
+      const realFolder = await fs.realpath(folder).catch(() => null);
+      if (!realFolder) continue;
+
+      const relative = path.relative(realFolder, realPath);
+      if (
+        relative &&
+        !relative.startsWith("..") &&
+        !path.isAbsolute(relative)
+      ) {
+        allowed = true;
+        break;
+      }
+    }
+    if (!allowed) {
+      throw new Error(
+        `Access denied: ${filePath} is outside the approved folders`
+      );
+    }
+
+    const stats = await fs.stat(realPath);
+    if (!stats.isFile()) {
+      throw new Error(`${filePath} is not a file`);
+    }
+
+    // Only the start of the file is read: a character takes at most 4 bytes
+    const maxBytes = this.maxFileLength * 4;
+    const buffer = Buffer.alloc(Math.min(stats.size, maxBytes));
+    const handle = await fs.open(realPath, "r");
+    let bytesRead;
+    try {
+      ({ bytesRead } = await handle.read(buffer, 0, buffer.length, 0));
+    } finally {
+      await handle.close();
+    }
+
+    // Streaming decode leaves out a character cut at the end of the buffer
+    const content = new TextDecoder().decode(buffer.subarray(0, bytesRead), {
+      stream: true,
+    });
+    if (content.includes("\u0000")) {
+      throw new Error(`${filePath} is a binary file`);
+    }
+    return {
+      path: realPath,
+      content: content.slice(0, this.maxFileLength),
+      truncated: content.length > this.maxFileLength || stats.size > maxBytes,
+    };
+  }
+
+  /**
+   * Describe the available tools for the settings UI
+   * @returns {Array<{name: string, title: string, description: string}>}
+   */
+  listTools() {
+    return Object.entries(this.tools).map(([name, tool]) => ({
+      name,
+      title: tool.title,
+      description: tool.description,
+    }));
+  }
+
+  /**
+   * Build the functions passed to promptWithMeta for the given tools
+   * @param {string[]} toolNames - Tools to expose (unknown names are ignored)
+   * @param {Function} onResult - Called with { name, params, result } after each call
+   * @returns {Object|undefined} Chat session functions, or undefined when no tool is enabled
+   */
+  getFunctions(toolNames = [], onResult = () => {}) {
+    const functions = {};
+
+    for (const name of toolNames || []) {
+      const tool = this.tools[name];
+      if (!tool) continue;
+
+      functions[name] = defineChatSessionFunction({
+        description: tool.description,
+        params: tool.params,
+        handler: async (params) => {
+          let result;
+          try {
+            result = await tool.handler(params ?? {});
+          } catch (error) {
+            // Errors go back to the model so it can correct itself
+            result = { error: error.message };
+          }
+
+          global.logger.log(
+            {
+              tags: "tool|manager|call",
+              color1: result?.error ? "yellow" : "cyan",
+            },
+            `Tool ${name} called`,
+            { params, result }
+          );
+
+          onResult({ name, params: params ?? null, result: result ?? null });
+          return result;
+        },
+      });
+    }
+
+    return Object.keys(functions).length > 0 ? functions : undefined;
+  }
+
+  /**
+   * Get the folders the readFile tool may read from
+   * @returns {string[]}
+   */
+  getApprovedFolders() {
+    return [...this.approvedFolders];
+  }
+
+  /**
+   * Let the user pick a folder the readFile tool may read from
+   * @returns {Promise<string[]>} The approved folders
+   */
+  async approveFolder() {
+    const folderPaths = await this.storeManager.showOpenDialog({
+      directory: true,
+    });
+
+    for (const folderPath of folderPaths || []) {
+      if (!this.approvedFolders.includes(folderPath)) {
+        this.approvedFolders.push(folderPath);
+        global.logger.log(
+          {
+            tags: "tool|manager|folder",
+            color1: "green",
+          },
+          `Approved folder for file access: ${folderPath}`
+        );
+      }
+    }
+
+    await this.saveConfig();
+    return this.getApprovedFolders();
+  }
+
+  /**
+   * Revoke access to a folder
+   * @param {string} folderPath
+   * @returns {Promise<string[]>} The approved folders
+   */
+  async removeApprovedFolder(folderPath) {
+    this.approvedFolders = this.approvedFolders.filter((f) => f !== folderPath);
+    await this.saveConfig();
+    return this.getApprovedFolders();
+  }
+
+  /**
+   * Persist the approved folders
+   */
+  async saveConfig() {
+    await this.storeManager.writeJSON(this.configFile, {
+      approvedFolders: this.approvedFolders,
+    });
+  }
+
+  /**
+   * Define preload API configuration for the tool manager
+   */
+  initPreload() {
+    return {
+      name: "ToolManager",
+      api: {
+        listTools: { channel: "ToolManager:listTools" },
+        getApprovedFolders: { channel: "ToolManager:getApprovedFolders" },
+        approveFolder: { channel: "ToolManager:approveFolder" },
+        removeApprovedFolder: {
+          channel: "ToolManager:removeApprovedFolder",
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+import http from "http";
+
+/**
+ * Minimal OpenAI-compatible server for trying the "OpenAI-compatible server"
+ * provider without a real one. Replies stream as server-sent events like
+ * llama.cpp server's: a reasoning_content delta, the content word by word,
+ * a finish_reason chunk, a usage chunk and [DONE].
+ *
+ * The last user message picks the path to exercise:
+ * - "error": the request fails with a 500
+ * - "broken": the stream carries a chunk that is not JSON
+ * - "slow": a long reply at one word per second, to press Stop on
+ * - anything else is echoed back
+ *
+ * Usage: node backend/openai-stub.js [port] (default 8081), then give agents
+ * the base URL http://127.0.0.1:8081/v1
+ */
+class OpenAIStubServer {
+  constructor(port) {
+    this.port = port;
+    this.model = "stub-model";
+    this.chunkDelay = 40; // Milliseconds between streamed words
+  }
+
+  log(message) {
+    const timestamp = new Date().toLocaleTimeString();
+    console.log(`[${timestamp}] ${message}`);
+  }
+
+  wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  sendJSON(res, status, body) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  async readJSONBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString("utf-8") || "{}");
+  }
+
+  async handleRequest(req, res) {
+    const route = `${req.method} ${new URL(req.url, "http://stub").pathname}`;
+    this.log(route);
+
+    if (route === "GET /v1/models") {
+      this.sendJSON(res, 200, {
+        object: "list",
+        data: [{ id: this.model, object: "model", owned_by: "stub" }],
+      });
+    } else if (route === "POST /v1/chat/completions") {
+      await this.handleChatCompletions(req, res, await this.readJSONBody(req));
+    } else {
+      this.sendJSON(res, 404, {
+        error: { message: `Unknown endpoint: ${route}`, type: "not_found" },
+      });
+    }
+  }
+
+  async handleChatCompletions(req, res, body) {
+    const prompt =
+      (body.messages || []).findLast((message) => message.role === "user")
+        ?.content || "";
+    const mode = String(prompt).trim().toLowerCase();
+
+    if (mode === "error") {
+      this.sendJSON(res, 500, {
+        error: { message: "Stub failure on request", type: "server_error" },
+      });
+      return;
+    }
+
+    const words =
+      mode === "slow"
+        ? Array.from({ length: 120 }, (_, index) => `word${index + 1} `)
+        : `You said: ${prompt}`.match(/\S+\s*/g) || [];
+    const delay = mode === "slow" ? 1000 : this.chunkDelay;
+
+    let closed = false;
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        closed = true;
+        this.log("Client disconnected (aborted)");
+      }
+    });
+
+    const id = `chatcmpl-stub-${Date.now()}`;
+    const send = (delta, finishReason = null) => {
+      res.write(
+        `data: ${JSON.stringify({
+          id,
+          object: "chat.completion.chunk",
+          model: this.model,
+          choices: [{ index: 0, delta, finish_reason: finishReason }],
+        })}\n\n`
+      );
+    };
+
+    res.writeHead(200, { "Content-Type": "text/event-stream" });
+    send({ role: "assistant", content: "" });
+    send({ reasoning_content: "Replying as the stub. " });
+
+    let generated = 0;
+    for (const word of words) {
+      if (closed) return;
+      await this.wait(delay);
+      if (mode === "broken" && generated === 2) {
+        res.write("data: {not json\n\n");
+      }
+      send({ content: word });
+      generated++;
+    }
+
+    const maxTokens = body.max_tokens;
+    send({}, maxTokens > 0 && generated >= maxTokens ? "length" : "stop");
+    res.write(
+      `data: ${JSON.stringify({
+        id,
+        object: "chat.completion.chunk",
+        model: this.model,
+        choices: [],
+        usage: {
+          prompt_tokens: String(prompt).split(/\s+/).length,
+          completion_tokens: generated,
+          total_tokens: String(prompt).split(/\s+/).length + generated,
+        },
+      })}\n\n`
+    );
+    res.end("data: [DONE]\n\n");
+  }
+
+  start() {
+    const server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        this.log(`Request failed: ${error.message}`);
+        if (!res.headersSent) {
+          this.sendJSON(res, 400, {
+            error: { message: error.message, type: "invalid_request_error" },
+          });
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    server.listen(this.port, "127.0.0.1", () => {
+      this.log(`OpenAI stub listening on http://127.0.0.1:${this.port}/v1`);
+    });
+
+    process.on("SIGINT", () => {
+      server.close();
+      server.closeAllConnections();
+      process.exit(0);
+    });
+  }
+}
+
+const port = Number.parseInt(process.argv[2] || "8081", 10);
+new OpenAIStubServer(port).start();
@@ -0,0 +1,4 @@
+export * from "./llm-provider.js";
+export * from "./node-llama-cpp-provider.js";
+export * from "./openai-compatible-provider.js";
+export * from "./mock-provider.js";
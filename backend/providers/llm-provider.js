@@ -0,0 +1,90 @@
+/**
+ * Base class of the LLM backends an agent can reply with.
+ *
+ * Histories are llama ChatHistoryItems ({ type: "system" | "user" | "model" })
+ * ending with the user's message, and results have the shape of
+ * node-llama-cpp's promptWithMeta result ({ response, responseText, stopReason }),
+ * so callers do not care which backend produced them. Streamed chunks go out
+ * on the usual chat chunk channel, tagged with the stream info.
+ */
+export class LLMProvider {
+  /**
+   * @param {Object} config - Provider settings ({ type, ... })
+   */
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Prepare a model for generation
+   * @param {Object} options - { modelPath }
+   * @returns {Promise<*>} Handle to pass to unload, or null when nothing was loaded
+   */
+  async load(options = {}) {
+    return null;
+  }
+
+  /**
+   * Release a model prepared with load
+   * @param {*} handle - Value returned by load
+   */
+  async unload(handle) {}
+
+  /**
+   * Generate a reply without streaming it
+   * @param {Object[]} history - Chat history ending with the user's message
+   * @param {Object} options - Generation options (requestId, maxTokens, temperature, ...)
+   * @returns {Promise<Object>} { response, responseText, stopReason, metrics? }
+   */
+  async generate(history, options = {}) {
+    return await this.stream(history, options, { silent: true });
+  }
+
+  /**
+   * Generate a reply, streaming its chunks to the frontend
+   * @param {Object[]} history - Chat history ending with the user's message
+   * @param {Object} options - Generation options (requestId, maxTokens, temperature, ...)
+   * @param {Object} streamInfo - Fields tagged onto every chunk event ({ silent: true } disables streaming)
+   * @returns {Promise<Object>} { response, responseText, stopReason, metrics? }
+   */
+  async stream(history, options = {}, streamInfo = {}) {
+    throw new Error(`${this.constructor.name} cannot generate replies`);
+  }
+
+  /**
+   * Split text into the model's tokens
+   * @param {string} text
+   * @param {Object} options - { modelPath }
+   * @returns {Promise<number[]>}
+   */
+  async tokenize(text, options = {}) {
+    throw new Error(`${this.constructor.name} cannot tokenize text`);
+  }
+
+  /**
+   * Turn texts into embedding vectors
+   * @param {string[]} texts
+   * @param {Object} options - { modelPath }
+   * @returns {Promise<Object>} { vectors: number[][], tokenCount, modelPath }
+   */
+  async embed(texts, options = {}) {
+    throw new Error(`${this.constructor.name} cannot embed text`);
+  }
+
+  /**
+   * Abort a running generation, keeping the text produced so far
+   * @param {string} requestId
+   * @returns {boolean} True if the request was running
+   */
+  abort(requestId) {
+    return false;
+  }
+
+  /**
+   * Models the provider can reply with
+   * @returns {Promise<string[]>}
+   */
+  async listModels() {
+    return [];
+  }
+}
@@ -0,0 +1,358 @@
+import { LLMProvider } from "./llm-provider.js";
+import { randomUUID } from "crypto";
+
+/**
+ * Scripted stand-in for a real model, for developing the UI and multi-agent
+ * flows without a GGUF file. Replies stream word by word with the same chunk
+ * shapes as node-llama-cpp (a thought segment, then the text), and loading
+ * reports progress like a real model. The same history always gets the same
+ * reply: scripted replies are picked by the number of user turns, otherwise
+ * the last user message is echoed. Embeddings hash words, so texts sharing
+ * words come out similar.
+ */
+export class MockProvider extends LLMProvider {
+  /**
+   * @param {Object} config - { replies: [{ thought, response }], chunkDelay, loadDelay, contextSize }
+   * @param {Function} sendChunk - (payload, streamInfo) => void, sends a chat chunk to the frontend
+   * @param {Function} sendLoadProgress - (payload) => void, sends a model load progress event
+   */
+  constructor(config, sendChunk, sendLoadProgress) {
+    super(config);
+    this.sendChunk = sendChunk;
+    this.sendLoadProgress = sendLoadProgress;
+    this.replies = Array.isArray(config.replies) ? config.replies : [];
+    this.chunkDelay = config.chunkDelay ?? 30; // Milliseconds between streamed words
+    this.loadDelay = config.loadDelay ?? 60; // Milliseconds between load progress steps
+    this.contextSize = config.contextSize ?? 4096;
+    this.embeddingSize = 64; // Dimensions of the bag-of-words embeddings
+    this.modelPath = null; // "Loaded" model
+    this.vocabulary = []; // Token id -> word, grown as words are tokenized
+    this.wordIds = new Map(); // Word -> token id
+    this.requests = new Map(); // Request id -> { aborted } of the running request
+  }
+
+  /**
+   * Wait between simulated steps
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Pretend to load a model, reporting progress in ten steps
+   * @param {Object} options - { modelPath }
+   * @returns {Promise<string|null>} The model path, or null when none was given
+   */
+  async load(options = {}) {
+    const { modelPath } = options;
+    if (!modelPath) {
+      return null;
+    }
+
+    for (let step = 0; step < 10; step++) {
+      this.sendLoadProgress({
+        progress: step / 10,
+        percentage: step * 10,
+        modelPath,
+        status: "loading",
+      });
+      await this.wait(this.loadDelay);
+    }
+
+    this.modelPath = modelPath;
+    this.sendLoadProgress({
+      progress: 1.0,
+      percentage: 100,
+      modelPath,
+      status: "completed",
+    });
+    return modelPath;
+  }
+
+  async unload(modelPath) {
+    if (!modelPath || modelPath === this.modelPath) {
+      this.modelPath = null;
+    }
+    this.sendLoadProgress({
+      progress: 0,
+      percentage: 0,
+      modelPath: null,
+      status: "unloaded",
+      errors: [],
+    });
+  }
+
+  /**
+   * Split text into fake tokens (words with their trailing whitespace)
+   * @param {string} text
+   * @returns {string[]}
+   */
+  splitWords(text) {
+    return String(text || "").match(/\s*\S+\s*/g) || [];
+  }
+
+  /**
+   * Plain text of a history item (thoughts left out)
+   * @param {Object} item - Chat history item
+   * @returns {string}
+   */
+  getItemText(item) {
+    if (item.type !== "model") {
+      return item.text || "";
+    }
+    return (item.response || [])
+      .filter((part) => typeof part === "string")
+      .join("");
+  }
+
+  /**
+   * Fake tokens of a text: ids of its words in a vocabulary built on the fly
+   * @param {string} text
+   * @returns {number[]}
+   */
+  tokenizeSync(text) {
+    return this.splitWords(text).map((word) => {
+      if (!this.wordIds.has(word)) {
+        this.wordIds.set(word, this.vocabulary.length);
+        this.vocabulary.push(word);
+      }
+      return this.wordIds.get(word);
+    });
+  }
+
+  /**
+   * Text of fake tokens made by tokenizeSync
+   * @param {number[]} tokens
+   * @returns {string}
+   */
+  detokenize(tokens = []) {
+    return tokens.map((token) => this.vocabulary[token] ?? "").join("");
+  }
+
+  async tokenize(text) {
+    return this.tokenizeSync(text);
+  }
+
+  /**
+   * Hash the words of each text into a normalized bag-of-words vector, so
+   * texts sharing words come out similar
+   * @param {string[]} texts
+   * @returns {Promise<Object>} { vectors, tokenCount, modelPath }
+   */
+  async embed(texts = []) {
+    let tokenCount = 0;
+    const vectors = texts.map((text) => {
+      const vector = new Array(this.embeddingSize).fill(0);
+      for (const word of this.splitWords(String(text).toLowerCase())) {
+        let hash = 0;
+        for (const char of word.trim()) {
+          hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+        }
+        vector[hash % this.embeddingSize]++;
+        tokenCount++;
+      }
+
+      const length = Math.hypot(...vector) || 1;
+      return vector.map((value) => value / length);
+    });
+
+    return { vectors, tokenCount, modelPath: this.modelPath || "mock" };
+  }
+
+  /**
+   * Reply to a history: the scripted reply for its user turn, or an echo
+   * @param {Object[]} history - Chat history ending with the user's message
+   * @returns {{thought: string, response: string}}
+   */
+  createReply(history) {
+    const userTurns = history.filter((item) => item.type === "user");
+    const prompt = userTurns[userTurns.length - 1]?.text || "";
+
+    if (this.replies.length > 0) {
+      const reply = this.replies[(userTurns.length - 1) % this.replies.length];
+      return { thought: reply.thought || "", response: reply.response || "" };
+    }
+
+    return {
+      thought: `The user sent ${
+        this.splitWords(prompt).length
+      } word(s) in turn ${userTurns.length}. Echoing them back.`,
+      response: `You said:\n\n> ${prompt.split("\n").join("\n> ")}`,
+    };
+  }
+
+  /**
+   * Stream the reply word by word. maxTokens cuts it off like a real model,
+   * a response prefix (continue) skips the part already written.
+   * @param {Object[]} history - Chat history ending with the user's message
+   * @param {Object} options - requestId, maxTokens, responsePrefix
+   * @param {Object} streamInfo - Fields tagged onto every chunk event ({ silent: true } disables streaming)
+   * @returns {Promise<Object>} { response, responseText, stopReason, metrics }
+   */
+  async stream(history, options = {}, streamInfo = {}) {
+    const {
+      requestId = randomUUID(),
+      maxTokens,
+      responsePrefix = "",
+    } = options;
+    const chunkInfo = { ...streamInfo, requestId };
+    const request = { aborted: false };
+    this.requests.set(requestId, request);
+
+    const reply = this.createReply(history);
+    const text = reply.response.startsWith(responsePrefix)
+      ? reply.response.slice(responsePrefix.length)
+      : reply.response;
+
+    const response = [];
+    let generatedTokens = 0;
+    let stopReason = "eogToken";
+    const startedAt = Date.now();
+    let firstTokenAt = null;
+
+    // Streams words until aborted or out of tokens; false when it had to stop
+    const streamWords = async (words, onWord) => {
+      for (const word of words) {
+        if (request.aborted) {
+          stopReason = "abort";
+          return false;
+        }
+        if (maxTokens > 0 && generatedTokens >= maxTokens) {
+          stopReason = "maxTokens";
+          return false;
+        }
+
+        await this.wait(this.chunkDelay);
+        firstTokenAt ??= Date.now();
+        onWord(word, generatedTokens);
+        generatedTokens++;
+      }
+      return true;
+    };
+
+    try {
+      let finished = true;
+
+      if (reply.thought && !responsePrefix) {
+        const thought = {
+          type: "segment",
+          segmentType: "thought",
+          text: "",
+          ended: false,
+          startTime: new Date().toISOString(),
+        };
+        response.push(thought);
+
+        finished = await streamWords(
+          this.splitWords(reply.thought),
+          (word, token) => {
+            this.sendChunk(
+              {
+                text: {
+                  type: "segment",
+                  segmentType: "thought",
+                  text: word,
+                  tokens: [token],
+                  segmentStartTime: thought.text ? undefined : new Date(),
+                },
+                isComplete: false,
+              },
+              chunkInfo
+            );
+            thought.text += word;
+          }
+        );
+
+        thought.ended = true;
+        thought.endTime = new Date().toISOString();
+        this.sendChunk(
+          {
+            text: {
+              type: "segment",
+              segmentType: "thought",
+              text: "",
+              tokens: [],
+              segmentEndTime: new Date(),
+            },
+            isComplete: false,
+          },
+          chunkInfo
+        );
+      }
+
+      if (finished) {
+        await streamWords(this.splitWords(text), (word, token) => {
+          this.sendChunk(
+            {
+              text: { type: null, text: word, tokens: [token] },
+              isComplete: false,
+            },
+            chunkInfo
+          );
+          if (typeof response[response.length - 1] === "string") {
+            response[response.length - 1] += word;
+          } else {
+            response.push(word);
+          }
+        });
+      }
+    } finally {
+      this.requests.delete(requestId);
+    }
+
+    const responseText = this.getItemText({ type: "model", response });
+
+    const finishedAt = Date.now();
+    const generationTime = finishedAt - (firstTokenAt ?? finishedAt);
+    const metrics = {
+      modelPath: this.modelPath || "mock",
+      threads: null,
+      timeToFirstToken: (firstTokenAt ?? finishedAt) - startedAt,
+      generationTime,
+      tokensPerSecond:
+        generationTime > 0 && generatedTokens > 1
+          ? (generatedTokens - 1) / (generationTime / 1000)
+          : null,
+      promptTokens: history.reduce(
+        (sum, item) => sum + this.splitWords(this.getItemText(item)).length,
+        0
+      ),
+      generatedTokens,
+      stopReason,
+    };
+
+    this.sendChunk(
+      {
+        text: "",
+        isComplete: true,
+        stopped: stopReason === "abort",
+        stopReason,
+        metrics,
+      },
+      chunkInfo
+    );
+
+    return { response, responseText, stopReason, metrics };
+  }
+
+  /**
+   * Abort a streaming reply, or all of them when no request id is given
+   * @param {string} requestId
+   * @returns {boolean} True if a reply was streaming
+   */
+  abort(requestId) {
+    const requests = requestId
+      ? [this.requests.get(requestId)].filter(Boolean)
+      : [...this.requests.values()];
+    for (const request of requests) {
+      request.aborted = true;
+    }
+    return requests.length > 0;
+  }
+
+  async listModels() {
+    return this.modelPath ? [this.modelPath] : [];
+  }
+}
@@ -0,0 +1,57 @@
+import { LLMProvider } from "./llm-provider.js";
+
+/**
+ * Local models, run in-process by NodeLlamaCppManager's model pool
+ */
+export class NodeLlamaCppProvider extends LLMProvider {
+  /**
+   * @param {Object} config - Provider settings
+   * @param {NodeLlamaCppManager} llamaManager - Manager owning the model pool
+   */
+  constructor(config, llamaManager) {
+    super(config);
+    this.llamaManager = llamaManager;
+  }
+
+  /**
+   * Take a reference on a pooled model so it is not evicted
+   * @param {Object} options - { modelPath }; the default model needs no reference
+   * @returns {Promise<string|null>} Model id
+   */
+  async load(options = {}) {
+    if (!options.modelPath) {
+      return null;
+    }
+    return await this.llamaManager.acquireModel(options.modelPath);
+  }
+
+  /**
+   * @param {string|null} modelId - Value returned by load
+   */
+  async unload(modelId) {
+    if (modelId) {
+      this.llamaManager.releaseModel(modelId);
+    }
+  }
+
+  async stream(history, options = {}, streamInfo = {}) {
+    return await this.llamaManager.generate(history, options, streamInfo);
+  }
+
+  async tokenize(text, options = {}) {
+    return this.llamaManager.tokenize(text, options);
+  }
+
+  async embed(texts, options = {}) {
+    return await this.llamaManager.embed(texts, options);
+  }
+
+  abort(requestId) {
+    return this.llamaManager.abortGeneration(requestId);
+  }
+
+  async listModels() {
+    const { models } = await this.llamaManager.getPoolStatus();
+    return models.map((model) => model.modelPath);
+  }
+}
@@ -0,0 +1,414 @@
+import { LLMProvider } from "./llm-provider.js";
+import { randomUUID } from "crypto";
+
+/**
+ * Models served over HTTP by any server speaking the OpenAI chat completions
+ * API (llama.cpp server, LM Studio, vLLM, ...). Replies stream as server-sent
+ * events; reasoning_content deltas become a thought segment. Tools only run
+ * with local models and are not sent.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  /**
+   * @param {Object} config - { baseUrl, apiKey, model }; baseUrl includes the /v1 prefix
+   * @param {Function} sendChunk - (payload, streamInfo) => void, sends a chat chunk to the frontend
+   */
+  constructor(config, sendChunk) {
+    super(config);
+    this.sendChunk = sendChunk;
+    this.baseUrl = String(config.baseUrl || "").replace(/\/+$/, "");
+    this.requests = new Map(); // Request id -> AbortController of the running request
+    // finish_reason -> node-llama-cpp stop reason
+    this.stopReasons = {
+      stop: "eogToken",
+      length: "maxTokens",
+      tool_calls: "functionCalls",
+      function_call: "functionCalls",
+    };
+  }
+
+  /**
+   * Headers sent with every request
+   * @returns {Object}
+   */
+  getHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.config.apiKey) {
+      headers.Authorization = `Bearer ${this.config.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Send a request to the server, failing on non-2xx answers
+   * @param {string} url
+   * @param {Object} init - fetch options
+   * @returns {Promise<Response>}
+   */
+  async request(url, init = {}) {
+    if (!this.baseUrl) {
+      throw new Error("The provider has no base URL");
+    }
+
+    const response = await fetch(url, { ...init, headers: this.getHeaders() });
+    if (!response.ok) {
+      const body = await response.text().catch(() => "");
+      throw new Error(
+        `${url} answered ${response.status} ${response.statusText}${
+          body ? `: ${body.slice(0, 500)}` : ""
+        }`
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Read a server-sent event stream, calling onEvent with each JSON payload
+   * until the [DONE] marker
+   * @param {Response} response
+   * @param {Function} onEvent - (data) => void
+   */
+  async readEventStream(response, onEvent) {
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const bytes of response.body) {
+      buffer += decoder.decode(bytes, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith("data:")) continue;
+
+        const data = line.slice(5).trim();
+        if (data === "[DONE]") return;
+        if (data) {
+          onEvent(JSON.parse(data));
+        }
+      }
+    }
+  }
+
+  /**
+   * Convert a llama chat history to chat completion messages. Thoughts and
+   * tool calls of earlier replies are left out.
+   * @param {Object[]} history
+   * @param {string} systemPrompt - Leads the messages when set
+   * @returns {Object[]} [{ role, content }]
+   */
+  toMessages(history, systemPrompt) {
+    const messages = systemPrompt
+      ? [{ role: "system", content: systemPrompt }]
+      : [];
+
+    for (const item of history) {
+      if (item.type === "model") {
+        const content = (item.response || [])
+          .filter((part) => typeof part === "string")
+          .join("");
+        messages.push({ role: "assistant", content });
+      } else {
+        messages.push({ role: item.type, content: item.text || "" });
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Build the chat completion request body from node-llama-cpp style options
+   * @param {Object[]} messages
+   * @param {Object} options - { maxTokens, temperature, topP, topK, minP, seed, repeatPenalty, structuredOutput }
+   * @returns {Object}
+   */
+  createRequestBody(messages, options = {}) {
+    const { repeatPenalty, structuredOutput } = options;
+    const body = {
+      model: this.config.model || undefined,
+      messages,
+      stream: true,
+      stream_options: { include_usage: true },
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      seed: options.seed,
+      // Not part of the OpenAI API, but llama.cpp server, vLLM and LM Studio read them
+      top_k: options.topK,
+      min_p: options.minP,
+    };
+
+    if (repeatPenalty) {
+      body.repeat_penalty = repeatPenalty.penalty;
+      body.frequency_penalty = repeatPenalty.frequencyPenalty;
+      body.presence_penalty = repeatPenalty.presencePenalty;
+    }
+
+    if (structuredOutput?.type === "json-schema") {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: "reply", schema: structuredOutput.schema },
+      };
+    } else if (structuredOutput?.type === "gbnf") {
+      body.grammar = structuredOutput.grammar; // llama.cpp server only
+    }
+
+    return body;
+  }
+
+  /**
+   * Stream a chat completion. Chunks and the result have the same shape as
+   * NodeLlamaCppManager.generate's, so the frontend handles both alike.
+   * @param {Object[]} history - Chat history ending with the user's message
+   * @param {Object} options - requestId, systemPrompt, structuredOutput and sampling options
+   * @param {Object} streamInfo - Fields tagged onto every chunk event ({ silent: true } disables streaming)
+   * @returns {Promise<Object>} { response, responseText, stopReason, metrics, parsed? }
+   */
+  async stream(history, options = {}, streamInfo = {}) {
+    const {
+      requestId = randomUUID(),
+      systemPrompt,
+      tools,
+      ...requestOptions
+    } = options;
+
+    const chunkInfo = { ...streamInfo, requestId };
+    const abortController = new AbortController();
+    this.requests.set(requestId, abortController);
+
+    if (Array.isArray(tools) && tools.length > 0) {
+      global.logger.warn(
+        {
+          tags: "provider|openai|tools|warning",
+          color1: "yellow",
+        },
+        `Tools are not sent to ${this.baseUrl}; only local models can call them`
+      );
+    }
+
+    const response = []; // Text and thought segments, like promptWithMeta's response
+    let thought = null;
+    let stopReason = "eogToken";
+    let usage = null;
+    const startedAt = Date.now();
+    let firstTokenAt = null;
+
+    const sendThought = (text, times = {}) => {
+      this.sendChunk(
+        {
+          text: { type: "segment", segmentType: "thought", text, ...times },
+          isComplete: false,
+        },
+        chunkInfo
+      );
+    };
+
+    try {
+      global.logger.log(
+        {
+          tags: "provider|openai|generate",
+          color1: "blue",
+        },
+        `Starting chat completion ${requestId} on ${this.baseUrl} (${
+          this.config.model || "server default model"
+        })`
+      );
+
+      const httpResponse = await this.request(
+        `${this.baseUrl}/chat/completions`,
+        {
+          method: "POST",
+          body: JSON.stringify(
+            this.createRequestBody(
+              this.toMessages(history, systemPrompt),
+              requestOptions
+            )
+          ),
+          signal: abortController.signal,
+        }
+      );
+
+      await this.readEventStream(httpResponse, (event) => {
+        if (event.usage) {
+          usage = event.usage;
+        }
+        const choice = event.choices?.[0];
+        if (!choice) return;
+
+        const { content, reasoning_content: reasoning } = choice.delta || {};
+        if (content || reasoning) {
+          firstTokenAt ??= Date.now();
+        }
+
+        if (reasoning) {
+          if (!thought) {
+            thought = {
+              type: "segment",
+              segmentType: "thought",
+              text: "",
+              ended: false,
+              startTime: new Date().toISOString(),
+            };
+            response.push(thought);
+            sendThought(reasoning, { segmentStartTime: thought.startTime });
+          } else {
+            sendThought(reasoning);
+          }
+          thought.text += reasoning;
+        }
+
+        if (content) {
+          if (thought && !thought.ended) {
+            thought.ended = true;
+            thought.endTime = new Date().toISOString();
+            sendThought("", { segmentEndTime: thought.endTime });
+          }
+          if (typeof response[response.length - 1] === "string") {
+            response[response.length - 1] += content;
+          } else {
+            response.push(content);
+          }
+          this.sendChunk({ text: content, isComplete: false }, chunkInfo);
+        }
+
+        if (choice.finish_reason) {
+          stopReason =
+            this.stopReasons[choice.finish_reason] || choice.finish_reason;
+        }
+      });
+    } catch (error) {
+      // Aborting keeps the text received so far
+      if (!abortController.signal.aborted) {
+        this.sendChunk(
+          { text: "", isComplete: true, error: error.message },
+          chunkInfo
+        );
+
+        global.logger.error(
+          {
+            tags: "provider|openai|generate|error",
+            color1: "red",
+            color2: "orange",
+          },
+          "Chat completion failed:",
+          error
+        );
+
+        throw error;
+      }
+      stopReason = "abort";
+    } finally {
+      this.requests.delete(requestId);
+    }
+
+    const responseText = response
+      .filter((part) => typeof part === "string")
+      .join("");
+
+    const finishedAt = Date.now();
+    const generationTime = finishedAt - (firstTokenAt ?? finishedAt);
+    const generatedTokens = usage?.completion_tokens ?? null;
+    const metrics = {
+      modelPath: this.config.model || this.baseUrl,
+      threads: null,
+      timeToFirstToken: (firstTokenAt ?? finishedAt) - startedAt,
+      generationTime,
+      tokensPerSecond:
+        generationTime > 0 && generatedTokens > 1
+          ? (generatedTokens - 1) / (generationTime / 1000)
+          : null,
+      promptTokens: usage?.prompt_tokens ?? null,
+      generatedTokens,
+      stopReason,
+    };
+
+    const stopped = stopReason === "abort";
+    let parsed;
+    if (requestOptions.structuredOutput && !stopped) {
+      try {
+        parsed = JSON.parse(responseText);
+      } catch (error) {
+        global.logger.warn(
+          {
+            tags: "provider|openai|structured|warning",
+            color1: "yellow",
+          },
+          `Structured output could not be parsed: ${error.message}`
+        );
+      }
+    }
+
+    this.sendChunk(
+      {
+        text: "",
+        isComplete: true,
+        stopped,
+        stopReason,
+        parsed,
+        metrics,
+      },
+      chunkInfo
+    );
+
+    const result = { response, responseText, stopReason, metrics };
+    return parsed === undefined ? result : { ...result, parsed };
+  }
+
+  /**
+   * Tokenize with the llama.cpp server's /tokenize endpoint (other servers
+   * have no tokenizer endpoint)
+   * @param {string} text
+   * @returns {Promise<number[]>}
+   */
+  async tokenize(text) {
+    const response = await this.request(
+      `${new URL(this.baseUrl).origin}/tokenize`,
+      {
+        method: "POST",
+        body: JSON.stringify({ content: text || "" }),
+      }
+    );
+    const { tokens } = await response.json();
+    return tokens;
+  }
+
+  /**
+   * Embed texts with the server's /embeddings endpoint
+   * @param {string[]} texts
+   * @returns {Promise<Object>} { vectors, tokenCount, modelPath }
+   */
+  async embed(texts) {
+    const response = await this.request(`${this.baseUrl}/embeddings`, {
+      method: "POST",
+      body: JSON.stringify({
+        model: this.config.model || undefined,
+        input: texts,
+      }),
+    });
+    const { data = [], usage } = await response.json();
+
+    return {
+      vectors: data
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding),
+      tokenCount: usage?.prompt_tokens ?? null,
+      modelPath: this.config.model || this.baseUrl,
+    };
+  }
+
+  abort(requestId) {
+    const abortController = this.requests.get(requestId);
+    if (!abortController) {
+      return false;
+    }
+    abortController.abort();
+    return true;
+  }
+
+  /**
+   * Models the server offers
+   * @returns {Promise<string[]>} Model ids
+   */
+  async listModels() {
+    const response = await this.request(`${this.baseUrl}/models`);
+    const { data = [] } = await response.json();
+    return data.map((model) => model.id);
+  }
+}
@@ -29,6 +29,7 @@ class HotReloadWatcher {
       "backend/**/*.json",
       "!backend/preload.cjs",
       "!backend/watch.js",
+      "!backend/openai-stub.js",
     ];
   }
 
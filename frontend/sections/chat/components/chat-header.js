@@ -1,7 +1,8 @@
 /**
  * Chat Header Component
  *
- * A header component for the chat section with back navigation and title.
+ * A header component for the chat section with back navigation, title and a
+ * meter of the context window used by the conversation.
  *
  * Usage Examples:
  *
@@ -21,6 +22,10 @@
  * Attributes:
  * - title: The title to display in the header (default: "Chat")
  *
+ * Methods:
+ * - setTitle(title): Set the header title
+ * - setTokenUsage(usage): Show tokens used vs. the context size ({ used, contextSize }), or hide the meter with null
+ *
  * Events:
  * - back-to-main: Fired when back button is clicked
  * - open-settings: Fired when settings button is clicked
@@ -69,6 +74,13 @@ export class ChatHeader extends HTMLElement {
           min-height: 48px;
         }
 
+        .title-group {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 4px;
+        }
+
         .title {
           font-size: 24px;
           font-weight: 600;
@@ -84,6 +96,45 @@ export class ChatHeader extends HTMLElement {
           transform: translateY(-50%);
         }
 
+        .token-meter {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 11px;
+          color: var(--text-secondary, #a0a0a0);
+        }
+
+        .token-meter[hidden] {
+          display: none;
+        }
+
+        .token-meter-bar {
+          width: 160px;
+          height: 4px;
+          border-radius: 999px;
+          background: rgba(255, 255, 255, 0.08);
+          overflow: hidden;
+        }
+
+        .token-meter-fill {
+          width: 0%;
+          height: 100%;
+          background: #38bdf8;
+          transition: width 0.2s ease;
+        }
+
+        .token-meter.warning .token-meter-fill {
+          background: #f59e0b;
+        }
+
+        .token-meter.full .token-meter-fill {
+          background: #ef4444;
+        }
+
+        .token-meter.full .token-meter-label {
+          color: #ff6b6b;
+        }
+
         /* Future settings button placeholder */
         .settings-button {
           position: absolute;
@@ -98,7 +149,13 @@ export class ChatHeader extends HTMLElement {
           <agc-button>← Back to Main</agc-button>
         </div>
 
-        <h1 class="title">${title}</h1>
+        <div class="title-group">
+          <h1 class="title">${title}</h1>
+          <div class="token-meter" hidden>
+            <div class="token-meter-bar"><div class="token-meter-fill"></div></div>
+            <span class="token-meter-label"></span>
+          </div>
+        </div>
 
         <div class="settings-button">
           <agc-button>⚙️ Settings</agc-button>
@@ -142,6 +199,32 @@ export class ChatHeader extends HTMLElement {
     }
   }
 
+  /**
+   * Show how much of the model's context the conversation uses
+   * @param {Object|null} usage - { used, contextSize } in tokens; null hides the meter
+   */
+  setTokenUsage(usage) {
+    const meter = this.shadowRoot?.querySelector('.token-meter');
+    if (!meter) return;
+
+    if (!usage?.contextSize) {
+      meter.hidden = true;
+      return;
+    }
+
+    const { used, contextSize } = usage;
+    const ratio = used / contextSize;
+    meter.hidden = false;
+    meter.classList.toggle('warning', ratio >= 0.8 && ratio < 1);
+    meter.classList.toggle('full', ratio >= 1);
+    meter.title = ratio >= 1
+      ? 'The conversation no longer fits; older messages are shortened as set in the settings'
+      : '';
+    meter.querySelector('.token-meter-fill').style.width = `${Math.min(100, ratio * 100)}%`;
+    meter.querySelector('.token-meter-label').textContent =
+      `${used.toLocaleString()} / ${contextSize.toLocaleString()} tokens`;
+  }
+
   /**
    * Set the header title
    * @param {string} title - The title to display
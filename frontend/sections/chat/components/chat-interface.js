@@ -19,22 +19,32 @@
  * });
  *
  * Methods:
- * - addMessage(sender, content, timestamp, sectionType): Add a message to the chat
+ * - addMessage(sender, content, timestamp, attributes): Add a message to the chat
+ * - createAssistantMessage(agent): Create an empty assistant bubble, optionally labeled with an agent
  * - addMessageSection(sectionType, content, timestamp): Add a message section (for multi-section AI responses)
+ * - addMemoryMarker(text, afterElement): Mark where earlier messages were summarized into a memory
  * - clearMessages(): Clear all messages
+ * - getMessageElements(): Get the rendered chat-message elements in order
  * - setInputValue(value): Set the input textarea value
  * - getInputValue(): Get the current input value
  * - focusInput(): Focus the input textarea
  * - clearInput(): Clear the input textarea
+ * - setStreaming(isStreaming): Turn the send button into a Stop button while a reply streams
+ * - setAttachments(attachments): Show the files attached to the next message as removable chips
  *
  * Events:
  * - send-message: Fired when send button is clicked or Ctrl+Enter is pressed (detail: { inputValue })
  * - message-change: Fired when textarea value changes (detail: { value })
+ * - stop-generation: Fired when the Stop button is clicked while streaming
+ * - attach-files-request: Fired when the paperclip button is clicked
+ * - files-dropped: Fired when files are dropped on the chat (detail: { filePaths })
+ * - remove-attachment: Fired when an attachment chip is removed (detail: { attachmentId })
  */
 export class ChatInterface extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: "open" });
+    this.isStreaming = false;
   }
 
   connectedCallback() {
@@ -67,6 +77,27 @@ export class ChatInterface extends HTMLElement {
           flex-direction: column;
         }
 
+        .memory-marker {
+          align-self: center;
+          max-width: 80%;
+          margin: 8px 0 16px;
+          padding: 6px 12px;
+          border: 1px dashed var(--border-color, #2a2a2a);
+          border-radius: 8px;
+          font-size: 12px;
+          color: var(--text-secondary, #a0a0a0);
+        }
+
+        .memory-marker summary {
+          cursor: pointer;
+          text-align: center;
+        }
+
+        .memory-text {
+          margin-top: 6px;
+          white-space: pre-wrap;
+        }
+
         .model-progress {
           display: flex;
           flex-direction: column;
@@ -112,11 +143,66 @@ export class ChatInterface extends HTMLElement {
 
         .input-wrapper {
           flex: 1;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .chat-container.drag-over .input-container {
+          outline: 2px dashed hsl(200, 100%, 50%);
+          outline-offset: -6px;
+        }
+
+        .attachment-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+        }
+
+        .attachment-chips:empty {
+          display: none;
+        }
+
+        .attachment-chip {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          max-width: 280px;
+          padding: 3px 8px;
+          border: 1px solid var(--border-color, #2a2a2a);
+          border-radius: 999px;
+          background: hsl(0, 0%, 12%);
+          font-size: 12px;
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .attachment-name {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .attachment-size {
+          color: var(--text-secondary, #a0a0a0);
+          white-space: nowrap;
+        }
+
+        .attachment-remove {
+          border: none;
+          background: transparent;
+          color: var(--text-secondary, #a0a0a0);
+          cursor: pointer;
+          padding: 0;
+        }
+
+        .attachment-remove:hover {
+          color: var(--text-primary, #e0e0e0);
         }
 
         .send-button-wrapper {
           display: flex;
           align-items: flex-end;
+          gap: 8px;
         }
 
         /* Custom scrollbar styling */
@@ -151,6 +237,7 @@ export class ChatInterface extends HTMLElement {
         </div>
         <div class="input-container">
           <div class="input-wrapper">
+            <div class="attachment-chips" id="attachment-chips"></div>
             <agc-textarea
               id="chat-input"
               placeholder="Type your message..."
@@ -162,6 +249,7 @@ export class ChatInterface extends HTMLElement {
             ></agc-textarea>
           </div>
           <div class="send-button-wrapper">
+            <agc-button id="attach-button" title="Attach text, code, CSV or Markdown files">📎</agc-button>
             <agc-button id="send-button">Send</agc-button>
           </div>
         </div>
@@ -201,8 +289,62 @@ export class ChatInterface extends HTMLElement {
         );
     });
 
-    // Listen for send button clicks
+    // Paperclip: the backend shows the file dialog
+    const attachButton = this.shadowRoot.querySelector("#attach-button");
+    if (attachButton) {
+      attachButton.addEventListener("click", () => {
+        this.dispatchEvent(
+          new CustomEvent("attach-files-request", {
+            bubbles: false,
+            composed: false,
+          })
+        );
+      });
+    }
+
+    // Files dropped anywhere on the chat are attached to the next message
+    const container = this.shadowRoot.querySelector(".chat-container");
+    if (container) {
+      container.addEventListener("dragover", (e) => {
+        if (!e.dataTransfer?.types.includes("Files")) return;
+        e.preventDefault();
+        container.classList.add("drag-over");
+      });
+      container.addEventListener("dragleave", (e) => {
+        if (!container.contains(e.relatedTarget)) {
+          container.classList.remove("drag-over");
+        }
+      });
+      container.addEventListener("drop", (e) => {
+        container.classList.remove("drag-over");
+        const filePaths = [...(e.dataTransfer?.files || [])]
+          .map((file) => file.path)
+          .filter(Boolean);
+        if (filePaths.length === 0) return;
+
+        e.preventDefault();
+        this.dispatchEvent(
+          new CustomEvent("files-dropped", {
+            bubbles: false,
+            composed: false,
+            detail: { filePaths },
+          })
+        );
+      });
+    }
+
+    // Listen for send button clicks (acts as Stop while streaming)
     sendButton.addEventListener("click", () => {
+        if (this.isStreaming) {
+          this.dispatchEvent(
+            new CustomEvent("stop-generation", {
+              bubbles: false,
+              composed: false,
+            })
+          );
+          return;
+        }
+
         this.dispatchEvent(
         new CustomEvent("send-message", {
             bubbles: false,
@@ -221,11 +363,17 @@ export class ChatInterface extends HTMLElement {
    * @param {string} sender - Message sender ("user", "assistant", "system")
    * @param {string} content - Message content (for user/system messages, or initial content for assistant)
    * @param {string} timestamp - Optional timestamp string
+   * @param {Object} attributes - Extra attributes to set on the chat-message element
    * @returns {HTMLElement} The created chat-message element
    */
-  addMessage(sender, content = "", timestamp = "") {
+  addMessage(sender, content = "", timestamp = "", attributes = {}) {
     const messageBubble = document.createElement("chat-message");
     messageBubble.setAttribute("sender", sender);
+    for (const [name, value] of Object.entries(attributes)) {
+      if (value != null && value !== "") {
+        messageBubble.setAttribute(name, value);
+      }
+    }
     
     if (sender === "assistant") {
       // For assistant messages, create empty bubble (segments will be added via API)
@@ -265,10 +413,40 @@ export class ChatInterface extends HTMLElement {
 
   /**
    * Create a new assistant message bubble (for multi-section responses)
+   * @param {Object} agent - Optional agent ({ name, color }) to label the bubble with
    * @returns {HTMLElement} The created chat-message element
    */
-  createAssistantMessage() {
-    return this.addMessage("assistant");
+  createAssistantMessage(agent = null) {
+    return this.addMessage("assistant", "", "", {
+      "agent-name": agent?.name,
+      "agent-color": agent?.color,
+    });
+  }
+
+  /**
+   * Mark where earlier messages were summarized; the summary expands on click
+   * @param {string} text - The memory the messages were folded into
+   * @param {HTMLElement} afterElement - Message the summary ends with (appended at the end when omitted)
+   * @returns {HTMLElement} The marker element
+   */
+  addMemoryMarker(text, afterElement = null) {
+    const marker = document.createElement("details");
+    marker.className = "memory-marker";
+    marker.innerHTML = `
+      <summary>🧠 Earlier messages summarized into memory</summary>
+      <div class="memory-text"></div>
+    `;
+    marker.querySelector(".memory-text").textContent = text;
+
+    const messagesContainer = this.shadowRoot.querySelector(
+      ".messages-container"
+    );
+    if (afterElement?.parentNode === messagesContainer) {
+      afterElement.after(marker);
+    } else if (messagesContainer) {
+      messagesContainer.appendChild(marker);
+    }
+    return marker;
   }
 
   clearMessages() {
@@ -276,12 +454,27 @@ export class ChatInterface extends HTMLElement {
       ".messages-container"
     );
     if (messagesContainer) {
-      // Remove all chat-message elements
-      const messages = messagesContainer.querySelectorAll("chat-message");
+      // Remove all chat-message elements and memory markers
+      const messages = messagesContainer.querySelectorAll(
+        "chat-message, .memory-marker"
+      );
       messages.forEach((msg) => msg.remove());
     }
   }
 
+  /**
+   * Get the rendered chat-message elements in display order
+   * @returns {HTMLElement[]}
+   */
+  getMessageElements() {
+    const messagesContainer = this.shadowRoot.querySelector(
+      ".messages-container"
+    );
+    return messagesContainer
+      ? [...messagesContainer.querySelectorAll("chat-message")]
+      : [];
+  }
+
   setInputValue(value) {
     const textarea = this.shadowRoot.querySelector("#chat-input");
     if (textarea) {
@@ -308,6 +501,63 @@ export class ChatInterface extends HTMLElement {
     }
   }
 
+  /**
+   * Switch the send button between Send and Stop
+   * @param {boolean} isStreaming - True while a reply is being generated
+   */
+  setStreaming(isStreaming) {
+    this.isStreaming = !!isStreaming;
+    const sendButton = this.shadowRoot.querySelector("#send-button");
+    if (sendButton) {
+      sendButton.textContent = this.isStreaming ? "Stop" : "Send";
+    }
+  }
+
+  /**
+   * Show the files attached to the next message
+   * @param {Object[]} attachments - [{ id, name, path, tokenCount, truncated }]
+   */
+  setAttachments(attachments = []) {
+    const chipsEl = this.shadowRoot.querySelector("#attachment-chips");
+    if (!chipsEl) return;
+
+    chipsEl.innerHTML = "";
+    for (const attachment of attachments) {
+      const chip = document.createElement("div");
+      chip.className = "attachment-chip";
+      chip.title = attachment.path;
+
+      const name = document.createElement("span");
+      name.className = "attachment-name";
+      name.textContent = `📄 ${attachment.name}`;
+
+      const size = document.createElement("span");
+      size.className = "attachment-size";
+      size.textContent = `${attachment.tokenCount.toLocaleString()} tokens${
+        attachment.truncated ? " (truncated)" : ""
+      }`;
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "attachment-remove";
+      removeBtn.textContent = "✕";
+      removeBtn.title = "Remove";
+      removeBtn.addEventListener("click", () => {
+        this.dispatchEvent(
+          new CustomEvent("remove-attachment", {
+            bubbles: false,
+            composed: false,
+            detail: { attachmentId: attachment.id },
+          })
+        );
+      });
+
+      chip.appendChild(name);
+      chip.appendChild(size);
+      chip.appendChild(removeBtn);
+      chipsEl.appendChild(chip);
+    }
+  }
+
   /**
    * Show the model loading progress bar
    * @param {string} label
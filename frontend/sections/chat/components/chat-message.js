@@ -8,11 +8,32 @@
  * - sender: Message sender (e.g., "user", "assistant", "system")
  * - timestamp: Optional timestamp string (for user messages - applied to the segment)
  * - content: Message content text (for user messages)
+ * - agent-name: Optional agent name shown above assistant messages (group chats)
+ * - agent-color: Optional accent color for the agent name label
+ * - message-id: Id of the conversation tree node this message shows (enables editing/branch navigation)
+ * - branch-index: 1-based position among alternative versions of this message
+ * - branch-count: Number of alternative versions; "< 2/3 >" navigation is shown when above 1
+ * - can-continue: Show the Continue action (set on the latest assistant message)
+ * - token-count: Tokens the message takes with the loaded model's tokenizer (shown in the footer)
  *
  * For assistant messages with multiple segments, use the API methods:
  * - addSegment(segmentType, timestamp): Add a new segment
  * - updateSegmentContent(segmentIndex, content): Update content of a segment
  * - updateSegmentContentByType(segmentType, content): Update content by segment type (updates first matching segment)
+ * - markStopped(): Flag the message as stopped before the model finished
+ * - markTruncated(): Flag the message as cut off by the token limit
+ * - clearStatus(): Remove the stopped/truncated flag (e.g. when continuing)
+ * - setStructuredOutput(value): Show a parsed JSON reply as a collapsible tree (undefined hides it)
+ * - setMetrics(metrics): Show the generation performance of the reply (null hides it)
+ * - setSources(sources): Show the knowledge base excerpts the reply was given (empty hides them)
+ * - setAttachments(attachments): Show the files attached to a user message as chips
+ * - startEditing(): Show the inline editor (user messages)
+ *
+ * Events:
+ * - edit-message: Fired when an edited user message is submitted (detail: { messageId, content })
+ * - branch-navigate: Fired when a sibling arrow is clicked (detail: { messageId, direction })
+ * - regenerate-message: Fired when Regenerate is clicked on an assistant message (detail: { messageId })
+ * - continue-message: Fired when Continue is clicked on an assistant message (detail: { messageId })
  *
  * Usage Examples:
  *
@@ -41,11 +62,23 @@ export class ChatMessage extends HTMLElement {
     super();
     this.attachShadow({ mode: "open" });
     this._segments = []; // Track segments internally
+    this._attachments = []; // Files attached to a user message
     this._isInitialized = false;
   }
 
   static get observedAttributes() {
-    return ["sender", "timestamp", "content"];
+    return [
+      "sender",
+      "timestamp",
+      "content",
+      "agent-name",
+      "agent-color",
+      "message-id",
+      "branch-index",
+      "branch-count",
+      "can-continue",
+      "token-count",
+    ];
   }
 
   connectedCallback() {
@@ -61,6 +94,22 @@ export class ChatMessage extends HTMLElement {
 
   attributeChangedCallback(name) {
     if (this._isInitialized && this.shadowRoot) {
+      if (name === "agent-name" || name === "agent-color") {
+        this.updateAgentLabel();
+        return;
+      }
+
+      if (
+        name === "message-id" ||
+        name === "branch-index" ||
+        name === "branch-count" ||
+        name === "can-continue" ||
+        name === "token-count"
+      ) {
+        this.updateMessageFooter();
+        return;
+      }
+
       // Handle attribute changes for simple messages (user/system)
       if (this.sender === "user" || this.sender === "system") {
         this.renderSimpleMessage();
@@ -80,6 +129,26 @@ export class ChatMessage extends HTMLElement {
     return this.getAttribute("content") || "";
   }
 
+  get agentName() {
+    return this.getAttribute("agent-name") || "";
+  }
+
+  get agentColor() {
+    return this.getAttribute("agent-color") || "";
+  }
+
+  get messageId() {
+    return this.getAttribute("message-id") || "";
+  }
+
+  get branchIndex() {
+    return parseInt(this.getAttribute("branch-index"), 10) || 1;
+  }
+
+  get branchCount() {
+    return parseInt(this.getAttribute("branch-count"), 10) || 1;
+  }
+
   initialize() {
     const isUser = this.sender === "user";
     const isSystem = this.sender === "system";
@@ -103,9 +172,425 @@ export class ChatMessage extends HTMLElement {
         ${this.getStyles(isUser, isSystem)}
       </style>
       <div class="message-wrapper">
+        <div class="agent-label"></div>
         <div class="segments-container"></div>
+        <div class="structured-output"></div>
+        <div class="message-sources"></div>
+        <div class="message-status"></div>
+        <div class="message-metrics"></div>
+        ${this.getFooterHTML()}
       </div>
     `;
+
+    this.updateAgentLabel();
+    this.setupFooterListeners();
+  }
+
+  /**
+   * Flag an assistant message as stopped by the user (partial text is kept)
+   */
+  markStopped() {
+    this.setAttribute("data-stopped", "");
+    this.setStatus("⏹ Stopped");
+  }
+
+  /**
+   * Flag an assistant message as cut off by the token limit
+   */
+  markTruncated() {
+    this.setAttribute("data-truncated", "");
+    this.setStatus("✂ Cut off at the token limit");
+  }
+
+  /**
+   * Remove the stopped/truncated flag
+   */
+  clearStatus() {
+    this.removeAttribute("data-stopped");
+    this.removeAttribute("data-truncated");
+    this.setStatus("");
+  }
+
+  /**
+   * Show a status line under the message (hidden when empty)
+   * @param {string} text
+   */
+  setStatus(text) {
+    const status = this.shadowRoot?.querySelector(".message-status");
+    if (status) {
+      status.textContent = text;
+      status.style.display = text ? "block" : "none";
+    }
+  }
+
+  /**
+   * Markup for the footer with branch navigation and message actions
+   * @returns {string}
+   */
+  getFooterHTML() {
+    return `
+        <div class="message-footer">
+          <div class="branch-nav">
+            <button class="branch-prev" title="Previous version">&lt;</button>
+            <span class="branch-label"></span>
+            <button class="branch-next" title="Next version">&gt;</button>
+          </div>
+          <button class="message-action edit-button" title="Edit and resubmit">✎ Edit</button>
+          <button class="message-action regenerate-button" title="Generate another version">↻ Regenerate</button>
+          <button class="message-action continue-button" title="Continue this reply">→ Continue</button>
+          <span class="token-count"></span>
+        </div>
+    `;
+  }
+
+  setupFooterListeners() {
+    const dispatchBranchNavigate = (direction) => {
+      this.dispatchEvent(
+        new CustomEvent("branch-navigate", {
+          bubbles: true,
+          composed: true,
+          detail: { messageId: this.messageId, direction },
+        })
+      );
+    };
+
+    this.shadowRoot
+      .querySelector(".branch-prev")
+      ?.addEventListener("click", () => dispatchBranchNavigate(-1));
+    this.shadowRoot
+      .querySelector(".branch-next")
+      ?.addEventListener("click", () => dispatchBranchNavigate(1));
+    const dispatchMessageAction = (eventName) => {
+      this.dispatchEvent(
+        new CustomEvent(eventName, {
+          bubbles: true,
+          composed: true,
+          detail: { messageId: this.messageId },
+        })
+      );
+    };
+
+    this.shadowRoot
+      .querySelector(".edit-button")
+      ?.addEventListener("click", () => this.startEditing());
+    this.shadowRoot
+      .querySelector(".regenerate-button")
+      ?.addEventListener("click", () =>
+        dispatchMessageAction("regenerate-message")
+      );
+    this.shadowRoot
+      .querySelector(".continue-button")
+      ?.addEventListener("click", () =>
+        dispatchMessageAction("continue-message")
+      );
+    this.shadowRoot
+      .querySelector(".edit-cancel")
+      ?.addEventListener("click", () => this.stopEditing());
+    this.shadowRoot
+      .querySelector(".edit-submit")
+      ?.addEventListener("click", () => this.submitEdit());
+
+    const editInput = this.shadowRoot.querySelector(".edit-input");
+    editInput?.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.submitEdit();
+      } else if (e.key === "Escape") {
+        this.stopEditing();
+      }
+    });
+
+    this.updateMessageFooter();
+  }
+
+  /**
+   * Show branch navigation and message actions when they apply.
+   * Agent replies in group chats are not regenerated one by one.
+   */
+  updateMessageFooter() {
+    const footer = this.shadowRoot?.querySelector(".message-footer");
+    if (!footer) return;
+
+    const hasBranches = this.branchCount > 1;
+    const canEdit = this.sender === "user" && !!this.messageId;
+    const canRegenerate =
+      this.sender === "assistant" && !!this.messageId && !this.agentName;
+    const canContinue = canRegenerate && this.hasAttribute("can-continue");
+    const tokenCount = this.getAttribute("token-count");
+
+    const branchNav = footer.querySelector(".branch-nav");
+    branchNav.style.display = hasBranches ? "" : "none";
+    footer.querySelector(".branch-label").textContent =
+      `${this.branchIndex}/${this.branchCount}`;
+    footer.querySelector(".branch-prev").disabled = this.branchIndex <= 1;
+    footer.querySelector(".branch-next").disabled =
+      this.branchIndex >= this.branchCount;
+
+    footer.querySelector(".edit-button").style.display = canEdit ? "" : "none";
+    footer.querySelector(".regenerate-button").style.display = canRegenerate
+      ? ""
+      : "none";
+    footer.querySelector(".continue-button").style.display = canContinue
+      ? ""
+      : "none";
+    footer.querySelector(".token-count").textContent = tokenCount
+      ? `${Number(tokenCount).toLocaleString()} tokens`
+      : "";
+    footer.style.display =
+      hasBranches || canEdit || canRegenerate || tokenCount ? "" : "none";
+  }
+
+  /**
+   * Replace the user bubble with an inline editor
+   */
+  startEditing() {
+    const editContainer = this.shadowRoot?.querySelector(".edit-container");
+    const editInput = this.shadowRoot?.querySelector(".edit-input");
+    if (!editContainer || !editInput) return;
+
+    editInput.value = this.content;
+    this.setAttribute("data-editing", "");
+    editInput.focus();
+    editInput.setSelectionRange(editInput.value.length, editInput.value.length);
+  }
+
+  stopEditing() {
+    this.removeAttribute("data-editing");
+  }
+
+  /**
+   * Submit the edited text as a new version of this message
+   */
+  submitEdit() {
+    const content = this.shadowRoot
+      ?.querySelector(".edit-input")
+      ?.value.trim();
+    if (!content) return;
+
+    this.stopEditing();
+    if (content === this.content) return;
+
+    this.dispatchEvent(
+      new CustomEvent("edit-message", {
+        bubbles: true,
+        composed: true,
+        detail: { messageId: this.messageId, content },
+      })
+    );
+  }
+
+  /**
+   * Show how fast the reply was generated
+   * @param {Object|null} metrics - { timeToFirstToken, tokensPerSecond, promptTokens, generatedTokens, stopReason }
+   */
+  setMetrics(metrics) {
+    const container = this.shadowRoot?.querySelector(".message-metrics");
+    if (!container) return;
+
+    if (!metrics) {
+      container.textContent = "";
+      container.style.display = "none";
+      return;
+    }
+
+    const stopReasons = {
+      eogToken: "end of turn",
+      stopGenerationTrigger: "stop trigger",
+      customStopTrigger: "stop trigger",
+      maxTokens: "token limit",
+      abort: "stopped",
+      functionCalls: "function call",
+    };
+    const parts = [
+      `⏱ ${(metrics.timeToFirstToken / 1000).toFixed(2)} s to first token`,
+    ];
+    if (metrics.tokensPerSecond != null) {
+      parts.push(`${metrics.tokensPerSecond.toFixed(1)} tok/s`);
+    }
+    // Remote servers may not report token usage
+    if (metrics.promptTokens != null) {
+      parts.push(`${metrics.promptTokens} prompt`);
+    }
+    if (metrics.generatedTokens != null) {
+      parts.push(`${metrics.generatedTokens} generated`);
+    }
+    parts.push(stopReasons[metrics.stopReason] || metrics.stopReason);
+
+    container.textContent = parts.join(" · ");
+    container.title = metrics.threads ? `${metrics.threads} threads` : "";
+    container.style.display = "block";
+  }
+
+  /**
+   * Show the files attached to a user message
+   * @param {Object[]} attachments - [{ name, path, tokenCount, truncated }]
+   */
+  setAttachments(attachments) {
+    this._attachments = Array.isArray(attachments) ? attachments : [];
+    this.renderAttachments();
+  }
+
+  /**
+   * Render the attachment chips
+   */
+  renderAttachments() {
+    const container = this.shadowRoot?.querySelector(".message-attachments");
+    if (!container) return;
+
+    container.innerHTML = "";
+    for (const attachment of this._attachments) {
+      const chip = document.createElement("div");
+      chip.className = "attachment-chip";
+      chip.title = attachment.path || "";
+      chip.textContent = `📄 ${attachment.name}${
+        attachment.truncated ? " (truncated)" : ""
+      }`;
+      container.appendChild(chip);
+    }
+  }
+
+  /**
+   * Show the knowledge base excerpts the reply was given, numbered as the
+   * model cites them
+   * @param {Object[]} sources - [{ index, sourceName, path, file, startLine, endLine, score, excerpt }]; empty hides the list
+   */
+  setSources(sources) {
+    const container = this.shadowRoot?.querySelector(".message-sources");
+    if (!container) return;
+
+    container.innerHTML = "";
+    if (!Array.isArray(sources) || sources.length === 0) {
+      container.style.display = "none";
+      return;
+    }
+
+    const root = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = `📚 ${sources.length} source${
+      sources.length === 1 ? "" : "s"
+    }`;
+    root.appendChild(summary);
+
+    for (const source of sources) {
+      const item = document.createElement("div");
+      item.className = "source-item";
+      item.title = source.path || "";
+
+      const label = document.createElement("div");
+      label.className = "source-label";
+      label.textContent = `[${source.index}] ${source.sourceName}/${source.file} · lines ${source.startLine}-${source.endLine}`;
+
+      const excerpt = document.createElement("div");
+      excerpt.className = "source-excerpt";
+      excerpt.textContent = source.excerpt || "";
+
+      item.appendChild(label);
+      item.appendChild(excerpt);
+      root.appendChild(item);
+    }
+
+    container.appendChild(root);
+    container.style.display = "block";
+  }
+
+  /**
+   * Show the parsed structured output of the reply as a collapsible JSON tree
+   * @param {*} value - Parsed JSON value; undefined hides the tree
+   */
+  setStructuredOutput(value) {
+    const container = this.shadowRoot?.querySelector(".structured-output");
+    if (!container) return;
+
+    container.innerHTML = "";
+    if (value === undefined) {
+      container.style.display = "none";
+      return;
+    }
+
+    const root = document.createElement("details");
+    root.className = "json-root";
+    root.open = true;
+
+    const summary = document.createElement("summary");
+    summary.textContent = "{ } Structured Output";
+    root.appendChild(summary);
+
+    if (value !== null && typeof value === "object") {
+      this.appendJsonEntries(root, value);
+    } else {
+      root.appendChild(this.createJsonNode(value));
+    }
+
+    container.appendChild(root);
+    container.style.display = "block";
+  }
+
+  /**
+   * Append a tree node for every property/item of an object or array
+   * @param {HTMLElement} parent
+   * @param {Object|Array} value
+   */
+  appendJsonEntries(parent, value) {
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : Object.entries(value);
+
+    for (const [key, item] of entries) {
+      parent.appendChild(this.createJsonNode(item, key));
+    }
+  }
+
+  /**
+   * Build the tree node for a JSON value: objects and arrays collapse,
+   * other values are shown inline
+   * @param {*} value
+   * @param {string|number} key - Property name or array index (omitted for the root)
+   * @returns {HTMLElement}
+   */
+  createJsonNode(value, key) {
+    const keyEl = document.createElement("span");
+    keyEl.className = "json-key";
+    keyEl.textContent = key === undefined ? "" : `${key}: `;
+
+    if (value !== null && typeof value === "object") {
+      const node = document.createElement("details");
+      node.className = "json-node";
+      node.open = true;
+
+      const count = Array.isArray(value)
+        ? `[${value.length}]`
+        : `{${Object.keys(value).length}}`;
+      const summary = document.createElement("summary");
+      summary.appendChild(keyEl);
+      summary.appendChild(document.createTextNode(count));
+      node.appendChild(summary);
+
+      this.appendJsonEntries(node, value);
+      return node;
+    }
+
+    const leaf = document.createElement("div");
+    leaf.className = "json-leaf";
+
+    const valueEl = document.createElement("span");
+    valueEl.className = `json-${value === null ? "null" : typeof value}`;
+    valueEl.textContent = JSON.stringify(value);
+
+    leaf.appendChild(keyEl);
+    leaf.appendChild(valueEl);
+    return leaf;
+  }
+
+  /**
+   * Show or hide the agent name label above the segments
+   */
+  updateAgentLabel() {
+    const label = this.shadowRoot?.querySelector(".agent-label");
+    if (!label) return;
+
+    label.textContent = this.agentName;
+    label.style.display = this.agentName ? "" : "none";
+    label.style.color = this.agentColor || "";
   }
 
   renderSimpleMessage() {
@@ -124,12 +609,26 @@ export class ChatMessage extends HTMLElement {
       </style>
       <div class="message-wrapper">
         <div class="segments-container"></div>
+        <div class="message-attachments"></div>
+        <div class="edit-container">
+          <textarea class="edit-input"></textarea>
+          <div class="edit-buttons">
+            <button class="edit-cancel">Cancel</button>
+            <button class="edit-submit">Save &amp; Submit</button>
+          </div>
+        </div>
+        ${this.getFooterHTML()}
       </div>
     `;
 
+    this.setupFooterListeners();
+    this.renderAttachments();
+
     // After rendering, add the single segment
     // Use setTimeout to ensure shadowRoot is ready
     setTimeout(() => {
+      // A message of attachments only has no text bubble
+      if (!content && this._attachments.length > 0) return;
       const segmentIndex = this.addSegment(segmentType, timestamp);
       if (segmentIndex >= 0) {
         this.updateSegmentContent(segmentIndex, content);
@@ -152,6 +651,232 @@ export class ChatMessage extends HTMLElement {
           width: 100%;
         }
 
+        .agent-label {
+          font-size: 12px;
+          font-weight: 600;
+          color: var(--message-segment-label-color, #b0b0b0);
+          margin: 4px 0 2px;
+          padding: 0 4px;
+        }
+
+        .message-footer {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 2px;
+          padding: 0 4px;
+          font-size: 11px;
+          color: var(--message-timestamp-color, #666666);
+        }
+
+        .branch-nav {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .branch-nav button,
+        .message-action {
+          border: none;
+          background: transparent;
+          color: var(--message-segment-label-color, #b0b0b0);
+          font-size: 11px;
+          cursor: pointer;
+          padding: 2px 4px;
+          border-radius: 4px;
+        }
+
+        .branch-nav button:hover:not(:disabled),
+        .message-action:hover {
+          background: rgba(255, 255, 255, 0.08);
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .branch-nav button:disabled {
+          opacity: 0.35;
+          cursor: default;
+        }
+
+        .message-action {
+          opacity: 0;
+          transition: opacity 0.15s ease;
+        }
+
+        .message-wrapper:hover .message-action,
+        :host([data-truncated]) .continue-button {
+          opacity: 1;
+        }
+
+        .edit-container {
+          display: none;
+          flex-direction: column;
+          gap: 6px;
+          width: 70%;
+          max-width: calc(100% - 300px);
+        }
+
+        :host([data-editing]) .edit-container {
+          display: flex;
+        }
+
+        :host([data-editing]) .segments-container,
+        :host([data-editing]) .message-footer {
+          display: none !important;
+        }
+
+        .edit-input {
+          width: 100%;
+          min-height: 80px;
+          padding: 8px 12px;
+          border-radius: 8px;
+          border: 1px solid var(--message-user-bg, #2a5c8f);
+          background-color: var(--message-assistant-bg, #2a2a2a);
+          color: var(--message-user-text, #e0e0e0);
+          font-family: inherit;
+          font-size: 14px;
+          resize: vertical;
+          outline: none;
+        }
+
+        .edit-buttons {
+          display: flex;
+          justify-content: flex-end;
+          gap: 6px;
+        }
+
+        .edit-buttons button {
+          padding: 4px 12px;
+          border-radius: 6px;
+          border: 1px solid var(--message-assistant-border, #353535);
+          background: var(--message-assistant-bg, #2a2a2a);
+          color: var(--text-primary, #e0e0e0);
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .edit-buttons .edit-submit {
+          background: var(--message-user-bg, #2a5c8f);
+          border-color: var(--message-user-bg, #2a5c8f);
+        }
+
+        .structured-output {
+          display: none;
+          max-width: calc(100% - 300px);
+          margin-top: 4px;
+          padding: 8px 12px;
+          border-radius: 8px;
+          border: 1px solid var(--message-assistant-border, #353535);
+          background-color: var(--message-assistant-bg, #2a2a2a);
+          font-family: monospace;
+          font-size: 12px;
+          color: var(--text-primary, #e0e0e0);
+          overflow-x: auto;
+        }
+
+        .structured-output summary {
+          cursor: pointer;
+        }
+
+        .json-root > summary {
+          font-family: inherit;
+          color: var(--message-segment-label-color, #b0b0b0);
+          margin-bottom: 4px;
+        }
+
+        .json-node > .json-node,
+        .json-node > .json-leaf {
+          padding-left: 16px;
+        }
+
+        .json-key {
+          color: #7aa2f7;
+        }
+
+        .json-string {
+          color: #9ece6a;
+        }
+
+        .json-number,
+        .json-boolean {
+          color: #ff9e64;
+        }
+
+        .json-null {
+          color: var(--message-timestamp-color, #666666);
+        }
+
+        .message-attachments {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: flex-end;
+          gap: 6px;
+          max-width: calc(100% - 300px);
+          margin-top: 4px;
+        }
+
+        .message-attachments:empty {
+          display: none;
+        }
+
+        .attachment-chip {
+          padding: 3px 8px;
+          border: 1px solid var(--message-user-bg, #2a5c8f);
+          border-radius: 999px;
+          font-size: 12px;
+          color: var(--text-primary, #e0e0e0);
+          white-space: nowrap;
+        }
+
+        .message-sources {
+          display: none;
+          max-width: calc(100% - 300px);
+          margin-top: 4px;
+          padding: 0 4px;
+          font-size: 12px;
+          color: var(--message-segment-label-color, #b0b0b0);
+        }
+
+        .message-sources summary {
+          cursor: pointer;
+        }
+
+        .source-item {
+          margin-top: 6px;
+          padding-left: 16px;
+        }
+
+        .source-label {
+          font-family: monospace;
+          color: var(--text-primary, #e0e0e0);
+          word-break: break-all;
+        }
+
+        .source-excerpt {
+          display: -webkit-box;
+          -webkit-line-clamp: 3;
+          -webkit-box-orient: vertical;
+          overflow: hidden;
+          white-space: pre-wrap;
+          color: var(--message-timestamp-color, #666666);
+        }
+
+        .message-metrics {
+          display: none;
+          font-size: 11px;
+          color: var(--message-timestamp-color, #666666);
+          margin-top: 2px;
+          padding: 0 4px;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .message-status {
+          display: none;
+          font-size: 11px;
+          color: var(--message-timestamp-color, #666666);
+          margin-top: 2px;
+          padding: 0 4px;
+        }
+
         .segments-container {
           display: flex;
           flex-direction: column;
@@ -623,13 +1348,13 @@ export class ChatMessage extends HTMLElement {
   }
 
   /**
-   * Append content to a segment by type
+   * Append content to a segment by type (appends to the latest matching segment)
    * @param {string} segmentType - Type of segment
    * @param {string} additionalContent - Content to append
    * @returns {boolean} True if segment was found and updated
    */
   appendSegmentContentByType(segmentType, additionalContent) {
-    const segmentIndex = this._segments.findIndex(
+    const segmentIndex = this._segments.findLastIndex(
       (s) => s.type === segmentType
     );
     if (segmentIndex === -1) {
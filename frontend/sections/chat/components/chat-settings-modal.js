@@ -3,16 +3,51 @@
  * 
  * A modal component for managing chat settings including:
  * - Model selection and loading
- * - Context configuration (allocation size, min/max context size)
+ * - Model library (folders scanned for GGUF files, header metadata, recent models)
+ * - Context configuration (allocation size, min/max context size, sequences, overflow strategy)
+ * - Sampling parameters (temperature, top-p/top-k/min-p, repeat penalties, max tokens, seed)
+ * - Structured output (JSON schema or GBNF grammar the reply must follow)
  * - Chat history management
- * - System information display
+ * - Conversation system prompt and saved prompt presets
+ * - Tools the model may call and the folders it may read
+ * - Knowledge base (local folders indexed for retrieval, excerpts per reply)
+ * - Group chat participants, speaker selection and agent definitions (local model, OpenAI-compatible server or scripted mock per agent)
+ * - System information display, including the models loaded in the model pool
+ * - Generation performance per model and thread count
+ * - Local OpenAI-compatible API server serving the loaded model
  * 
  * Events:
  * - browse-model-request: Dispatched when browse button is clicked
- * - load-model-request: Dispatched when load model button is clicked (detail: { modelPath, contextAllocationSize, minContextSize, maxContextSize })
+ * - load-model-request: Dispatched when load model button is clicked (detail: { modelPath, contextAllocationSize, minContextSize, maxContextSize, contextSequences })
  * - unload-model-request: Dispatched when unload model button is clicked
+ * - load-library-model-request: Dispatched when a library or recent model's Load button is clicked (detail: { modelPath })
+ * - add-library-folder-request: Dispatched when add folder button is clicked
+ * - remove-library-folder-request: Dispatched when a library folder is removed (detail: { folderPath })
+ * - rescan-library-request: Dispatched when rescan button is clicked
+ * - save-model-defaults-request: Dispatched when save defaults button is clicked (detail: { modelPath, defaults: { contextAllocationSize, minContextSize, maxContextSize, contextSequences, sampling } })
  * - clear-history-request: Dispatched when clear history button is clicked
- * - export-chat-request: Dispatched when export chat button is clicked
+ * - export-chat-request: Dispatched when export chat button is clicked (detail: { format })
+ * - import-chat-request: Dispatched when import chat button is clicked
+ * - context-strategy-change: Dispatched when the context overflow strategy changes (detail: { strategy })
+ * - sampling-change: Dispatched when a sampling parameter changes (detail: { temperature, topP, topK, minP, repeatPenalty, repeatLastTokens, frequencyPenalty, presencePenalty, maxTokens, seed })
+ * - structured-output-change: Dispatched when the structured output options change (detail: { mode, schema, grammar })
+ * - system-prompt-change: Dispatched when the system prompt is edited or a preset is chosen (detail: { systemPrompt })
+ * - save-preset-request: Dispatched when save preset button is clicked (detail: { preset: { id, name, systemPrompt } })
+ * - delete-preset-request: Dispatched when delete preset button is clicked (detail: { presetId })
+ * - tools-change: Dispatched when tools are enabled/disabled (detail: { tools })
+ * - approve-folder-request: Dispatched when approve folder button is clicked
+ * - remove-folder-request: Dispatched when an approved folder is removed (detail: { folderPath })
+ * - knowledge-change: Dispatched when the knowledge base options change (detail: { enabled, topK })
+ * - add-knowledge-folder-request: Dispatched when the knowledge base's add folder button is clicked
+ * - reindex-knowledge-source-request: Dispatched when an indexed folder's reindex button is clicked (detail: { sourceId })
+ * - remove-knowledge-source-request: Dispatched when an indexed folder is removed (detail: { sourceId })
+ * - group-chat-change: Dispatched when group chat options change (detail: { enabled, agentIds, speakerMode, maxTurns })
+ * - save-agent-request: Dispatched when save agent button is clicked (detail: { agent })
+ * - unload-pool-model-request: Dispatched when a pooled model's unload button is clicked (detail: { modelId })
+ * - delete-agent-request: Dispatched when delete agent button is clicked (detail: { agentId })
+ * - test-provider-request: Dispatched when test connection button is clicked (detail: { provider })
+ * - reset-model-stats-request: Dispatched when reset stats button is clicked
+ * - api-server-change: Dispatched when the API server options change (detail: { enabled, port, apiKey })
  * - open: Dispatched when modal opens
  * - close: Dispatched when modal closes
  */
@@ -21,6 +56,53 @@ class ChatSettingsModal extends HTMLElement {
     super();
     this.attachShadow({ mode: "open" });
     this.listenersSetup = false;
+    this.agents = [];
+    this.groupChatConfig = {
+      enabled: false,
+      agentIds: [],
+      speakerMode: "round-robin",
+      maxTurns: 6,
+    };
+    this.samplingConfig = {
+      temperature: 0.8,
+      topP: 0.95,
+      topK: 40,
+      minP: 0.05,
+      repeatPenalty: 1.1,
+      repeatLastTokens: 64,
+      frequencyPenalty: 0,
+      presencePenalty: 0,
+      maxTokens: 0,
+      seed: null,
+    };
+    // Sampling inputs and the config key each one edits
+    this.samplingInputs = {
+      temperature: '#temperature-input',
+      topP: '#top-p-input',
+      topK: '#top-k-input',
+      minP: '#min-p-input',
+      repeatPenalty: '#repeat-penalty-input',
+      repeatLastTokens: '#repeat-last-tokens-input',
+      frequencyPenalty: '#frequency-penalty-input',
+      presencePenalty: '#presence-penalty-input',
+      maxTokens: '#max-tokens-input',
+      seed: '#seed-input',
+    };
+    this.editingAgentId = null;
+    this.structuredOutputConfig = {
+      mode: "off", // "off" | "json-schema" | "gbnf"
+      schema: "",
+      grammar: "",
+    };
+    this.presets = [];
+    this.selectedPresetId = null;
+    this.tools = []; // Available tools ({ name, title, description })
+    this.enabledTools = []; // Tool names enabled for single replies
+    this.agentTools = []; // Tool names of the agent in the editor
+    this.libraryModels = []; // Scanned models with their GGUF metadata
+    this.recentModels = [];
+    this.agentModelPath = ''; // Model of the agent in the editor ('' = default model)
+    this.libraryFilter = '';
   }
 
   connectedCallback() {
@@ -114,6 +196,140 @@ class ChatSettingsModal extends HTMLElement {
           flex-direction: column;
           gap: 20px;
         }
+
+        .agent-list {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          max-height: 160px;
+          overflow-y: auto;
+        }
+
+        .agent-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 8px;
+          background: var(--bg-secondary, #1e1e1e);
+          border-radius: 4px;
+          font-size: 13px;
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .agent-row.editing {
+          outline: 1px solid hsl(200, 100%, 50%);
+        }
+
+        .agent-color-dot {
+          width: 10px;
+          height: 10px;
+          border-radius: 50%;
+          flex-shrink: 0;
+        }
+
+        .agent-name {
+          flex: 1;
+          cursor: pointer;
+        }
+
+        .agent-empty {
+          font-size: 12px;
+          color: var(--text-secondary, #999);
+        }
+
+        .tool-row {
+          display: flex;
+          align-items: flex-start;
+          gap: 8px;
+          padding: 6px 8px;
+          background: var(--bg-secondary, #1e1e1e);
+          border-radius: 4px;
+          font-size: 13px;
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .tool-description {
+          font-size: 11px;
+          color: var(--text-secondary, #999);
+        }
+
+        .folder-path {
+          flex: 1;
+          font-family: monospace;
+          font-size: 12px;
+          word-break: break-all;
+        }
+
+        .remove-folder {
+          border: none;
+          background: transparent;
+          color: var(--text-secondary, #a0a0a0);
+          cursor: pointer;
+        }
+
+        .remove-folder:hover {
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .agent-tools {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px 12px;
+          font-size: 12px;
+          color: var(--text-secondary, #cccccc);
+        }
+
+        .agent-tools label {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .library-list {
+          max-height: 260px;
+        }
+
+        .library-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 6px 8px;
+          background: var(--bg-secondary, #1e1e1e);
+          border-radius: 4px;
+          font-size: 13px;
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .library-info {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .library-name {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .library-details {
+          font-size: 11px;
+          color: var(--text-secondary, #999);
+        }
+
+        .library-details.error {
+          color: #ff6b6b;
+        }
+
+        .settings-select {
+          width: 100%;
+          height: 36px;
+          padding: 0 8px;
+          background: hsl(0, 0%, 12%);
+          color: var(--text-primary, #e0e0e0);
+          border: 2px solid hsl(0, 0%, 20%);
+          border-radius: 6px;
+          font-family: inherit;
+        }
       </style>
 
       <agc-modal id="settings-modal" width="900px">
@@ -227,8 +443,294 @@ class ChatSettingsModal extends HTMLElement {
                       <div style="font-size: 11px; color: var(--text-secondary, #999);">
                         Context size range (default: 16000 - 48000)
                       </div>
+                      <div>
+                        <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                          Sequences
+                        </label>
+                        <agc-input
+                          id="context-sequences-input"
+                          type="number"
+                          min="1"
+                          step="1"
+                          color1="hsl(0, 0%, 12%)"
+                          color2="hsl(0, 0%, 20%)"
+                          color3="hsl(200, 100%, 50%)"
+                          radius="normal"
+                        ></agc-input>
+                        <div style="font-size: 11px; color: var(--text-secondary, #999); margin-top: 2px;">
+                          Conversations and agents that keep their own KV cache; each reserves a full context (default: 2)
+                        </div>
+                      </div>
+                      <div>
+                        <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                          When the Context Is Full
+                        </label>
+                        <select id="context-strategy-select" class="settings-select">
+                          <option value="sliding-window">Sliding window (cut the oldest text)</option>
+                          <option value="drop-oldest">Drop the oldest turns</option>
+                          <option value="summarize">Summarize older turns into a memory</option>
+                        </select>
+                        <div style="font-size: 11px; color: var(--text-secondary, #999); margin-top: 2px;">
+                          Applies to long conversations; the full history stays saved either way
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <!-- Model Library -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Model Library</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 12px;">
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Recent Models
+                    </label>
+                    <div class="agent-list" id="recent-model-list"></div>
+                  </div>
+
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Library
+                    </label>
+                    <div style="display: flex; flex-direction: column; gap: 8px;">
+                      <agc-input
+                        id="library-filter-input"
+                        placeholder="Filter by name, architecture or quantization"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                      <div class="agent-list library-list" id="model-library-list"></div>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Model Folders
+                    </label>
+                    <div style="display: flex; flex-direction: column; gap: 8px;">
+                      <div class="agent-list" id="library-folder-list"></div>
+                      <div style="display: flex; gap: 8px;">
+                        <agc-button id="add-library-folder-btn">Add Folder...</agc-button>
+                        <agc-button id="rescan-library-btn">Rescan</agc-button>
+                      </div>
+                    </div>
+                  </div>
+
+                  <div style="display: flex; flex-direction: column; gap: 4px;">
+                    <agc-button id="save-model-defaults-btn">Save Settings as Model Defaults</agc-button>
+                    <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                      Stores the context and sampling settings for the model in Model Path; they are applied whenever it is loaded from the library
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <!-- Sampling -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Sampling</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 10px;">
+                  <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Temperature
+                      </label>
+                      <agc-input
+                        id="temperature-input"
+                        type="number"
+                        min="0"
+                        step="0.05"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Top P
+                      </label>
+                      <agc-input
+                        id="top-p-input"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        max="1"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Top K
+                      </label>
+                      <agc-input
+                        id="top-k-input"
+                        type="number"
+                        min="0"
+                        step="1"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Min P
+                      </label>
+                      <agc-input
+                        id="min-p-input"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        max="1"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                  </div>
+                  <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                    Temperature 0 always picks the most likely token; Top K 0 considers every token
+                  </div>
+                  <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Repeat Penalty
+                      </label>
+                      <agc-input
+                        id="repeat-penalty-input"
+                        type="number"
+                        min="1"
+                        step="0.05"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Penalty Lookback (tokens)
+                      </label>
+                      <agc-input
+                        id="repeat-last-tokens-input"
+                        type="number"
+                        min="0"
+                        step="16"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Frequency Penalty
+                      </label>
+                      <agc-input
+                        id="frequency-penalty-input"
+                        type="number"
+                        min="0"
+                        step="0.05"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Presence Penalty
+                      </label>
+                      <agc-input
+                        id="presence-penalty-input"
+                        type="number"
+                        min="0"
+                        step="0.05"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                  </div>
+                  <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                    A repeat penalty of 1 with no frequency/presence penalty disables repetition penalties
+                  </div>
+                  <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Max Tokens
+                      </label>
+                      <agc-input
+                        id="max-tokens-input"
+                        type="number"
+                        min="0"
+                        step="64"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Seed
+                      </label>
+                      <agc-input
+                        id="seed-input"
+                        type="number"
+                        min="0"
+                        step="1"
+                        placeholder="Random"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
                     </div>
                   </div>
+                  <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                    Max tokens 0 lets the model answer until it stops; leave the seed empty for a random one
+                  </div>
+                </div>
+              </div>
+
+              <!-- Structured Output -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Structured Output</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 10px;">
+                  <select id="structured-output-mode" class="settings-select">
+                    <option value="off">Off (free text)</option>
+                    <option value="json-schema">JSON schema</option>
+                    <option value="gbnf">GBNF grammar</option>
+                  </select>
+                  <div id="structured-output-editor" hidden>
+                    <agc-textarea
+                      id="structured-output-input"
+                      rows="6"
+                      minrows="6"
+                      maxrows="16"
+                      color1="hsl(0, 0%, 12%)"
+                      radius="normal"
+                      style="font-family: monospace; font-size: 12px;"
+                    ></agc-textarea>
+                    <div id="structured-output-error" style="font-size: 11px; color: #ff6b6b; margin-top: 2px;" hidden></div>
+                  </div>
+                  <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                    Replies are forced to match the schema or grammar; tools are not offered while this is on
+                  </div>
                 </div>
               </div>
             </div>
@@ -246,52 +748,379 @@ class ChatSettingsModal extends HTMLElement {
                     </label>
                     <div style="display: flex; flex-direction: column; gap: 8px;">
                       <agc-button id="clear-history-btn">Clear History</agc-button>
-                      <agc-button id="export-chat-btn">Export Chat</agc-button>
+                      <div style="display: flex; gap: 8px;">
+                        <select id="export-format-select" class="settings-select" style="flex: 1;">
+                          <option value="markdown">Markdown (.md)</option>
+                          <option value="json">JSON (.json)</option>
+                          <option value="html">HTML (.html)</option>
+                        </select>
+                        <agc-button id="export-chat-btn">Export Chat</agc-button>
+                      </div>
+                      <agc-button id="import-chat-btn">Import Chat</agc-button>
+                      <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                        Imports JSON exports, OpenAI-style messages and ChatML transcripts
+                      </div>
                     </div>
                   </div>
                 </div>
               </div>
 
-              <!-- System Information -->
+              <!-- System Prompt -->
               <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
-                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">System Information</h3>
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">System Prompt</h3>
 
-                <div style="display: flex; flex-direction: column; gap: 8px;">
-                  <div style="font-size: 14px; color: var(--text-secondary, #cccccc);">
-                    <strong style="color: var(--text-primary, #e0e0e0);">Llama.cpp:</strong> <span id="llama-status">Not initialized</span>
+                <div style="display: flex; flex-direction: column; gap: 12px;">
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                      Preset
+                    </label>
+                    <div style="display: flex; gap: 8px;">
+                      <select id="preset-select" class="settings-select" style="flex: 1;">
+                        <option value="">No preset</option>
+                      </select>
+                      <agc-button id="delete-preset-btn" disabled>Delete</agc-button>
+                    </div>
                   </div>
-                  <div style="font-size: 14px; color: var(--text-secondary, #cccccc);">
-                    <strong style="color: var(--text-primary, #e0e0e0);">VRAM:</strong> <span id="vram-info">Unknown</span>
+
+                  <div>
+                    <agc-textarea
+                      id="system-prompt-input"
+                      placeholder="Instructions the model follows in this conversation..."
+                      rows="4"
+                      minrows="4"
+                      maxrows="12"
+                      color1="hsl(0, 0%, 12%)"
+                      radius="normal"
+                    ></agc-textarea>
+                    <div style="font-size: 11px; color: var(--text-secondary, #999); margin-top: 2px;">
+                      Saved with the conversation and sent ahead of the history on every reply
+                    </div>
                   </div>
-                  <div style="font-size: 14px; color: var(--text-primary, #e0e0e0);">
-                    <strong style="color: var(--text-secondary, #cccccc);">GPU:</strong> <span id="gpu-info">Unknown</span>
+
+                  <div style="display: flex; gap: 8px; align-items: center;">
+                    <agc-input
+                      id="preset-name-input"
+                      type="text"
+                      placeholder="Preset name"
+                      color1="hsl(0, 0%, 12%)"
+                      color2="hsl(0, 0%, 20%)"
+                      color3="hsl(200, 100%, 50%)"
+                      radius="normal"
+                      style="flex: 1;"
+                    ></agc-input>
+                    <agc-button id="save-preset-btn">Save as Preset</agc-button>
                   </div>
                 </div>
               </div>
-            </div>
-          </div>
-
-          <div style="display: flex; justify-content: flex-end; margin-top: 24px; padding-top: 16px; border-top: 1px solid var(--border-color, #2a2a2a);">
-            <agc-button id="close-settings-btn">Close</agc-button>
-          </div>
-        </div>
-      </agc-modal>
-    `;
-  }
 
-  setupEventListeners() {
-    // Prevent duplicate event listener setup
-    if (this.listenersSetup) {
-      return;
-    }
-    this.listenersSetup = true;
+              <!-- Tools -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Tools</h3>
 
-    const modal = this.shadowRoot.querySelector('#settings-modal');
-    const closeBtn = this.shadowRoot.querySelector('#close-settings-btn');
-    const loadModelBtn = this.shadowRoot.querySelector('#load-model-btn');
-    const unloadModelBtn = this.shadowRoot.querySelector('#unload-model-btn');
-    const clearHistoryBtn = this.shadowRoot.querySelector('#clear-history-btn');
-    const exportChatBtn = this.shadowRoot.querySelector('#export-chat-btn');
+                <div style="display: flex; flex-direction: column; gap: 12px;">
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Available to the model
+                    </label>
+                    <div class="agent-list" id="tool-list"></div>
+                  </div>
+
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Approved Folders
+                    </label>
+                    <div style="display: flex; flex-direction: column; gap: 8px;">
+                      <div class="agent-list" id="folder-list"></div>
+                      <agc-button id="approve-folder-btn">Approve Folder...</agc-button>
+                      <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                        The Read file tool can only open files inside these folders
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <!-- Knowledge Base -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Knowledge Base</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 12px;">
+                  <label style="display: flex; align-items: center; gap: 8px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                    <input type="checkbox" id="knowledge-enabled" />
+                    Answer from indexed documents
+                  </label>
+
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                      Excerpts per Reply
+                    </label>
+                    <agc-input
+                      id="knowledge-topk-input"
+                      type="number"
+                      min="1"
+                      max="20"
+                      step="1"
+                      color1="hsl(0, 0%, 12%)"
+                      color2="hsl(0, 0%, 20%)"
+                      color3="hsl(200, 100%, 50%)"
+                      radius="normal"
+                    ></agc-input>
+                  </div>
+
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Indexed Folders
+                    </label>
+                    <div style="display: flex; flex-direction: column; gap: 8px;">
+                      <div class="agent-list" id="knowledge-source-list"></div>
+                      <agc-button id="add-knowledge-folder-btn">Add Folder...</agc-button>
+                      <div style="font-size: 12px; color: var(--text-secondary, #999);" id="knowledge-status"></div>
+                      <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                        Text, Markdown and code files are embedded on this machine with the loaded model; nothing is uploaded
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <!-- Group Chat -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Group Chat</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 12px;">
+                  <label style="display: flex; align-items: center; gap: 8px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                    <input type="checkbox" id="group-chat-enabled" />
+                    Reply with selected agents
+                  </label>
+
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Participants
+                    </label>
+                    <div class="agent-list" id="agent-list"></div>
+                  </div>
+
+                  <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px;">
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Next Speaker
+                      </label>
+                      <select id="speaker-mode-select" class="settings-select">
+                        <option value="round-robin">Round robin</option>
+                        <option value="mention">Whoever is mentioned</option>
+                        <option value="moderator">Moderator chooses</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Max Turns
+                      </label>
+                      <agc-input
+                        id="max-turns-input"
+                        type="number"
+                        min="1"
+                        step="1"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Agent Editor
+                    </label>
+                    <div style="display: flex; flex-direction: column; gap: 8px;">
+                      <agc-input
+                        id="agent-name-input"
+                        type="text"
+                        placeholder="Agent name"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                      <agc-textarea
+                        id="agent-prompt-input"
+                        placeholder="System prompt for this agent..."
+                        rows="3"
+                        minrows="3"
+                        maxrows="8"
+                        color1="hsl(0, 0%, 12%)"
+                        radius="normal"
+                      ></agc-textarea>
+                      <select id="agent-provider-select" class="settings-select" title="Backend this agent replies with">
+                        <option value="node-llama-cpp">Local model</option>
+                        <option value="openai-compatible">OpenAI-compatible server</option>
+                        <option value="mock">Scripted mock (echoes the prompt)</option>
+                      </select>
+                      <select id="agent-model-select" class="settings-select" title="Model this agent replies with"></select>
+                      <div id="agent-remote-fields" style="display: none; flex-direction: column; gap: 8px;">
+                        <agc-input
+                          id="agent-base-url-input"
+                          type="url"
+                          placeholder="Base URL, e.g. http://localhost:8080/v1"
+                          color1="hsl(0, 0%, 12%)"
+                          color2="hsl(0, 0%, 20%)"
+                          color3="hsl(200, 100%, 50%)"
+                          radius="normal"
+                        ></agc-input>
+                        <agc-input
+                          id="agent-api-key-input"
+                          type="password"
+                          placeholder="API key (optional)"
+                          color1="hsl(0, 0%, 12%)"
+                          color2="hsl(0, 0%, 20%)"
+                          color3="hsl(200, 100%, 50%)"
+                          radius="normal"
+                        ></agc-input>
+                        <agc-input
+                          id="agent-remote-model-input"
+                          type="text"
+                          placeholder="Model name (server default when empty)"
+                          color1="hsl(0, 0%, 12%)"
+                          color2="hsl(0, 0%, 20%)"
+                          color3="hsl(200, 100%, 50%)"
+                          radius="normal"
+                        ></agc-input>
+                        <div style="display: flex; gap: 8px; align-items: center;">
+                          <agc-button id="test-provider-btn">Test Connection</agc-button>
+                          <span id="provider-test-result" style="font-size: 12px; color: var(--text-secondary, #999);"></span>
+                        </div>
+                      </div>
+                      <div class="agent-tools" id="agent-tool-list"></div>
+                      <div class="agent-tools">
+                        <label title="Append the indexed documents relevant to the user's message to this agent's instructions">
+                          <input type="checkbox" id="agent-knowledge-enabled" />
+                          Answer from the knowledge base
+                        </label>
+                      </div>
+                      <div style="display: flex; gap: 8px; flex-wrap: wrap; align-items: center;">
+                        <input type="color" id="agent-color-input" value="#4a9eff" title="Agent color" />
+                        <agc-button id="save-agent-btn">Save Agent</agc-button>
+                        <agc-button id="new-agent-btn">New</agc-button>
+                        <agc-button id="delete-agent-btn" disabled>Delete</agc-button>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <!-- System Information -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">System Information</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                  <div style="font-size: 14px; color: var(--text-secondary, #cccccc);">
+                    <strong style="color: var(--text-primary, #e0e0e0);">Llama.cpp:</strong> <span id="llama-status">Not initialized</span>
+                  </div>
+                  <div style="font-size: 14px; color: var(--text-secondary, #cccccc);">
+                    <strong style="color: var(--text-primary, #e0e0e0);">VRAM:</strong> <span id="vram-info">Unknown</span>
+                  </div>
+                  <div style="font-size: 14px; color: var(--text-primary, #e0e0e0);">
+                    <strong style="color: var(--text-secondary, #cccccc);">GPU:</strong> <span id="gpu-info">Unknown</span>
+                  </div>
+                  <div>
+                    <label style="display: block; margin-bottom: 4px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                      Loaded Models
+                    </label>
+                    <div class="agent-list" id="pool-model-list"></div>
+                    <div style="font-size: 11px; color: var(--text-secondary, #999); margin-top: 2px;">
+                      Models no agent is using are unloaded, least recently used first, when VRAM runs out
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <!-- Performance -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Performance</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                  <div class="agent-list" id="model-stats-list"></div>
+                  <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                    Averages over every reply, per model file and thread count
+                  </div>
+                  <div style="display: flex; justify-content: flex-end;">
+                    <agc-button id="reset-model-stats-btn">Reset Stats</agc-button>
+                  </div>
+                </div>
+              </div>
+
+              <!-- Local API Server -->
+              <div style="border: 1px solid var(--border-color, #2a2a2a); border-radius: 8px; padding: 16px; background: var(--bg-primary, #121212);">
+                <h3 style="margin: 0 0 12px 0; color: var(--text-secondary, #cccccc); font-size: 16px;">Local API Server</h3>
+
+                <div style="display: flex; flex-direction: column; gap: 8px;">
+                  <label style="display: flex; align-items: center; gap: 8px; font-weight: 500; color: var(--text-primary, #e0e0e0);">
+                    <input type="checkbox" id="api-server-enabled" />
+                    Serve the loaded model over an OpenAI-compatible API
+                  </label>
+                  <div style="display: grid; grid-template-columns: 1fr 2fr; gap: 8px;">
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        Port
+                      </label>
+                      <agc-input
+                        id="api-server-port-input"
+                        type="number"
+                        min="1"
+                        max="65535"
+                        step="1"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                    <div>
+                      <label style="display: block; margin-bottom: 4px; font-size: 13px; color: var(--text-secondary, #cccccc);">
+                        API Key
+                      </label>
+                      <agc-input
+                        id="api-server-key-input"
+                        type="text"
+                        placeholder="Generated when the server is enabled"
+                        color1="hsl(0, 0%, 12%)"
+                        color2="hsl(0, 0%, 20%)"
+                        color3="hsl(200, 100%, 50%)"
+                        radius="normal"
+                      ></agc-input>
+                    </div>
+                  </div>
+                  <div style="font-size: 13px; color: var(--text-secondary, #cccccc);" id="api-server-status">Stopped</div>
+                  <div style="font-size: 11px; color: var(--text-secondary, #999);">
+                    /v1/models, /v1/chat/completions and /v1/embeddings on 127.0.0.1, for scripts and editor plugins
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div style="display: flex; justify-content: flex-end; margin-top: 24px; padding-top: 16px; border-top: 1px solid var(--border-color, #2a2a2a);">
+            <agc-button id="close-settings-btn">Close</agc-button>
+          </div>
+        </div>
+      </agc-modal>
+    `;
+  }
+
+  setupEventListeners() {
+    // Prevent duplicate event listener setup
+    if (this.listenersSetup) {
+      return;
+    }
+    this.listenersSetup = true;
+
+    const modal = this.shadowRoot.querySelector('#settings-modal');
+    const closeBtn = this.shadowRoot.querySelector('#close-settings-btn');
+    const loadModelBtn = this.shadowRoot.querySelector('#load-model-btn');
+    const unloadModelBtn = this.shadowRoot.querySelector('#unload-model-btn');
+    const clearHistoryBtn = this.shadowRoot.querySelector('#clear-history-btn');
+    const exportChatBtn = this.shadowRoot.querySelector('#export-chat-btn');
+    const importChatBtn = this.shadowRoot.querySelector('#import-chat-btn');
 
     // Close button
     if (closeBtn) {
@@ -321,6 +1150,7 @@ class ChatSettingsModal extends HTMLElement {
             contextAllocationSize: this.getContextAllocationSize(),
             minContextSize: this.getMinContextSize(),
             maxContextSize: this.getMaxContextSize(),
+            contextSequences: this.getContextSequences(),
           }
         }));
       });
@@ -336,285 +1166,1826 @@ class ChatSettingsModal extends HTMLElement {
       });
     }
 
-    // Clear history button
-    if (clearHistoryBtn) {
-      clearHistoryBtn.addEventListener('click', () => {
-        this.dispatchEvent(new CustomEvent('clear-history-request', {
+    // Model library
+    const addLibraryFolderBtn = this.shadowRoot.querySelector('#add-library-folder-btn');
+    if (addLibraryFolderBtn) {
+      addLibraryFolderBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('add-library-folder-request', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+
+    const rescanLibraryBtn = this.shadowRoot.querySelector('#rescan-library-btn');
+    if (rescanLibraryBtn) {
+      rescanLibraryBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('rescan-library-request', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+
+    const resetModelStatsBtn = this.shadowRoot.querySelector('#reset-model-stats-btn');
+    if (resetModelStatsBtn) {
+      resetModelStatsBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('reset-model-stats-request', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+
+    // API server options
+    for (const selector of ['#api-server-enabled', '#api-server-port-input', '#api-server-key-input']) {
+      const element = this.shadowRoot.querySelector(selector);
+      if (element) {
+        element.addEventListener('change', () => {
+          this.dispatchApiServerChange();
+        });
+      }
+    }
+
+    const libraryFilterInput = this.shadowRoot.querySelector('#library-filter-input');
+    if (libraryFilterInput) {
+      libraryFilterInput.addEventListener('change', () => {
+        this.libraryFilter = libraryFilterInput.getValue?.() || '';
+        this.renderModelLibrary();
+      });
+    }
+
+    const saveModelDefaultsBtn = this.shadowRoot.querySelector('#save-model-defaults-btn');
+    if (saveModelDefaultsBtn) {
+      saveModelDefaultsBtn.addEventListener('click', () => {
+        const modelPath = this.getModelPath().trim();
+        if (!modelPath) return;
+
+        this.dispatchEvent(new CustomEvent('save-model-defaults-request', {
+          bubbles: false,
+          composed: true,
+          detail: {
+            modelPath,
+            defaults: {
+              contextAllocationSize: this.getContextAllocationSize(),
+              minContextSize: this.getMinContextSize(),
+              maxContextSize: this.getMaxContextSize(),
+              contextSequences: this.getContextSequences(),
+              sampling: this.getSamplingConfig(),
+            }
+          }
+        }));
+      });
+    }
+
+    // Clear history button
+    if (clearHistoryBtn) {
+      clearHistoryBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('clear-history-request', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+
+    // Export chat button
+    if (exportChatBtn) {
+      exportChatBtn.addEventListener('click', () => {
+        const format = this.shadowRoot.querySelector('#export-format-select')?.value || 'markdown';
+        this.dispatchEvent(new CustomEvent('export-chat-request', {
+          bubbles: false,
+          composed: true,
+          detail: { format }
+        }));
+      });
+    }
+
+    // Import chat button
+    if (importChatBtn) {
+      importChatBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('import-chat-request', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+
+    // Sampling parameters
+    for (const selector of Object.values(this.samplingInputs)) {
+      const inputEl = this.shadowRoot.querySelector(selector);
+      if (inputEl) {
+        inputEl.addEventListener('change', () => {
+          this.dispatchSamplingChange();
+        });
+      }
+    }
+
+    // Context overflow strategy
+    const contextStrategySelect = this.shadowRoot.querySelector('#context-strategy-select');
+    if (contextStrategySelect) {
+      contextStrategySelect.addEventListener('change', () => {
+        this.dispatchEvent(new CustomEvent('context-strategy-change', {
+          bubbles: false,
+          composed: true,
+          detail: { strategy: contextStrategySelect.value }
+        }));
+      });
+    }
+
+    // Structured output
+    const structuredOutputMode = this.shadowRoot.querySelector('#structured-output-mode');
+    if (structuredOutputMode) {
+      structuredOutputMode.addEventListener('change', () => {
+        this.storeStructuredOutputText();
+        this.structuredOutputConfig.mode = structuredOutputMode.value;
+        this.updateStructuredOutputEditor();
+        this.dispatchStructuredOutputChange();
+      });
+    }
+
+    const structuredOutputInput = this.shadowRoot.querySelector('#structured-output-input');
+    if (structuredOutputInput) {
+      structuredOutputInput.addEventListener('close', () => {
+        this.storeStructuredOutputText();
+        this.dispatchStructuredOutputChange();
+      });
+    }
+
+    // System prompt and presets
+    const systemPromptInput = this.shadowRoot.querySelector('#system-prompt-input');
+    if (systemPromptInput) {
+      // Sent when editing ends rather than on every keystroke
+      systemPromptInput.addEventListener('close', () => {
+        this.dispatchSystemPromptChange();
+      });
+    }
+
+    const presetSelect = this.shadowRoot.querySelector('#preset-select');
+    if (presetSelect) {
+      presetSelect.addEventListener('change', () => {
+        this.selectPreset(presetSelect.value || null, true);
+      });
+    }
+
+    const savePresetBtn = this.shadowRoot.querySelector('#save-preset-btn');
+    if (savePresetBtn) {
+      savePresetBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('save-preset-request', {
+          bubbles: false,
+          composed: true,
+          detail: {
+            preset: this.getPresetEditorData(),
+          }
+        }));
+      });
+    }
+
+    const deletePresetBtn = this.shadowRoot.querySelector('#delete-preset-btn');
+    if (deletePresetBtn) {
+      deletePresetBtn.addEventListener('click', () => {
+        if (!this.selectedPresetId) return;
+        this.dispatchEvent(new CustomEvent('delete-preset-request', {
+          bubbles: false,
+          composed: true,
+          detail: {
+            presetId: this.selectedPresetId,
+          }
+        }));
+      });
+    }
+
+    // Approved folders for the file tool
+    const approveFolderBtn = this.shadowRoot.querySelector('#approve-folder-btn');
+    if (approveFolderBtn) {
+      approveFolderBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('approve-folder-request', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+
+    // Group chat options
+    // Knowledge base
+    for (const selector of ['#knowledge-enabled', '#knowledge-topk-input']) {
+      const element = this.shadowRoot.querySelector(selector);
+      if (element) {
+        element.addEventListener('change', () => {
+          this.dispatchEvent(new CustomEvent('knowledge-change', {
+            bubbles: false,
+            composed: true,
+            detail: this.getKnowledgeConfig()
+          }));
+        });
+      }
+    }
+
+    const addKnowledgeFolderBtn = this.shadowRoot.querySelector('#add-knowledge-folder-btn');
+    if (addKnowledgeFolderBtn) {
+      addKnowledgeFolderBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('add-knowledge-folder-request', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+
+    const groupChatEnabled = this.shadowRoot.querySelector('#group-chat-enabled');
+    if (groupChatEnabled) {
+      groupChatEnabled.addEventListener('change', () => {
+        this.dispatchGroupChatChange();
+      });
+    }
+
+    const speakerModeSelect = this.shadowRoot.querySelector('#speaker-mode-select');
+    if (speakerModeSelect) {
+      speakerModeSelect.addEventListener('change', () => {
+        this.dispatchGroupChatChange();
+      });
+    }
+
+    const maxTurnsInput = this.shadowRoot.querySelector('#max-turns-input');
+    if (maxTurnsInput) {
+      maxTurnsInput.addEventListener('change', () => {
+        this.dispatchGroupChatChange();
+      });
+    }
+
+    // Agent editor buttons
+    const saveAgentBtn = this.shadowRoot.querySelector('#save-agent-btn');
+    if (saveAgentBtn) {
+      saveAgentBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('save-agent-request', {
+          bubbles: false,
+          composed: true,
+          detail: {
+            agent: this.getAgentEditorData(),
+          }
+        }));
+      });
+    }
+
+    const agentProviderSelect = this.shadowRoot.querySelector('#agent-provider-select');
+    if (agentProviderSelect) {
+      agentProviderSelect.addEventListener('change', () => {
+        this.updateAgentProviderFields();
+      });
+    }
+
+    const testProviderBtn = this.shadowRoot.querySelector('#test-provider-btn');
+    if (testProviderBtn) {
+      testProviderBtn.addEventListener('click', () => {
+        this.setProviderTestResult('Connecting…');
+        this.dispatchEvent(new CustomEvent('test-provider-request', {
+          bubbles: false,
+          composed: true,
+          detail: {
+            provider: this.getAgentEditorData().provider,
+          }
+        }));
+      });
+    }
+
+    const newAgentBtn = this.shadowRoot.querySelector('#new-agent-btn');
+    if (newAgentBtn) {
+      newAgentBtn.addEventListener('click', () => {
+        this.editAgent(null);
+      });
+    }
+
+    const deleteAgentBtn = this.shadowRoot.querySelector('#delete-agent-btn');
+    if (deleteAgentBtn) {
+      deleteAgentBtn.addEventListener('click', () => {
+        if (!this.editingAgentId) return;
+        this.dispatchEvent(new CustomEvent('delete-agent-request', {
+          bubbles: false,
+          composed: true,
+          detail: {
+            agentId: this.editingAgentId,
+          }
+        }));
+      });
+    }
+
+    // Modal events - handle backdrop clicks and other modal close events
+    if (modal) {
+      modal.addEventListener('close', () => {
+        // When modal closes via backdrop click or other internal means,
+        // ensure our wrapper state is consistent
+        this.removeAttribute('open');
+        this.dispatchEvent(new CustomEvent('close', {
+          bubbles: false,
+          composed: true
+        }));
+      });
+    }
+  }
+
+  /**
+   * Open the settings modal
+   */
+  open() {
+    // Show the wrapper first
+    this.setAttribute('open', '');
+
+    const modal = this.shadowRoot?.querySelector('#settings-modal');
+    if (modal) {
+      // Use the modal's open method for proper event handling
+      modal.setAttribute('open', '');
+      
+      // Ensure progress bar is hidden when modal opens
+      this.hideProgress();
+      
+      this.dispatchEvent(new CustomEvent('open', {
+        bubbles: false,
+        composed: true
+      }));
+    }
+  }
+
+  /**
+   * Close the settings modal
+   */
+  close() {
+    const modal = this.shadowRoot?.querySelector('#settings-modal');
+    if (modal) {
+      // Use the modal's close method to ensure proper event dispatching
+      modal.removeAttribute('open');
+    }
+
+    // Hide the wrapper - the modal event listener will handle this
+    this.removeAttribute('open');
+  }
+
+  /**
+   * Update the model status display
+   * @param {string} status - Status text to display
+   */
+  setModelStatus(status) {
+    const statusEl = this.shadowRoot?.querySelector('#llama-status');
+    if (statusEl) {
+      statusEl.textContent = status;
+    }
+
+    // Update button states based on model status
+    this.updateButtonStates(status);
+  }
+
+  /**
+   * Update button states based on model status
+   * @param {string} status - Current model status
+   */
+  updateButtonStates(status) {
+    const loadBtn = this.shadowRoot?.querySelector('#load-model-btn');
+    const unloadBtn = this.shadowRoot?.querySelector('#unload-model-btn');
+    const normalized = (status || "").toLowerCase();
+
+    // Check if model is actually loaded (not "no model loaded" or "unloaded")
+    const isModelLoaded = normalized === "model loaded" || 
+                         normalized === "loaded" ||
+                         (normalized.includes("loaded") && 
+                          !normalized.includes("no model") && 
+                          !normalized.includes("unloaded") &&
+                          !normalized.includes("failed"));
+
+    if (isModelLoaded) {
+      // Model is loaded - enable unload, disable load
+      if (loadBtn) loadBtn.setAttribute('disabled', '');
+      if (unloadBtn) unloadBtn.removeAttribute('disabled');
+    } else {
+      // Model is not loaded - enable load, disable unload
+      if (loadBtn) loadBtn.removeAttribute('disabled');
+      if (unloadBtn) unloadBtn.setAttribute('disabled', '');
+    }
+  }
+
+  /**
+   * Update the VRAM information display
+   * @param {string} info - VRAM info to display
+   */
+  setVramInfo(info) {
+    const vramEl = this.shadowRoot?.querySelector('#vram-info');
+    if (vramEl) {
+      vramEl.textContent = info;
+    }
+  }
+
+  /**
+   * Update the GPU information display
+   * @param {string} info - GPU info to display
+   */
+  setGpuInfo(info) {
+    const gpuEl = this.shadowRoot?.querySelector('#gpu-info');
+    if (gpuEl) {
+      gpuEl.textContent = info;
+    }
+  }
+
+  /**
+   * Set the modal data from config
+   * @param {Object} config - Configuration data
+   */
+  setConfigData(config = {}) {
+    if (config.modelPath) {
+      this.setModelPath(config.modelPath);
+    }
+    // Always set context settings - use config values or defaults
+    this.setContextAllocationSize(
+      typeof config.contextAllocationSize === "number" 
+        ? config.contextAllocationSize 
+        : 32000
+    );
+    this.setMinContextSize(
+      typeof config.minContextSize === "number" 
+        ? config.minContextSize 
+        : 16000
+    );
+    this.setMaxContextSize(
+      typeof config.maxContextSize === "number" 
+        ? config.maxContextSize 
+        : 48000
+    );
+    this.setContextSequences(
+      typeof config.contextSequences === "number"
+        ? config.contextSequences
+        : 2
+    );
+    this.setContextStrategy(config.contextStrategy || "sliding-window");
+  }
+
+  /**
+   * Apply backend model state payload
+   * @param {Object} state - Backend state
+   */
+  applyModelState(state = {}) {
+    if (state.modelPath) {
+      this.setModelPath(state.modelPath);
+    }
+
+    if (typeof state.statusLabel === "string") {
+      this.setModelStatus(state.statusLabel);
+    } else if (typeof state.status === "string") {
+      this.setModelStatus(state.status);
+    }
+  }
+
+  /**
+   * Get the current modal data for saving to config
+   * @returns {Object} Configuration data
+   */
+  getConfigData() {
+    return {
+      modelPath: this.getModelPath(),
+      contextAllocationSize: this.getContextAllocationSize(),
+      minContextSize: this.getMinContextSize(),
+      maxContextSize: this.getMaxContextSize(),
+      contextSequences: this.getContextSequences(),
+    };
+  }
+
+  /**
+   * Set the model path in the input field
+   * @param {string} path - Model file path
+   */
+  setModelPath(path) {
+    const inputEl = this.shadowRoot?.querySelector('#model-path-input');
+    if (inputEl && typeof inputEl.setValue === 'function') {
+      inputEl.setValue(path || '');
+    }
+  }
+
+  /**
+   * Get the model path from the input field
+   * @returns {string} Model file path
+   */
+  getModelPath() {
+    const inputEl = this.shadowRoot?.querySelector('#model-path-input');
+    if (inputEl && typeof inputEl.getValue === 'function') {
+      return inputEl.getValue() || '';
+    }
+    return '';
+  }
+
+  /**
+   * Set the context allocation size
+   * @param {number} size - Allocation size
+   */
+  setContextAllocationSize(size) {
+    const inputEl = this.shadowRoot?.querySelector('#context-allocation-size-input');
+    if (inputEl && typeof inputEl.setValue === 'function') {
+      inputEl.setValue(String(size || 32000));
+    }
+  }
+
+  /**
+   * Get the context allocation size
+   * @returns {number} Allocation size
+   */
+  getContextAllocationSize() {
+    const inputEl = this.shadowRoot?.querySelector('#context-allocation-size-input');
+    if (inputEl && typeof inputEl.getValue === 'function') {
+      return parseInt(inputEl.getValue()) || 32000;
+    }
+    return 32000;
+  }
+
+  /**
+   * Set the minimum context size
+   * @param {number} size - Minimum context size
+   */
+  setMinContextSize(size) {
+    const inputEl = this.shadowRoot?.querySelector('#min-context-size-input');
+    if (inputEl && typeof inputEl.setValue === 'function') {
+      inputEl.setValue(String(size || 16000));
+    }
+  }
+
+  /**
+   * Get the minimum context size
+   * @returns {number} Minimum context size
+   */
+  getMinContextSize() {
+    const inputEl = this.shadowRoot?.querySelector('#min-context-size-input');
+    if (inputEl && typeof inputEl.getValue === 'function') {
+      return parseInt(inputEl.getValue()) || 16000;
+    }
+    return 16000;
+  }
+
+  /**
+   * Set the maximum context size
+   * @param {number} size - Maximum context size
+   */
+  setMaxContextSize(size) {
+    const inputEl = this.shadowRoot?.querySelector('#max-context-size-input');
+    if (inputEl && typeof inputEl.setValue === 'function') {
+      inputEl.setValue(String(size || 48000));
+    }
+  }
+
+  /**
+   * Get the maximum context size
+   * @returns {number} Maximum context size
+   */
+  getMaxContextSize() {
+    const inputEl = this.shadowRoot?.querySelector('#max-context-size-input');
+    if (inputEl && typeof inputEl.getValue === 'function') {
+      return parseInt(inputEl.getValue()) || 48000;
+    }
+    return 48000;
+  }
+
+  /**
+   * Set the number of context sequences
+   * @param {number} count - Sequences per loaded model
+   */
+  setContextSequences(count) {
+    const inputEl = this.shadowRoot?.querySelector('#context-sequences-input');
+    if (inputEl && typeof inputEl.setValue === 'function') {
+      inputEl.setValue(String(count || 2));
+    }
+  }
+
+  /**
+   * Get the number of context sequences
+   * @returns {number} Sequences per loaded model
+   */
+  getContextSequences() {
+    const inputEl = this.shadowRoot?.querySelector('#context-sequences-input');
+    if (inputEl && typeof inputEl.getValue === 'function') {
+      return Math.max(1, parseInt(inputEl.getValue()) || 2);
+    }
+    return 2;
+  }
+
+  /**
+   * Set the context overflow strategy
+   * @param {string} strategy - "sliding-window", "drop-oldest" or "summarize"
+   */
+  setContextStrategy(strategy) {
+    const selectEl = this.shadowRoot?.querySelector('#context-strategy-select');
+    if (selectEl) {
+      selectEl.value = strategy || 'sliding-window';
+    }
+  }
+
+  /**
+   * Get the context overflow strategy
+   * @returns {string}
+   */
+  getContextStrategy() {
+    const selectEl = this.shadowRoot?.querySelector('#context-strategy-select');
+    return selectEl?.value || 'sliding-window';
+  }
+
+  /**
+   * Set the sampling parameters shown in the form
+   * @param {Object} config - { temperature, topP, topK, minP, repeatPenalty, repeatLastTokens, frequencyPenalty, presencePenalty, maxTokens, seed }
+   */
+  setSamplingConfig(config = {}) {
+    this.samplingConfig = { ...this.samplingConfig, ...config };
+
+    for (const [key, selector] of Object.entries(this.samplingInputs)) {
+      const inputEl = this.shadowRoot?.querySelector(selector);
+      const value = this.samplingConfig[key];
+      if (inputEl && typeof inputEl.setValue === 'function') {
+        inputEl.setValue(value === null || value === undefined ? '' : String(value));
+      }
+    }
+  }
+
+  /**
+   * Get the sampling parameters from the form. Invalid fields keep their
+   * previous value; an empty seed means a random seed (null).
+   * @returns {Object} { temperature, topP, topK, minP, repeatPenalty, repeatLastTokens, frequencyPenalty, presencePenalty, maxTokens, seed }
+   */
+  getSamplingConfig() {
+    const config = { ...this.samplingConfig };
+    const integerKeys = ['topK', 'repeatLastTokens', 'maxTokens', 'seed'];
+
+    for (const [key, selector] of Object.entries(this.samplingInputs)) {
+      const inputEl = this.shadowRoot?.querySelector(selector);
+      const text = String(inputEl?.getValue?.() ?? '').trim();
+
+      if (key === 'seed' && text === '') {
+        config.seed = null;
+        continue;
+      }
+
+      const value = integerKeys.includes(key) ? parseInt(text) : parseFloat(text);
+      if (Number.isFinite(value) && value >= 0) {
+        config[key] = value;
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Notify listeners that the sampling parameters changed
+   */
+  dispatchSamplingChange() {
+    this.samplingConfig = this.getSamplingConfig();
+    this.dispatchEvent(new CustomEvent('sampling-change', {
+      bubbles: false,
+      composed: true,
+      detail: { ...this.samplingConfig }
+    }));
+  }
+
+  /**
+   * Set the structured output options shown in the form
+   * @param {Object} config - { mode, schema, grammar }
+   */
+  setStructuredOutputConfig(config = {}) {
+    this.structuredOutputConfig = { ...this.structuredOutputConfig, ...config };
+
+    const modeEl = this.shadowRoot?.querySelector('#structured-output-mode');
+    if (modeEl) {
+      modeEl.value = this.structuredOutputConfig.mode;
+    }
+    this.updateStructuredOutputEditor();
+  }
+
+  /**
+   * Get the structured output options
+   * @returns {Object} { mode, schema, grammar }
+   */
+  getStructuredOutputConfig() {
+    this.storeStructuredOutputText();
+    return { ...this.structuredOutputConfig };
+  }
+
+  /**
+   * Keep the editor text as the schema or grammar of the current mode
+   */
+  storeStructuredOutputText() {
+    const inputEl = this.shadowRoot?.querySelector('#structured-output-input');
+    const text = inputEl?.getValue?.() ?? '';
+    const { mode } = this.structuredOutputConfig;
+
+    if (mode === 'json-schema') {
+      this.structuredOutputConfig.schema = text;
+    } else if (mode === 'gbnf') {
+      this.structuredOutputConfig.grammar = text;
+    }
+  }
+
+  /**
+   * Show the editor with the schema or grammar of the current mode
+   */
+  updateStructuredOutputEditor() {
+    const editorEl = this.shadowRoot?.querySelector('#structured-output-editor');
+    const inputEl = this.shadowRoot?.querySelector('#structured-output-input');
+    const { mode, schema, grammar } = this.structuredOutputConfig;
+
+    if (editorEl) {
+      editorEl.hidden = mode === 'off';
+    }
+    if (inputEl && typeof inputEl.setValue === 'function') {
+      inputEl.setValue(mode === 'gbnf' ? grammar : mode === 'json-schema' ? schema : '');
+      inputEl.setAttribute(
+        'placeholder',
+        mode === 'gbnf'
+          ? 'root ::= "yes" | "no"'
+          : '{ "type": "object", "properties": { "tasks": { "type": "array", "items": { "type": "string" } } } }'
+      );
+    }
+    this.validateStructuredOutput();
+  }
+
+  /**
+   * Show an error when the JSON schema does not parse
+   * @returns {boolean} True if the options can be used
+   */
+  validateStructuredOutput() {
+    const errorEl = this.shadowRoot?.querySelector('#structured-output-error');
+    const { mode, schema } = this.structuredOutputConfig;
+    let message = '';
+
+    if (mode === 'json-schema' && schema.trim()) {
+      try {
+        JSON.parse(schema);
+      } catch (error) {
+        message = `Invalid JSON: ${error.message}`;
+      }
+    }
+
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = !message;
+    }
+    return !message;
+  }
+
+  /**
+   * Notify listeners that the structured output options changed
+   */
+  dispatchStructuredOutputChange() {
+    this.validateStructuredOutput();
+    this.dispatchEvent(new CustomEvent('structured-output-change', {
+      bubbles: false,
+      composed: true,
+      detail: { ...this.structuredOutputConfig }
+    }));
+  }
+
+  /**
+   * Set the system prompt of the open conversation. The preset with the same
+   * text (if any) is shown as selected.
+   * @param {string} systemPrompt
+   */
+  setSystemPrompt(systemPrompt = '') {
+    const inputEl = this.shadowRoot?.querySelector('#system-prompt-input');
+    if (inputEl && typeof inputEl.setValue === 'function') {
+      inputEl.setValue(systemPrompt || '');
+    }
+
+    const preset = systemPrompt
+      ? this.presets.find((p) => p.systemPrompt === systemPrompt)
+      : null;
+    this.selectPreset(preset?.id || null, false);
+  }
+
+  /**
+   * Get the system prompt from the editor
+   * @returns {string}
+   */
+  getSystemPrompt() {
+    const inputEl = this.shadowRoot?.querySelector('#system-prompt-input');
+    return inputEl?.getValue?.() || '';
+  }
+
+  /**
+   * Notify listeners that the system prompt changed
+   */
+  dispatchSystemPromptChange() {
+    this.dispatchEvent(new CustomEvent('system-prompt-change', {
+      bubbles: false,
+      composed: true,
+      detail: { systemPrompt: this.getSystemPrompt() }
+    }));
+  }
+
+  /**
+   * Set the saved system prompt presets
+   * @param {Object[]} presets - Presets from the PromptPresetManager ({ id, name, systemPrompt })
+   */
+  setPresets(presets = []) {
+    this.presets = presets;
+
+    const selectEl = this.shadowRoot?.querySelector('#preset-select');
+    if (selectEl) {
+      selectEl.innerHTML = '';
+
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = 'No preset';
+      selectEl.appendChild(none);
+
+      for (const preset of presets) {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        selectEl.appendChild(option);
+      }
+    }
+
+    // Drop the selection if the preset no longer exists
+    const selectedId = presets.some((p) => p.id === this.selectedPresetId)
+      ? this.selectedPresetId
+      : null;
+    this.selectPreset(selectedId, false);
+  }
+
+  /**
+   * Select a preset (null clears the selection)
+   * @param {string|null} presetId - Preset to select
+   * @param {boolean} apply - Load the preset into the system prompt editor
+   */
+  selectPreset(presetId, apply) {
+    const preset = this.presets.find((p) => p.id === presetId) || null;
+    this.selectedPresetId = preset ? preset.id : null;
+
+    const selectEl = this.shadowRoot?.querySelector('#preset-select');
+    const nameInput = this.shadowRoot?.querySelector('#preset-name-input');
+    const deleteBtn = this.shadowRoot?.querySelector('#delete-preset-btn');
+
+    if (selectEl) {
+      selectEl.value = this.selectedPresetId || '';
+    }
+    if (nameInput && typeof nameInput.setValue === 'function') {
+      nameInput.setValue(preset?.name || '');
+    }
+    if (deleteBtn) {
+      if (preset) {
+        deleteBtn.removeAttribute('disabled');
+      } else {
+        deleteBtn.setAttribute('disabled', '');
+      }
+    }
+
+    if (apply && preset) {
+      const inputEl = this.shadowRoot?.querySelector('#system-prompt-input');
+      if (inputEl && typeof inputEl.setValue === 'function') {
+        inputEl.setValue(preset.systemPrompt);
+      }
+      this.dispatchSystemPromptChange();
+    }
+  }
+
+  /**
+   * Get the preset to save from the editor. Keeping the selected preset's
+   * name overwrites it; a new name creates another preset.
+   * @returns {Object} Preset data ({ id, name, systemPrompt }); id is null for new presets
+   */
+  getPresetEditorData() {
+    const nameInput = this.shadowRoot?.querySelector('#preset-name-input');
+    const name = (nameInput?.getValue?.() || '').trim();
+    const selected = this.presets.find((p) => p.id === this.selectedPresetId);
+
+    return {
+      id: selected && selected.name === name ? selected.id : null,
+      name,
+      systemPrompt: this.getSystemPrompt(),
+    };
+  }
+
+  /**
+   * Set the tools the model can be given
+   * @param {Object[]} tools - Tools from the ToolManager ({ name, title, description })
+   */
+  setTools(tools = []) {
+    this.tools = tools;
+    this.renderToolList();
+    this.renderAgentToolList();
+  }
+
+  /**
+   * Set which tools are enabled for single replies
+   * @param {string[]} toolNames
+   */
+  setEnabledTools(toolNames = []) {
+    this.enabledTools = Array.isArray(toolNames) ? [...toolNames] : [];
+    this.renderToolList();
+  }
+
+  /**
+   * Get the tools enabled for single replies
+   * @returns {string[]}
+   */
+  getEnabledTools() {
+    return [...this.enabledTools];
+  }
+
+  /**
+   * Render the tool list with checkboxes
+   */
+  renderToolList() {
+    const listEl = this.shadowRoot?.querySelector('#tool-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (this.tools.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No tools available';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const tool of this.tools) {
+      const row = document.createElement('label');
+      row.className = 'tool-row';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.enabledTools.includes(tool.name);
+      checkbox.addEventListener('change', () => {
+        const names = this.enabledTools.filter((name) => name !== tool.name);
+        if (checkbox.checked) {
+          names.push(tool.name);
+        }
+        this.enabledTools = names;
+        this.dispatchEvent(new CustomEvent('tools-change', {
+          bubbles: false,
+          composed: true,
+          detail: { tools: [...this.enabledTools] }
+        }));
+      });
+
+      const info = document.createElement('div');
+      const title = document.createElement('div');
+      title.textContent = tool.title || tool.name;
+      const description = document.createElement('div');
+      description.className = 'tool-description';
+      description.textContent = tool.description || '';
+      info.appendChild(title);
+      info.appendChild(description);
+
+      row.appendChild(checkbox);
+      row.appendChild(info);
+      listEl.appendChild(row);
+    }
+  }
+
+  /**
+   * Render the tool checkboxes of the agent editor
+   */
+  renderAgentToolList() {
+    const listEl = this.shadowRoot?.querySelector('#agent-tool-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    for (const tool of this.tools) {
+      const label = document.createElement('label');
+      label.title = tool.description || '';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.agentTools.includes(tool.name);
+      checkbox.addEventListener('change', () => {
+        const names = this.agentTools.filter((name) => name !== tool.name);
+        if (checkbox.checked) {
+          names.push(tool.name);
+        }
+        this.agentTools = names;
+      });
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(tool.title || tool.name));
+      listEl.appendChild(label);
+    }
+  }
+
+  /**
+   * Fill the agent editor's model select with the library and recent models
+   */
+  renderAgentModelOptions() {
+    const selectEl = this.shadowRoot?.querySelector('#agent-model-select');
+    if (!selectEl) return;
+
+    const models = new Map();
+    for (const model of [...this.recentModels, ...this.libraryModels]) {
+      if (!models.has(model.modelPath)) {
+        models.set(model.modelPath, model.name);
+      }
+    }
+    // Keep the agent's model selectable even if it is no longer in the library
+    if (this.agentModelPath && !models.has(this.agentModelPath)) {
+      models.set(this.agentModelPath, this.agentModelPath.split(/[\\/]/).pop());
+    }
+
+    selectEl.innerHTML = '';
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = 'Default model';
+    selectEl.appendChild(defaultOption);
+
+    for (const [modelPath, name] of models) {
+      const option = document.createElement('option');
+      option.value = modelPath;
+      option.textContent = name;
+      option.title = modelPath;
+      selectEl.appendChild(option);
+    }
+    selectEl.value = this.agentModelPath;
+  }
+
+  /**
+   * Show the models loaded in the backend model pool
+   * @param {Object} status - Pool status ({ vram, models: [{ id, name, modelPath, refCount, isDefault, estimatedVram }] })
+   */
+  setPoolStatus(status = {}) {
+    const listEl = this.shadowRoot?.querySelector('#pool-model-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    const models = status.models || [];
+
+    if (models.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No models loaded';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const model of models) {
+      const row = document.createElement('div');
+      row.className = 'library-row';
+      row.title = model.modelPath;
+
+      const info = document.createElement('div');
+      info.className = 'library-info';
+
+      const name = document.createElement('div');
+      name.className = 'library-name';
+      name.textContent = model.isDefault ? `${model.name} (default)` : model.name;
+
+      const details = [
+        `${model.refCount} in use`,
+        `${model.sessions}/${model.sequences} sequences`,
+      ];
+      if (model.estimatedVram) {
+        details.push(`~${(model.estimatedVram / 1024 ** 3).toFixed(2)} GB VRAM`);
+      }
+      if (model.activeGenerations > 0) {
+        details.push('generating');
+      }
+      const detailsEl = document.createElement('div');
+      detailsEl.className = 'library-details';
+      detailsEl.textContent = details.join(' · ');
+
+      info.appendChild(name);
+      info.appendChild(detailsEl);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-folder';
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Unload';
+      removeBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('unload-pool-model-request', {
+          bubbles: false,
+          composed: true,
+          detail: { modelId: model.id }
+        }));
+      });
+
+      row.appendChild(info);
+      row.appendChild(removeBtn);
+      listEl.appendChild(row);
+    }
+  }
+
+  /**
+   * Show the generation statistics per model and thread count
+   * @param {Object[]} stats - [{ modelPath, name, threads, generations, avgTimeToFirstToken, tokensPerSecond, promptTokensPerSecond, avgPromptTokens, avgGeneratedTokens }]
+   */
+  setModelStats(stats = []) {
+    const listEl = this.shadowRoot?.querySelector('#model-stats-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (stats.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No replies measured yet';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const entry of stats) {
+      const row = document.createElement('div');
+      row.className = 'library-row';
+      row.title = entry.modelPath;
+
+      const info = document.createElement('div');
+      info.className = 'library-info';
+
+      const name = document.createElement('div');
+      name.className = 'library-name';
+      name.textContent = `${entry.name} · ${entry.threads} threads`;
+
+      const details = [
+        `${entry.generations} replies`,
+        `${(entry.avgTimeToFirstToken / 1000).toFixed(2)} s to first token`,
+      ];
+      if (entry.tokensPerSecond != null) {
+        details.push(`${entry.tokensPerSecond.toFixed(1)} tok/s`);
+      }
+      if (entry.promptTokensPerSecond != null) {
+        details.push(`${entry.promptTokensPerSecond.toFixed(0)} prompt tok/s`);
+      }
+      details.push(
+        `~${Math.round(entry.avgPromptTokens)} prompt / ${Math.round(entry.avgGeneratedTokens)} generated tokens`
+      );
+      const detailsEl = document.createElement('div');
+      detailsEl.className = 'library-details';
+      detailsEl.textContent = details.join(' · ');
+
+      info.appendChild(name);
+      info.appendChild(detailsEl);
+      row.appendChild(info);
+      listEl.appendChild(row);
+    }
+  }
+
+  /**
+   * Dispatch the current API server options
+   */
+  dispatchApiServerChange() {
+    const enabledEl = this.shadowRoot?.querySelector('#api-server-enabled');
+    const portInput = this.shadowRoot?.querySelector('#api-server-port-input');
+    const keyInput = this.shadowRoot?.querySelector('#api-server-key-input');
+
+    this.dispatchEvent(new CustomEvent('api-server-change', {
+      bubbles: false,
+      composed: true,
+      detail: {
+        enabled: !!enabledEl?.checked,
+        port: parseInt(portInput?.getValue?.(), 10) || 8080,
+        apiKey: keyInput?.getValue?.() || '',
+      }
+    }));
+  }
+
+  /**
+   * Show the API server options and whether it is running
+   * @param {Object} status - { enabled, port, apiKey, running, url, error }
+   */
+  setApiServerStatus(status = {}) {
+    const enabledEl = this.shadowRoot?.querySelector('#api-server-enabled');
+    const portInput = this.shadowRoot?.querySelector('#api-server-port-input');
+    const keyInput = this.shadowRoot?.querySelector('#api-server-key-input');
+    const statusEl = this.shadowRoot?.querySelector('#api-server-status');
+
+    if (enabledEl) {
+      enabledEl.checked = !!status.enabled;
+    }
+    if (portInput && typeof portInput.setValue === 'function') {
+      portInput.setValue(String(status.port || 8080));
+    }
+    if (keyInput && typeof keyInput.setValue === 'function') {
+      keyInput.setValue(status.apiKey || '');
+    }
+    if (statusEl) {
+      if (status.error) {
+        statusEl.textContent = `Not running: ${status.error}`;
+        statusEl.style.color = '#ff6b6b';
+      } else {
+        statusEl.textContent = status.running ? `Running at ${status.url}` : 'Stopped';
+        statusEl.style.color = '';
+      }
+    }
+  }
+
+  /**
+   * Show the folders the file tool may read from
+   * @param {string[]} folders - Approved folder paths
+   */
+  setApprovedFolders(folders = []) {
+    const listEl = this.shadowRoot?.querySelector('#folder-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (folders.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No folders approved';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const folderPath of folders) {
+      const row = document.createElement('div');
+      row.className = 'agent-row';
+
+      const pathEl = document.createElement('span');
+      pathEl.className = 'folder-path';
+      pathEl.textContent = folderPath;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-folder';
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Revoke access';
+      removeBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('remove-folder-request', {
+          bubbles: false,
+          composed: true,
+          detail: { folderPath }
+        }));
+      });
+
+      row.appendChild(pathEl);
+      row.appendChild(removeBtn);
+      listEl.appendChild(row);
+    }
+  }
+
+  /**
+   * Set the knowledge base options
+   * @param {Object} config - { enabled, topK }
+   */
+  setKnowledgeConfig(config = {}) {
+    const enabledEl = this.shadowRoot?.querySelector('#knowledge-enabled');
+    const topKInput = this.shadowRoot?.querySelector('#knowledge-topk-input');
+
+    if (enabledEl) {
+      enabledEl.checked = !!config.enabled;
+    }
+    if (topKInput && typeof topKInput.setValue === 'function') {
+      topKInput.setValue(String(config.topK || 4));
+    }
+  }
+
+  /**
+   * Get the knowledge base options from the form
+   * @returns {Object} { enabled, topK }
+   */
+  getKnowledgeConfig() {
+    const enabledEl = this.shadowRoot?.querySelector('#knowledge-enabled');
+    const topKInput = this.shadowRoot?.querySelector('#knowledge-topk-input');
+
+    return {
+      enabled: !!enabledEl?.checked,
+      topK: Math.min(Math.max(parseInt(topKInput?.getValue?.(), 10) || 4, 1), 20),
+    };
+  }
+
+  /**
+   * Show the folders indexed for the knowledge base
+   * @param {Object[]} sources - [{ id, path, name, fileCount, chunkCount, embeddingModel, indexedAt }]
+   */
+  setKnowledgeSources(sources = []) {
+    const listEl = this.shadowRoot?.querySelector('#knowledge-source-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (sources.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No folders indexed';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const source of sources) {
+      const row = document.createElement('div');
+      row.className = 'library-row';
+      row.title = `${source.path}\nEmbedded with ${source.embeddingModel || 'no model'}`;
+
+      const info = document.createElement('div');
+      info.className = 'library-info';
+
+      const name = document.createElement('div');
+      name.className = 'library-name';
+      name.textContent = source.name;
+
+      const detailsEl = document.createElement('div');
+      detailsEl.className = 'library-details';
+      detailsEl.textContent = [
+        `${source.fileCount} files`,
+        `${source.chunkCount} chunks`,
+        `indexed ${new Date(source.indexedAt).toLocaleString()}`,
+      ].join(' · ');
+
+      info.appendChild(name);
+      info.appendChild(detailsEl);
+
+      const reindexBtn = document.createElement('button');
+      reindexBtn.className = 'remove-folder';
+      reindexBtn.textContent = '↻';
+      reindexBtn.title = 'Reindex';
+      reindexBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('reindex-knowledge-source-request', {
           bubbles: false,
-          composed: true
+          composed: true,
+          detail: { sourceId: source.id }
         }));
       });
-    }
 
-    // Export chat button
-    if (exportChatBtn) {
-      exportChatBtn.addEventListener('click', () => {
-        this.dispatchEvent(new CustomEvent('export-chat-request', {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-folder';
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('remove-knowledge-source-request', {
           bubbles: false,
-          composed: true
+          composed: true,
+          detail: { sourceId: source.id }
         }));
       });
+
+      row.appendChild(info);
+      row.appendChild(reindexBtn);
+      row.appendChild(removeBtn);
+      listEl.appendChild(row);
     }
+  }
 
-    // Modal events - handle backdrop clicks and other modal close events
-    if (modal) {
-      modal.addEventListener('close', () => {
-        // When modal closes via backdrop click or other internal means,
-        // ensure our wrapper state is consistent
-        this.removeAttribute('open');
-        this.dispatchEvent(new CustomEvent('close', {
+  /**
+   * Show knowledge base indexing progress or an error
+   * @param {string} message - Empty hides the status
+   * @param {boolean} isError
+   */
+  setKnowledgeStatus(message = '', isError = false) {
+    const statusEl = this.shadowRoot?.querySelector('#knowledge-status');
+    if (!statusEl) return;
+
+    statusEl.textContent = message;
+    statusEl.style.color = isError ? '#ff6b6b' : '';
+  }
+
+  /**
+   * Show the folders scanned for models
+   * @param {string[]} folders - Library folder paths
+   */
+  setLibraryFolders(folders = []) {
+    const listEl = this.shadowRoot?.querySelector('#library-folder-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (folders.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No model folders added';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const folderPath of folders) {
+      const row = document.createElement('div');
+      row.className = 'agent-row';
+
+      const pathEl = document.createElement('span');
+      pathEl.className = 'folder-path';
+      pathEl.textContent = folderPath;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-folder';
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove from library';
+      removeBtn.addEventListener('click', () => {
+        this.dispatchEvent(new CustomEvent('remove-library-folder-request', {
           bubbles: false,
-          composed: true
+          composed: true,
+          detail: { folderPath }
         }));
       });
+
+      row.appendChild(pathEl);
+      row.appendChild(removeBtn);
+      listEl.appendChild(row);
     }
   }
 
   /**
-   * Open the settings modal
+   * Set the scanned models shown in the library
+   * @param {Object[]} models - Models from the ModelLibraryManager
    */
-  open() {
-    // Show the wrapper first
-    this.setAttribute('open', '');
-
-    const modal = this.shadowRoot?.querySelector('#settings-modal');
-    if (modal) {
-      // Use the modal's open method for proper event handling
-      modal.setAttribute('open', '');
-      
-      // Ensure progress bar is hidden when modal opens
-      this.hideProgress();
-      
-      this.dispatchEvent(new CustomEvent('open', {
-        bubbles: false,
-        composed: true
-      }));
-    }
+  setLibraryModels(models = []) {
+    this.libraryModels = models;
+    this.renderModelLibrary();
+    this.renderAgentModelOptions();
   }
 
   /**
-   * Close the settings modal
+   * Show that the library folders are being scanned
    */
-  close() {
-    const modal = this.shadowRoot?.querySelector('#settings-modal');
-    if (modal) {
-      // Use the modal's close method to ensure proper event dispatching
-      modal.removeAttribute('open');
-    }
-
-    // Hide the wrapper - the modal event listener will handle this
-    this.removeAttribute('open');
+  showLibraryScanning() {
+    const listEl = this.shadowRoot?.querySelector('#model-library-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    const empty = document.createElement('div');
+    empty.className = 'agent-empty';
+    empty.textContent = 'Scanning model folders...';
+    listEl.appendChild(empty);
   }
 
   /**
-   * Update the model status display
-   * @param {string} status - Status text to display
+   * Render the library models matching the filter
    */
-  setModelStatus(status) {
-    const statusEl = this.shadowRoot?.querySelector('#llama-status');
-    if (statusEl) {
-      statusEl.textContent = status;
+  renderModelLibrary() {
+    const listEl = this.shadowRoot?.querySelector('#model-library-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    const filter = this.libraryFilter.trim().toLowerCase();
+    const models = this.libraryModels.filter((model) =>
+      !filter ||
+      [model.name, model.fileName, model.architecture, model.quantization, model.sizeLabel]
+        .some((value) => value && value.toLowerCase().includes(filter))
+    );
+
+    if (models.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = this.libraryModels.length === 0
+        ? 'No models found. Add a folder containing .gguf files.'
+        : 'No models match the filter';
+      listEl.appendChild(empty);
+      return;
     }
 
-    // Update button states based on model status
-    this.updateButtonStates(status);
+    for (const model of models) {
+      listEl.appendChild(this.createModelRow(model, this.formatModelDetails(model), model.error));
+    }
   }
 
   /**
-   * Update button states based on model status
-   * @param {string} status - Current model status
+   * Show the recently loaded models
+   * @param {Object[]} recentModels - [{ modelPath, name, lastUsedAt }]
    */
-  updateButtonStates(status) {
-    const loadBtn = this.shadowRoot?.querySelector('#load-model-btn');
-    const unloadBtn = this.shadowRoot?.querySelector('#unload-model-btn');
-    const normalized = (status || "").toLowerCase();
+  setRecentModels(recentModels = []) {
+    this.recentModels = recentModels;
+    this.renderAgentModelOptions();
 
-    // Check if model is actually loaded (not "no model loaded" or "unloaded")
-    const isModelLoaded = normalized === "model loaded" || 
-                         normalized === "loaded" ||
-                         (normalized.includes("loaded") && 
-                          !normalized.includes("no model") && 
-                          !normalized.includes("unloaded") &&
-                          !normalized.includes("failed"));
+    const listEl = this.shadowRoot?.querySelector('#recent-model-list');
+    if (!listEl) return;
 
-    if (isModelLoaded) {
-      // Model is loaded - enable unload, disable load
-      if (loadBtn) loadBtn.setAttribute('disabled', '');
-      if (unloadBtn) unloadBtn.removeAttribute('disabled');
-    } else {
-      // Model is not loaded - enable load, disable unload
-      if (loadBtn) loadBtn.removeAttribute('disabled');
-      if (unloadBtn) unloadBtn.setAttribute('disabled', '');
+    listEl.innerHTML = '';
+
+    if (recentModels.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No models loaded yet';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const recent of recentModels) {
+      const lastUsed = recent.lastUsedAt
+        ? `Last used ${new Date(recent.lastUsedAt).toLocaleString()}`
+        : '';
+      listEl.appendChild(this.createModelRow(recent, lastUsed));
     }
   }
 
   /**
-   * Update the VRAM information display
-   * @param {string} info - VRAM info to display
+   * Build a model row with a Load button
+   * @param {Object} model - { modelPath, name, chatTemplate? }
+   * @param {string} details - Second line under the name
+   * @param {string} error - Shown instead of the details when set
+   * @returns {HTMLElement}
    */
-  setVramInfo(info) {
-    const vramEl = this.shadowRoot?.querySelector('#vram-info');
-    if (vramEl) {
-      vramEl.textContent = info;
+  createModelRow(model, details, error) {
+    const row = document.createElement('div');
+    row.className = 'library-row';
+    row.title = model.modelPath;
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+
+    const name = document.createElement('div');
+    name.className = 'library-name';
+    name.textContent = model.name;
+
+    const detailsEl = document.createElement('div');
+    detailsEl.className = error ? 'library-details error' : 'library-details';
+    detailsEl.textContent = error ? `Unreadable: ${error}` : details;
+    if (model.chatTemplate) {
+      detailsEl.title = model.chatTemplate.slice(0, 1000);
     }
+
+    info.appendChild(name);
+    info.appendChild(detailsEl);
+
+    const loadBtn = document.createElement('agc-button');
+    loadBtn.textContent = 'Load';
+    loadBtn.addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('load-library-model-request', {
+        bubbles: false,
+        composed: true,
+        detail: { modelPath: model.modelPath }
+      }));
+    });
+
+    row.appendChild(info);
+    row.appendChild(loadBtn);
+    return row;
   }
 
   /**
-   * Update the GPU information display
-   * @param {string} info - GPU info to display
+   * One-line summary of a model's GGUF metadata
+   * @param {Object} model - Library model
+   * @returns {string} e.g. "llama · 8.0B · Q4_K_M · 128K ctx · 4.58 GB · chat template"
    */
-  setGpuInfo(info) {
-    const gpuEl = this.shadowRoot?.querySelector('#gpu-info');
-    if (gpuEl) {
-      gpuEl.textContent = info;
+  formatModelDetails(model) {
+    const parts = [];
+    if (model.architecture) parts.push(model.architecture);
+    if (model.parameterCount) {
+      parts.push(this.formatCount(model.parameterCount));
+    } else if (model.sizeLabel) {
+      parts.push(model.sizeLabel);
     }
+    if (model.quantization) parts.push(model.quantization);
+    if (model.contextLength) parts.push(`${this.formatCount(model.contextLength, 1024)} ctx`);
+    if (model.size) parts.push(`${(model.size / 1024 ** 3).toFixed(2)} GB`);
+    if (model.hasDefaults) parts.push('defaults saved');
+    if (model.chatTemplate) parts.push('chat template');
+    return parts.join(' · ');
   }
 
   /**
-   * Set the modal data from config
-   * @param {Object} config - Configuration data
+   * Shorten a count, e.g. 8030261248 -> "8.0B" or 131072 (base 1024) -> "128K"
+   * @param {number} value
+   * @param {number} base - 1000 for parameters, 1024 for context lengths
+   * @returns {string}
    */
-  setConfigData(config = {}) {
-    if (config.modelPath) {
-      this.setModelPath(config.modelPath);
+  formatCount(value, base = 1000) {
+    const units = ['', 'K', 'M', 'B', 'T'];
+    let unit = 0;
+    while (value >= base && unit < units.length - 1) {
+      value /= base;
+      unit += 1;
     }
-    // Always set context settings - use config values or defaults
-    this.setContextAllocationSize(
-      typeof config.contextAllocationSize === "number" 
-        ? config.contextAllocationSize 
-        : 32000
-    );
-    this.setMinContextSize(
-      typeof config.minContextSize === "number" 
-        ? config.minContextSize 
-        : 16000
-    );
-    this.setMaxContextSize(
-      typeof config.maxContextSize === "number" 
-        ? config.maxContextSize 
-        : 48000
-    );
+    return `${unit > 0 && value < 10 ? value.toFixed(1) : Math.round(value)}${units[unit]}`;
   }
 
   /**
-   * Apply backend model state payload
-   * @param {Object} state - Backend state
+   * Set the list of available agents shown in the group chat card
+   * @param {Object[]} agents - Agent definitions from the AgentManager
    */
-  applyModelState(state = {}) {
-    if (state.modelPath) {
-      this.setModelPath(state.modelPath);
-    }
+  setAgents(agents = []) {
+    this.agents = agents;
 
-    if (typeof state.statusLabel === "string") {
-      this.setModelStatus(state.statusLabel);
-    } else if (typeof state.status === "string") {
-      this.setModelStatus(state.status);
+    // Drop the editor selection if the agent no longer exists
+    if (this.editingAgentId && !agents.some((a) => a.id === this.editingAgentId)) {
+      this.editAgent(null);
     }
+
+    this.renderAgentList();
   }
 
   /**
-   * Get the current modal data for saving to config
-   * @returns {Object} Configuration data
+   * Render the participant list with checkboxes
    */
-  getConfigData() {
-    return {
-      modelPath: this.getModelPath(),
-      contextAllocationSize: this.getContextAllocationSize(),
-      minContextSize: this.getMinContextSize(),
-      maxContextSize: this.getMaxContextSize(),
-    };
+  renderAgentList() {
+    const listEl = this.shadowRoot?.querySelector('#agent-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (this.agents.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'agent-empty';
+      empty.textContent = 'No agents yet. Create one with the editor below.';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    for (const agent of this.agents) {
+      const row = document.createElement('div');
+      row.className = `agent-row ${agent.id === this.editingAgentId ? 'editing' : ''}`;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.groupChatConfig.agentIds.includes(agent.id);
+      checkbox.addEventListener('change', () => {
+        const ids = this.groupChatConfig.agentIds.filter((id) => id !== agent.id);
+        if (checkbox.checked) {
+          ids.push(agent.id);
+        }
+        this.groupChatConfig.agentIds = ids;
+        this.dispatchGroupChatChange();
+      });
+
+      const dot = document.createElement('span');
+      dot.className = 'agent-color-dot';
+      dot.style.background = agent.color || '#4a9eff';
+
+      const name = document.createElement('span');
+      name.className = 'agent-name';
+      name.textContent = agent.name;
+      name.title = 'Edit agent';
+      name.addEventListener('click', () => {
+        this.editAgent(agent.id);
+      });
+
+      row.appendChild(checkbox);
+      row.appendChild(dot);
+      row.appendChild(name);
+      listEl.appendChild(row);
+    }
   }
 
   /**
-   * Set the model path in the input field
-   * @param {string} path - Model file path
+   * Load an agent into the editor (null clears the editor for a new agent)
+   * @param {string|null} agentId - Agent to edit
    */
-  setModelPath(path) {
-    const inputEl = this.shadowRoot?.querySelector('#model-path-input');
-    if (inputEl && typeof inputEl.setValue === 'function') {
-      inputEl.setValue(path || '');
+  editAgent(agentId) {
+    const agent = this.agents.find((a) => a.id === agentId) || null;
+    this.editingAgentId = agent ? agent.id : null;
+
+    const nameInput = this.shadowRoot?.querySelector('#agent-name-input');
+    const promptInput = this.shadowRoot?.querySelector('#agent-prompt-input');
+    const colorInput = this.shadowRoot?.querySelector('#agent-color-input');
+    const knowledgeEl = this.shadowRoot?.querySelector('#agent-knowledge-enabled');
+    const deleteBtn = this.shadowRoot?.querySelector('#delete-agent-btn');
+
+    if (nameInput && typeof nameInput.setValue === 'function') {
+      nameInput.setValue(agent?.name || '');
+    }
+    if (promptInput && typeof promptInput.setValue === 'function') {
+      promptInput.setValue(agent?.systemPrompt || '');
     }
+    if (colorInput) {
+      colorInput.value = agent?.color || '#4a9eff';
+    }
+    if (knowledgeEl) {
+      knowledgeEl.checked = !!agent?.knowledge;
+    }
+    this.agentTools = Array.isArray(agent?.tools) ? [...agent.tools] : [];
+    this.renderAgentToolList();
+    this.agentModelPath = agent?.modelPath || '';
+    this.renderAgentModelOptions();
+    this.setAgentProvider(agent?.provider);
+    if (deleteBtn) {
+      if (agent) {
+        deleteBtn.removeAttribute('disabled');
+      } else {
+        deleteBtn.setAttribute('disabled', '');
+      }
+    }
+
+    this.renderAgentList();
   }
 
   /**
-   * Get the model path from the input field
-   * @returns {string} Model file path
+   * Get the agent currently in the editor
+   * @returns {Object} Agent data ({ id, name, systemPrompt, color, modelPath, tools, knowledge, provider }); id is null for new agents
    */
-  getModelPath() {
-    const inputEl = this.shadowRoot?.querySelector('#model-path-input');
-    if (inputEl && typeof inputEl.getValue === 'function') {
-      return inputEl.getValue() || '';
-    }
-    return '';
+  getAgentEditorData() {
+    const nameInput = this.shadowRoot?.querySelector('#agent-name-input');
+    const promptInput = this.shadowRoot?.querySelector('#agent-prompt-input');
+    const colorInput = this.shadowRoot?.querySelector('#agent-color-input');
+    const modelSelect = this.shadowRoot?.querySelector('#agent-model-select');
+    const providerSelect = this.shadowRoot?.querySelector('#agent-provider-select');
+    const baseUrlInput = this.shadowRoot?.querySelector('#agent-base-url-input');
+    const apiKeyInput = this.shadowRoot?.querySelector('#agent-api-key-input');
+    const remoteModelInput = this.shadowRoot?.querySelector('#agent-remote-model-input');
+    const knowledgeEl = this.shadowRoot?.querySelector('#agent-knowledge-enabled');
+
+    return {
+      id: this.editingAgentId,
+      name: nameInput?.getValue?.() || '',
+      systemPrompt: promptInput?.getValue?.() || '',
+      color: colorInput?.value || '#4a9eff',
+      modelPath: modelSelect?.value ?? this.agentModelPath,
+      tools: [...this.agentTools],
+      knowledge: !!knowledgeEl?.checked,
+      provider: {
+        type: providerSelect?.value || 'node-llama-cpp',
+        baseUrl: baseUrlInput?.getValue?.() || '',
+        apiKey: apiKeyInput?.getValue?.() || '',
+        model: remoteModelInput?.getValue?.() || '',
+      },
+    };
   }
 
   /**
-   * Set the context allocation size
-   * @param {number} size - Allocation size
+   * Show an agent's provider in the editor
+   * @param {Object} provider - { type, baseUrl, apiKey, model }; the local model when omitted
    */
-  setContextAllocationSize(size) {
-    const inputEl = this.shadowRoot?.querySelector('#context-allocation-size-input');
-    if (inputEl && typeof inputEl.setValue === 'function') {
-      inputEl.setValue(String(size || 32000));
+  setAgentProvider(provider = {}) {
+    const providerSelect = this.shadowRoot?.querySelector('#agent-provider-select');
+    const fields = {
+      '#agent-base-url-input': provider?.baseUrl,
+      '#agent-api-key-input': provider?.apiKey,
+      '#agent-remote-model-input': provider?.model,
+    };
+
+    if (providerSelect) {
+      providerSelect.value = provider?.type || 'node-llama-cpp';
     }
+    for (const [selector, value] of Object.entries(fields)) {
+      const input = this.shadowRoot?.querySelector(selector);
+      if (input && typeof input.setValue === 'function') {
+        input.setValue(value || '');
+      }
+    }
+    this.setProviderTestResult('');
+    this.updateAgentProviderFields();
   }
 
   /**
-   * Get the context allocation size
-   * @returns {number} Allocation size
+   * Show the model select for local agents and the server fields for remote
+   * ones (mock agents need neither)
    */
-  getContextAllocationSize() {
-    const inputEl = this.shadowRoot?.querySelector('#context-allocation-size-input');
-    if (inputEl && typeof inputEl.getValue === 'function') {
-      return parseInt(inputEl.getValue()) || 32000;
+  updateAgentProviderFields() {
+    const providerSelect = this.shadowRoot?.querySelector('#agent-provider-select');
+    const modelSelect = this.shadowRoot?.querySelector('#agent-model-select');
+    const remoteFields = this.shadowRoot?.querySelector('#agent-remote-fields');
+    const type = providerSelect?.value || 'node-llama-cpp';
+    const isRemote = type === 'openai-compatible';
+
+    if (modelSelect) {
+      modelSelect.style.display = type === 'node-llama-cpp' ? '' : 'none';
+    }
+    if (remoteFields) {
+      remoteFields.style.display = isRemote ? 'flex' : 'none';
     }
-    return 32000;
   }
 
   /**
-   * Set the minimum context size
-   * @param {number} size - Minimum context size
+   * Show the outcome of a provider connection test
+   * @param {string} message
+   * @param {boolean} isError
    */
-  setMinContextSize(size) {
-    const inputEl = this.shadowRoot?.querySelector('#min-context-size-input');
-    if (inputEl && typeof inputEl.setValue === 'function') {
-      inputEl.setValue(String(size || 16000));
-    }
+  setProviderTestResult(message, isError = false) {
+    const resultEl = this.shadowRoot?.querySelector('#provider-test-result');
+    if (!resultEl) return;
+
+    resultEl.textContent = message;
+    resultEl.style.color = isError
+      ? '#ff6b6b'
+      : 'var(--text-secondary, #999)';
   }
 
   /**
-   * Get the minimum context size
-   * @returns {number} Minimum context size
+   * Set the group chat options
+   * @param {Object} config - { enabled, agentIds, speakerMode, maxTurns }
    */
-  getMinContextSize() {
-    const inputEl = this.shadowRoot?.querySelector('#min-context-size-input');
-    if (inputEl && typeof inputEl.getValue === 'function') {
-      return parseInt(inputEl.getValue()) || 16000;
+  setGroupChatConfig(config = {}) {
+    this.groupChatConfig = {
+      ...this.groupChatConfig,
+      ...config,
+      agentIds: Array.isArray(config.agentIds) ? [...config.agentIds] : this.groupChatConfig.agentIds,
+    };
+
+    const enabledEl = this.shadowRoot?.querySelector('#group-chat-enabled');
+    const modeEl = this.shadowRoot?.querySelector('#speaker-mode-select');
+    const maxTurnsEl = this.shadowRoot?.querySelector('#max-turns-input');
+
+    if (enabledEl) {
+      enabledEl.checked = !!this.groupChatConfig.enabled;
     }
-    return 16000;
+    if (modeEl) {
+      modeEl.value = this.groupChatConfig.speakerMode;
+    }
+    if (maxTurnsEl && typeof maxTurnsEl.setValue === 'function') {
+      maxTurnsEl.setValue(String(this.groupChatConfig.maxTurns || 6));
+    }
+
+    this.renderAgentList();
   }
 
   /**
-   * Set the maximum context size
-   * @param {number} size - Maximum context size
+   * Get the group chat options from the form
+   * @returns {Object} { enabled, agentIds, speakerMode, maxTurns }
    */
-  setMaxContextSize(size) {
-    const inputEl = this.shadowRoot?.querySelector('#max-context-size-input');
-    if (inputEl && typeof inputEl.setValue === 'function') {
-      inputEl.setValue(String(size || 48000));
-    }
+  getGroupChatConfig() {
+    const enabledEl = this.shadowRoot?.querySelector('#group-chat-enabled');
+    const modeEl = this.shadowRoot?.querySelector('#speaker-mode-select');
+    const maxTurnsEl = this.shadowRoot?.querySelector('#max-turns-input');
+
+    return {
+      enabled: !!enabledEl?.checked,
+      agentIds: [...this.groupChatConfig.agentIds],
+      speakerMode: modeEl?.value || 'round-robin',
+      maxTurns: parseInt(maxTurnsEl?.getValue?.()) || 6,
+    };
   }
 
   /**
-   * Get the maximum context size
-   * @returns {number} Maximum context size
+   * Notify listeners that the group chat options changed
    */
-  getMaxContextSize() {
-    const inputEl = this.shadowRoot?.querySelector('#max-context-size-input');
-    if (inputEl && typeof inputEl.getValue === 'function') {
-      return parseInt(inputEl.getValue()) || 48000;
-    }
-    return 48000;
+  dispatchGroupChatChange() {
+    this.groupChatConfig = this.getGroupChatConfig();
+    this.dispatchEvent(new CustomEvent('group-chat-change', {
+      bubbles: false,
+      composed: true,
+      detail: { ...this.groupChatConfig }
+    }));
   }
 
   /**
@@ -0,0 +1,468 @@
+/**
+ * Chat Sidebar Component
+ *
+ * A collapsible sidebar listing saved conversations.
+ *
+ * Usage Examples:
+ *
+ * // Basic usage
+ * <chat-sidebar id="chat-sidebar"></chat-sidebar>
+ *
+ * // Populate the list
+ * const sidebar = document.querySelector('chat-sidebar');
+ * sidebar.setConversations([{ id, title, model, updatedAt }]);
+ * sidebar.setActiveConversation(id);
+ *
+ * // Event handling
+ * sidebar.addEventListener('select-conversation', (e) => {
+ *   console.log('Open conversation:', e.detail.conversationId);
+ * });
+ *
+ * Attributes:
+ * - collapsed: When present, only the toggle strip is shown
+ *
+ * Methods:
+ * - setConversations(conversations): Render the conversation list
+ * - setActiveConversation(conversationId): Highlight the open conversation
+ * - setCollapsed(collapsed): Collapse or expand the sidebar
+ *
+ * Events:
+ * - new-conversation: Fired when the New Chat button is clicked
+ * - select-conversation: Fired when a conversation is clicked (detail: { conversationId })
+ * - rename-conversation: Fired when a title edit is committed (detail: { conversationId, title })
+ * - delete-conversation: Fired when deletion is confirmed (detail: { conversationId })
+ * - toggle-sidebar: Fired when the sidebar is collapsed/expanded (detail: { collapsed })
+ */
+export class ChatSidebar extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.conversations = [];
+    this.activeConversationId = null;
+    this.editingConversationId = null;
+    this.listenersSetup = false;
+  }
+
+  static get observedAttributes() {
+    return ["collapsed"];
+  }
+
+  connectedCallback() {
+    this.render();
+    this.setupEventListeners();
+    this.renderConversationList();
+  }
+
+  attributeChangedCallback(name) {
+    if (name === "collapsed") {
+      this.updateToggleButton();
+    }
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: flex;
+          flex-direction: column;
+          width: 260px;
+          flex-shrink: 0;
+          background-color: var(--bg-secondary, #1e1e1e);
+          border-right: 1px solid var(--border-color, #2a2a2a);
+          transition: width 0.2s ease;
+        }
+
+        :host([collapsed]) {
+          width: 44px;
+        }
+
+        :host([collapsed]) .new-chat,
+        :host([collapsed]) .conversation-list {
+          display: none;
+        }
+
+        .sidebar-header {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 10px;
+          border-bottom: 1px solid var(--border-color, #2a2a2a);
+        }
+
+        .new-chat {
+          flex: 1;
+        }
+
+        .toggle-button {
+          width: 24px;
+          height: 24px;
+          border: none;
+          border-radius: 4px;
+          background: transparent;
+          color: var(--text-secondary, #a0a0a0);
+          cursor: pointer;
+          font-size: 14px;
+        }
+
+        .toggle-button:hover {
+          background: rgba(255, 255, 255, 0.08);
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .conversation-list {
+          flex: 1;
+          overflow-y: auto;
+          padding: 6px;
+        }
+
+        .conversation-list::-webkit-scrollbar {
+          width: 6px;
+        }
+
+        .conversation-list::-webkit-scrollbar-thumb {
+          background: rgba(255, 255, 255, 0.2);
+          border-radius: 3px;
+        }
+
+        .empty-state {
+          padding: 16px 8px;
+          font-size: 13px;
+          color: var(--text-secondary, #a0a0a0);
+          text-align: center;
+        }
+
+        .conversation-item {
+          display: flex;
+          align-items: flex-start;
+          gap: 6px;
+          padding: 8px 10px;
+          border-radius: 6px;
+          cursor: pointer;
+          color: var(--text-primary, #e0e0e0);
+        }
+
+        .conversation-item:hover {
+          background: rgba(255, 255, 255, 0.05);
+        }
+
+        .conversation-item.active {
+          background: rgba(74, 158, 255, 0.15);
+        }
+
+        .conversation-info {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .conversation-title {
+          font-size: 14px;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .conversation-meta {
+          margin-top: 2px;
+          font-size: 11px;
+          color: var(--message-timestamp-color, #666666);
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+
+        .title-input {
+          width: 100%;
+          padding: 2px 4px;
+          font-size: 14px;
+          color: var(--text-primary, #e0e0e0);
+          background: var(--bg-primary, #121212);
+          border: 1px solid #4a9eff;
+          border-radius: 4px;
+          outline: none;
+        }
+
+        .item-actions {
+          display: none;
+          gap: 2px;
+        }
+
+        .conversation-item:hover .item-actions {
+          display: flex;
+        }
+
+        .item-action {
+          border: none;
+          background: transparent;
+          color: var(--text-secondary, #a0a0a0);
+          cursor: pointer;
+          font-size: 12px;
+          padding: 2px 4px;
+          border-radius: 4px;
+        }
+
+        .item-action:hover {
+          background: rgba(255, 255, 255, 0.1);
+          color: var(--text-primary, #e0e0e0);
+        }
+      </style>
+
+      <div class="sidebar-header">
+        <div class="new-chat">
+          <agc-button id="new-chat-button">+ New Chat</agc-button>
+        </div>
+        <button class="toggle-button" id="toggle-button"></button>
+      </div>
+      <div class="conversation-list" id="conversation-list"></div>
+    `;
+
+    this.updateToggleButton();
+  }
+
+  setupEventListeners() {
+    // Prevent duplicate event listener setup
+    if (this.listenersSetup) {
+      return;
+    }
+    this.listenersSetup = true;
+
+    const newChatButton = this.shadowRoot.querySelector("#new-chat-button");
+    if (newChatButton) {
+      newChatButton.addEventListener("click", () => {
+        this.dispatchEvent(
+          new CustomEvent("new-conversation", {
+            bubbles: false,
+            composed: true,
+          })
+        );
+      });
+    }
+
+    const toggleButton = this.shadowRoot.querySelector("#toggle-button");
+    if (toggleButton) {
+      toggleButton.addEventListener("click", () => {
+        const collapsed = !this.hasAttribute("collapsed");
+        this.setCollapsed(collapsed);
+        this.dispatchEvent(
+          new CustomEvent("toggle-sidebar", {
+            bubbles: false,
+            composed: true,
+            detail: { collapsed },
+          })
+        );
+      });
+    }
+
+    const list = this.shadowRoot.querySelector("#conversation-list");
+    if (list) {
+      list.addEventListener("click", (e) => {
+        const item = e.target.closest(".conversation-item");
+        if (!item || e.target.closest(".title-input")) return;
+
+        const conversationId = item.dataset.id;
+        const action = e.target.closest(".item-action")?.dataset.action;
+
+        if (action === "rename") {
+          this.startRename(conversationId);
+        } else if (action === "delete") {
+          this.confirmDelete(conversationId);
+        } else if (conversationId !== this.activeConversationId) {
+          this.dispatchEvent(
+            new CustomEvent("select-conversation", {
+              bubbles: false,
+              composed: true,
+              detail: { conversationId },
+            })
+          );
+        }
+      });
+    }
+  }
+
+  updateToggleButton() {
+    const toggleButton = this.shadowRoot.querySelector("#toggle-button");
+    if (toggleButton) {
+      const collapsed = this.hasAttribute("collapsed");
+      toggleButton.textContent = collapsed ? "»" : "«";
+      toggleButton.title = collapsed ? "Show conversations" : "Hide conversations";
+    }
+  }
+
+  /**
+   * Format an ISO date for the conversation list
+   * @param {string} isoDate
+   * @returns {string}
+   */
+  formatUpdatedAt(isoDate) {
+    if (!isoDate) return "";
+    const date = new Date(isoDate);
+    const isToday = date.toDateString() === new Date().toDateString();
+    return isToday
+      ? date.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })
+      : date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+  }
+
+  renderConversationList() {
+    const list = this.shadowRoot.querySelector("#conversation-list");
+    if (!list) return;
+
+    list.innerHTML = "";
+
+    if (this.conversations.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "empty-state";
+      empty.textContent = "No saved conversations";
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const conversation of this.conversations) {
+      const item = document.createElement("div");
+      item.className = "conversation-item";
+      item.dataset.id = conversation.id;
+      if (conversation.id === this.activeConversationId) {
+        item.classList.add("active");
+      }
+
+      const info = document.createElement("div");
+      info.className = "conversation-info";
+
+      if (conversation.id === this.editingConversationId) {
+        info.appendChild(this.createTitleInput(conversation));
+      } else {
+        const title = document.createElement("div");
+        title.className = "conversation-title";
+        title.textContent = conversation.title || "New Chat";
+        title.title = conversation.title || "";
+        info.appendChild(title);
+      }
+
+      const meta = document.createElement("div");
+      meta.className = "conversation-meta";
+      meta.textContent = [
+        this.formatUpdatedAt(conversation.updatedAt),
+        conversation.model,
+      ]
+        .filter(Boolean)
+        .join(" · ");
+      info.appendChild(meta);
+
+      const actions = document.createElement("div");
+      actions.className = "item-actions";
+      actions.innerHTML = `
+        <button class="item-action" data-action="rename" title="Rename">✎</button>
+        <button class="item-action" data-action="delete" title="Delete">✕</button>
+      `;
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Create the inline title editor for a conversation
+   * @param {Object} conversation
+   * @returns {HTMLInputElement}
+   */
+  createTitleInput(conversation) {
+    const input = document.createElement("input");
+    input.className = "title-input";
+    input.value = conversation.title || "";
+
+    let finished = false;
+    const finish = (commit) => {
+      if (finished) return;
+      finished = true;
+      this.editingConversationId = null;
+
+      const title = input.value.trim();
+      if (commit && title && title !== conversation.title) {
+        this.dispatchEvent(
+          new CustomEvent("rename-conversation", {
+            bubbles: false,
+            composed: true,
+            detail: { conversationId: conversation.id, title },
+          })
+        );
+      }
+      this.renderConversationList();
+    };
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") finish(true);
+      if (e.key === "Escape") finish(false);
+    });
+    input.addEventListener("blur", () => finish(true));
+
+    return input;
+  }
+
+  /**
+   * Show the inline title editor for a conversation
+   * @param {string} conversationId
+   */
+  startRename(conversationId) {
+    this.editingConversationId = conversationId;
+    this.renderConversationList();
+
+    const input = this.shadowRoot.querySelector(".title-input");
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * Ask for confirmation and request deletion of a conversation
+   * @param {string} conversationId
+   */
+  confirmDelete(conversationId) {
+    const conversation = this.conversations.find((c) => c.id === conversationId);
+    const title = conversation?.title || "this conversation";
+    if (!window.confirm(`Delete "${title}"? This cannot be undone.`)) {
+      return;
+    }
+
+    this.dispatchEvent(
+      new CustomEvent("delete-conversation", {
+        bubbles: false,
+        composed: true,
+        detail: { conversationId },
+      })
+    );
+  }
+
+  // Public methods
+  /**
+   * Render the conversation list
+   * @param {Array<Object>} conversations - Conversation metadata ({ id, title, model, updatedAt })
+   */
+  setConversations(conversations = []) {
+    this.conversations = Array.isArray(conversations) ? conversations : [];
+    this.renderConversationList();
+  }
+
+  /**
+   * Highlight the open conversation
+   * @param {string|null} conversationId
+   */
+  setActiveConversation(conversationId) {
+    this.activeConversationId = conversationId || null;
+    this.renderConversationList();
+  }
+
+  /**
+   * Collapse or expand the sidebar
+   * @param {boolean} collapsed
+   */
+  setCollapsed(collapsed) {
+    if (collapsed) {
+      this.setAttribute("collapsed", "");
+    } else {
+      this.removeAttribute("collapsed");
+    }
+  }
+}
+
+// Register the custom element
+customElements.define("chat-sidebar", ChatSidebar);
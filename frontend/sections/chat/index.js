@@ -10,9 +10,13 @@ import "./components/chat-header.js";
 import "./components/chat-interface.js";
 import "./components/chat-message.js";
 import "./components/chat-settings-modal.js";
+import "./components/chat-sidebar.js";
 
 // Section Specific Managers
 import { ChatManager } from "./managers/chat-manager.js";
+import { ChatExportManager } from "./managers/chat-export-manager.js";
+import { ChatImportManager } from "./managers/chat-import-manager.js";
+import { ChatTreeManager } from "./managers/chat-tree-manager.js";
 
 export class ChatSection extends Section {
   constructor() {
@@ -26,6 +30,9 @@ export class ChatSection extends Section {
     this.markdownManager = this.addManager(new MarkdownManager());
 
     // Add Section Specific Managers
+    this.chatExportManager = this.addManager(new ChatExportManager());
+    this.chatImportManager = this.addManager(new ChatImportManager());
+    this.chatTreeManager = this.addManager(new ChatTreeManager());
     this.chatManager = this.addManager(new ChatManager());
   }
 
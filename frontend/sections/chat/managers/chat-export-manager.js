@@ -0,0 +1,281 @@
+import { Manager } from "../../../core/index.js";
+
+/**
+ * Chat Export Manager
+ *
+ * Converts a conversation into shareable files:
+ * - Markdown: one heading per message, segments and tool calls as collapsible <details> blocks
+ * - JSON: lossless copy of the history (segment types and timestamps included) and
+ *   of the message tree (edit and regenerate branches, context memories)
+ * - HTML: standalone page reusing the rendered chat-message bubbles and styles
+ *
+ * Usage:
+ * ```javascript
+ * const exportManager = section.addManager(new ChatExportManager());
+ * const markdown = exportManager.toMarkdown(conversation);
+ * ```
+ *
+ * A conversation is { id, title, model, systemPrompt, createdAt, updatedAt, messages, tree } where
+ * messages are llama ChatHistoryItems ({ type: "user" | "system" | "model" }) on the active
+ * branch and tree is ChatTreeManager.toJSON() (only the JSON export keeps it).
+ */
+export class ChatExportManager extends Manager {
+  constructor() {
+    super();
+    this.jsonFormat = "agent-group-chat/conversation"; // Identifies exported JSON files
+    this.jsonVersion = 2; // 2 adds the message tree
+    this.formats = {
+      markdown: { name: "Markdown", extension: "md" },
+      json: { name: "JSON", extension: "json" },
+      html: { name: "HTML", extension: "html" },
+    };
+  }
+
+  /**
+   * Labels for segment types in exported files
+   * @param {string} segmentType - Backend segment type ("thought", "comment", ...)
+   * @returns {string}
+   */
+  getSegmentLabel(segmentType) {
+    switch (segmentType) {
+      case "thought":
+        return "💭 Thinking";
+      case "comment":
+      case "commentary":
+        return "💬 Commentary";
+      default:
+        return segmentType;
+    }
+  }
+
+  /**
+   * Heading for a message in Markdown exports
+   * @param {Object} item - Chat history item
+   * @returns {string}
+   */
+  getSpeakerName(item) {
+    if (item.type === "user") return "User";
+    if (item.type === "system") return "System";
+    return item.agentName || "Assistant";
+  }
+
+  /**
+   * File name for an exported conversation
+   * @param {Object} conversation
+   * @param {string} format - "markdown" | "json" | "html"
+   * @returns {string}
+   */
+  getFileName(conversation, format) {
+    const baseName =
+      (conversation.title || "chat")
+        .replace(/[\\/:*?"<>|]+/g, "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .slice(0, 80) || "chat";
+    return `${baseName}.${this.formats[format].extension}`;
+  }
+
+  /**
+   * Export a conversation as Markdown
+   * @param {Object} conversation
+   * @returns {string}
+   */
+  toMarkdown(conversation) {
+    const lines = [`# ${conversation.title || "Chat"}`, ""];
+
+    const details = [`Exported ${new Date().toLocaleString()}`];
+    if (conversation.model) {
+      details.push(`Model: ${conversation.model}`);
+    }
+    lines.push(`_${details.join(" · ")}_`, "");
+
+    if (conversation.systemPrompt) {
+      lines.push("## System Prompt", "", conversation.systemPrompt.trim(), "");
+    }
+
+    for (const item of conversation.messages || []) {
+      lines.push(`## ${this.getSpeakerName(item)}`, "");
+
+      if (item.type !== "model") {
+        lines.push(item.text || "", "");
+        continue;
+      }
+
+      for (const part of item.response || []) {
+        if (typeof part === "string") {
+          lines.push(part.trim(), "");
+        } else if (part?.type === "segment") {
+          lines.push(
+            "<details>",
+            `<summary>${this.getSegmentLabel(part.segmentType)}</summary>`,
+            "",
+            (part.text || "").trim(),
+            "",
+            "</details>",
+            ""
+          );
+        } else if (part?.type === "functionCall") {
+          lines.push(
+            "<details>",
+            `<summary>⚙️ Function Call: ${part.name}</summary>`,
+            "",
+            "```json",
+            JSON.stringify(part.params ?? null, null, 2),
+            "```",
+            "",
+            "Result:",
+            "",
+            "```json",
+            JSON.stringify(part.result ?? null, null, 2),
+            "```",
+            "",
+            "</details>",
+            ""
+          );
+        }
+      }
+    }
+
+    return `${lines.join("\n").trim()}\n`;
+  }
+
+  /**
+   * Export a conversation as JSON, keeping the full history and every
+   * branch untouched
+   * @param {Object} conversation
+   * @returns {string}
+   */
+  toJSON(conversation) {
+    const { messages = [], tree = null, ...metadata } = conversation;
+    return JSON.stringify(
+      {
+        format: this.jsonFormat,
+        version: this.jsonVersion,
+        exportedAt: new Date().toISOString(),
+        conversation: metadata,
+        messages,
+        tree,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Collect the page's own stylesheets (color variables used by the bubbles)
+   * @returns {string}
+   */
+  getPageStyles() {
+    const rules = [];
+    for (const sheet of document.styleSheets) {
+      try {
+        for (const rule of sheet.cssRules) {
+          rules.push(rule.cssText);
+        }
+      } catch (error) {
+        // Stylesheets we are not allowed to read are skipped
+      }
+    }
+    return rules.join("\n");
+  }
+
+  /**
+   * Escape text for use in HTML
+   * @param {string} text
+   * @returns {string}
+   */
+  escapeHTML(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Export a conversation as a standalone HTML page. The rendered chat-message
+   * elements are copied with their shadow styles (declarative shadow DOM), so the
+   * file looks like the chat without needing the app.
+   * @param {Object} conversation
+   * @param {HTMLElement[]} messageElements - Rendered chat-message elements
+   * @returns {string}
+   */
+  toHTML(conversation, messageElements = []) {
+    const title = this.escapeHTML(conversation.title || "Chat");
+    const details = [`Exported ${new Date().toLocaleString()}`];
+    if (conversation.model) {
+      details.push(`Model: ${conversation.model}`);
+    }
+
+    const messages = messageElements
+      .map(
+        (element) =>
+          `<chat-message sender="${this.escapeHTML(
+            element.getAttribute("sender")
+          )}"><template shadowrootmode="open">${
+            element.shadowRoot?.innerHTML || ""
+          }</template></chat-message>`
+      )
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+    <style>
+${this.getPageStyles()}
+      html, body { overflow: auto; height: auto; }
+      .export-header { padding: 20px; border-bottom: 1px solid var(--border-color, #2a2a2a); }
+      .export-header h1 { font-size: 24px; }
+      .export-header p { margin-top: 4px; font-size: 13px; color: var(--text-secondary, #a0a0a0); }
+      .messages { display: flex; flex-direction: column; padding: 20px; }
+    </style>
+  </head>
+  <body>
+    <div class="export-header">
+      <h1>${title}</h1>
+      <p>${this.escapeHTML(details.join(" · "))}</p>
+    </div>
+    <div class="messages">
+${messages}
+    </div>
+    <script>
+      // Expand/collapse thinking, commentary and function call segments
+      for (const message of document.querySelectorAll("chat-message")) {
+        // Editing and branch navigation only work inside the app
+        message.shadowRoot?.querySelectorAll(".message-footer, .edit-container").forEach((el) => el.remove());
+        for (const header of message.shadowRoot?.querySelectorAll(".segment-header") || []) {
+          header.addEventListener("click", () => {
+            header.classList.toggle("collapsed");
+            header.nextElementSibling?.classList.toggle("collapsed");
+          });
+        }
+      }
+    </script>
+  </body>
+</html>
+`;
+  }
+
+  /**
+   * Convert a conversation to the given export format
+   * @param {Object} conversation
+   * @param {string} format - "markdown" | "json" | "html"
+   * @param {HTMLElement[]} messageElements - Rendered chat-message elements (HTML only)
+   * @returns {string}
+   */
+  exportConversation(conversation, format, messageElements = []) {
+    switch (format) {
+      case "markdown":
+        return this.toMarkdown(conversation);
+      case "json":
+        return this.toJSON(conversation);
+      case "html":
+        return this.toHTML(conversation, messageElements);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+}
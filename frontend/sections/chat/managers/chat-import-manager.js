@@ -0,0 +1,224 @@
+import { Manager } from "../../../core/index.js";
+
+/**
+ * Chat Import Manager
+ *
+ * Reads conversations written by other tools (or by our own JSON export) and
+ * normalises them into the llama history format used by ChatManager.messages:
+ * - JSON exports from ChatExportManager (lossless, message tree included)
+ * - Raw llama history arrays ({ type: "user" | "system" | "model" })
+ * - OpenAI-style `messages` arrays ({ role, content })
+ * - ChatML transcripts (<|im_start|>role ... <|im_end|>)
+ *
+ * Usage:
+ * ```javascript
+ * const importManager = section.addManager(new ChatImportManager());
+ * const { title, model, systemPrompt, messages, tree } = importManager.parse(fileText, "chat.json");
+ * ```
+ */
+export class ChatImportManager extends Manager {
+  /**
+   * Parse an imported file into a conversation
+   * @param {string} content - File contents
+   * @param {string} fileName - Used as the title when the file has none
+   * @returns {{ title: string, model: string, systemPrompt: string, messages: Array, tree: Object|null }}
+   */
+  parse(content, fileName = "") {
+    const text = String(content ?? "").trim();
+    const fallbackTitle = fileName.replace(/\.[^.]+$/, "") || "Imported Chat";
+
+    let conversation;
+    if (text.includes("<|im_start|>")) {
+      conversation = { messages: this.fromChatML(text) };
+    } else {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Unrecognized chat file: ${error.message}`);
+      }
+      conversation = this.fromJSON(data);
+    }
+
+    if (conversation.messages.length === 0) {
+      throw new Error("The file does not contain any messages");
+    }
+
+    return {
+      title: conversation.title || fallbackTitle,
+      model: conversation.model || "",
+      systemPrompt: conversation.systemPrompt || "",
+      messages: conversation.messages,
+      tree: conversation.tree || null,
+    };
+  }
+
+  /**
+   * Normalise parsed JSON (our export, llama history or OpenAI messages)
+   * @param {*} data
+   * @returns {{ title?: string, model?: string, systemPrompt?: string, messages: Array, tree?: Object }}
+   */
+  fromJSON(data) {
+    if (data?.format === this.section.chatExportManager.jsonFormat) {
+      return {
+        title: data.conversation?.title,
+        model: data.conversation?.model,
+        systemPrompt: data.conversation?.systemPrompt,
+        messages: this.fromLlamaHistory(data.messages),
+        tree: this.fromTree(data.tree),
+      };
+    }
+
+    const messages = Array.isArray(data) ? data : data?.messages;
+    if (!Array.isArray(messages)) {
+      throw new Error("Unrecognized chat file: no messages array found");
+    }
+
+    const isLlamaHistory = messages.every((m) =>
+      ["user", "system", "model"].includes(m?.type)
+    );
+
+    return {
+      title: data?.title,
+      model: data?.model,
+      messages: isLlamaHistory
+        ? this.fromLlamaHistory(messages)
+        : this.fromRoleMessages(messages),
+    };
+  }
+
+  /**
+   * Validate llama history items, dropping anything malformed
+   * @param {Array} items
+   * @returns {Array}
+   */
+  fromLlamaHistory(items = []) {
+    return items.filter(
+      (item) =>
+        (item?.type === "model" && Array.isArray(item.response)) ||
+        ((item?.type === "user" || item?.type === "system") &&
+          typeof item.text === "string")
+    );
+  }
+
+  /**
+   * Validate an exported message tree (version 2 exports); without one the
+   * conversation is rebuilt from its messages as a single branch
+   * @param {*} tree - ChatTreeManager.toJSON() output
+   * @returns {Object|null}
+   */
+  fromTree(tree) {
+    const nodes = tree?.nodes;
+    if (!nodes || typeof nodes !== "object" || !nodes[tree.rootId]) {
+      return null;
+    }
+
+    const valid = Object.values(nodes).every(
+      (node) =>
+        Array.isArray(node?.childIds) &&
+        node.childIds.every((id) => nodes[id]) &&
+        (node.id === tree.rootId ||
+          this.fromLlamaHistory([node.message]).length === 1)
+    );
+    return valid ? { rootId: tree.rootId, nodes } : null;
+  }
+
+  /**
+   * Get the text of an OpenAI-style content field (string or content parts)
+   * @param {string|Array} content
+   * @returns {string}
+   */
+  getContentText(content) {
+    if (typeof content === "string") return content;
+    if (!Array.isArray(content)) return "";
+
+    return content
+      .filter((part) => part?.type === "text" && typeof part.text === "string")
+      .map((part) => part.text)
+      .join("\n");
+  }
+
+  /**
+   * Build a model response, turning <think>...</think> blocks into thought segments
+   * @param {string} text - Assistant text
+   * @param {string} reasoning - Separate reasoning text (e.g. reasoning_content)
+   * @returns {Array} llama model response
+   */
+  buildModelResponse(text, reasoning = "") {
+    const response = [];
+    const addThought = (thought) => {
+      if (thought.trim()) {
+        response.push({
+          type: "segment",
+          segmentType: "thought",
+          text: thought.trim(),
+          ended: true,
+        });
+      }
+    };
+
+    addThought(reasoning);
+
+    let rest = text;
+    const thinkPattern = /<think>([\s\S]*?)(?:<\/think>|$)/;
+    let match;
+    while ((match = rest.match(thinkPattern))) {
+      const before = rest.slice(0, match.index).trim();
+      if (before) response.push(before);
+      addThought(match[1]);
+      rest = rest.slice(match.index + match[0].length);
+    }
+
+    if (rest.trim()) response.push(rest.trim());
+    return response;
+  }
+
+  /**
+   * Convert role/content messages (OpenAI style) into llama history
+   * @param {Array<{ role: string, content: string|Array }>} messages
+   * @returns {Array}
+   */
+  fromRoleMessages(messages) {
+    const history = [];
+
+    for (const message of messages) {
+      const role = message?.role;
+      const text = this.getContentText(message?.content);
+
+      if (role === "system" || role === "developer") {
+        history.push({ type: "system", text });
+      } else if (role === "user") {
+        history.push({ type: "user", text });
+      } else if (role === "assistant") {
+        const response = this.buildModelResponse(
+          text,
+          message.reasoning_content || message.reasoning || ""
+        );
+        const item = { type: "model", response };
+        if (message.name) {
+          item.agentName = message.name;
+        }
+        history.push(item);
+      }
+      // Tool/function results have no equivalent without the original tools
+    }
+
+    return history;
+  }
+
+  /**
+   * Convert a ChatML transcript into llama history
+   * @param {string} text
+   * @returns {Array}
+   */
+  fromChatML(text) {
+    const messages = [];
+    const pattern = /<\|im_start\|>([^\n]*)\n([\s\S]*?)(?:<\|im_end\|>|(?=<\|im_start\|>)|$)/g;
+
+    for (const match of text.matchAll(pattern)) {
+      messages.push({ role: match[1].trim(), content: match[2].trim() });
+    }
+
+    return this.fromRoleMessages(messages);
+  }
+}
@@ -16,8 +16,32 @@ export class ChatManager extends Manager {
     };
     this.modelProgressUnsub = null;
     this.chatChunkUnsub = null;
-    this.messages = []; // Track conversation history
+    this.groupChatEventUnsub = null;
+    this.knowledgeProgressUnsub = null;
+    this.generationPromise = null; // Pending startStreamingChat call
+    this.currentRequestId = null; // Backend request id of the running single reply
+    this.generationAbort = null; // Cancels the steps before the backend call (knowledge retrieval) on Stop
+    this.groupChatPromise = null; // Pending startGroupChat call while agents are talking
+    this.groupTurnMessage = null; // Bubble of the agent currently speaking
+    this.agents = []; // Agent definitions from the AgentManager
+    this.presets = []; // System prompt presets from the PromptPresetManager
+    this.conversations = []; // Saved conversation metadata from the ConversationManager
+    this.conversationId = null; // Saved conversation currently open (null until first save)
+    this.systemPrompt = ""; // System prompt of the open conversation
+    this.pendingAttachments = []; // Files attached to the next message (AttachmentManager format)
+    this.attachmentAbort = null; // Cancels attaching files still being measured or read once the message is sent
+    this.conversationSave = Promise.resolve(); // Serializes conversation saves
+    this.messages = []; // Active branch of the conversation tree (llama history format)
+    this.currentModelNodeId = null; // Tree node of the assistant turn being recorded
     this.currentAssistantMessage = null; // Reference to currently streaming assistant message
+    this.currentModelTurn = null; // History item ({ type: "model" }) being recorded from chunks
+    this.contextNodes = []; // Tree nodes of the running reply's history the backend may fold away
+    this.tokenUsageTimer = null; // Debounces context meter updates while typing or streaming
+  }
+
+  async initGlobalVariables() {
+    // Every branch of the open conversation; this.messages mirrors its active path
+    this.chatTree = this.section.chatTreeManager;
   }
 
   async initElementReferences() {
@@ -25,6 +49,7 @@ export class ChatManager extends Manager {
     this.chatInterface = document.getElementById("chat-interface");
     this.chatHeader = document.querySelector("chat-header");
     this.chatSettingsModal = document.getElementById("chat-settings-modal");
+    this.chatSidebar = document.getElementById("chat-sidebar");
 
     // Get loading overlay from HTML
     this.loadingOverlay = document.getElementById("loading-overlay");
@@ -52,7 +77,12 @@ export class ChatManager extends Manager {
     // Listen for send-message events
     this.chatInterface.addEventListener("send-message", async (e) => {
       const message = e.detail.inputValue.trim();
-      if (message) {
+      if (message || this.pendingAttachments.length > 0) {
+        // A new user message interrupts whatever is still generating
+        if (this.isGenerating()) {
+          await this.stopGeneration();
+        }
+
         const ready = await this.ensureModelLoaded();
         if (!ready) {
           window.logger.warn(
@@ -65,6 +95,13 @@ export class ChatManager extends Manager {
           );
           return;
         }
+        const prompt = this.getPromptText({
+          text: message,
+          attachments: this.pendingAttachments,
+        });
+        if (!(await this.confirmPromptFits(prompt))) {
+          return;
+        }
         this.handleMessageSend(message);
         this.chatInterface.clearInput();
       }
@@ -75,6 +112,52 @@ export class ChatManager extends Manager {
       this.handleMessageChange(e.detail.value);
     });
 
+    // Listen for files attached with the paperclip or dropped on the chat
+    this.chatInterface.addEventListener("attach-files-request", () => {
+      this.handleAttachFilesRequest();
+    });
+
+    this.chatInterface.addEventListener("files-dropped", (e) => {
+      this.handleFilesDropped(e.detail.filePaths);
+    });
+
+    this.chatInterface.addEventListener("remove-attachment", (e) => {
+      this.handleRemoveAttachment(e.detail.attachmentId);
+    });
+
+    // Listen for edited user messages (forks the conversation at that message)
+    this.chatInterface.addEventListener("edit-message", (e) => {
+      this.handleEditMessageRequest(e.detail.messageId, e.detail.content);
+    });
+
+    // Listen for "< 2/3 >" navigation between versions of a message
+    this.chatInterface.addEventListener("branch-navigate", (e) => {
+      this.handleBranchNavigateRequest(e.detail.messageId, e.detail.direction);
+    });
+
+    // Listen for Regenerate/Continue actions on assistant messages
+    this.chatInterface.addEventListener("regenerate-message", (e) => {
+      this.handleRegenerateRequest(e.detail.messageId);
+    });
+
+    this.chatInterface.addEventListener("continue-message", (e) => {
+      this.handleContinueRequest(e.detail.messageId);
+    });
+
+    // Listen for stop-generation events (send button acts as Stop while streaming)
+    this.chatInterface.addEventListener("stop-generation", () => {
+      this.stopGeneration();
+    });
+
+    // Don't leave a generation running when the page goes away
+    window.addEventListener("beforeunload", () => {
+      if (this.groupChatPromise) {
+        window.groupchatAPI?.stopGroupChat?.();
+      } else if (this.currentRequestId) {
+        window.nodellamacppAPI?.abortGeneration?.(this.currentRequestId);
+      }
+    });
+
     // Listen for back-to-main events from chat header
     if (this.chatHeader) {
       this.chatHeader.addEventListener("back-to-main", () => {
@@ -87,6 +170,32 @@ export class ChatManager extends Manager {
       });
     }
 
+    // Listen for conversation sidebar events
+    if (this.chatSidebar) {
+      this.chatSidebar.addEventListener("new-conversation", () => {
+        this.startNewConversation();
+      });
+
+      this.chatSidebar.addEventListener("select-conversation", (e) => {
+        this.openConversation(e.detail.conversationId);
+      });
+
+      this.chatSidebar.addEventListener("rename-conversation", (e) => {
+        this.handleRenameConversationRequest(
+          e.detail.conversationId,
+          e.detail.title
+        );
+      });
+
+      this.chatSidebar.addEventListener("delete-conversation", (e) => {
+        this.handleDeleteConversationRequest(e.detail.conversationId);
+      });
+
+      this.chatSidebar.addEventListener("toggle-sidebar", (e) => {
+        this.updateChatConfig({ sidebarCollapsed: e.detail.collapsed });
+      });
+    }
+
     // Listen for settings modal events
     if (this.chatSettingsModal) {
       // Browse model file request
@@ -100,7 +209,8 @@ export class ChatManager extends Manager {
           e.detail.modelPath,
           e.detail.contextAllocationSize,
           e.detail.minContextSize,
-          e.detail.maxContextSize
+          e.detail.maxContextSize,
+          e.detail.contextSequences
         );
       });
 
@@ -109,14 +219,153 @@ export class ChatManager extends Manager {
         this.handleUnloadModelRequest();
       });
 
+      // Load a model from the library or the recent models
+      this.chatSettingsModal.addEventListener("load-library-model-request", (e) => {
+        this.handleLoadLibraryModelRequest(e.detail.modelPath);
+      });
+
+      // Add a model folder to the library
+      this.chatSettingsModal.addEventListener("add-library-folder-request", () => {
+        this.handleAddLibraryFolderRequest();
+      });
+
+      // Remove a model folder from the library
+      this.chatSettingsModal.addEventListener("remove-library-folder-request", (e) => {
+        this.handleRemoveLibraryFolderRequest(e.detail.folderPath);
+      });
+
+      // Rescan the library folders
+      this.chatSettingsModal.addEventListener("rescan-library-request", () => {
+        this.loadModelLibrary();
+      });
+
+      // Save the current settings as the model's defaults
+      this.chatSettingsModal.addEventListener("save-model-defaults-request", (e) => {
+        this.handleSaveModelDefaultsRequest(e.detail.modelPath, e.detail.defaults);
+      });
+
+      // Unload a model from the backend model pool
+      this.chatSettingsModal.addEventListener("unload-pool-model-request", (e) => {
+        this.handleUnloadPoolModelRequest(e.detail.modelId);
+      });
+
+      // Start, stop or reconfigure the local API server
+      this.chatSettingsModal.addEventListener("api-server-change", (e) => {
+        this.handleApiServerChange(e.detail);
+      });
+
+      // Forget the recorded generation statistics
+      this.chatSettingsModal.addEventListener("reset-model-stats-request", () => {
+        this.handleResetModelStatsRequest();
+      });
+
       // Clear history request
       this.chatSettingsModal.addEventListener("clear-history-request", () => {
         this.handleClearHistoryRequest();
       });
 
       // Export chat request
-      this.chatSettingsModal.addEventListener("export-chat-request", () => {
-        this.handleExportChatRequest();
+      this.chatSettingsModal.addEventListener("export-chat-request", (e) => {
+        this.handleExportChatRequest(e.detail?.format);
+      });
+
+      // Import chat request
+      this.chatSettingsModal.addEventListener("import-chat-request", () => {
+        this.handleImportChatRequest();
+      });
+
+      // Sampling parameters changed
+      this.chatSettingsModal.addEventListener("sampling-change", (e) => {
+        this.updateChatConfig({ sampling: { ...e.detail } });
+      });
+
+      // Context overflow strategy changed
+      this.chatSettingsModal.addEventListener("context-strategy-change", (e) => {
+        this.updateChatConfig({ contextStrategy: e.detail.strategy });
+      });
+
+      // Structured output mode, schema or grammar changed
+      this.chatSettingsModal.addEventListener("structured-output-change", (e) => {
+        this.updateChatConfig({ structuredOutput: { ...e.detail } });
+      });
+
+      // System prompt edited or preset chosen
+      this.chatSettingsModal.addEventListener("system-prompt-change", (e) => {
+        this.handleSystemPromptChange(e.detail.systemPrompt);
+      });
+
+      // Save preset request
+      this.chatSettingsModal.addEventListener("save-preset-request", (e) => {
+        this.handleSavePresetRequest(e.detail.preset);
+      });
+
+      // Delete preset request
+      this.chatSettingsModal.addEventListener("delete-preset-request", (e) => {
+        this.handleDeletePresetRequest(e.detail.presetId);
+      });
+
+      // Tools enabled/disabled
+      this.chatSettingsModal.addEventListener("tools-change", (e) => {
+        this.updateChatConfig({ enabledTools: [...e.detail.tools] });
+      });
+
+      // Approve a folder for the file tool
+      this.chatSettingsModal.addEventListener("approve-folder-request", () => {
+        this.handleApproveFolderRequest();
+      });
+
+      // Revoke an approved folder
+      this.chatSettingsModal.addEventListener("remove-folder-request", (e) => {
+        this.handleRemoveFolderRequest(e.detail.folderPath);
+      });
+
+      // Knowledge base options changed
+      this.chatSettingsModal.addEventListener("knowledge-change", (e) => {
+        this.updateChatConfig({ knowledge: { ...e.detail } });
+      });
+
+      // Index a folder for the knowledge base
+      this.chatSettingsModal.addEventListener(
+        "add-knowledge-folder-request",
+        () => {
+          this.handleAddKnowledgeFolderRequest();
+        }
+      );
+
+      // Index a knowledge base folder again
+      this.chatSettingsModal.addEventListener(
+        "reindex-knowledge-source-request",
+        (e) => {
+          this.handleReindexKnowledgeSourceRequest(e.detail.sourceId);
+        }
+      );
+
+      // Forget a knowledge base folder
+      this.chatSettingsModal.addEventListener(
+        "remove-knowledge-source-request",
+        (e) => {
+          this.handleRemoveKnowledgeSourceRequest(e.detail.sourceId);
+        }
+      );
+
+      // Group chat options changed
+      this.chatSettingsModal.addEventListener("group-chat-change", (e) => {
+        this.updateChatConfig({ groupChat: { ...e.detail } });
+      });
+
+      // Save agent request
+      this.chatSettingsModal.addEventListener("save-agent-request", (e) => {
+        this.handleSaveAgentRequest(e.detail.agent);
+      });
+
+      // Delete agent request
+      this.chatSettingsModal.addEventListener("delete-agent-request", (e) => {
+        this.handleDeleteAgentRequest(e.detail.agentId);
+      });
+
+      // Check that an agent's server answers
+      this.chatSettingsModal.addEventListener("test-provider-request", (e) => {
+        this.handleTestProviderRequest(e.detail.provider);
       });
     }
   }
@@ -135,12 +384,41 @@ export class ChatManager extends Manager {
 
     if (this.chatSettingsModal && this.config) {
       this.chatSettingsModal.setConfigData(this.config);
+      this.chatSettingsModal.setSamplingConfig(this.config.sampling);
+      this.chatSettingsModal.setStructuredOutputConfig(this.config.structuredOutput);
+      this.chatSettingsModal.setEnabledTools(this.config.enabledTools);
+      this.chatSettingsModal.setGroupChatConfig(this.config.groupChat);
+    }
+
+    if (this.chatSidebar && this.config) {
+      this.chatSidebar.setCollapsed(!!this.config.sidebarCollapsed);
+    }
+
+    // Load agent definitions for group chats
+    await this.loadAgents();
+
+    // Load system prompt presets
+    await this.loadPresets();
+
+    // Load the available tools
+    await this.loadTools();
+
+    // Load saved conversations and reopen the last one
+    await this.loadConversations();
+    const lastConversationId = this.config?.lastConversationId;
+    if (
+      lastConversationId &&
+      this.conversations.some((c) => c.id === lastConversationId)
+    ) {
+      await this.openConversation(lastConversationId);
     }
 
     // Sync model state from backend and start listening for progress events
     await this.syncModelStateFromBackend();
     this.setupModelProgressListener();
     this.setupChatChunkListener();
+    this.setupGroupChatEventListener();
+    this.setupKnowledgeProgressListener();
 
     // Start with clean slate - no placeholder messages
     // this.addPlaceholderMessages();
@@ -160,7 +438,7 @@ export class ChatManager extends Manager {
   }
 
   /**
-   * Handle message send event
+   * Handle message send event. Pending attachments are sent with the message.
    * @param {string} message - The trimmed message to send
    */
   async handleMessageSend(message) {
@@ -168,85 +446,2141 @@ export class ChatManager extends Manager {
     if (!this.chatInterface) {
       window.logger.error(
         {
-          tags: "chat|manager|error",
+          tags: "chat|manager|error",
+          color1: "red",
+          includeSource: true,
+        },
+        "Chat interface not available for adding user message"
+      );
+      return;
+    }
+
+    // Get current timestamp for the user message
+    const timestamp = this.getCurrentTimestamp();
+    const attachments = this.pendingAttachments;
+    this.pendingAttachments = [];
+    this.chatInterface.setAttachments([]);
+    // Files still being read were meant for this message, not the next one
+    this.attachmentAbort?.abort();
+    this.attachmentAbort = null;
+
+    try {
+      const userMessage = this.chatInterface.addMessage(
+        "user",
+        message,
+        timestamp
+      );
+      userMessage.setAttachments(attachments);
+
+      // Add user message to conversation history (llama format); the
+      // attachments are kept apart from the text and inlined when sent
+      const node = this.chatTree.appendMessage({
+        type: "user",
+        text: message,
+        ...(attachments.length > 0 ? { attachments } : {}),
+      });
+      this.syncMessages();
+      this.applyBranchAttributes(userMessage, node.id);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|manager|error",
+          color1: "red",
+          includeSource: true,
+        },
+        `Failed to add user message to chat interface: ${error.message}`
+      );
+      return;
+    }
+
+    // Log successful message addition
+    window.logger.log(
+      {
+        tags: "chat|manager|send",
+        color1: "cyan",
+      },
+      `User message added: "${message}"${
+        attachments.length > 0
+          ? ` with ${attachments.length} attachment(s)`
+          : ""
+      }`
+    );
+
+    await this.generateReply();
+  }
+
+  /**
+   * Generate the reply (single or group) to the end of the active branch and save
+   * @param {Object} options - Generation options passed to startStreamingChat (single replies only)
+   */
+  async generateReply(options = {}) {
+    // Let the selected agents take turns instead of a single reply
+    if (this.isGroupChatEnabled()) {
+      this.groupChatPromise = this.runGroupChat();
+      await this.groupChatPromise;
+      await this.saveConversation();
+      this.scheduleTokenUsageUpdate();
+      return;
+    }
+
+    // Create empty assistant message for streaming
+    let assistantMessage;
+    try {
+      assistantMessage = this.chatInterface.createAssistantMessage();
+      // Store reference for streaming chunks
+      this.currentAssistantMessage = assistantMessage;
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|manager|error",
+          color1: "red",
+          includeSource: true,
+        },
+        `Failed to create assistant message: ${error.message}`
+      );
+      return;
+    }
+
+    // Start streaming chat generation; the reply is recorded into the
+    // history as its chunks arrive
+    const { history, contextStrategy, foldableNodes } =
+      this.getContextHistory();
+    this.contextNodes = foldableNodes;
+    const modelNode = this.beginModelTurn();
+    this.applyBranchAttributes(assistantMessage, modelNode.id);
+    await this.runGeneration(async (requestId, signal) => {
+      const generationOptions = await this.applyKnowledge({
+        ...this.getGenerationOptions(),
+        ...options,
+        contextStrategy,
+        requestId,
+      });
+      if (signal.aborted) {
+        this.endStoppedModelTurn();
+        return;
+      }
+      await window.nodellamacppAPI.startStreamingChat(
+        history,
+        generationOptions
+      );
+    });
+  }
+
+  /**
+   * Run a streaming generation into the current model turn, then save
+   * @param {Function} startGeneration - Starts the backend call with the given request id and returns its promise; the abort signal fires when Stop is pressed before the backend was called
+   */
+  async runGeneration(startGeneration) {
+    this.setStreaming(true);
+    try {
+      this.currentRequestId = crypto.randomUUID();
+      this.generationAbort = new AbortController();
+      this.generationPromise = startGeneration(
+        this.currentRequestId,
+        this.generationAbort.signal
+      );
+      await this.generationPromise;
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|manager|streaming|error",
+          color1: "red",
+          includeSource: true,
+        },
+        `Failed to start streaming chat: ${error.message}`
+      );
+      this.endModelTurn(true);
+    } finally {
+      this.generationPromise = null;
+      this.generationAbort = null;
+      this.currentRequestId = null;
+      this.setStreaming(false);
+    }
+
+    await this.saveConversation();
+    this.scheduleTokenUsageUpdate();
+  }
+
+  /**
+   * Handle Regenerate on an assistant message: generate another version next
+   * to it with a new seed (earlier versions stay selectable)
+   * @param {string} messageId - Tree node of the assistant message
+   */
+  async handleRegenerateRequest(messageId) {
+    const node = this.chatTree.getNode(messageId);
+    if (node?.message?.type !== "model") return;
+
+    await this.leaveConversation();
+
+    const ready = await this.ensureModelLoaded();
+    if (!ready) {
+      window.logger.warn(
+        {
+          tags: "chat|manager|load|required",
+          color1: "yellow",
+          includeSource: true,
+        },
+        "Cannot regenerate until a model is loaded. Please load a model in settings."
+      );
+      return;
+    }
+
+    this.chatTree.selectLeaf(node.parentId);
+    this.syncMessages();
+    this.renderConversation();
+
+    await this.generateReply(this.getRegenerateOptions());
+  }
+
+  /**
+   * Generation options for Regenerate. A fresh seed only changes the reply
+   * when sampling, so greedy decoding is replaced by a moderate temperature.
+   * @returns {Object}
+   */
+  getRegenerateOptions() {
+    const options = { seed: Math.floor(Math.random() * 2 ** 31) };
+    if (!(this.config?.sampling?.temperature > 0)) {
+      options.temperature = 0.8;
+    }
+    return options;
+  }
+
+  /**
+   * History sent for a single reply and how the backend shortens it when it
+   * exceeds the context. With the summarize strategy, messages already
+   * folded into the conversation memory are replaced by that memory.
+   * @returns {{ nodes: Object[], history: Array, contextStrategy: { type: string, memory?: string }, foldableNodes: Object[] }}
+   */
+  getContextHistory() {
+    const type = this.config?.contextStrategy || "sliding-window";
+    const path = this.chatTree.getActivePath();
+    const leadingCount = (nodes) => {
+      const index = nodes.findIndex((node) => node.message.type !== "system");
+      return index === -1 ? nodes.length : index;
+    };
+
+    let nodes = path;
+    let memory;
+    const memoryIndex =
+      type === "summarize" ? path.findLastIndex((node) => node.memory) : -1;
+    if (memoryIndex !== -1) {
+      memory = path[memoryIndex].memory.text;
+      nodes = [
+        ...path.slice(0, leadingCount(path)),
+        ...path.slice(memoryIndex + 1),
+      ];
+    }
+
+    return {
+      nodes,
+      history: nodes.map((node) => this.toPromptMessage(node.message)),
+      contextStrategy: memory ? { type, memory } : { type },
+      // The backend reports folded messages counted after the leading system messages
+      foldableNodes: nodes.slice(leadingCount(nodes)),
+    };
+  }
+
+  /**
+   * Text the model sees for a user message: the typed text followed by each
+   * attached file, fenced and labeled with its name
+   * @param {Object} item - User history item ({ text, attachments })
+   * @returns {string}
+   */
+  getPromptText(item) {
+    const files = (item.attachments || []).map((attachment) => {
+      // The fence must be longer than any backtick run in the file
+      const longestRun = Math.max(
+        0,
+        ...(attachment.content.match(/`+/g) || []).map((run) => run.length)
+      );
+      const fence = "`".repeat(Math.max(3, longestRun + 1));
+      const language = attachment.name.includes(".")
+        ? attachment.name.split(".").pop().toLowerCase()
+        : "";
+      const note = attachment.truncated
+        ? ` (cut to fit the context; the file has ${attachment.lineCount} lines)`
+        : "";
+      return `File: ${attachment.name}${note}\n${fence}${language}\n${attachment.content}\n${fence}`;
+    });
+    return [item.text, ...files].filter(Boolean).join("\n\n");
+  }
+
+  /**
+   * History item as sent to the backend, with attached files inlined
+   * @param {Object} item - History item in llama format
+   * @returns {Object}
+   */
+  toPromptMessage(item) {
+    if (item.type !== "user" || !(item.attachments?.length > 0)) {
+      return item;
+    }
+    return { type: "user", text: this.getPromptText(item) };
+  }
+
+  /**
+   * Tokens the next message's attachments may still take: what is left of
+   * the context after the history, the draft, the files already attached and
+   * the reply reserve (with a margin for the file labels and fences)
+   * @returns {Promise<number|undefined>} undefined lets the backend use its default
+   */
+  async getAttachmentBudget() {
+    if (!window.nodellamacppAPI?.countTokens || !this.modelState.isModelLoaded) {
+      return undefined;
+    }
+
+    try {
+      const usage = await this.countContextTokens(
+        this.getPromptText({
+          text: this.chatInterface?.getInputValue().trim() || "",
+          attachments: this.pendingAttachments,
+        })
+      );
+      return Math.max(
+        0,
+        Math.floor(
+          (usage.contextSize - usage.total - usage.responseReserve) * 0.9
+        )
+      );
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Start attaching files to the draft
+   * @returns {AbortSignal} Fires when the message is sent before the files were added
+   */
+  beginAttaching() {
+    this.attachmentAbort ??= new AbortController();
+    return this.attachmentAbort.signal;
+  }
+
+  /**
+   * Handle the paperclip button: pick files in the backend's dialog
+   */
+  async handleAttachFilesRequest() {
+    // Prevent multiple dialogs from opening simultaneously
+    if (this.dialogOpening) {
+      return;
+    }
+    this.dialogOpening = true;
+
+    const signal = this.beginAttaching();
+    try {
+      const maxTokens = await this.getAttachmentBudget();
+      if (signal.aborted) return;
+      const result = await window.attachmentAPI.pickFiles({ maxTokens });
+      if (signal.aborted) return;
+      this.addPendingAttachments(result);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|attachment|error",
+          color1: "red",
+        },
+        "Failed to attach files:",
+        error
+      );
+    } finally {
+      this.dialogOpening = false;
+    }
+  }
+
+  /**
+   * Handle files dropped on the chat; the backend asks before reading them
+   * @param {string[]} filePaths
+   */
+  async handleFilesDropped(filePaths = []) {
+    const signal = this.beginAttaching();
+    try {
+      const maxTokens = await this.getAttachmentBudget();
+      if (signal.aborted) return;
+      const result = await window.attachmentAPI.attachFiles(filePaths, {
+        maxTokens,
+      });
+      if (signal.aborted) return;
+      this.addPendingAttachments(result);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|attachment|error",
+          color1: "red",
+        },
+        "Failed to attach dropped files:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Add files read by the backend to the next message and say which were left out
+   * @param {Object} result - { attachments, skipped: [{ name, reason }] }
+   */
+  addPendingAttachments({ attachments = [], skipped = [] } = {}) {
+    this.pendingAttachments = [...this.pendingAttachments, ...attachments];
+    this.chatInterface?.setAttachments(this.pendingAttachments);
+    this.scheduleTokenUsageUpdate();
+
+    if (skipped.length > 0) {
+      window.alert(
+        `Not attached:\n${skipped
+          .map((file) => `${file.name}: ${file.reason}`)
+          .join("\n")}`
+      );
+    }
+  }
+
+  /**
+   * Handle an attachment chip's remove button
+   * @param {string} attachmentId
+   */
+  handleRemoveAttachment(attachmentId) {
+    this.pendingAttachments = this.pendingAttachments.filter(
+      (attachment) => attachment.id !== attachmentId
+    );
+    this.chatInterface?.setAttachments(this.pendingAttachments);
+    this.scheduleTokenUsageUpdate();
+  }
+
+  /**
+   * Options sent with every single-reply generation: the conversation's
+   * session key, the sampling parameters, the system prompt, the enabled
+   * tools and the structured output constraint (the backend ignores tools
+   * while a grammar is set)
+   * @returns {Object}
+   */
+  getGenerationOptions() {
+    const options = this.getSamplingOptions();
+    // Each conversation keeps its own backend session and KV cache
+    options.sessionKey = this.conversationId
+      ? `conversation:${this.conversationId}`
+      : "default";
+    if (this.systemPrompt.trim()) {
+      options.systemPrompt = this.systemPrompt;
+    }
+    if (this.config?.enabledTools?.length > 0) {
+      options.tools = [...this.config.enabledTools];
+    }
+
+    const structuredOutput = this.getStructuredOutputOption();
+    if (structuredOutput) {
+      options.structuredOutput = structuredOutput;
+    }
+    return options;
+  }
+
+  /**
+   * Append the knowledge base excerpts relevant to the user's latest message
+   * to the system prompt of a single reply. The excerpts are kept with the
+   * reply as its cited sources.
+   * @param {Object} options - Generation options
+   * @returns {Promise<Object>} The options, with the extended system prompt when excerpts were found
+   */
+  async applyKnowledge(options) {
+    const { enabled, topK } = this.config?.knowledge || {};
+    if (!enabled || !window.knowledgeAPI?.createContext) {
+      return options;
+    }
+
+    const bubble = this.currentAssistantMessage;
+    // The typed text only; attached files would drown the question
+    const query = this.messages.findLast((item) => item.type === "user")?.text;
+    bubble?.setStatus("📚 Searching the knowledge base…");
+    try {
+      const { systemPrompt, sources } = await window.knowledgeAPI.createContext(
+        query,
+        { systemPrompt: options.systemPrompt, topK }
+      );
+      if (sources.length === 0) {
+        return options;
+      }
+
+      if (this.currentModelTurn) {
+        this.currentModelTurn.sources = sources;
+      }
+      bubble?.setSources(sources);
+      return { ...options, systemPrompt };
+    } catch (error) {
+      window.logger.warn(
+        {
+          tags: "chat|knowledge|warning",
+          color1: "yellow",
+        },
+        "Replying without the knowledge base:",
+        error.message
+      );
+      return options;
+    } finally {
+      bubble?.setStatus("");
+    }
+  }
+
+  /**
+   * Convert the structured output config into the backend option
+   * @returns {Object|null} { type: "json-schema", schema } or { type: "gbnf", grammar }
+   */
+  getStructuredOutputOption() {
+    const { mode, schema = "", grammar = "" } =
+      this.config?.structuredOutput || {};
+
+    if (mode === "json-schema" && schema.trim()) {
+      try {
+        return { type: "json-schema", schema: JSON.parse(schema) };
+      } catch (error) {
+        window.logger.warn(
+          {
+            tags: "chat|manager|structured",
+            color1: "yellow",
+          },
+          "Ignoring invalid JSON schema:",
+          error.message
+        );
+        return null;
+      }
+    }
+    if (mode === "gbnf" && grammar.trim()) {
+      return { type: "gbnf", grammar };
+    }
+    return null;
+  }
+
+  /**
+   * Convert the sampling config into promptWithMeta options. Disabled values
+   * are left out so node-llama-cpp uses its own behavior (no token limit,
+   * random seed, no repetition penalty).
+   * @returns {Object}
+   */
+  getSamplingOptions() {
+    const sampling = {
+      ...this.getDefaultSamplingConfig(),
+      ...(this.config?.sampling || {}),
+    };
+
+    const options = {
+      temperature: sampling.temperature,
+      topP: sampling.topP,
+      topK: sampling.topK,
+      minP: sampling.minP,
+    };
+
+    const penalizes =
+      sampling.repeatPenalty !== 1 ||
+      sampling.frequencyPenalty > 0 ||
+      sampling.presencePenalty > 0;
+    options.repeatPenalty = penalizes
+      ? {
+          lastTokens: sampling.repeatLastTokens,
+          penalty: sampling.repeatPenalty,
+          frequencyPenalty: sampling.frequencyPenalty || undefined,
+          presencePenalty: sampling.presencePenalty || undefined,
+        }
+      : false;
+
+    if (sampling.maxTokens > 0) {
+      options.maxTokens = sampling.maxTokens;
+    }
+    if (Number.isInteger(sampling.seed)) {
+      options.seed = sampling.seed;
+    }
+
+    return options;
+  }
+
+  /**
+   * Handle Continue on the latest assistant message: extend the reply in place
+   * @param {string} messageId - Tree node of the assistant message
+   */
+  async handleContinueRequest(messageId) {
+    await this.leaveConversation();
+
+    const node = this.chatTree.getNode(messageId);
+    const isLastReply =
+      node?.message?.type === "model" && this.chatTree.getLeafId() === node.id;
+    if (!isLastReply) return;
+
+    const ready = await this.ensureModelLoaded();
+    if (!ready) {
+      window.logger.warn(
+        {
+          tags: "chat|manager|load|required",
+          color1: "yellow",
+          includeSource: true,
+        },
+        "Cannot continue until a model is loaded. Please load a model in settings."
+      );
+      return;
+    }
+
+    const bubble = this.chatInterface
+      ?.getMessageElements()
+      .find((el) => el.getAttribute("message-id") === node.id);
+    bubble?.clearStatus();
+
+    // Record the new chunks into the existing model turn
+    const { history, contextStrategy, foldableNodes } =
+      this.getContextHistory();
+    this.contextNodes = foldableNodes;
+    this.currentAssistantMessage = bubble || null;
+    this.currentModelTurn = node.message;
+    this.currentModelNodeId = node.id;
+
+    await this.runGeneration(async (requestId, signal) => {
+      const generationOptions = await this.applyKnowledge({
+        ...this.getGenerationOptions(),
+        contextStrategy,
+        requestId,
+      });
+      if (signal.aborted) {
+        this.endStoppedModelTurn();
+        return;
+      }
+      await window.nodellamacppAPI.continueChat(history, generationOptions);
+    });
+  }
+
+  /**
+   * Start recording an assistant turn in llama ChatHistoryItem format
+   * @returns {Object} The tree node holding the model history item chunks are recorded into
+   */
+  beginModelTurn() {
+    const modelTurn = { type: "model", response: [] };
+    const node = this.chatTree.appendMessage(modelTurn);
+    this.syncMessages();
+    this.currentModelTurn = modelTurn;
+    this.currentModelNodeId = node.id;
+    return node;
+  }
+
+  /**
+   * Finish recording the current assistant turn
+   * @param {boolean} failed - Whether generation failed; empty failed turns are dropped
+   */
+  endModelTurn(failed = false) {
+    const modelTurn = this.currentModelTurn;
+    const nodeId = this.currentModelNodeId;
+    this.currentModelTurn = null;
+    this.currentModelNodeId = null;
+    if (!modelTurn) return;
+
+    if (failed && modelTurn.response.length === 0) {
+      this.chatTree.removeNode(nodeId);
+      this.syncMessages();
+    }
+  }
+
+  /**
+   * End the current model turn as stopped when Stop was pressed before the
+   * backend was called, like a reply stopped before its first token
+   */
+  endStoppedModelTurn() {
+    this.currentAssistantMessage?.markStopped();
+    this.currentAssistantMessage = null;
+    this.endModelTurn();
+  }
+
+  /**
+   * Refresh this.messages from the active path of the conversation tree
+   */
+  syncMessages() {
+    this.messages = this.chatTree.getActiveMessages();
+  }
+
+  /**
+   * Tag a message bubble with its tree node and "< 2/3 >" position
+   * @param {HTMLElement} bubble - chat-message element
+   * @param {string} nodeId - Tree node the bubble shows
+   */
+  applyBranchAttributes(bubble, nodeId) {
+    if (!bubble || !nodeId) return;
+
+    const { index, count } = this.chatTree.getBranchInfo(nodeId);
+    bubble.setAttribute("message-id", nodeId);
+    bubble.setAttribute("branch-index", index);
+    bubble.setAttribute("branch-count", count);
+  }
+
+  /**
+   * Handle an edited user message: add it as a new version next to the
+   * original and generate a reply on that branch
+   * @param {string} messageId - Tree node of the edited message
+   * @param {string} content - New message text
+   */
+  async handleEditMessageRequest(messageId, content) {
+    const text = (content || "").trim();
+    const original = this.chatTree.getNode(messageId);
+    if (!original) return;
+    // The edited version keeps the original's attached files
+    const attachments = original.message.attachments;
+    if (!text && !attachments?.length) return;
+
+    await this.leaveConversation();
+
+    const ready = await this.ensureModelLoaded();
+    if (!ready) {
+      window.logger.warn(
+        {
+          tags: "chat|manager|load|required",
+          color1: "yellow",
+          includeSource: true,
+        },
+        "Cannot resubmit message until a model is loaded. Please load a model in settings."
+      );
+      return;
+    }
+
+    this.chatTree.addSibling(messageId, {
+      type: "user",
+      text,
+      ...(attachments?.length > 0 ? { attachments } : {}),
+    });
+    this.syncMessages();
+    this.renderConversation();
+
+    window.logger.log(
+      {
+        tags: "chat|manager|branch",
+        color1: "cyan",
+      },
+      `Forked conversation with edited message: "${text}"`
+    );
+
+    await this.generateReply();
+  }
+
+  /**
+   * Handle "< 2/3 >" navigation: show another version of a message
+   * @param {string} messageId - Tree node of the currently shown version
+   * @param {number} direction - -1 for previous, 1 for next
+   */
+  async handleBranchNavigateRequest(messageId, direction) {
+    await this.leaveConversation();
+
+    if (!this.chatTree.selectSibling(messageId, direction)) return;
+
+    this.syncMessages();
+    this.renderConversation();
+    await this.saveConversation();
+  }
+
+  /**
+   * Record main response text into the current assistant turn
+   * @param {string} text - Text chunk
+   */
+  recordModelText(text) {
+    const response = this.currentModelTurn?.response;
+    if (!response || !text) return;
+
+    const lastIndex = response.length - 1;
+    if (typeof response[lastIndex] === "string") {
+      response[lastIndex] += text;
+    } else {
+      response.push(text);
+    }
+  }
+
+  /**
+   * Record a segment chunk (thought/comment) into the current assistant turn
+   * @param {Object} segmentData - Segment chunk from the backend
+   */
+  recordModelSegment(segmentData) {
+    const response = this.currentModelTurn?.response;
+    if (!response) return;
+
+    const { segmentType, text, segmentStartTime, segmentEndTime } = segmentData;
+    const openSegment = [...response]
+      .reverse()
+      .find(
+        (item) =>
+          item?.type === "segment" &&
+          item.segmentType === segmentType &&
+          !item.ended
+      );
+
+    if (segmentStartTime || !openSegment) {
+      response.push({
+        type: "segment",
+        segmentType,
+        text: text || "",
+        ended: !!segmentEndTime,
+        startTime: segmentStartTime
+          ? new Date(segmentStartTime).toISOString()
+          : undefined,
+      });
+      return;
+    }
+
+    openSegment.text += text || "";
+    if (segmentEndTime) {
+      openSegment.ended = true;
+      openSegment.endTime = new Date(segmentEndTime).toISOString();
+    }
+  }
+
+  /**
+   * Record a completed tool call into the current assistant turn
+   * @param {Object} call - Function call chunk ({ name, params, result })
+   */
+  recordModelFunctionCall(call) {
+    const response = this.currentModelTurn?.response;
+    if (!response) return;
+
+    response.push({
+      type: "functionCall",
+      name: call.name,
+      params: call.params,
+      result: call.result,
+    });
+  }
+
+  /**
+   * Markdown shown in a function-call segment (same layout as while streaming)
+   * @param {Object} call - Function call history item ({ name, params, result })
+   * @returns {string}
+   */
+  formatFunctionCall(call) {
+    const toJSON = (value) => JSON.stringify(value ?? null, null, 2);
+    return [
+      `\`${call.name}\``,
+      "```json",
+      toJSON(call.params),
+      "```",
+      "Result:",
+      "```json",
+      toJSON(call.result),
+      "```",
+    ].join("\n");
+  }
+
+  /**
+   * Get the plain response text of a model history item (segments excluded)
+   * @param {Object} item - Model history item
+   * @returns {string}
+   */
+  getModelText(item) {
+    return (item?.response || [])
+      .filter((part) => typeof part === "string")
+      .join("");
+  }
+
+  /**
+   * Load saved conversation metadata and pass it to the sidebar
+   */
+  async loadConversations() {
+    if (!window.conversationAPI?.listConversations) {
+      return;
+    }
+
+    try {
+      this.conversations = await window.conversationAPI.listConversations();
+      if (this.chatSidebar) {
+        this.chatSidebar.setConversations(this.conversations);
+        this.chatSidebar.setActiveConversation(this.conversationId);
+      }
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|conversation|error",
+          color1: "red",
+        },
+        "Failed to load conversations:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Title for a new conversation, taken from its first user message
+   * @returns {string}
+   */
+  getDefaultConversationTitle() {
+    const firstUserMessage = this.messages.find((m) => m.type === "user");
+    const firstLine = (
+      firstUserMessage?.text ||
+      firstUserMessage?.attachments?.[0]?.name ||
+      ""
+    )
+      .trim()
+      .split("\n")[0];
+    return firstLine.length > 40 ? `${firstLine.slice(0, 40)}…` : firstLine;
+  }
+
+  /**
+   * Display name of the loaded model (file name without extension)
+   * @returns {string}
+   */
+  getModelName() {
+    const modelPath = this.modelState.modelPath || this.config?.modelPath || "";
+    return modelPath
+      .split(/[\\/]/)
+      .pop()
+      .replace(/\.gguf$/i, "");
+  }
+
+  /**
+   * Save the open conversation, creating it on the first save.
+   * Saves are queued so a conversation is never created twice.
+   * @returns {Promise<void>}
+   */
+  saveConversation() {
+    this.conversationSave = this.conversationSave.then(() =>
+      this.persistConversation()
+    );
+    return this.conversationSave;
+  }
+
+  /**
+   * Write the current messages to the conversations archive
+   */
+  async persistConversation() {
+    if (!window.conversationAPI || this.messages.length === 0) {
+      return;
+    }
+
+    try {
+      const conversationData = {
+        messages: this.messages,
+        tree: this.chatTree.toJSON(),
+        model: this.getModelName(),
+        systemPrompt: this.systemPrompt,
+      };
+
+      if (this.conversationId) {
+        await window.conversationAPI.saveConversation(
+          this.conversationId,
+          conversationData
+        );
+      } else {
+        const conversation = await window.conversationAPI.createConversation({
+          ...conversationData,
+          title: this.getDefaultConversationTitle(),
+        });
+        this.conversationId = conversation.id;
+        await this.updateChatConfig({ lastConversationId: conversation.id });
+      }
+
+      await this.loadConversations();
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|conversation|save|error",
+          color1: "red",
+        },
+        "Failed to save conversation:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Stop generating and wait for pending saves before switching or changing
+   * the open conversation
+   */
+  async leaveConversation() {
+    await this.stopGeneration();
+    await this.conversationSave;
+  }
+
+  /**
+   * Start a new, empty conversation (saved once the first turn completes)
+   */
+  async startNewConversation() {
+    await this.leaveConversation();
+
+    this.chatInterface?.clearMessages();
+    this.chatTree.reset();
+    this.syncMessages();
+    this.currentModelTurn = null;
+    this.conversationId = null;
+    this.systemPrompt = "";
+    this.chatSettingsModal?.setSystemPrompt("");
+
+    this.chatSidebar?.setActiveConversation(null);
+    await this.updateChatConfig({ lastConversationId: null });
+    this.scheduleTokenUsageUpdate();
+    this.chatInterface?.focusInput();
+  }
+
+  /**
+   * Open a saved conversation and render its messages
+   * @param {string} conversationId
+   */
+  async openConversation(conversationId) {
+    await this.leaveConversation();
+
+    try {
+      const conversation =
+        await window.conversationAPI.getConversation(conversationId);
+
+      this.chatTree.load(
+        conversation.tree,
+        Array.isArray(conversation.messages) ? conversation.messages : []
+      );
+      this.syncMessages();
+      this.currentModelTurn = null;
+      this.conversationId = conversation.id;
+      this.systemPrompt = conversation.systemPrompt || "";
+      this.chatSettingsModal?.setSystemPrompt(this.systemPrompt);
+      this.renderConversation();
+
+      this.chatSidebar?.setActiveConversation(conversation.id);
+      await this.updateChatConfig({ lastConversationId: conversation.id });
+
+      window.logger.log(
+        {
+          tags: "chat|conversation|open",
+          color1: "cyan",
+        },
+        `Opened conversation '${conversation.title}'`
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|conversation|open|error",
+          color1: "red",
+        },
+        "Failed to open conversation:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Rebuild the message bubbles from the conversation history
+   */
+  renderConversation() {
+    if (!this.chatInterface) return;
+
+    this.chatInterface.clearMessages();
+    for (const node of this.chatTree.getActivePath()) {
+      const item = node.message;
+      let bubble = null;
+      if (item.type === "user" || item.type === "system") {
+        bubble = this.chatInterface.addMessage(item.type, item.text || "");
+        if (item.attachments) {
+          bubble.setAttachments(item.attachments);
+        }
+      } else if (item.type === "model") {
+        bubble = this.renderModelMessage(item);
+      }
+      this.applyBranchAttributes(bubble, node.id);
+      if (node.memory) {
+        this.chatInterface.addMemoryMarker(node.memory.text);
+      }
+    }
+    this.updateContinueAction(!this.isGenerating());
+    this.scheduleTokenUsageUpdate();
+  }
+
+  /**
+   * Render a stored model history item as an assistant bubble
+   * @param {Object} item - Model history item
+   * @returns {HTMLElement} The created chat-message element
+   */
+  renderModelMessage(item) {
+    const agent = item.agentId
+      ? this.agents.find((a) => a.id === item.agentId) || {
+          name: item.agentName,
+        }
+      : null;
+    const bubble = this.chatInterface.createAssistantMessage(agent);
+
+    for (const part of item.response || []) {
+      if (typeof part === "string") {
+        if (!bubble.appendSegmentContentByType("response", part)) {
+          bubble.addSegment("response");
+          bubble.appendSegmentContentByType("response", part);
+        }
+      } else if (part?.type === "segment") {
+        const timestamp = part.startTime
+          ? new Date(part.startTime).toLocaleTimeString()
+          : "";
+        const segmentIndex = bubble.addSegment(
+          this.mapSegmentType(part.segmentType),
+          timestamp
+        );
+        bubble.updateSegmentContent(segmentIndex, part.text || "");
+      } else if (part?.type === "functionCall") {
+        const segmentIndex = bubble.addSegment("function-call");
+        bubble.updateSegmentContent(
+          segmentIndex,
+          this.formatFunctionCall(part)
+        );
+      }
+    }
+
+    if (item.parsed !== undefined) {
+      bubble.setStructuredOutput(item.parsed);
+    }
+    if (item.metrics) {
+      bubble.setMetrics(item.metrics);
+    }
+    if (item.sources) {
+      bubble.setSources(item.sources);
+    }
+
+    return bubble;
+  }
+
+  /**
+   * Handle rename request from the sidebar
+   * @param {string} conversationId
+   * @param {string} title
+   */
+  async handleRenameConversationRequest(conversationId, title) {
+    try {
+      await window.conversationAPI.renameConversation(conversationId, title);
+      await this.loadConversations();
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|conversation|rename|error",
+          color1: "red",
+        },
+        "Failed to rename conversation:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle delete request from the sidebar
+   * @param {string} conversationId
+   */
+  async handleDeleteConversationRequest(conversationId) {
+    try {
+      if (conversationId === this.conversationId) {
+        await this.startNewConversation();
+      }
+
+      await window.conversationAPI.deleteConversation(conversationId);
+      await this.loadConversations();
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|conversation|delete|error",
+          color1: "red",
+        },
+        "Failed to delete conversation:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Check whether a reply (single or group) is currently being generated
+   * @returns {boolean}
+   */
+  isGenerating() {
+    return !!(this.generationPromise || this.groupChatPromise);
+  }
+
+  /**
+   * Toggle the streaming UI state
+   * @param {boolean} isStreaming
+   */
+  setStreaming(isStreaming) {
+    if (this.chatInterface) {
+      this.chatInterface.setStreaming(isStreaming);
+    }
+    this.updateContinueAction(!isStreaming);
+  }
+
+  /**
+   * Offer Continue on the latest message only (when it is an assistant reply)
+   * @param {boolean} enabled - False hides Continue everywhere (e.g. while streaming)
+   */
+  updateContinueAction(enabled = true) {
+    const elements = this.chatInterface?.getMessageElements() || [];
+    const last = elements[elements.length - 1];
+    for (const element of elements) {
+      element.toggleAttribute(
+        "can-continue",
+        enabled &&
+          element === last &&
+          element.getAttribute("sender") === "assistant"
+      );
+    }
+  }
+
+  /**
+   * Stop the running generation (and group chat) and wait for it to wind down.
+   * Text generated so far is kept.
+   */
+  async stopGeneration() {
+    if (!this.isGenerating()) {
+      return;
+    }
+
+    try {
+      // The group chat aborts its own running turn
+      if (this.groupChatPromise) {
+        await window.groupchatAPI.stopGroupChat();
+      } else if (this.currentRequestId) {
+        // The backend only knows the request once retrieval has finished
+        this.generationAbort?.abort();
+        await window.nodellamacppAPI.abortGeneration(this.currentRequestId);
+      }
+      await Promise.allSettled([this.generationPromise, this.groupChatPromise]);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|manager|stop|error",
+          color1: "red",
+        },
+        "Failed to stop generation:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Check whether replies should come from the configured agent group
+   * @returns {boolean}
+   */
+  isGroupChatEnabled() {
+    const groupChat = this.config?.groupChat;
+    if (!groupChat?.enabled || !window.groupchatAPI?.startGroupChat) {
+      return false;
+    }
+    return groupChat.agentIds.some((id) =>
+      this.agents.some((a) => a.id === id)
+    );
+  }
+
+  /**
+   * Run a group conversation among the selected agents for the current history
+   */
+  async runGroupChat() {
+    const groupChat = this.config.groupChat;
+    const agentIds = groupChat.agentIds.filter((id) =>
+      this.agents.some((a) => a.id === id)
+    );
+
+    this.setStreaming(true);
+    try {
+      const history = this.messages.map((item) => this.toPromptMessage(item));
+      const result = await window.groupchatAPI.startGroupChat(history, {
+        agentIds,
+        speakerMode: groupChat.speakerMode,
+        maxTurns: groupChat.maxTurns,
+        contextStrategy: this.config.contextStrategy || "sliding-window",
+        systemPrompt: this.systemPrompt.trim() ? this.systemPrompt : undefined,
+      });
+
+      window.logger.log(
+        {
+          tags: "chat|groupchat|complete",
+          color1: "green",
+        },
+        `Group chat finished after ${result.turns} turn(s): ${result.reason}`
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|groupchat|error",
+          color1: "red",
+          includeSource: true,
+        },
+        `Failed to run group chat: ${error.message}`
+      );
+    } finally {
+      this.groupChatPromise = null;
+      this.currentAssistantMessage = null;
+      this.setStreaming(false);
+    }
+  }
+
+  /**
+   * Subscribe to group chat lifecycle events
+   */
+  setupGroupChatEventListener() {
+    if (!window.groupchatAPI?.onGroupChatEvent) {
+      return;
+    }
+
+    if (typeof this.groupChatEventUnsub === "function") {
+      this.groupChatEventUnsub();
+      this.groupChatEventUnsub = null;
+    }
+
+    this.groupChatEventUnsub = window.groupchatAPI.onGroupChatEvent((event) =>
+      this.handleGroupChatEvent(event)
+    );
+  }
+
+  /**
+   * Handle group chat turn events from the backend
+   * @param {Object} event - { type, agent, message, reason, error }
+   */
+  handleGroupChatEvent(event = {}) {
+    const { type, agent, message } = event;
+
+    if (type === "turn-start") {
+      // Each agent reply streams into its own labeled bubble
+      this.groupTurnMessage =
+        this.chatInterface?.createAssistantMessage(agent) || null;
+      this.currentAssistantMessage = this.groupTurnMessage;
+      return;
+    }
+
+    if (type === "turn-end") {
+      const bubble = this.groupTurnMessage;
+      if (message) {
+        const node = this.chatTree.appendMessage(message);
+        this.syncMessages();
+        this.applyBranchAttributes(bubble, node.id);
+      }
+      if (message?.sources) {
+        bubble?.setSources(message.sources);
+      }
+
+      // Replace the streamed text with the cleaned reply (stop token removed)
+      const text = this.getModelText(message);
+      if (bubble && !bubble.updateSegmentContentByType("response", text)) {
+        if (text) {
+          const segmentIndex = bubble.addSegment(
+            "response",
+            new Date().toLocaleTimeString()
+          );
+          bubble.updateSegmentContent(segmentIndex, text);
+        }
+      }
+      this.groupTurnMessage = null;
+      this.currentAssistantMessage = null;
+      return;
+    }
+
+    if (type === "complete" && event.error) {
+      window.logger.error(
+        {
+          tags: "chat|groupchat|error",
+          color1: "red",
+        },
+        "Group chat stopped with an error:",
+        event.error
+      );
+    }
+  }
+
+  /**
+   * Load agent definitions and pass them to the settings modal
+   */
+  async loadAgents() {
+    if (!window.agentAPI?.listAgents) {
+      return;
+    }
+
+    try {
+      this.agents = await window.agentAPI.listAgents();
+      if (this.chatSettingsModal) {
+        this.chatSettingsModal.setAgents(this.agents);
+      }
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|agents|error",
+          color1: "red",
+        },
+        "Failed to load agents:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle save agent request from the settings modal
+   * @param {Object} agent - Agent editor data ({ id, name, systemPrompt, color, tools, knowledge })
+   */
+  async handleSaveAgentRequest(agent = {}) {
+    try {
+      const { id, ...agentData } = agent;
+      const saved = id
+        ? await window.agentAPI.updateAgent(id, agentData)
+        : await window.agentAPI.createAgent(agentData);
+
+      await this.loadAgents();
+      if (this.chatSettingsModal) {
+        this.chatSettingsModal.editAgent(saved.id);
+      }
+
+      window.logger.log(
+        {
+          tags: "chat|agents|save",
+          color1: "green",
+        },
+        `Saved agent '${saved.name}'`
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|agents|save|error",
+          color1: "red",
+        },
+        "Failed to save agent:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle delete agent request from the settings modal
+   * @param {string} agentId - Agent to delete
+   */
+  async handleDeleteAgentRequest(agentId) {
+    try {
+      await window.agentAPI.deleteAgent(agentId);
+
+      // Remove the agent from the group as well
+      const groupChat = this.config?.groupChat;
+      if (groupChat?.agentIds.includes(agentId)) {
+        await this.updateChatConfig({
+          groupChat: {
+            ...groupChat,
+            agentIds: groupChat.agentIds.filter((id) => id !== agentId),
+          },
+        });
+        this.chatSettingsModal?.setGroupChatConfig(this.config.groupChat);
+      }
+
+      await this.loadAgents();
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|agents|delete|error",
+          color1: "red",
+        },
+        "Failed to delete agent:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle test connection request from the agent editor: list the
+   * provider's models
+   * @param {Object} provider - { type, baseUrl, apiKey, model }
+   */
+  async handleTestProviderRequest(provider) {
+    try {
+      const models = await window.providerAPI.listModels(provider);
+      const missing = provider.model && !models.includes(provider.model);
+      this.chatSettingsModal?.setProviderTestResult(
+        missing
+          ? `Connected, but "${provider.model}" is not offered (${models.join(", ")})`
+          : `Connected · ${models.length} model(s): ${models.join(", ")}`,
+        missing
+      );
+    } catch (error) {
+      this.chatSettingsModal?.setProviderTestResult(
+        `Connection failed: ${error.message}`,
+        true
+      );
+      window.logger.error(
+        {
+          tags: "chat|provider|error",
+          color1: "red",
+        },
+        "Provider connection test failed:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Load the available tools and approved folders
+   */
+  async loadTools() {
+    if (!window.toolAPI?.listTools) {
+      return;
+    }
+
+    try {
+      const tools = await window.toolAPI.listTools();
+      const folders = await window.toolAPI.getApprovedFolders();
+      if (this.chatSettingsModal) {
+        this.chatSettingsModal.setTools(tools);
+        this.chatSettingsModal.setApprovedFolders(folders);
+      }
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|tools|error",
+          color1: "red",
+        },
+        "Failed to load tools:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle approve folder request: let the user pick a folder the file tool may read
+   */
+  async handleApproveFolderRequest() {
+    // Prevent multiple dialogs from opening simultaneously
+    if (this.dialogOpening) {
+      return;
+    }
+    this.dialogOpening = true;
+
+    try {
+      const folders = await window.toolAPI.approveFolder();
+      this.chatSettingsModal?.setApprovedFolders(folders);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|tools|folder|error",
+          color1: "red",
+        },
+        "Failed to approve folder:",
+        error
+      );
+    } finally {
+      this.dialogOpening = false;
+    }
+  }
+
+  /**
+   * Handle remove folder request: revoke the file tool's access to a folder
+   * @param {string} folderPath
+   */
+  async handleRemoveFolderRequest(folderPath) {
+    try {
+      const folders = await window.toolAPI.removeApprovedFolder(folderPath);
+      this.chatSettingsModal?.setApprovedFolders(folders);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|tools|folder|error",
+          color1: "red",
+        },
+        "Failed to remove folder:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Show the folders indexed for the knowledge base
+   */
+  async loadKnowledgeSources() {
+    if (!window.knowledgeAPI?.listSources || !this.chatSettingsModal) {
+      return;
+    }
+
+    try {
+      this.chatSettingsModal.setKnowledgeSources(
+        await window.knowledgeAPI.listSources()
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|knowledge|error",
+          color1: "red",
+        },
+        "Failed to load knowledge sources:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle add knowledge folder request: let the user pick folders to index
+   */
+  async handleAddKnowledgeFolderRequest() {
+    // Prevent multiple dialogs from opening simultaneously
+    if (this.dialogOpening) {
+      return;
+    }
+    this.dialogOpening = true;
+
+    try {
+      const sources = await window.knowledgeAPI.addFolder();
+      this.chatSettingsModal?.setKnowledgeSources(sources);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|knowledge|error",
+          color1: "red",
+        },
+        "Failed to index folder:",
+        error
+      );
+    } finally {
+      this.dialogOpening = false;
+    }
+  }
+
+  /**
+   * Handle reindex request for a knowledge base folder
+   * @param {string} sourceId
+   */
+  async handleReindexKnowledgeSourceRequest(sourceId) {
+    try {
+      const sources = await window.knowledgeAPI.reindexSource(sourceId);
+      this.chatSettingsModal?.setKnowledgeSources(sources);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|knowledge|error",
+          color1: "red",
+        },
+        "Failed to reindex folder:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle remove request for a knowledge base folder
+   * @param {string} sourceId
+   */
+  async handleRemoveKnowledgeSourceRequest(sourceId) {
+    try {
+      const sources = await window.knowledgeAPI.removeSource(sourceId);
+      this.chatSettingsModal?.setKnowledgeSources(sources);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|knowledge|error",
+          color1: "red",
+        },
+        "Failed to remove folder:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Show knowledge base indexing progress in the settings modal
+   * @param {Object} event - { path, status, chunksDone, chunkCount, error }
+   */
+  handleKnowledgeIndexProgress(event = {}) {
+    const { path, status, chunksDone = 0, chunkCount = 0, error } = event;
+    const name = (path || "").split(/[\\/]/).pop();
+
+    if (status === "indexing") {
+      this.chatSettingsModal?.setKnowledgeStatus(
+        `Indexing ${name}… ${chunksDone}/${chunkCount} chunks embedded`
+      );
+    } else if (status === "error") {
+      this.chatSettingsModal?.setKnowledgeStatus(
+        `Indexing ${name} failed: ${error}`,
+        true
+      );
+    } else {
+      this.chatSettingsModal?.setKnowledgeStatus("");
+    }
+  }
+
+  /**
+   * Show the models loaded in the backend model pool
+   */
+  async loadPoolStatus() {
+    if (!window.nodellamacppAPI?.getPoolStatus || !this.chatSettingsModal) {
+      return;
+    }
+
+    try {
+      this.chatSettingsModal.setPoolStatus(
+        await window.nodellamacppAPI.getPoolStatus()
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|pool|error",
+          color1: "red",
+        },
+        "Failed to get model pool status:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle unload pool model request
+   * @param {string} modelId - Pool id of the model
+   */
+  async handleUnloadPoolModelRequest(modelId) {
+    try {
+      await window.nodellamacppAPI.unloadModel(modelId);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|pool|error",
+          color1: "red",
+        },
+        "Failed to unload model:",
+        error
+      );
+    }
+
+    await this.loadPoolStatus();
+  }
+
+  /**
+   * Show the generation statistics recorded per model and thread count
+   */
+  async loadModelStats() {
+    if (!window.modellibraryAPI?.getModelStats || !this.chatSettingsModal) {
+      return;
+    }
+
+    try {
+      this.chatSettingsModal.setModelStats(
+        await window.modellibraryAPI.getModelStats()
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|stats|error",
+          color1: "red",
+        },
+        "Failed to get model statistics:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Show the local API server settings and state
+   */
+  async loadApiServerStatus() {
+    if (!window.apiserverAPI?.getServerStatus || !this.chatSettingsModal) {
+      return;
+    }
+
+    try {
+      this.chatSettingsModal.setApiServerStatus(
+        await window.apiserverAPI.getServerStatus()
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|api|error",
+          color1: "red",
+        },
+        "Failed to get API server status:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle API server option changes from the settings modal
+   * @param {Object} config - { enabled, port, apiKey }
+   */
+  async handleApiServerChange(config) {
+    try {
+      this.chatSettingsModal?.setApiServerStatus(
+        await window.apiserverAPI.updateServerConfig(config)
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|api|error",
+          color1: "red",
+        },
+        "Failed to update API server:",
+        error
+      );
+      await this.loadApiServerStatus();
+    }
+  }
+
+  /**
+   * Handle reset model statistics request
+   */
+  async handleResetModelStatsRequest() {
+    try {
+      await window.modellibraryAPI.resetModelStats();
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|stats|error",
+          color1: "red",
+        },
+        "Failed to reset model statistics:",
+        error
+      );
+    }
+
+    await this.loadModelStats();
+  }
+
+  /**
+   * Load the model library: folders, recent models and the scanned models
+   */
+  async loadModelLibrary() {
+    if (!window.modellibraryAPI?.scanModels || !this.chatSettingsModal) {
+      return;
+    }
+
+    try {
+      this.chatSettingsModal.setLibraryFolders(
+        await window.modellibraryAPI.getFolders()
+      );
+      this.chatSettingsModal.setRecentModels(
+        await window.modellibraryAPI.getRecentModels()
+      );
+
+      this.chatSettingsModal.showLibraryScanning();
+      this.chatSettingsModal.setLibraryModels(
+        await window.modellibraryAPI.scanModels()
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|library|error",
+          color1: "red",
+        },
+        "Failed to load model library:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle add library folder request: let the user pick a folder to scan for models
+   */
+  async handleAddLibraryFolderRequest() {
+    // Prevent multiple dialogs from opening simultaneously
+    if (this.dialogOpening) {
+      return;
+    }
+    this.dialogOpening = true;
+
+    try {
+      await window.modellibraryAPI.addFolder();
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|library|folder|error",
+          color1: "red",
+        },
+        "Failed to add model folder:",
+        error
+      );
+    } finally {
+      this.dialogOpening = false;
+    }
+
+    await this.loadModelLibrary();
+  }
+
+  /**
+   * Handle remove library folder request
+   * @param {string} folderPath
+   */
+  async handleRemoveLibraryFolderRequest(folderPath) {
+    try {
+      await window.modellibraryAPI.removeFolder(folderPath);
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|library|folder|error",
+          color1: "red",
+        },
+        "Failed to remove model folder:",
+        error
+      );
+    }
+
+    await this.loadModelLibrary();
+  }
+
+  /**
+   * Load a model from the library, applying its saved defaults first
+   * @param {string} modelPath
+   */
+  async handleLoadLibraryModelRequest(modelPath) {
+    let defaults = null;
+    try {
+      defaults = await window.modellibraryAPI.getModelDefaults(modelPath);
+    } catch (error) {
+      window.logger.warn(
+        {
+          tags: "chat|library|warning",
+          color1: "yellow",
+        },
+        "Failed to read model defaults:",
+        error
+      );
+    }
+
+    if (defaults?.sampling) {
+      await this.updateChatConfig({
+        sampling: { ...this.config.sampling, ...defaults.sampling },
+      });
+      this.chatSettingsModal?.setSamplingConfig(this.config.sampling);
+    }
+
+    this.chatSettingsModal?.setConfigData({
+      modelPath,
+      contextAllocationSize:
+        defaults?.contextAllocationSize ?? this.config?.contextAllocationSize,
+      minContextSize: defaults?.minContextSize ?? this.config?.minContextSize,
+      maxContextSize: defaults?.maxContextSize ?? this.config?.maxContextSize,
+      contextSequences:
+        defaults?.contextSequences ?? this.config?.contextSequences,
+    });
+
+    await this.handleLoadModelRequest(
+      modelPath,
+      defaults?.contextAllocationSize,
+      defaults?.minContextSize,
+      defaults?.maxContextSize,
+      defaults?.contextSequences
+    );
+  }
+
+  /**
+   * Handle save model defaults request
+   * @param {string} modelPath
+   * @param {Object} defaults - { contextAllocationSize, minContextSize, maxContextSize, contextSequences, sampling }
+   */
+  async handleSaveModelDefaultsRequest(modelPath, defaults) {
+    try {
+      await window.modellibraryAPI.setModelDefaults(modelPath, defaults);
+      window.logger.log(
+        {
+          tags: "chat|library|defaults",
+          color1: "green",
+        },
+        "Saved model defaults for",
+        modelPath
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|library|error",
+          color1: "red",
+        },
+        "Failed to save model defaults:",
+        error
+      );
+      return;
+    }
+
+    await this.loadModelLibrary();
+  }
+
+  /**
+   * Load the saved system prompt presets
+   */
+  async loadPresets() {
+    if (!window.promptpresetAPI?.listPresets) {
+      return;
+    }
+
+    try {
+      this.presets = await window.promptpresetAPI.listPresets();
+      if (this.chatSettingsModal) {
+        this.chatSettingsModal.setPresets(this.presets);
+      }
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|presets|error",
+          color1: "red",
+        },
+        "Failed to load presets:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Handle save preset request from the settings modal
+   * @param {Object} preset - Preset editor data ({ id, name, systemPrompt })
+   */
+  async handleSavePresetRequest(preset = {}) {
+    try {
+      const { id, ...presetData } = preset;
+      const saved = id
+        ? await window.promptpresetAPI.updatePreset(id, presetData)
+        : await window.promptpresetAPI.createPreset(presetData);
+
+      await this.loadPresets();
+      if (this.chatSettingsModal) {
+        this.chatSettingsModal.selectPreset(saved.id, false);
+      }
+
+      window.logger.log(
+        {
+          tags: "chat|presets|save",
+          color1: "green",
+        },
+        `Saved preset '${saved.name}'`
+      );
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|presets|save|error",
           color1: "red",
-          includeSource: true,
         },
-        "Chat interface not available for adding user message"
+        "Failed to save preset:",
+        error
       );
-      return;
     }
+  }
 
-    // Get current timestamp for the user message
-    const timestamp = this.getCurrentTimestamp();
-
+  /**
+   * Handle delete preset request from the settings modal. Conversations keep
+   * their own copy of the prompt, so nothing else changes.
+   * @param {string} presetId - Preset to delete
+   */
+  async handleDeletePresetRequest(presetId) {
     try {
-      this.chatInterface.addMessage("user", message, timestamp);
-
-      // Add user message to conversation history (llama format)
-      this.messages.push({
-        type: "user",
-        text: message,
-      });
+      await window.promptpresetAPI.deletePreset(presetId);
+      await this.loadPresets();
     } catch (error) {
       window.logger.error(
         {
-          tags: "chat|manager|error",
+          tags: "chat|presets|delete|error",
           color1: "red",
-          includeSource: true,
         },
-        `Failed to add user message to chat interface: ${error.message}`
+        "Failed to delete preset:",
+        error
       );
-      return;
     }
+  }
 
-    // Log successful message addition
+  /**
+   * Handle a system prompt change: it applies from the next reply on and is
+   * saved with the open conversation
+   * @param {string} systemPrompt
+   */
+  async handleSystemPromptChange(systemPrompt = "") {
+    if (systemPrompt === this.systemPrompt) return;
+
+    this.systemPrompt = systemPrompt;
     window.logger.log(
       {
-        tags: "chat|manager|send",
-        color1: "cyan",
+        tags: "chat|system-prompt",
+        color1: "blue",
       },
-      `User message added: "${message}"`
+      systemPrompt ? "System prompt updated" : "System prompt cleared"
     );
+    this.scheduleTokenUsageUpdate();
 
-    // Create empty assistant message for streaming
-    let assistantMessage;
-    try {
-      assistantMessage = this.chatInterface.createAssistantMessage();
-      // Store reference for streaming chunks
-      this.currentAssistantMessage = assistantMessage;
-    } catch (error) {
-      window.logger.error(
-        {
-          tags: "chat|manager|error",
-          color1: "red",
-          includeSource: true,
-        },
-        `Failed to create assistant message: ${error.message}`
-      );
+    if (this.conversationId) {
+      await this.saveConversation();
+    }
+  }
+
+  /**
+   * Handle message change event: the draft counts towards the context meter
+   * @param {string} value - The current input value
+   */
+  handleMessageChange(value) {
+    this.scheduleTokenUsageUpdate(value);
+  }
+
+  /**
+   * Count the tokens of the history the next reply is generated from
+   * @param {string} prompt - Message about to be sent, counted with the history
+   * @returns {Promise<Object>} countTokens result ({ total, contextSize, responseReserve, messages, prompt }) plus the counted tree nodes
+   */
+  async countContextTokens(prompt = "") {
+    const { nodes, history, contextStrategy } = this.getContextHistory();
+    const usage = await window.nodellamacppAPI.countTokens(history, {
+      systemPrompt: this.systemPrompt.trim() ? this.systemPrompt : undefined,
+      memory: contextStrategy.memory,
+      prompt,
+      maxTokens: this.config?.sampling?.maxTokens,
+    });
+    return { ...usage, nodes };
+  }
+
+  /**
+   * Refresh the context meter and the per-message token counts shortly;
+   * calls in quick succession (typing, streaming) are coalesced
+   * @param {string} draft - Unsent input counted as the next prompt
+   */
+  scheduleTokenUsageUpdate(draft = this.chatInterface?.getInputValue() || "") {
+    clearTimeout(this.tokenUsageTimer);
+    this.tokenUsageTimer = setTimeout(() => {
+      this.tokenUsageTimer = null;
+      this.updateTokenUsage(draft);
+    }, 300);
+  }
+
+  /**
+   * Show the conversation's token usage in the header and on each message
+   * @param {string} draft - Unsent input counted as the next prompt
+   */
+  async updateTokenUsage(draft = "") {
+    if (!window.nodellamacppAPI?.countTokens || !this.modelState.isModelLoaded) {
+      this.chatHeader?.setTokenUsage(null);
       return;
     }
 
-    // Start streaming chat generation
     try {
-      await window.nodellamacppAPI.startStreamingChat(this.messages);
+      const usage = await this.countContextTokens(
+        this.getPromptText({
+          text: draft.trim(),
+          attachments: this.pendingAttachments,
+        })
+      );
+      this.chatHeader?.setTokenUsage({
+        used: usage.total,
+        contextSize: usage.contextSize,
+      });
+
+      const bubbles = new Map(
+        (this.chatInterface?.getMessageElements() || []).map((el) => [
+          el.getAttribute("message-id"),
+          el,
+        ])
+      );
+      usage.nodes.forEach((node, index) => {
+        bubbles.get(node.id)?.setAttribute("token-count", usage.messages[index]);
+      });
     } catch (error) {
-      window.logger.error(
+      window.logger.warn(
         {
-          tags: "chat|manager|streaming|error",
-          color1: "red",
-          includeSource: true,
+          tags: "chat|tokens|warning",
+          color1: "yellow",
         },
-        `Failed to start streaming chat: ${error.message}`
+        "Failed to count tokens:",
+        error.message
       );
     }
   }
 
   /**
-   * Handle message change event
-   * @param {string} value - The current input value
+   * Ask before sending a message that makes the history exceed the context
+   * @param {string} message - Message about to be sent
+   * @returns {Promise<boolean>} True to send
    */
-  handleMessageChange(value) {}
+  async confirmPromptFits(message) {
+    if (!window.nodellamacppAPI?.countTokens) {
+      return true;
+    }
+
+    let usage;
+    try {
+      usage = await this.countContextTokens(message);
+    } catch (error) {
+      return true;
+    }
+    if (usage.total + usage.responseReserve <= usage.contextSize) {
+      return true;
+    }
+
+    const outcome = {
+      "sliding-window": "cut from the start of the conversation",
+      "drop-oldest": "dropped, oldest first",
+      summarize: "summarized into a memory",
+    }[this.config?.contextStrategy] || "cut from the start of the conversation";
+    return window.confirm(
+      `With this message the conversation takes ${usage.total.toLocaleString()} tokens, ` +
+        `but the context holds ${usage.contextSize.toLocaleString()} ` +
+        `(${usage.responseReserve.toLocaleString()} kept free for the reply). ` +
+        `Older messages will be ${outcome}. Send anyway?`
+    );
+  }
 
   /**
    * Add placeholder messages for testing the UI
@@ -341,6 +2675,9 @@ export class ChatManager extends Manager {
    * Navigate back to the main section
    */
   async goBackToMain() {
+    // Abort any running generation before leaving the section
+    await this.stopGeneration();
+
     // Hide loading overlay if it's still visible
     if (this.loadingOverlay) {
       this.loadingOverlay.hide();
@@ -375,10 +2712,26 @@ export class ChatManager extends Manager {
       // Populate config data including context settings
       if (this.config) {
         this.chatSettingsModal.setConfigData(this.config);
+        this.chatSettingsModal.setSamplingConfig(this.config.sampling);
+        this.chatSettingsModal.setStructuredOutputConfig(this.config.structuredOutput);
+        this.chatSettingsModal.setEnabledTools(this.config.enabledTools);
+        this.chatSettingsModal.setGroupChatConfig(this.config.groupChat);
+        this.chatSettingsModal.setKnowledgeConfig(this.config.knowledge);
       }
+      await this.loadAgents();
+      await this.loadPresets();
+      this.chatSettingsModal.setSystemPrompt(this.systemPrompt);
+      await this.loadTools();
+      await this.loadKnowledgeSources();
+      await this.loadPoolStatus();
+      await this.loadModelStats();
+      await this.loadApiServerStatus();
 
       // Open the modal (this will also hide progress bar)
       this.chatSettingsModal.open();
+
+      // Reading the GGUF headers can take a moment, so the library fills in after opening
+      await this.loadModelLibrary();
     } else {
       window.logger.error(
         {
@@ -407,11 +2760,98 @@ export class ChatManager extends Manager {
         contextAllocationSize: 32000,
         minContextSize: 16000,
         maxContextSize: 48000,
+        contextSequences: 2,
+        contextStrategy: "sliding-window",
+        sampling: this.getDefaultSamplingConfig(),
+        enabledTools: [],
+        structuredOutput: this.getDefaultStructuredOutputConfig(),
+        groupChat: this.getDefaultGroupChatConfig(),
+        knowledge: this.getDefaultKnowledgeConfig(),
+        sidebarCollapsed: false,
+        lastConversationId: null,
       };
 
       // Save default config
       await this.saveChatConfig();
     }
+
+    // Configs saved before group chat existed lack these options
+    if (!this.config.groupChat) {
+      await this.updateChatConfig({
+        groupChat: this.getDefaultGroupChatConfig(),
+      });
+    }
+
+    // Same for sampling parameters, tools and structured output
+    if (!this.config.sampling) {
+      await this.updateChatConfig({
+        sampling: this.getDefaultSamplingConfig(),
+      });
+    }
+    if (!Array.isArray(this.config.enabledTools)) {
+      await this.updateChatConfig({ enabledTools: [] });
+    }
+    if (!this.config.structuredOutput) {
+      await this.updateChatConfig({
+        structuredOutput: this.getDefaultStructuredOutputConfig(),
+      });
+    }
+    if (!this.config.contextStrategy) {
+      await this.updateChatConfig({ contextStrategy: "sliding-window" });
+    }
+    if (!this.config.knowledge) {
+      await this.updateChatConfig({
+        knowledge: this.getDefaultKnowledgeConfig(),
+      });
+    }
+  }
+
+  /**
+   * Default structured output options (free text)
+   * @returns {Object}
+   */
+  getDefaultStructuredOutputConfig() {
+    return { mode: "off", schema: "", grammar: "" };
+  }
+
+  /**
+   * Default sampling parameters (llama.cpp defaults)
+   * @returns {Object}
+   */
+  getDefaultSamplingConfig() {
+    return {
+      temperature: 0.8,
+      topP: 0.95,
+      topK: 40,
+      minP: 0.05,
+      repeatPenalty: 1.1,
+      repeatLastTokens: 64,
+      frequencyPenalty: 0,
+      presencePenalty: 0,
+      maxTokens: 0,
+      seed: null,
+    };
+  }
+
+  /**
+   * Default knowledge base options
+   * @returns {Object}
+   */
+  getDefaultKnowledgeConfig() {
+    return { enabled: false, topK: 4 };
+  }
+
+  /**
+   * Default group chat options
+   * @returns {Object}
+   */
+  getDefaultGroupChatConfig() {
+    return {
+      enabled: false,
+      agentIds: [],
+      speakerMode: "round-robin",
+      maxTurns: 6,
+    };
   }
 
   /**
@@ -517,12 +2957,14 @@ export class ChatManager extends Manager {
    * @param {number} contextAllocationSize - Context allocation size for VRAM
    * @param {number} minContextSize - Minimum context size
    * @param {number} maxContextSize - Maximum context size
+   * @param {number} contextSequences - Context sequences (conversations with their own KV cache)
    */
   async handleLoadModelRequest(
     modelPath,
     contextAllocationSize = null,
     minContextSize = null,
-    maxContextSize = null
+    maxContextSize = null,
+    contextSequences = null
   ) {
     if (this.modelLoading) {
       return false;
@@ -535,6 +2977,7 @@ export class ChatManager extends Manager {
       contextAllocationSize ?? this.config?.contextAllocationSize ?? 32000;
     const minSize = minContextSize ?? this.config?.minContextSize ?? 16000;
     let maxSize = maxContextSize ?? this.config?.maxContextSize ?? 48000;
+    const sequences = contextSequences ?? this.config?.contextSequences ?? 2;
 
     // Ensure max >= min
     if (maxSize < minSize) {
@@ -603,6 +3046,7 @@ export class ChatManager extends Manager {
       // Prepare context config with max context size
       const contextConfig = {
         contextSize: maxSize > 0 ? maxSize : "auto",
+        sequences,
       };
 
       await window.nodellamacppAPI.loadModel(
@@ -618,9 +3062,17 @@ export class ChatManager extends Manager {
         contextAllocationSize: allocationSize,
         minContextSize: minSize,
         maxContextSize: maxSize,
+        contextSequences: sequences,
       };
       await this.updateChatConfig(configUpdate);
 
+      if (window.modellibraryAPI?.addRecentModel) {
+        const recentModels = await window.modellibraryAPI.addRecentModel(
+          resolvedPath
+        );
+        this.chatSettingsModal?.setRecentModels(recentModels);
+      }
+
       await this.syncModelStateFromBackend();
 
       window.logger.log(
@@ -742,8 +3194,16 @@ export class ChatManager extends Manager {
         this.chatInterface.clearMessages();
       }
 
-      // Clear our conversation history
-      this.messages = [];
+      // Stop any generation still running (and let its save finish) before clearing
+      await this.leaveConversation();
+
+      // Clear our conversation history; the saved conversation is kept and
+      // the next message starts a new one
+      this.chatTree.reset();
+      this.syncMessages();
+      this.currentModelTurn = null;
+      this.conversationId = null;
+      this.chatSidebar?.setActiveConversation(null);
 
       window.logger.log(
         {
@@ -766,26 +3226,72 @@ export class ChatManager extends Manager {
 
   /**
    * Handle export chat request
+   * @param {string} format - "markdown" | "json" | "html"
    */
-  async handleExportChatRequest() {
+  async handleExportChatRequest(format = "markdown") {
     try {
+      if (this.messages.length === 0) {
+        window.logger.warn(
+          {
+            tags: "chat|settings|export|empty",
+            color1: "yellow",
+          },
+          "Nothing to export - the conversation is empty"
+        );
+        return;
+      }
+
       window.logger.log(
         {
           tags: "chat|settings|export",
           color1: "blue",
         },
-        "Exporting chat data"
+        `Exporting chat as ${format}`
       );
 
-      // For now, just log - in real implementation would export to file
-      window.logger.warn(
-        {
-          tags: "chat|settings|export|todo",
-          color1: "yellow",
-          includeSource: true,
-        },
-        "Chat export not yet implemented"
+      const exportManager = this.section.chatExportManager;
+      const metadata =
+        this.conversations.find((c) => c.id === this.conversationId) || {};
+      const conversation = {
+        ...metadata,
+        title: metadata.title || this.getDefaultConversationTitle(),
+        model: metadata.model || this.getModelName(),
+        systemPrompt: this.systemPrompt,
+        messages: this.messages,
+        tree: this.chatTree.toJSON(),
+      };
+
+      const content = exportManager.exportConversation(
+        conversation,
+        format,
+        this.chatInterface?.getMessageElements() || []
       );
+      const { name, extension } = exportManager.formats[format];
+
+      const filePath = await window.storeAPI.showSaveDialog({
+        filters: [{ name, extensions: [extension] }],
+        defaultPath: exportManager.getFileName(conversation, format),
+        content,
+      });
+
+      if (filePath) {
+        window.logger.log(
+          {
+            tags: "chat|settings|export|success",
+            color1: "green",
+          },
+          "Chat exported to:",
+          filePath
+        );
+      } else {
+        window.logger.log(
+          {
+            tags: "chat|settings|export|cancelled",
+            color1: "yellow",
+          },
+          "Chat export cancelled by user"
+        );
+      }
     } catch (error) {
       window.logger.error(
         {
@@ -798,6 +3304,70 @@ export class ChatManager extends Manager {
     }
   }
 
+  /**
+   * Handle import chat request: pick a file, convert it and save it as a new conversation
+   */
+  async handleImportChatRequest() {
+    // Prevent multiple dialogs from opening simultaneously
+    if (this.dialogOpening) {
+      return;
+    }
+    this.dialogOpening = true;
+
+    try {
+      const filePaths = await window.storeAPI.showOpenDialog({
+        filters: [
+          { name: "Chat Files", extensions: ["json", "txt", "chatml"] },
+          { name: "All Files", extensions: ["*"] },
+        ],
+        multiSelections: false,
+      });
+
+      if (!filePaths || filePaths.length === 0) {
+        window.logger.log(
+          {
+            tags: "chat|settings|import|cancelled",
+            color1: "yellow",
+          },
+          "Chat import cancelled by user"
+        );
+        return;
+      }
+
+      const filePath = filePaths[0];
+      const content = await window.storeAPI.readDialogFile(filePath);
+      const fileName = filePath.split(/[\\/]/).pop();
+      const imported = this.section.chatImportManager.parse(content, fileName);
+
+      const conversation = await window.conversationAPI.createConversation(
+        imported
+      );
+      await this.loadConversations();
+      await this.openConversation(conversation.id);
+
+      window.logger.log(
+        {
+          tags: "chat|settings|import|success",
+          color1: "green",
+        },
+        `Imported ${imported.messages.length} message(s) from ${fileName}`
+      );
+
+      this.chatSettingsModal?.close();
+    } catch (error) {
+      window.logger.error(
+        {
+          tags: "chat|settings|import|error",
+          color1: "red",
+        },
+        "Failed to import chat:",
+        error
+      );
+    } finally {
+      this.dialogOpening = false;
+    }
+  }
+
   /**
    * Clean up the loading overlay
    */
@@ -897,6 +3467,9 @@ export class ChatManager extends Manager {
         statusLabel,
       });
     }
+
+    // The context size and the tokenizer come with the model
+    this.scheduleTokenUsageUpdate();
   }
 
   /**
@@ -932,6 +3505,24 @@ export class ChatManager extends Manager {
     );
   }
 
+  /**
+   * Subscribe to knowledge base indexing progress events
+   */
+  setupKnowledgeProgressListener() {
+    if (!window.knowledgeAPI?.onIndexProgress) {
+      return;
+    }
+
+    if (typeof this.knowledgeProgressUnsub === "function") {
+      this.knowledgeProgressUnsub();
+      this.knowledgeProgressUnsub = null;
+    }
+
+    this.knowledgeProgressUnsub = window.knowledgeAPI.onIndexProgress(
+      (event) => this.handleKnowledgeIndexProgress(event)
+    );
+  }
+
   /**
    * Setup chat chunk streaming listener
    */
@@ -958,6 +3549,15 @@ export class ChatManager extends Manager {
     const { status, percentage = 0, modelPath, error } = event;
     const normalized = (status || "").toLowerCase();
 
+    if (normalized === "completed" || normalized === "unloaded") {
+      this.loadPoolStatus();
+    }
+
+    // Models loaded for agents don't change the default model
+    if (event.isDefault === false) {
+      return;
+    }
+
     if (normalized === "loading") {
       // Update progress indicators - they should already be shown from handleLoadModelRequest
       this.updateModelProgressIndicators(percentage);
@@ -1007,11 +3607,38 @@ export class ChatManager extends Manager {
   handleChatChunk(chunk = {}) {
     const { text, isComplete, error } = chunk;
 
+    // Single replies only accept chunks of the request they started (group
+    // chat turns are tagged with their agent instead)
+    if (
+      chunk.requestId &&
+      !chunk.agentId &&
+      chunk.requestId !== this.currentRequestId
+    ) {
+      return;
+    }
+
+    // The history was shortened to fit the context
+    if (chunk.contextOverflow) {
+      this.handleContextOverflow(chunk.contextOverflow, !!chunk.agentId);
+      return;
+    }
+
+    // Waiting for other generations to finish
+    if (typeof chunk.queuePosition === "number") {
+      this.currentAssistantMessage?.setStatus(
+        chunk.queuePosition > 0 ? `⏳ Queued (position ${chunk.queuePosition})` : ""
+      );
+      return;
+    }
+
     // Handle different chunk types
     if (text && typeof text === 'object') {
       if (text.type === 'segment') {
         // Segment chunk: { type: "segment", segmentType: "thought", text: "...", segmentStartTime: "..." }
         this.handleSegmentChunk(text);
+      } else if (text.type === 'functionCall') {
+        // Finished tool call: { type: "functionCall", name, params, result }
+        this.recordModelFunctionCall(text);
       } else if (text.tokens && Array.isArray(text.tokens)) {
         // Regular text chunk: { tokens: [...], text: "actual text" }
         this.handleTextChunk(text.text || '');
@@ -1022,6 +3649,7 @@ export class ChatManager extends Manager {
     }
 
     if (error) {
+      this.endModelTurn(true);
       window.logger.error(
         {
           tags: "chat|chunk|error",
@@ -1034,8 +3662,35 @@ export class ChatManager extends Manager {
     }
 
     if (isComplete) {
+      // Keep the partial text but flag the bubble as stopped or cut off
+      if (chunk.stopped && this.currentAssistantMessage) {
+        this.currentAssistantMessage.markStopped();
+      } else if (
+        chunk.stopReason === "maxTokens" &&
+        this.currentAssistantMessage
+      ) {
+        this.currentAssistantMessage.markTruncated();
+      }
+
+      // Performance of the reply, kept with it
+      if (chunk.metrics) {
+        if (this.currentModelTurn) {
+          this.currentModelTurn.metrics = chunk.metrics;
+        }
+        this.currentAssistantMessage?.setMetrics(chunk.metrics);
+      }
+
+      // Reply constrained by a JSON schema: keep and show the parsed value
+      if (chunk.parsed !== undefined) {
+        if (this.currentModelTurn) {
+          this.currentModelTurn.parsed = chunk.parsed;
+        }
+        this.currentAssistantMessage?.setStructuredOutput(chunk.parsed);
+      }
+
       // Generation complete - clean up current message reference
       this.currentAssistantMessage = null;
+      this.endModelTurn();
       window.logger.log(
         {
           tags: "chat|chunk|complete",
@@ -1047,6 +3702,52 @@ export class ChatManager extends Manager {
     }
   }
 
+  /**
+   * Show how the backend shortened a history that exceeded the context. A
+   * new memory is kept on the last message it summarizes, so later replies
+   * send the memory instead of those messages.
+   * @param {Object} overflow - { strategy, pending, foldedCount, memory }
+   * @param {boolean} isGroupChat - Group chat agents keep their memory in the backend for the run
+   */
+  handleContextOverflow(overflow, isGroupChat) {
+    const { pending, foldedCount = 0, memory } = overflow;
+    const bubble = this.currentAssistantMessage;
+
+    if (pending) {
+      bubble?.setStatus("🧠 Summarizing earlier messages…");
+      return;
+    }
+    bubble?.setStatus("");
+
+    if (typeof memory === "string" && isGroupChat) {
+      bubble?.setStatus(
+        `🧠 ${foldedCount} earlier message(s) summarized into the agent's memory`
+      );
+      return;
+    }
+
+    if (typeof memory === "string") {
+      const node = this.contextNodes[foldedCount - 1];
+      if (!node) return;
+
+      this.chatTree.setMemory(node.id, {
+        text: memory,
+        createdAt: new Date().toISOString(),
+      });
+      const summarized = this.chatInterface
+        ?.getMessageElements()
+        .find((el) => el.getAttribute("message-id") === node.id);
+      this.chatInterface?.addMemoryMarker(memory, summarized);
+      return;
+    }
+
+    if (foldedCount > 0) {
+      bubble?.setStatus(
+        `✂ ${foldedCount} earlier message(s) left out to fit the context`
+      );
+    }
+  }
+
   /**
    * Handle segment start/end chunks
    * @param {Object} segmentData - Segment chunk data
@@ -1054,6 +3755,12 @@ export class ChatManager extends Manager {
   handleSegmentChunk(segmentData) {
     const { segmentType, text, segmentStartTime, segmentEndTime } = segmentData;
 
+    // Keep the segment in the conversation history; tool calls are recorded
+    // from their functionCall chunk instead
+    if (segmentType !== "function-call") {
+      this.recordModelSegment(segmentData);
+    }
+
     if (!this.currentAssistantMessage) return;
 
     // Map backend segment types to frontend segment types
@@ -1063,6 +3770,12 @@ export class ChatManager extends Manager {
       // Segment start - create new segment
       const timestamp = segmentStartTime ? new Date(segmentStartTime).toLocaleTimeString() : "";
       this.currentAssistantMessage.addSegment(mappedSegmentType, timestamp);
+      if (text) {
+        this.currentAssistantMessage.appendSegmentContentByType(
+          mappedSegmentType,
+          text
+        );
+      }
       window.logger.log(
         {
           tags: "chat|chunk|segment|start",
@@ -1094,6 +3807,7 @@ export class ChatManager extends Manager {
     switch (backendType) {
       case "thought":
         return "thinking";
+      case "comment":
       case "commentary":
         return "commentary";
       case "function-call":
@@ -1108,7 +3822,12 @@ export class ChatManager extends Manager {
    * @param {string} text - Text to append
    */
   handleTextChunk(text) {
-    if (!text || !this.currentAssistantMessage) return;
+    if (!text) return;
+
+    // Keep the text in the conversation history
+    this.recordModelText(text);
+
+    if (!this.currentAssistantMessage) return;
 
     // Try to append to existing response segment, create one if it doesn't exist
     const appended = this.currentAssistantMessage.appendSegmentContentByType("response", text);
@@ -1118,12 +3837,6 @@ export class ChatManager extends Manager {
       this.currentAssistantMessage.addSegment("response", timestamp);
       this.currentAssistantMessage.appendSegmentContentByType("response", text);
     }
-
-    // Update conversation history
-    const lastMessage = this.messages[this.messages.length - 1];
-    if (lastMessage && lastMessage.type === "model") {
-      lastMessage.response[0] += text;
-    }
   }
 
   showModelProgressIndicators(label = "Loading model...") {
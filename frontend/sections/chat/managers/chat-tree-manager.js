@@ -0,0 +1,242 @@
+import { Manager } from "../../../core/index.js";
+
+/**
+ * Chat Tree Manager
+ *
+ * Holds the open conversation as a tree of message nodes. Editing an earlier
+ * message adds a sibling node instead of overwriting it, so every version of
+ * the conversation is kept. Each node remembers which child is active; the
+ * active path from the root down to a leaf is the history sent to the model.
+ *
+ * Usage:
+ * ```javascript
+ * const tree = section.addManager(new ChatTreeManager());
+ * const node = tree.appendMessage({ type: "user", text: "Hi" });
+ * const forked = tree.addSibling(node.id, { type: "user", text: "Hello" });
+ * tree.getBranchInfo(forked.id); // { index: 2, count: 2 }
+ * tree.getActiveMessages(); // [{ type: "user", text: "Hello" }]
+ * ```
+ *
+ * Node shape: { id, parentId, childIds, activeChildId, message, memory? }
+ * where memory ({ text, createdAt }) summarizes the path from the root down
+ * to that node once it no longer fits the model's context.
+ */
+export class ChatTreeManager extends Manager {
+  constructor() {
+    super();
+    this.rootId = "root";
+    this.reset();
+  }
+
+  /**
+   * Start an empty tree
+   */
+  reset() {
+    this.nodes = {
+      [this.rootId]: {
+        id: this.rootId,
+        parentId: null,
+        childIds: [],
+        activeChildId: null,
+      },
+    };
+  }
+
+  /**
+   * Load a stored tree, or build a single branch from a flat message list
+   * @param {Object|null} tree - Stored tree ({ rootId, nodes })
+   * @param {Array} messages - Flat history used when no tree is stored
+   */
+  load(tree, messages = []) {
+    if (tree?.nodes?.[tree.rootId]) {
+      this.rootId = tree.rootId;
+      this.nodes = tree.nodes;
+      return;
+    }
+
+    this.reset();
+    for (const message of messages) {
+      this.appendMessage(message);
+    }
+  }
+
+  /**
+   * Serializable copy of the tree
+   * @returns {{ rootId: string, nodes: Object }}
+   */
+  toJSON() {
+    return { rootId: this.rootId, nodes: this.nodes };
+  }
+
+  /**
+   * @param {string} nodeId
+   * @returns {Object|null}
+   */
+  getNode(nodeId) {
+    return this.nodes[nodeId] || null;
+  }
+
+  /**
+   * Nodes on the active path, root excluded
+   * @returns {Object[]}
+   */
+  getActivePath() {
+    const path = [];
+    let node = this.nodes[this.rootId];
+
+    while (node?.activeChildId) {
+      node = this.nodes[node.activeChildId];
+      if (node) path.push(node);
+    }
+
+    return path;
+  }
+
+  /**
+   * History items on the active path (same objects as stored in the nodes)
+   * @returns {Array}
+   */
+  getActiveMessages() {
+    return this.getActivePath().map((node) => node.message);
+  }
+
+  /**
+   * Id of the last node on the active path
+   * @returns {string}
+   */
+  getLeafId() {
+    const path = this.getActivePath();
+    return path.length > 0 ? path[path.length - 1].id : this.rootId;
+  }
+
+  /**
+   * Add a message under a parent node and make it the active child
+   * @param {string} parentId
+   * @param {Object} message - Chat history item
+   * @returns {Object} The new node
+   */
+  addChild(parentId, message) {
+    const parent = this.nodes[parentId];
+    if (!parent) {
+      throw new Error(`Message ${parentId} not found`);
+    }
+
+    const node = {
+      id: crypto.randomUUID(),
+      parentId,
+      childIds: [],
+      activeChildId: null,
+      message,
+    };
+
+    this.nodes[node.id] = node;
+    parent.childIds.push(node.id);
+    parent.activeChildId = node.id;
+    return node;
+  }
+
+  /**
+   * Append a message at the end of the active path
+   * @param {Object} message - Chat history item
+   * @returns {Object} The new node
+   */
+  appendMessage(message) {
+    return this.addChild(this.getLeafId(), message);
+  }
+
+  /**
+   * Add an alternative version of a message (forks the conversation there)
+   * @param {string} nodeId - Message to add an alternative for
+   * @param {Object} message - Chat history item
+   * @returns {Object} The new node
+   */
+  addSibling(nodeId, message) {
+    const node = this.nodes[nodeId];
+    if (!node) {
+      throw new Error(`Message ${nodeId} not found`);
+    }
+    return this.addChild(node.parentId, message);
+  }
+
+  /**
+   * Make a node the end of the active path, e.g. to generate a new reply
+   * after it. Its children are kept but none of them is active.
+   * @param {string} nodeId
+   */
+  selectLeaf(nodeId) {
+    const node = this.nodes[nodeId];
+    if (!node) {
+      throw new Error(`Message ${nodeId} not found`);
+    }
+    node.activeChildId = null;
+  }
+
+  /**
+   * Remove a node and everything below it
+   * @param {string} nodeId
+   */
+  removeNode(nodeId) {
+    const node = this.nodes[nodeId];
+    if (!node || nodeId === this.rootId) return;
+
+    const parent = this.nodes[node.parentId];
+    parent.childIds = parent.childIds.filter((id) => id !== nodeId);
+    if (parent.activeChildId === nodeId) {
+      parent.activeChildId = parent.childIds[parent.childIds.length - 1] || null;
+    }
+
+    const stack = [nodeId];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      stack.push(...(this.nodes[id]?.childIds || []));
+      delete this.nodes[id];
+    }
+  }
+
+  /**
+   * Attach the summary of the path up to a node (the messages themselves are kept)
+   * @param {string} nodeId
+   * @param {Object} memory - { text, createdAt }
+   */
+  setMemory(nodeId, memory) {
+    const node = this.nodes[nodeId];
+    if (!node) {
+      throw new Error(`Message ${nodeId} not found`);
+    }
+    node.memory = memory;
+  }
+
+  /**
+   * Position of a node among its siblings
+   * @param {string} nodeId
+   * @returns {{ index: number, count: number }} 1-based index and sibling count
+   */
+  getBranchInfo(nodeId) {
+    const parent = this.nodes[this.nodes[nodeId]?.parentId];
+    if (!parent) {
+      return { index: 1, count: 1 };
+    }
+    return {
+      index: parent.childIds.indexOf(nodeId) + 1,
+      count: parent.childIds.length,
+    };
+  }
+
+  /**
+   * Switch to the previous/next version of a message. The active path then
+   * follows the remembered active children below that version.
+   * @param {string} nodeId - Currently shown version
+   * @param {number} direction - -1 for previous, 1 for next
+   * @returns {string|null} Id of the now active version, or null if unchanged
+   */
+  selectSibling(nodeId, direction) {
+    const parent = this.nodes[this.nodes[nodeId]?.parentId];
+    if (!parent) return null;
+
+    const index = parent.childIds.indexOf(nodeId) + direction;
+    if (index < 0 || index >= parent.childIds.length) return null;
+
+    parent.activeChildId = parent.childIds[index];
+    return parent.activeChildId;
+  }
+}